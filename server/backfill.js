@@ -0,0 +1,142 @@
+import dotenv from 'dotenv';
+import { createMarketDataProvider, createPriceStore } from './config/services.js';
+import StoredMarketDataProvider from './services/storedProvider.js';
+import { getISOProfile, getRTIntervalOptions } from './config/isoProfiles.js';
+import { getLocations, getDefaultLocations } from './config/locations.js';
+import { addDays } from './utils/timezone.js';
+import { logger } from './utils/logger.js';
+
+// Load environment variables
+dotenv.config();
+
+const USAGE = 'Usage: npm run backfill -- --start YYYY-MM-DD --end YYYY-MM-DD [--iso CAISO] [--rt-interval 15|all] [--locations ID,ID|all] [--force]';
+
+/**
+ * Parse `--name value` and `--flag` command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options keyed by name
+ */
+const parseArgs = (argv) => {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '');
+    if (argv[i + 1] && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+};
+
+/**
+ * Resolve the --locations argument against the location registry
+ * Unlike API requests, a backfill may cover any number of locations; the fetch queue paces them.
+ * @param {string} iso - ISO identifier
+ * @param {string|boolean} [value] - Comma-separated ids, `all`, or undefined for the defaults
+ * @returns {string[]} Location ids
+ */
+const resolveBackfillLocations = (iso, value) => {
+  const registered = getLocations(iso);
+  if (value === 'all') return registered.map(location => location.id);
+  if (typeof value !== 'string') return getDefaultLocations(iso).map(location => location.id);
+
+  const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+  const unknown = ids.filter(id => !registered.some(location => location.id === id));
+  if (ids.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown ${iso} locations: ${unknown.join(', ') || value}. Registered: ${registered.map(location => location.id).join(', ')}`);
+  }
+  return ids;
+};
+
+/**
+ * Backfill the price store for a date range
+ * Walks the range one day at a time through the upstream provider, whose fetch
+ * queue paces every GridStatus call. Days already stored for every selected location
+ * are skipped unless --force is given.
+ */
+const backfill = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (!dateRegex.test(options.start || '') || !dateRegex.test(options.end || '') || options.start > options.end) {
+    throw new Error(USAGE);
+  }
+
+  const iso = (options.iso || 'CAISO').toUpperCase();
+  const profile = getISOProfile(iso);
+  const rtIntervals = options['rt-interval'] === 'all'
+    ? getRTIntervalOptions(profile)
+    : [Number(options['rt-interval']) || profile.rtIntervalMinutes];
+  const locations = resolveBackfillLocations(iso, options.locations);
+
+  const priceStore = createPriceStore();
+  const upstream = createMarketDataProvider();
+  if (!priceStore || !upstream) {
+    throw new Error('Backfill needs the price store enabled and a GridStatus API key (or fixtures) configured');
+  }
+
+  const provider = new StoredMarketDataProvider(priceStore, upstream);
+  const totals = { stored: 0, skipped: 0, unsettled: 0, truncated: 0, failed: 0 };
+
+  logger.info(`🗄️  Backfilling ${iso} from ${options.start} to ${options.end} (${rtIntervals.join(', ')}-minute RT) into ${priceStore.baseDir}`);
+  logger.info(`📍 Locations: ${locations.join(', ')}`);
+
+  for (let date = options.start; date <= options.end; date = addDays(date, 1)) {
+    for (const rtIntervalMinutes of rtIntervals) {
+      const label = `${iso} ${date} (${rtIntervalMinutes}-minute RT)`;
+
+      if (!options.force && await priceStore.hasDayPrices(date, iso, rtIntervalMinutes, locations)) {
+        logger.info(`⏭️  ${label} already stored`);
+        totals.skipped++;
+        continue;
+      }
+
+      if (!provider.isSettledDay(date, iso)) {
+        logger.warn(`⚠️  ${label} has not settled yet, skipping`);
+        totals.unsettled++;
+        continue;
+      }
+
+      try {
+        const { dayAheadData, realTimeData, pagination, stored } = await provider.getMarketPrices(date, iso, { rtIntervalMinutes, locations, refresh: true, priority: 'background' });
+
+        // Days missing a whole market are not stored
+        if (dayAheadData.length === 0 || realTimeData.length === 0) {
+          logger.warn(`⚠️  ${label} returned ${dayAheadData.length} DA and ${realTimeData.length} RT records, not stored`);
+          totals.failed++;
+          continue;
+        }
+
+        // The provider does not store truncated days either
+        if (pagination?.dayAhead.truncated || pagination?.realTime.truncated) {
+          const truncatedLocations = [...new Set([...pagination.dayAhead.truncatedLocations, ...pagination.realTime.truncatedLocations])];
+          logger.warn(`⚠️  ${label} was truncated at ${truncatedLocations.join(', ')}, not stored`);
+          totals.truncated++;
+          continue;
+        }
+
+        // The provider only logs write errors, so a failed write still returns the prices
+        if (!stored) {
+          logger.error(`❌ Failed to write ${label} to the price store`);
+          totals.failed++;
+          continue;
+        }
+        totals.stored++;
+      } catch (error) {
+        logger.error(`❌ Failed to backfill ${label}: ${error.message}`);
+        totals.failed++;
+      }
+    }
+  }
+
+  logger.info(`🎉 Backfill complete: ${totals.stored} stored, ${totals.skipped} already stored, ${totals.unsettled} not settled, ${totals.truncated} truncated, ${totals.failed} failed`);
+  return totals;
+};
+
+backfill()
+  .then(({ truncated, failed }) => process.exit(truncated + failed > 0 ? 1 : 0))
+  .catch(error => {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
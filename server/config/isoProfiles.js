@@ -0,0 +1,209 @@
+import { ApiError } from '../utils/errors.js';
+import { getDefaultLocations, getLocations } from './locations.js';
+
+/**
+ * Per-ISO market profiles
+ * Each profile describes where GridStatus keeps the ISO's LMP data and how the market
+ * runs: dataset ids, default pricing locations, market timezone, RT interval length, the
+ * day-ahead bid deadline (local market time) and the bid floor/cap from the market rules.
+ * `datasets.realTimeByInterval` lists extra RT markets keyed by interval length (CAISO
+ * publishes both the 15-minute FMM and the 5-minute RTD).
+ * `ancillaryServices` names the hourly ancillary service price dataset and the AS region
+ * whose prices it reports; ISOs without it have no AS prices.
+ * `fundamentals` names the system load, load forecast and fuel mix datasets (with an optional
+ * filter for datasets that report several areas); ISOs without it have no fundamentals.
+ * `hubs` are the ISO's default locations from the location registry (config/locations.js),
+ * fetched when a request does not select its own.
+ * Cleared prices can land outside the bid limits under scarcity or penalty pricing.
+ * {@link https://opensource.gridstatus.io/en/stable/lmp.html}
+ */
+export const ISO_PROFILES = {
+  CAISO: {
+    iso: 'CAISO',
+    label: 'California ISO',
+    source: 'caiso',
+    timezone: 'America/Los_Angeles',
+    rtIntervalMinutes: 15,
+    daDeadline: { hour: 10, minute: 0 },
+    // Bid floor and FERC Order 831 hard cap ($/MWh)
+    priceLimits: { floor: -150, cap: 2000 },
+    datasets: {
+      dayAhead: 'caiso_lmp_day_ahead_hourly',
+      realTime: 'caiso_lmp_real_time_15_min',
+      realTimeByInterval: {
+        5: 'caiso_lmp_real_time_5_min'
+      }
+    },
+    // Day-ahead AS clearing prices; AS_CAISO_EXP is the system-wide expanded region
+    ancillaryServices: {
+      dataset: 'caiso_as_prices',
+      filterColumn: 'region',
+      region: 'AS_CAISO_EXP'
+    },
+    fundamentals: {
+      load: { dataset: 'caiso_load' },
+      loadForecast: { dataset: 'caiso_load_forecast', filterColumn: 'tac_area_name', filterValue: 'CA ISO-TAC' },
+      fuelMix: { dataset: 'caiso_fuel_mix' }
+    },
+    hubs: getDefaultLocations('CAISO')
+  },
+  ERCOT: {
+    iso: 'ERCOT',
+    label: 'ERCOT',
+    source: 'ercot',
+    timezone: 'America/Chicago',
+    rtIntervalMinutes: 15,
+    daDeadline: { hour: 10, minute: 0 },
+    // Offer floor and high system-wide offer cap ($/MWh)
+    priceLimits: { floor: -250, cap: 5000 },
+    datasets: {
+      dayAhead: 'ercot_spp_day_ahead_hourly',
+      realTime: 'ercot_spp_real_time_15_min'
+    },
+    hubs: getDefaultLocations('ERCOT')
+  },
+  ISONE: {
+    iso: 'ISONE',
+    label: 'ISO New England',
+    source: 'isone',
+    timezone: 'America/New_York',
+    rtIntervalMinutes: 5,
+    daDeadline: { hour: 10, minute: 30 },
+    priceLimits: { floor: -150, cap: 2000 },
+    datasets: {
+      dayAhead: 'isone_lmp_day_ahead_hourly',
+      realTime: 'isone_lmp_real_time_5_min'
+    },
+    hubs: getDefaultLocations('ISONE')
+  },
+  MISO: {
+    iso: 'MISO',
+    label: 'Midcontinent ISO',
+    source: 'miso',
+    // MISO market time is Eastern Standard Time all year
+    timezone: 'Etc/GMT+5',
+    rtIntervalMinutes: 5,
+    daDeadline: { hour: 10, minute: 30 },
+    priceLimits: { floor: -500, cap: 2000 },
+    datasets: {
+      dayAhead: 'miso_lmp_day_ahead_hourly',
+      realTime: 'miso_lmp_real_time_5_min'
+    },
+    hubs: getDefaultLocations('MISO')
+  },
+  NYISO: {
+    iso: 'NYISO',
+    label: 'New York ISO',
+    source: 'nyiso',
+    timezone: 'America/New_York',
+    rtIntervalMinutes: 5,
+    daDeadline: { hour: 5, minute: 0 },
+    priceLimits: { floor: -1000, cap: 2000 },
+    datasets: {
+      dayAhead: 'nyiso_lmp_day_ahead_hourly',
+      realTime: 'nyiso_lmp_real_time_5_min'
+    },
+    hubs: getDefaultLocations('NYISO')
+  },
+  PJM: {
+    iso: 'PJM',
+    label: 'PJM Interconnection',
+    source: 'pjm',
+    timezone: 'America/New_York',
+    rtIntervalMinutes: 5,
+    daDeadline: { hour: 10, minute: 30 },
+    priceLimits: { floor: -150, cap: 2000 },
+    datasets: {
+      dayAhead: 'pjm_lmp_day_ahead_hourly',
+      realTime: 'pjm_lmp_real_time_5_min'
+    },
+    hubs: getDefaultLocations('PJM')
+  },
+  SPP: {
+    iso: 'SPP',
+    label: 'Southwest Power Pool',
+    source: 'spp',
+    timezone: 'America/Chicago',
+    rtIntervalMinutes: 5,
+    daDeadline: { hour: 9, minute: 30 },
+    priceLimits: { floor: -500, cap: 2000 },
+    datasets: {
+      dayAhead: 'spp_lmp_day_ahead_hourly',
+      realTime: 'spp_lmp_real_time_5_min'
+    },
+    hubs: getDefaultLocations('SPP')
+  }
+};
+
+export const DEFAULT_ISO = 'CAISO';
+
+/**
+ * List of supported ISO identifiers
+ */
+export const SUPPORTED_ISOS = Object.keys(ISO_PROFILES);
+
+/**
+ * Get the profile for an ISO
+ * @param {string} [iso] - ISO identifier (case-insensitive), defaults to CAISO
+ * @returns {Object} ISO profile
+ */
+export const getISOProfile = (iso = DEFAULT_ISO) => {
+  const profile = ISO_PROFILES[(iso || DEFAULT_ISO).toUpperCase()];
+
+  if (!profile) {
+    throw new ApiError(`Unsupported ISO: ${iso}. Supported ISOs are: ${SUPPORTED_ISOS.join(', ')}`, 400);
+  }
+
+  return profile;
+};
+
+/**
+ * Real-time interval lengths available for an ISO, default first
+ * @param {Object} profile - ISO profile
+ * @returns {Array<number>} Interval lengths in minutes
+ */
+export const getRTIntervalOptions = (profile) => [
+  profile.rtIntervalMinutes,
+  ...Object.keys(profile.datasets.realTimeByInterval || {})
+    .map(Number)
+    .filter(minutes => minutes !== profile.rtIntervalMinutes)
+];
+
+/**
+ * Resolve the real-time dataset for an interval length
+ * @param {Object} profile - ISO profile
+ * @param {number} [intervalMinutes] - RT interval length (defaults to the profile's settlement interval)
+ * @returns {string} GridStatus dataset id
+ */
+export const getRealTimeDataset = (profile, intervalMinutes = profile.rtIntervalMinutes) => {
+  if (intervalMinutes === profile.rtIntervalMinutes) {
+    return profile.datasets.realTime;
+  }
+
+  const dataset = profile.datasets.realTimeByInterval?.[intervalMinutes];
+
+  if (!dataset) {
+    throw new ApiError(`${profile.iso} does not publish ${intervalMinutes}-minute real-time prices. Available intervals: ${getRTIntervalOptions(profile).join(', ')} minutes`, 400);
+  }
+
+  return dataset;
+};
+
+/**
+ * Public view of a profile for API responses
+ * @param {Object} profile - ISO profile
+ * @returns {Object} Profile without internal dataset details
+ */
+export const toPublicISOProfile = (profile) => ({
+  iso: profile.iso,
+  label: profile.label,
+  timezone: profile.timezone,
+  rtIntervalMinutes: profile.rtIntervalMinutes,
+  rtIntervalOptions: getRTIntervalOptions(profile),
+  daDeadline: profile.daDeadline,
+  priceLimits: profile.priceLimits,
+  hasAncillaryServices: Boolean(profile.ancillaryServices),
+  hasFundamentals: Boolean(profile.fundamentals),
+  hubs: profile.hubs,
+  locations: getLocations(profile.iso)
+});
@@ -0,0 +1,204 @@
+import { readFileSync } from 'fs';
+import path from 'path';
+import { ApiError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Location types used across the registry
+ */
+export const LOCATION_TYPES = ['hub', 'load-zone', 'zone', 'node'];
+
+/**
+ * Most locations a single request may select
+ * Every location costs at least one paced GridStatus query per market, so large sets belong in the backfill
+ */
+export const MAX_LOCATIONS_PER_REQUEST = Number(process.env.MAX_LOCATIONS_PER_REQUEST) || 10;
+
+/**
+ * Built-in pricing locations per ISO
+ * `default: true` marks the locations fetched when a request does not select any. Coordinates are
+ * approximate centroids of the hub or zone, precise enough for maps and distance weighting; spike
+ * analysis measures great-circle distances between them, so locations without coordinates are
+ * left out of spatial analysis.
+ * {@link https://opensource.gridstatus.io/en/stable/lmp.html}
+ */
+const BUILT_IN_LOCATIONS = [
+  // CAISO: trading hubs and load aggregation points (DLAPs)
+  { iso: 'CAISO', id: 'TH_NP15_GEN-APND', name: 'NP15 Trading Hub', type: 'hub', region: 'Northern California', lat: 38.58, lon: -121.49, default: true },
+  { iso: 'CAISO', id: 'TH_SP15_GEN-APND', name: 'SP15 Trading Hub', type: 'hub', region: 'Southern California', lat: 34.05, lon: -118.24, default: true },
+  { iso: 'CAISO', id: 'TH_ZP26_GEN-APND', name: 'ZP26 Trading Hub', type: 'hub', region: 'Central Valley', lat: 36.2, lon: -119.6 },
+  { iso: 'CAISO', id: 'DLAP_PGAE-APND', name: 'PG&E Load Aggregation Point', type: 'load-zone', region: 'Northern California', lat: 37.77, lon: -122.42 },
+  { iso: 'CAISO', id: 'DLAP_SCE-APND', name: 'SCE Load Aggregation Point', type: 'load-zone', region: 'Southern California', lat: 34.1, lon: -117.7 },
+  { iso: 'CAISO', id: 'DLAP_SDGE-APND', name: 'SDGE Load Aggregation Point', type: 'load-zone', region: 'San Diego', lat: 32.72, lon: -117.16 },
+  { iso: 'CAISO', id: 'DLAP_VEA-APND', name: 'VEA Load Aggregation Point', type: 'load-zone', region: 'Southern Nevada', lat: 36.21, lon: -115.98 },
+
+  { iso: 'ERCOT', id: 'HB_NORTH', name: 'North Hub', type: 'hub', region: 'North Texas', lat: 32.78, lon: -96.8, default: true },
+  { iso: 'ERCOT', id: 'HB_HOUSTON', name: 'Houston Hub', type: 'hub', region: 'Houston', lat: 29.76, lon: -95.37, default: true },
+  { iso: 'ERCOT', id: 'HB_SOUTH', name: 'South Hub', type: 'hub', region: 'South Texas', lat: 29.42, lon: -98.49 },
+  { iso: 'ERCOT', id: 'HB_WEST', name: 'West Hub', type: 'hub', region: 'West Texas', lat: 31.99, lon: -102.08 },
+
+  { iso: 'ISONE', id: '.H.INTERNAL_HUB', name: 'Internal Hub', type: 'hub', region: 'New England', lat: 42.27, lon: -71.8, default: true },
+  { iso: 'ISONE', id: '.Z.CONNECTICUT', name: 'Connecticut Zone', type: 'load-zone', region: 'Connecticut', lat: 41.6, lon: -72.7 },
+  { iso: 'ISONE', id: '.Z.MAINE', name: 'Maine Zone', type: 'load-zone', region: 'Maine', lat: 44.3, lon: -69.8 },
+
+  { iso: 'MISO', id: 'ILLINOIS.HUB', name: 'Illinois Hub', type: 'hub', region: 'MISO Central', lat: 40.0, lon: -89.0, default: true },
+  { iso: 'MISO', id: 'INDIANA.HUB', name: 'Indiana Hub', type: 'hub', region: 'MISO Central', lat: 39.77, lon: -86.16, default: true },
+  { iso: 'MISO', id: 'MICHIGAN.HUB', name: 'Michigan Hub', type: 'hub', region: 'MISO East', lat: 42.73, lon: -84.55 },
+  { iso: 'MISO', id: 'MINN.HUB', name: 'Minnesota Hub', type: 'hub', region: 'MISO North', lat: 44.98, lon: -93.27 },
+  { iso: 'MISO', id: 'LOUISIANA.HUB', name: 'Louisiana Hub', type: 'hub', region: 'MISO South', lat: 30.45, lon: -91.19 },
+
+  { iso: 'NYISO', id: 'N.Y.C.', name: 'New York City (Zone J)', type: 'zone', region: 'Downstate New York', lat: 40.71, lon: -74.0, default: true },
+  { iso: 'NYISO', id: 'WEST', name: 'West (Zone A)', type: 'zone', region: 'Upstate New York', lat: 42.89, lon: -78.88, default: true },
+  { iso: 'NYISO', id: 'CAPITL', name: 'Capital (Zone F)', type: 'zone', region: 'Upstate New York', lat: 42.65, lon: -73.75 },
+  { iso: 'NYISO', id: 'LONGIL', name: 'Long Island (Zone K)', type: 'zone', region: 'Downstate New York', lat: 40.79, lon: -73.13 },
+
+  { iso: 'PJM', id: 'WESTERN HUB', name: 'Western Hub', type: 'hub', region: 'PJM West', lat: 40.0, lon: -78.5, default: true },
+  { iso: 'PJM', id: 'EASTERN HUB', name: 'Eastern Hub', type: 'hub', region: 'PJM East', lat: 39.9, lon: -75.2, default: true },
+  { iso: 'PJM', id: 'AEP-DAYTON HUB', name: 'AEP-Dayton Hub', type: 'hub', region: 'PJM West', lat: 39.76, lon: -84.19 },
+  { iso: 'PJM', id: 'N ILLINOIS HUB', name: 'Northern Illinois Hub', type: 'hub', region: 'ComEd', lat: 41.88, lon: -87.63 },
+  { iso: 'PJM', id: 'DOMINION HUB', name: 'Dominion Hub', type: 'hub', region: 'PJM South', lat: 37.54, lon: -77.44 },
+
+  { iso: 'SPP', id: 'SPPNORTH_HUB', name: 'SPP North Hub', type: 'hub', region: 'SPP North', lat: 40.8, lon: -96.7, default: true },
+  { iso: 'SPP', id: 'SPPSOUTH_HUB', name: 'SPP South Hub', type: 'hub', region: 'SPP South', lat: 35.47, lon: -97.52, default: true }
+];
+
+/**
+ * Check one registry entry, returning a description of the first problem
+ * @param {Object} entry - Registry entry
+ * @returns {string|null} Error message, or null when the entry is usable
+ */
+const getEntryError = (entry) => {
+  if (!entry.iso || !entry.id || !entry.name) return 'iso, id and name are required';
+  if (!LOCATION_TYPES.includes(entry.type)) return `type must be one of ${LOCATION_TYPES.join(', ')}`;
+  if (entry.lat !== undefined && !(Math.abs(entry.lat) <= 90)) return 'lat must be between -90 and 90';
+  if (entry.lon !== undefined && !(Math.abs(entry.lon) <= 180)) return 'lon must be between -180 and 180';
+  return null;
+};
+
+/**
+ * Read deployment overrides from LOCATION_REGISTRY_FILE
+ * The file holds a JSON array of entries. An entry matching a built-in `iso` and `id` overrides its
+ * fields (e.g. `{ "iso": "CAISO", "id": "DLAP_SCE-APND", "default": true }`), `"enabled": false`
+ * removes it, and any other entry adds a location.
+ * @returns {Array} Override entries, empty when no file is configured or it cannot be read
+ */
+const loadRegistryOverrides = () => {
+  const file = process.env.LOCATION_REGISTRY_FILE;
+  if (!file) return [];
+
+  try {
+    const entries = JSON.parse(readFileSync(path.resolve(file), 'utf8'));
+    if (!Array.isArray(entries)) {
+      throw new Error('expected a JSON array of locations');
+    }
+    logger.info(`📍 Loaded ${entries.length} location registry overrides from ${file}`);
+    return entries;
+  } catch (error) {
+    logger.error(`❌ Ignoring location registry file ${file}: ${error.message}`);
+    return [];
+  }
+};
+
+/**
+ * Merge the built-in locations with deployment overrides
+ * @param {Array} overrides - Override entries
+ * @returns {Map<string, Array>} Locations keyed by ISO, in registry order
+ */
+const buildRegistry = (overrides) => {
+  const entries = BUILT_IN_LOCATIONS.map(entry => ({ ...entry }));
+
+  overrides.forEach(override => {
+    const iso = String(override.iso || '').toUpperCase();
+    const index = entries.findIndex(entry => entry.iso === iso && entry.id === override.id);
+
+    if (override.enabled === false) {
+      if (index >= 0) entries.splice(index, 1);
+      return;
+    }
+
+    const { enabled: _enabled, ...fields } = override;
+    const entry = index >= 0 ? { ...entries[index], ...fields, iso } : { type: 'node', ...fields, iso };
+    const error = getEntryError(entry);
+    if (error) {
+      logger.warn(`⚠️  Skipping location registry entry ${iso || '?'} ${override.id || '?'}: ${error}`);
+      return;
+    }
+
+    if (index >= 0) {
+      entries[index] = entry;
+    } else {
+      entries.push(entry);
+    }
+  });
+
+  const unmapped = entries.filter(entry => entry.lat === undefined || entry.lon === undefined);
+  if (unmapped.length > 0) {
+    logger.warn(`⚠️  ${unmapped.length} locations have no coordinates and are left out of spatial analysis: ${unmapped.map(entry => `${entry.iso} ${entry.id}`).join(', ')}`);
+  }
+
+  const registry = new Map();
+  entries.forEach(entry => {
+    const locations = registry.get(entry.iso) || [];
+    locations.push({ ...entry, default: Boolean(entry.default) });
+    registry.set(entry.iso, locations);
+  });
+
+  // An ISO needs at least one default location to serve requests without a selection
+  registry.forEach((locations, iso) => {
+    if (!locations.some(location => location.default)) {
+      logger.warn(`⚠️  No default locations configured for ${iso}, using ${locations[0].id}`);
+      locations[0].default = true;
+    }
+  });
+
+  return registry;
+};
+
+const registry = buildRegistry(loadRegistryOverrides());
+
+/**
+ * Every registered location for an ISO
+ * @param {string} iso - ISO identifier
+ * @returns {Array<{id: string, iso: string, name: string, type: string, region: string, lat?: number, lon?: number, default: boolean}>}
+ */
+export const getLocations = (iso) => registry.get(String(iso).toUpperCase()) || [];
+
+/**
+ * Locations fetched when a request does not select any
+ * @param {string} iso - ISO identifier
+ * @returns {Array} Default registry entries
+ */
+export const getDefaultLocations = (iso) => getLocations(iso).filter(location => location.default);
+
+/**
+ * Look up one location's metadata
+ * @param {string} iso - ISO identifier
+ * @param {string} id - Location id
+ * @returns {Object|undefined} Registry entry
+ */
+export const getLocation = (iso, id) => getLocations(iso).find(location => location.id === id);
+
+/**
+ * Resolve a request's location selection to registry ids
+ * @param {string} iso - ISO identifier
+ * @param {string[]} [ids] - Selected location ids; the ISO's defaults when empty
+ * @returns {string[]} Location ids in registry order
+ * @throws {ApiError} 400 for unknown ids or too many locations
+ */
+export const resolveLocations = (iso, ids = []) => {
+  if (ids.length === 0) {
+    return getDefaultLocations(iso).map(location => location.id);
+  }
+
+  const available = getLocations(iso);
+  const unknown = ids.filter(id => !available.some(location => location.id === id));
+  if (unknown.length > 0) {
+    throw new ApiError(`Unknown ${iso} location${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`, 400, `Available locations: ${available.map(location => location.id).join(', ')}`);
+  }
+
+  if (new Set(ids).size > MAX_LOCATIONS_PER_REQUEST) {
+    throw new ApiError(`At most ${MAX_LOCATIONS_PER_REQUEST} locations can be selected per request`, 400);
+  }
+
+  return available.filter(location => ids.includes(location.id)).map(location => location.id);
+};
@@ -1,10 +1,17 @@
+import os from 'os';
+import path from 'path';
 import GridStatusClient from '../services/gridstatus.js';
+import FixtureMarketDataProvider from '../services/fixtureProvider.js';
+import StoredMarketDataProvider from '../services/storedProvider.js';
+import CachedMarketDataProvider from '../services/cachedProvider.js';
+import PriceStore from '../services/priceStore.js';
 import DataCache from '../services/dataCache.js';
 import SpikeAnalyzer from '../services/spikeAnalyzer.js';
 import { logger } from '../utils/logger.js';
 
 // Global service instances
 let gridStatusClient = null;
+let priceStore = null;
 let dataCache = null;
 let spikeAnalyzer = null;
 let servicesInitialized = false;
@@ -28,6 +35,77 @@ export const getEnvironmentType = () => {
   return environmentType;
 };
 
+/**
+ * Provider type selected by MARKET_DATA_PROVIDER
+ * Defaults to the GridStatus API when a key is set, and to recorded fixtures
+ * when only GRIDSTATUS_FIXTURE_DIR is configured
+ * @returns {string} 'gridstatus', 'fixture', 'store', another configured value, or '' when nothing is configured
+ */
+const getProviderType = () => {
+  const { GRIDSTATUS_API_KEY: apiKey, GRIDSTATUS_FIXTURE_DIR: fixtureDir } = process.env;
+  return (process.env.MARKET_DATA_PROVIDER || (apiKey ? 'gridstatus' : fixtureDir ? 'fixture' : '')).toLowerCase();
+};
+
+/**
+ * Create the durable price store unless PRICE_STORE_ENABLED=false
+ * Netlify Functions can only write to the temp directory, which survives while a container
+ * stays warm; point PRICE_STORE_DIR at mounted storage to keep days across deploys.
+ * @returns {PriceStore|null}
+ */
+export const createPriceStore = () => {
+  if (process.env.PRICE_STORE_ENABLED === 'false') {
+    logger.info('🗄️  Price store disabled');
+    return null;
+  }
+
+  const defaultDir = getEnvironmentType() === 'netlify'
+    ? path.join(os.tmpdir(), 'price-store')
+    : path.join('data', 'price-store');
+  const store = new PriceStore(process.env.PRICE_STORE_DIR || defaultDir);
+  logger.info(`✅ Price store initialized at ${store.baseDir}`);
+  return store;
+};
+
+/**
+ * Create the market data provider selected by MARKET_DATA_PROVIDER
+ * @returns {import('../services/gridstatus.js').MarketDataProvider|null}
+ */
+export const createMarketDataProvider = () => {
+  const apiKey = process.env.GRIDSTATUS_API_KEY;
+  const fixtureDir = process.env.GRIDSTATUS_FIXTURE_DIR;
+  const recordDir = process.env.GRIDSTATUS_RECORD_DIR;
+  const providerType = getProviderType();
+
+  switch (providerType) {
+    case 'gridstatus':
+      if (!apiKey) {
+        logger.warn('⚠️  GridStatus API key not configured');
+        return null;
+      }
+      if (recordDir) {
+        logger.info(`📼 Recording GridStatus responses to ${recordDir}`);
+      }
+      logger.info('✅ GridStatus client initialized');
+      return new GridStatusClient(apiKey, { recordDir });
+    case 'fixture':
+      if (!fixtureDir) {
+        logger.warn('⚠️  MARKET_DATA_PROVIDER=fixture requires GRIDSTATUS_FIXTURE_DIR');
+        return null;
+      }
+      logger.info(`✅ Fixture market data provider initialized from ${fixtureDir}`);
+      return new FixtureMarketDataProvider(fixtureDir);
+    case 'store':
+      // Served by the price store alone, see initializeServices
+      return null;
+    case '':
+      logger.warn('⚠️  GridStatus API key not configured');
+      return null;
+    default:
+      logger.warn(`⚠️  Unknown MARKET_DATA_PROVIDER: ${providerType}`);
+      return null;
+  }
+};
+
 /**
  * Initialize all services with unified environment detection
  */
@@ -38,20 +116,31 @@ export const initializeServices = async () => {
     const envType = getEnvironmentType();
     logger.info(`🔧 Initializing services for ${envType} environment...`);
 
-    // Initialize GridStatus client
+    // Initialize market data provider (GridStatus API or recorded fixtures)
     // Both Express and Netlify Functions use process.env according to Netlify docs
-    const apiKey = process.env.GRIDSTATUS_API_KEY;
-    if (apiKey) {
-      gridStatusClient = new GridStatusClient(apiKey);
-      logger.info('✅ GridStatus client initialized');
-    } else {
-      logger.warn('⚠️  GridStatus API key not configured');
+    const upstream = createMarketDataProvider();
+
+    // Read the durable price store before the upstream provider
+    priceStore = createPriceStore();
+    const storeOnly = getProviderType() === 'store';
+    if (storeOnly && !priceStore) {
+      logger.warn('⚠️  MARKET_DATA_PROVIDER=store requires the price store to be enabled');
     }
+    const provider = priceStore && (upstream || storeOnly)
+      ? new StoredMarketDataProvider(priceStore, upstream)
+      : upstream;
 
     // Initialize data cache
-    dataCache = new DataCache(60); // 60-minute cache
+    dataCache = new DataCache(60, { // 60-minute cache
+      staleMinutes: Number(process.env.CACHE_STALE_MINUTES) || 30,
+      maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 500,
+      maxBytes: (Number(process.env.CACHE_MAX_MB) || 200) * 1024 * 1024
+    });
     logger.info('✅ Data cache initialized');
 
+    // Raw price records are cached once per day and shared by every timezone view
+    gridStatusClient = provider ? new CachedMarketDataProvider(provider, dataCache) : null;
+
     // Initialize spike analyzer
     spikeAnalyzer = new SpikeAnalyzer();
     logger.info('✅ Spike analyzer initialized');
@@ -75,10 +164,22 @@ export const setServices = (gridStatus, cache, analyzer) => {
 };
 
 /**
- * Get GridStatus client instance
+ * Get market data provider instance
+ * @returns {import('../services/gridstatus.js').MarketDataProvider|null}
+ */
+export const getMarketDataProvider = () => gridStatusClient;
+
+/**
+ * Get GridStatus client instance (the active market data provider)
  * @returns {GridStatusClient|null}
  */
-export const getGridStatusClient = () => gridStatusClient;
+export const getGridStatusClient = getMarketDataProvider;
+
+/**
+ * Get durable price store instance
+ * @returns {PriceStore|null}
+ */
+export const getPriceStore = () => priceStore;
 
 /**
  * Get data cache instance
@@ -103,6 +204,7 @@ export const areServicesInitialized = () => servicesInitialized;
  */
 export const resetServices = () => {
   gridStatusClient = null;
+  priceStore = null;
   dataCache = null;
   spikeAnalyzer = null;
   servicesInitialized = false;
@@ -1,13 +1,21 @@
 import { getSpikeAnalyzer, getGridStatusClient } from '../config/services.js';
 import { getAvailableProviders } from '../services/llmClient.js';
-import { transformGridStatusRawToSpikeAnalysisFormat } from '../utils/marketData.js';
+import { transformGridStatusRawToSpikeAnalysisFormat, transformFundamentalsData } from '../utils/marketData.js';
+import { resolveLocations } from '../config/locations.js';
+import { getISOProfile } from '../config/isoProfiles.js';
+import { getDetector, listDetectors } from '../detectors/index.js';
+import { addDays } from '../utils/timezone.js';
 import { logger } from '../utils/logger.js';
 import { ApiError } from '../utils/errors.js';
 
 /**
  * Configuration constants
  */
+const DEFAULT_ISO = 'CAISO';
 const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+const FUNDAMENTALS_CONTEXT_HOURS = 1; // Hours of system conditions on each side of the spike's hour
+const MAX_GRID_EVENT_SPIKES = 100; // Largest spikes sent to the LLM for a whole-day assessment
+const HOUR_MS = 60 * 60 * 1000;
 
 /**
  * Extract user timezone from request
@@ -36,7 +44,7 @@ const validateServices = (services) => {
   }
   
   if (!services.gridStatusClient) {
-    throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY environment variable.', 503);
+    throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY (or GRIDSTATUS_FIXTURE_DIR for recorded data) environment variable.', 503);
   }
 };
 
@@ -92,19 +100,23 @@ const handleAIProviderError = (error) => {
 /**
  * Fetch and validate market data from GridStatus
  */
-const fetchMarketData = async (gridStatusClient, date, userTimezone) => {
+const fetchMarketData = async (gridStatusClient, date, iso, locations) => {
   try {
     // Fetch real-time price data
-    logger.info('📡 Fetching real market data from GridStatus API');
-    const { realTimeData } = await gridStatusClient.getMarketPrices(date);
+    logger.info(`📡 Fetching real ${iso} market data for ${locations.length} locations from GridStatus API`);
+    const { dayAheadData, realTimeData } = await gridStatusClient.getMarketPrices(date, iso, { locations });
     
     if (!realTimeData || realTimeData.length === 0) {
       throw new ApiError(`No market data available for ${date}. Please try a different date.`, 404);
     }
     
     logger.info(`✅ Retrieved ${realTimeData.length} real-time price records from GridStatus`);
-    return realTimeData;
+    return { dayAheadData, realTimeData };
   } catch (error) {
+    // Provider errors such as an open circuit's 503 are already mapped
+    if (error instanceof ApiError) {
+      throw error;
+    }
     handleGridStatusError(error, date);
   }
 };
@@ -112,9 +124,9 @@ const fetchMarketData = async (gridStatusClient, date, userTimezone) => {
 /**
  * Transform and validate price data for spike analysis
  */
-const transformPriceData = (realTimeData, userTimezone) => {
+const transformPriceData = (realTimeData, userTimezone, iso) => {
   try {
-    const locationPriceData = transformGridStatusRawToSpikeAnalysisFormat(realTimeData, userTimezone);
+    const locationPriceData = transformGridStatusRawToSpikeAnalysisFormat(realTimeData, userTimezone, iso);
     logger.info(`🔄 Transformed data into ${locationPriceData.length} location datasets for ${userTimezone}`);
     return locationPriceData;
   } catch (error) {
@@ -123,12 +135,47 @@ const transformPriceData = (realTimeData, userTimezone) => {
   }
 };
 
+/**
+ * Load the extra data a detector reads: the day's day-ahead prices and prior days' real-time prices
+ * Prior days that fail to load are left out; the seasonal baseline works with the days available.
+ */
+const loadDetectionContext = async (gridStatusClient, detector, { date, iso, locations, userTimezone, dayAheadData }) => {
+  const context = { timezone: getISOProfile(iso).timezone };
+  
+  if (detector.usesDayAhead) {
+    if (!dayAheadData || dayAheadData.length === 0) {
+      throw new ApiError(`No day-ahead prices available for ${date}; the ${detector.id} detector needs them`, 404);
+    }
+    context.dayAhead = transformPriceData(dayAheadData, userTimezone, iso);
+  }
+  
+  if (detector.lookbackDays) {
+    context.history = [];
+    for (let offset = detector.lookbackDays; offset >= 1; offset--) {
+      const historyDate = addDays(date, -offset);
+      try {
+        const { realTimeData } = await fetchMarketData(gridStatusClient, historyDate, iso, locations);
+        context.history.push(transformPriceData(realTimeData, userTimezone, iso));
+      } catch (error) {
+        logger.warn(`⚠️  Detector history unavailable for ${historyDate}: ${error.message}`);
+      }
+    }
+    
+    if (context.history.length === 0) {
+      throw new ApiError(`No real-time prices available for the ${detector.lookbackDays} days before ${date}; the ${detector.id} detector needs them`, 404);
+    }
+    logger.info(`📚 Loaded ${context.history.length} prior days for the ${detector.id} detector`);
+  }
+  
+  return context;
+};
+
 /**
  * Perform spike detection analysis
  */
-const performSpikeDetection = (spikeAnalyzer, locationPriceData, thresholds) => {
+const performSpikeDetection = (spikeAnalyzer, locationPriceData, thresholds, detectionContext) => {
   try {
-    const spikes = spikeAnalyzer.detectSpikes(locationPriceData, thresholds);
+    const spikes = spikeAnalyzer.detectSpikes(locationPriceData, thresholds, detectionContext);
     logger.info(`🎯 Detected ${spikes.length} price spikes`);
     return spikes;
   } catch (error) {
@@ -137,6 +184,30 @@ const performSpikeDetection = (spikeAnalyzer, locationPriceData, thresholds) =>
   }
 };
 
+/**
+ * Group detected spikes into rule-based grid events
+ */
+const performGridEventGeneration = (spikeAnalyzer, spikes, date) => {
+  try {
+    return spikeAnalyzer.generateGridEvents(spikes, date);
+  } catch (error) {
+    logger.error('❌ Grid event generation error:', error);
+    throw error instanceof ApiError ? error : new ApiError('Failed to generate grid events', 500, error.message);
+  }
+};
+
+/**
+ * Correlate locations' prices, their lead/lag and their spikes with DA-RT spreads
+ */
+const performCorrelationAnalysis = (spikeAnalyzer, locationPriceData, spikes, dayAheadPriceData) => {
+  try {
+    return spikeAnalyzer.analyzeCorrelations(locationPriceData, spikes, dayAheadPriceData);
+  } catch (error) {
+    logger.error('❌ Correlation analysis error:', error);
+    throw error instanceof ApiError ? error : new ApiError('Failed to analyze price correlations', 500, error.message);
+  }
+};
+
 /**
  * Calculate analysis summary statistics
  */
@@ -157,16 +228,20 @@ const calculateAnalysisSummary = (spikes, locationPriceData, realTimeData) => {
 /**
  * Create analysis results object
  */
-const createAnalysisResults = (date, analysisType, spikes, summary, thresholds, userTimezone) => ({
+const createAnalysisResults = (date, iso, analysisType, spikes, gridEvents, summary, thresholds, userTimezone, locations, correlation = null) => ({
   success: true,
   date,
+  iso,
   analysisType,
   spikes,
+  gridEvents,
+  ...(correlation && { correlation }),
   summary,
   thresholds: thresholds,
   timezone: userTimezone,
   metadata: {
     analysisTimestamp: new Date().toISOString(),
+    locations,
     ...summary
   }
 });
@@ -191,6 +266,14 @@ export const getAIProviders = async (req, res, next) => {
   }
 };
 
+/**
+ * List the spike detection methods a request can pick with `thresholds.method`
+ */
+export const getSpikeDetectors = (req, res) => {
+  const detectors = listDetectors();
+  res.json({ success: true, detectors, count: detectors.length });
+};
+
 /**
  * Analyze price spikes for a specific date with timezone support
  */
@@ -198,6 +281,9 @@ export const analyzeSpikes = async (req, res, next) => {
   try {
     const { date } = req.params;
     const { analysisType, thresholds } = req.body;
+    const { iso = DEFAULT_ISO } = req.query;
+    const locations = resolveLocations(iso, req.query.locations);
+    const detector = getDetector(thresholds?.method);
     
     // Get user's timezone using consistent method
     const userTimezone = getUserTimezone(req);
@@ -206,22 +292,40 @@ export const analyzeSpikes = async (req, res, next) => {
     const services = getServices();
     validateServices(services);
     
-    logger.info(`🔍 Analyzing spikes for ${date} with type: ${analysisType} in timezone: ${userTimezone}`);
+    logger.info(`🔍 Analyzing ${iso} spikes for ${date} with type: ${analysisType} and ${detector.id} detector in timezone: ${userTimezone}`);
     
     // Fetch market data
-    const realTimeData = await fetchMarketData(services.gridStatusClient, date, userTimezone);
+    const { dayAheadData, realTimeData } = await fetchMarketData(services.gridStatusClient, date, iso, locations);
     
     // Transform data for spike analysis
-    const locationPriceData = transformPriceData(realTimeData, userTimezone);
+    const locationPriceData = transformPriceData(realTimeData, userTimezone, iso);
+    
+    // Load what the detector needs beyond the day's real-time prices
+    const detectionContext = await loadDetectionContext(services.gridStatusClient, detector, { date, iso, locations, userTimezone, dayAheadData });
     
     // Perform spike detection
-    const spikes = performSpikeDetection(services.spikeAnalyzer, locationPriceData, thresholds);
+    const spikes = performSpikeDetection(services.spikeAnalyzer, locationPriceData, thresholds, detectionContext);
+    
+    // Group concurrent spikes into rule-based grid events
+    const gridEvents = performGridEventGeneration(services.spikeAnalyzer, spikes, date);
+    
+    // Correlation mode adds cross-location correlations; spreads need the day's DA prices
+    let correlation = null;
+    if (analysisType === 'correlation') {
+      const dayAheadPriceData = detectionContext.dayAhead ||
+        (dayAheadData?.length > 0 ? transformPriceData(dayAheadData, userTimezone, iso) : null);
+      correlation = performCorrelationAnalysis(services.spikeAnalyzer, locationPriceData, spikes, dayAheadPriceData);
+    }
     
     // Calculate summary statistics
-    const summary = calculateAnalysisSummary(spikes, locationPriceData, realTimeData);
+    const summary = {
+      ...calculateAnalysisSummary(spikes, locationPriceData, realTimeData),
+      totalGridEvents: gridEvents.length,
+      detector: detector.id
+    };
     
     // Create and send results
-    const analysisResults = createAnalysisResults(date, analysisType, spikes, summary, thresholds, userTimezone);
+    const analysisResults = createAnalysisResults(date, iso, analysisType, spikes, gridEvents, summary, thresholds, userTimezone, locations, correlation);
     res.json(analysisResults);
     
   } catch (error) {
@@ -277,6 +381,53 @@ const initializeLLM = (spikeAnalyzer, llmConfig) => {
   }
 };
 
+/**
+ * Add the load, net load and fuel mix around a spike's hour to the AI context
+ * The operating day comes from `contextData.date` (or the spike's timestamp) and `contextData.iso`.
+ * Fundamentals are supporting context, so when they cannot be loaded the analysis runs on prices alone.
+ */
+const addFundamentalsContext = async (gridStatusClient, spike, contextData, userTimezone) => {
+  const iso = contextData.iso || DEFAULT_ISO;
+  
+  try {
+    const profile = getISOProfile(iso);
+    if (!gridStatusClient || !profile.fundamentals) {
+      return contextData;
+    }
+    
+    const instant = new Date(spike.intervalStartUtc || spike.timestamp).getTime();
+    const date = contextData.date || new Date(instant).toLocaleDateString('en-CA', { timeZone: profile.timezone });
+    
+    const { source, pagination, ...records } = await gridStatusClient.getFundamentals(date, iso);
+    const { hours, summary } = transformFundamentalsData(records, userTimezone, date, iso);
+    
+    const spikeHour = hours.findIndex(entry => {
+      const start = new Date(entry.timestamp).getTime();
+      return instant >= start && instant < start + HOUR_MS;
+    });
+    
+    if (spikeHour === -1) {
+      logger.warn(`⚠️  Spike at ${spike.timestamp} is outside the ${date} operating day; analyzing without fundamentals`);
+      return contextData;
+    }
+    
+    logger.info(`📊 Adding ${iso} fundamentals for ${hours[spikeHour].hourLabel} on ${date} to AI context`);
+    return {
+      ...contextData,
+      fundamentals: {
+        iso: profile.iso,
+        date,
+        spikeHourLabel: hours[spikeHour].hourLabel,
+        hours: hours.slice(Math.max(0, spikeHour - FUNDAMENTALS_CONTEXT_HOURS), spikeHour + FUNDAMENTALS_CONTEXT_HOURS + 1),
+        summary
+      }
+    };
+  } catch (error) {
+    logger.warn(`⚠️  Fundamentals unavailable for AI context (${iso}): ${error.message}`);
+    return contextData;
+  }
+};
+
 /**
  * Perform AI analysis on a price spike
  */
@@ -299,8 +450,9 @@ export const performAIAnalysis = async (req, res, next) => {
     // Initialize LLM for this request
     initializeLLM(services.spikeAnalyzer, llmConfig);
     
-    // Perform AI analysis
-    const analysis = await services.spikeAnalyzer.analyzeWithAI(spike, contextData);
+    // Perform AI analysis with system conditions alongside the prices
+    const enrichedContext = await addFundamentalsContext(services.gridStatusClient, spike, contextData, getUserTimezone(req));
+    const analysis = await services.spikeAnalyzer.analyzeWithAI(spike, enrichedContext);
     
     logger.info(`✅ AI analysis complete with confidence: ${analysis.confidence}`);
     
@@ -318,4 +470,76 @@ export const performAIAnalysis = async (req, res, next) => {
       return next(handledError);
     }
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Pick the spikes sent to the LLM for a whole-day assessment
+ * Keeps the largest MAX_GRID_EVENT_SPIKES spikes so the prompt stays bounded, then restores time order.
+ */
+const selectSpikesForAssessment = (spikes) => {
+  if (spikes.length <= MAX_GRID_EVENT_SPIKES) {
+    return spikes;
+  }
+  
+  logger.info(`✂️  Assessing the ${MAX_GRID_EVENT_SPIKES} largest of ${spikes.length} spikes`);
+  return [...spikes]
+    .sort((a, b) => Math.abs(b.magnitude) - Math.abs(a.magnitude))
+    .slice(0, MAX_GRID_EVENT_SPIKES)
+    .sort((a, b) => new Date(a.intervalStartUtc || a.timestamp) - new Date(b.intervalStartUtc || b.timestamp));
+};
+
+/**
+ * Assess a whole day's spikes with AI, identifying grid events and the system's overall condition
+ */
+export const analyzeGridEvents = async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { iso = DEFAULT_ISO } = req.query;
+    const { spikes, llmConfig } = req.body;
+    
+    // Validate AI provider availability
+    validateAIProvider(llmConfig);
+    
+    const services = getServices();
+    if (!services.spikeAnalyzer) {
+      throw new ApiError('Spike analyzer not available', 503);
+    }
+    
+    // Initialize LLM for this request
+    initializeLLM(services.spikeAnalyzer, llmConfig);
+    
+    const analysis = await services.spikeAnalyzer.analyzeGridEvents(selectSpikesForAssessment(spikes), date, iso);
+    // LLM output is loosely structured, so fill in the fields the timeline relies on
+    const gridEvents = (analysis.gridEvents || []).map((event, index) => ({
+      id: `ai-event-${date}-${index + 1}`,
+      ...event,
+      affectedLocations: Array.isArray(event.affectedLocations) ? event.affectedLocations : [],
+      estimatedImpact: Number(event.estimatedImpact) || 0
+    }));
+    const systemAssessment = analysis.systemAssessment ? {
+      overallStability: analysis.systemAssessment.overallStability || 'stable',
+      primaryConcerns: analysis.systemAssessment.primaryConcerns || [],
+      operationalRecommendations: analysis.systemAssessment.operationalRecommendations || []
+    } : null;
+    
+    logger.info(`✅ Whole-day assessment for ${iso} on ${date}: ${systemAssessment?.overallStability || 'no'} stability, ${gridEvents.length} events`);
+    
+    res.json({
+      success: true,
+      date,
+      iso,
+      spikesAssessed: Math.min(spikes.length, MAX_GRID_EVENT_SPIKES),
+      gridEvents,
+      systemAssessment
+    });
+    
+  } catch (error) {
+    logger.error('❌ Grid events analysis error:', error);
+    
+    try {
+      handleAIProviderError(error);
+    } catch (handledError) {
+      return next(handledError);
+    }
+  }
+};
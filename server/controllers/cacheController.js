@@ -1,5 +1,33 @@
-import { getDataCache } from '../config/services.js';
+import { randomUUID } from 'crypto';
+import { getDataCache, getGridStatusClient, getEnvironmentType } from '../config/services.js';
+import { getISOProfile } from '../config/isoProfiles.js';
+import { resolveLocations } from '../config/locations.js';
+import { addDays } from '../utils/timezone.js';
 import { logger } from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Configuration constants
+ */
+const DEFAULT_ISO = 'CAISO';
+const MAX_PREWARM_JOBS = 20;
+
+/**
+ * Prewarm jobs by id, oldest first
+ */
+const prewarmJobs = new Map();
+
+/**
+ * Get the data cache or fail with a 503
+ * @returns {import('../services/dataCache.js').default}
+ */
+const requireDataCache = () => {
+  const dataCache = getDataCache();
+  if (!dataCache) {
+    throw new ApiError('Data cache not available', 503);
+  }
+  return dataCache;
+};
 
 /**
  * Get cache statistics
@@ -8,35 +36,185 @@ import { logger } from '../utils/logger.js';
  */
 export const getCacheStats = (req, res) => {
   const dataCache = getDataCache();
-  
+
   const stats = {
-    size: dataCache?.size() || 0,
+    ...(dataCache ? dataCache.getStats() : { size: 0 }),
     timestamp: new Date().toISOString(),
-    status: 'operational'
+    status: dataCache ? 'operational' : 'unavailable'
   };
-  
+
   logger.info(`📊 Cache stats requested: ${stats.size} items`);
-  
+
   res.json(stats);
 };
 
 /**
- * Clear cache
+ * List cache entries without their data
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCacheEntries = (req, res, next) => {
+  try {
+    const { prefix, sortBy, limit } = req.query;
+    const dataCache = requireDataCache();
+    const entries = dataCache.getEntries({ prefix, sortBy, limit });
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      total: dataCache.size(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error instanceof ApiError ? error : new ApiError('Failed to list cache entries', 500, error.message));
+  }
+};
+
+/**
+ * Clear cache, or only the entries matching the date, iso and prefix filters
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  */
 export const clearCache = (req, res) => {
   const dataCache = getDataCache();
-  
+  const { date, iso, prefix } = req.query;
+  const filters = { date, iso, prefix };
+  const filtered = Object.values(filters).some(value => value !== undefined);
+
   const previousSize = dataCache?.size() || 0;
-  dataCache?.clear();
-  
-  logger.info(`🗑️  Cache cleared: ${previousSize} items removed`);
-  
+  let removed = previousSize;
+  if (filtered) {
+    removed = dataCache?.invalidate(filters) || 0;
+  } else {
+    dataCache?.clear();
+  }
+
+  logger.info(`🗑️  Cache ${filtered ? `invalidated (${JSON.stringify(filters)})` : 'cleared'}: ${removed} items removed`);
+
   res.json({
     success: true,
-    message: 'Cache cleared',
+    message: filtered ? 'Cache entries invalidated' : 'Cache cleared',
+    ...(filtered && { filters }),
     previousSize,
+    removed,
     timestamp: new Date().toISOString()
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Load every day of a prewarm job into the cache, one day at a time
+ * Requests go through the upstream queue at background priority, so interactive requests run first.
+ * Failed days are recorded and skipped.
+ * @param {Object} job - Prewarm job
+ * @param {import('../services/gridstatus.js').MarketDataProvider} gridStatusClient - Caching market data provider
+ */
+const runPrewarmJob = async (job, gridStatusClient) => {
+  for (let date = job.startDate; date <= job.endDate; date = addDays(date, 1)) {
+    try {
+      await gridStatusClient.getMarketPrices(date, job.iso, {
+        rtIntervalMinutes: job.rtIntervalMinutes,
+        locations: job.locations,
+        priority: 'background'
+      });
+      job.loaded++;
+    } catch (error) {
+      logger.warn(`⚠️  Prewarm ${job.id}: ${job.iso} ${date} failed: ${error.message}`);
+      job.failed.push({ date, error: error.message });
+    }
+  }
+
+  job.status = 'completed';
+  job.finishedAt = new Date().toISOString();
+  logger.info(`🔥 Prewarm ${job.id} finished: ${job.loaded}/${job.total} ${job.iso} days cached`);
+};
+
+/**
+ * Keep the job list bounded, dropping the oldest finished jobs
+ */
+const pruneJobs = () => {
+  for (const [id, job] of prewarmJobs) {
+    if (prewarmJobs.size <= MAX_PREWARM_JOBS) break;
+    if (job.status !== 'running') prewarmJobs.delete(id);
+  }
+};
+
+/**
+ * Start loading a date range into the cache in the background
+ * Only the long-running Express server runs prewarm jobs: a serverless function may be frozen as soon
+ * as it responds, and a paced 31-day load would outlast its timeout if awaited instead.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const prewarmCache = (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.body;
+    const { iso = DEFAULT_ISO } = req.query;
+    const gridStatusClient = getGridStatusClient();
+    requireDataCache();
+
+    if (getEnvironmentType() === 'netlify') {
+      throw new ApiError('Cache prewarm needs the long-running Express server; serverless functions do not keep background jobs running. Run it there, or use the backfill command.', 501);
+    }
+
+    if (!gridStatusClient) {
+      throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY (or GRIDSTATUS_FIXTURE_DIR for recorded data) environment variable.', 503);
+    }
+
+    const job = {
+      id: randomUUID(),
+      status: 'running',
+      iso,
+      startDate,
+      endDate,
+      rtIntervalMinutes: req.query.rtInterval || getISOProfile(iso).rtIntervalMinutes,
+      locations: resolveLocations(iso, req.query.locations),
+      total: Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1,
+      loaded: 0,
+      failed: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+
+    prewarmJobs.set(job.id, job);
+    pruneJobs();
+
+    logger.info(`🔥 Prewarm ${job.id} started: ${iso} ${startDate} to ${endDate} (${job.locations.join(', ')})`);
+    runPrewarmJob(job, gridStatusClient).catch(error => {
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+      logger.error(`❌ Prewarm ${job.id} failed:`, error);
+    });
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    next(error instanceof ApiError ? error : new ApiError('Failed to start cache prewarm', 500, error.message));
+  }
+};
+
+/**
+ * Get a prewarm job's progress
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getPrewarmJob = (req, res, next) => {
+  const job = prewarmJobs.get(req.params.jobId);
+  if (!job) {
+    return next(new ApiError(`Unknown prewarm job ${req.params.jobId}`, 404));
+  }
+
+  res.json({ success: true, job });
+};
+
+/**
+ * List recent prewarm jobs, newest first
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const listPrewarmJobs = (req, res) => {
+  const jobs = [...prewarmJobs.values()].reverse();
+  res.json({ success: true, jobs, count: jobs.length });
+};
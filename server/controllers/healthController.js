@@ -1,4 +1,4 @@
-import { getGridStatusClient, getDataCache } from '../config/services.js';
+import { getGridStatusClient, getDataCache, getPriceStore } from '../config/services.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -9,21 +9,31 @@ import { logger } from '../utils/logger.js';
 export const getHealthStatus = (req, res) => {
   const gridStatusClient = getGridStatusClient();
   const dataCache = getDataCache();
+  const priceStore = getPriceStore();
+  const requestQueue = gridStatusClient?.getRequestQueueStats() || null;
+  const circuitOpen = requestQueue?.circuit?.state === 'open';
   
   const healthData = {
-    status: 'healthy',
+    status: circuitOpen ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     services: {
       gridStatus: {
         configured: !!gridStatusClient,
-        status: gridStatusClient ? 'available' : 'not-configured'
+        provider: gridStatusClient?.providerName || null,
+        recording: !!gridStatusClient?.recordDir,
+        status: !gridStatusClient ? 'not-configured' : circuitOpen ? 'circuit-open' : 'available',
+        requestQueue
       },
       cache: {
         size: dataCache?.size() || 0,
         status: 'operational'
       },
+      // Only whether the store is on; its path stays out of this public endpoint (it is logged at startup)
+      priceStore: {
+        enabled: !!priceStore
+      },
       aiProviders: {
         google: !!process.env.GOOGLE_API_KEY,
         openai: !!process.env.OPENAI_API_KEY,
@@ -1,5 +1,9 @@
 import { getGridStatusClient, getDataCache } from '../config/services.js';
-import { transformGridStatusData } from '../utils/marketData.js';
+import { CACHE_KEY_MARKET_DATA, getMarketDataCacheParams } from '../services/cachedProvider.js';
+import { transformGridStatusData, transformAncillaryData, transformFundamentalsData, DEFAULT_GAP_FILL } from '../utils/marketData.js';
+import { addDays } from '../utils/timezone.js';
+import { ISO_PROFILES, getISOProfile, toPublicISOProfile } from '../config/isoProfiles.js';
+import { getLocations, resolveLocations, LOCATION_TYPES, MAX_LOCATIONS_PER_REQUEST } from '../config/locations.js';
 import { logger } from '../utils/logger.js';
 import { ApiError } from '../utils/errors.js';
 
@@ -8,9 +12,16 @@ import { ApiError } from '../utils/errors.js';
  */
 const DEFAULT_ISO = 'CAISO';
 const DEFAULT_TIMEZONE = 'America/Los_Angeles';
-const CACHE_KEY_MARKET_DATA = 'market-data';
 const CACHE_KEY_DATASETS = 'datasets';
 
+/**
+ * Response `source` for each provider source
+ */
+const RESPONSE_SOURCES = {
+  cache: 'cache',
+  store: 'price-store'
+};
+
 /**
  * Service getter utilities using unified services
  */
@@ -25,7 +36,7 @@ const getServices = () => ({
 const validateServices = (services) => {
   if (!services.gridStatusClient) {
     logger.error('❌ GridStatus API not configured');
-    throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY environment variable.', 503);
+    throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY (or GRIDSTATUS_FIXTURE_DIR for recorded data) environment variable.', 503);
   }
   
   if (!services.dataCache) {
@@ -42,65 +53,6 @@ const getUserTimezone = (req) => {
   return timezone || headerTimezone || DEFAULT_TIMEZONE;
 };
 
-/**
- * Create cache key for market data
- */
-const createCacheKey = (date, iso, timezone) => ({
-  key: CACHE_KEY_MARKET_DATA,
-  params: { date, iso, timezone }
-});
-
-/**
- * Check cache for existing market data
- */
-const getCachedMarketData = (dataCache, date, iso, userTimezone) => {
-  if (!dataCache) return null;
-  
-  const { key, params } = createCacheKey(date, iso, userTimezone);
-  const cachedData = dataCache.get(key, params);
-  
-  if (cachedData) {
-    logger.info(`📦 Serving cached market data for ${date} (${iso}) in ${userTimezone}`);
-    return cachedData;
-  }
-  
-  return null;
-};
-
-/**
- * Cache market data for future requests with validation
- */
-const cacheMarketData = (dataCache, date, iso, userTimezone, marketData) => {
-  if (!dataCache) return;
-  
-  try {
-    // Validate data before caching
-    if (!marketData || !marketData.dayAheadPrices || !marketData.realTimePrices) {
-      logger.warn(`⚠️  Skipping cache for ${date}: invalid market data structure`);
-      return;
-    }
-    
-    // Validate data integrity by serializing (with safe error handling)
-    try {
-      const serialized = JSON.stringify(marketData);
-      // Check if data is too large
-      if (serialized.length > 2 * 1024 * 1024) { // 2MB limit
-        logger.warn(`⚠️  Market data for ${date} is very large (${serialized.length} chars), caching anyway but consider optimization`);
-      }
-    } catch (serializationError) {
-      logger.error(`❌ Market data serialization failed for ${date}: ${serializationError.message}`);
-      // Don't cache data that can't be serialized
-      return;
-    }
-    
-    const { key, params } = createCacheKey(date, iso, userTimezone);
-    dataCache.set(key, params, marketData);
-    logger.info(`💾 Cached market data for ${date} (${iso}) in ${userTimezone}`);
-  } catch (error) {
-    logger.error(`❌ Failed to cache market data for ${date}: ${error.message}`);
-  }
-};
-
 /**
  * Handle GridStatus API errors with specific error mapping
  */
@@ -132,26 +84,43 @@ const handleGridStatusError = (error, date, iso) => {
 /**
  * Fetch market prices from GridStatus API
  */
-const fetchMarketPrices = async (gridStatusClient, date, iso) => {
+const fetchMarketPrices = async (gridStatusClient, date, iso, { rtIntervalMinutes, locations }) => {
   try {
     logger.info(`🔄 Fetching market data for ${date} from GridStatus API...`);
     
-    const { dayAheadData, realTimeData } = await gridStatusClient.getMarketPrices(date, iso);
+    const { dayAheadData, realTimeData, pagination, source } = await gridStatusClient.getMarketPrices(date, iso, { rtIntervalMinutes, locations });
     
-    logger.info(`✅ Successfully fetched data from GridStatus API`);
-    return { dayAheadData, realTimeData };
+    const sourceName = { cache: 'the data cache', store: 'the price store' }[source] || 'GridStatus API';
+    logger.info(`✅ Successfully fetched data from ${sourceName}`);
+    return { dayAheadData, realTimeData, pagination, source };
   } catch (error) {
     logger.error('❌ Failed to fetch market prices:', error);
     throw error;
   }
 };
 
+/**
+ * Fetch the prior day's real-time prices for previous-day gap filling
+ * A missing prior day is not fatal: gaps then fall back to day-ahead prices
+ */
+const fetchPreviousDayRealTime = async (gridStatusClient, date, iso, { rtIntervalMinutes, locations }) => {
+  const previousDate = addDays(date, -1);
+  
+  try {
+    logger.info(`🔄 Fetching ${previousDate} real-time prices for previous-day gap filling...`);
+    return await gridStatusClient.getRealTimePrices(previousDate, iso, { rtIntervalMinutes, locations });
+  } catch (error) {
+    logger.warn(`⚠️  Previous-day real-time data unavailable for ${previousDate}: ${error.message}`);
+    return [];
+  }
+};
+
 /**
  * Transform and validate market data
  */
-const transformMarketData = (dayAheadData, realTimeData, userTimezone, date) => {
+const transformMarketData = (dayAheadData, realTimeData, userTimezone, date, iso, options) => {
   try {
-    const marketData = transformGridStatusData(dayAheadData, realTimeData, userTimezone, date);
+    const marketData = transformGridStatusData(dayAheadData, realTimeData, userTimezone, date, iso, options);
     
     // Validate transformed data
     if (!marketData.dayAheadPrices || !marketData.realTimePrices) {
@@ -166,6 +135,41 @@ const transformMarketData = (dayAheadData, realTimeData, userTimezone, date) =>
   }
 };
 
+/**
+ * Fetch, gap-fill and transform one operating day of market data
+ * @returns {Promise<{marketData: Object, source: string, dayAheadRecords: number, realTimeRecords: number}>}
+ */
+const buildMarketData = async (gridStatusClient, date, iso, userTimezone, marketOptions) => {
+  const { dayAheadData, realTimeData, pagination, source } = await fetchMarketPrices(gridStatusClient, date, iso, marketOptions);
+  
+  const previousDayRealTime = marketOptions.gapFill === 'previous-day'
+    ? await fetchPreviousDayRealTime(gridStatusClient, date, iso, marketOptions)
+    : [];
+  
+  // Transform data with timezone conversion and deterministic gap filling
+  const marketData = transformMarketData(dayAheadData, realTimeData, userTimezone, date, iso, { ...marketOptions, previousDayRealTime, pagination });
+  
+  return { marketData, source, dayAheadRecords: dayAheadData.length, realTimeRecords: realTimeData.length };
+};
+
+/**
+ * Load one operating day of transformed market data, from the cache when this view is cached
+ * @returns {Promise<{marketData: Object, source: string, dayAheadRecords: number, realTimeRecords: number}>}
+ */
+const loadMarketData = async (services, date, iso, userTimezone, marketOptions) => {
+  if (!services.dataCache) {
+    return buildMarketData(services.gridStatusClient, date, iso, userTimezone, marketOptions);
+  }
+  
+  const { data, status } = await services.dataCache.getOrLoad(
+    CACHE_KEY_MARKET_DATA,
+    getMarketDataCacheParams(date, iso, userTimezone, marketOptions),
+    () => buildMarketData(services.gridStatusClient, date, iso, userTimezone, marketOptions)
+  );
+  
+  return status === 'loaded' ? data : { ...data, source: 'cache' };
+};
+
 /**
  * Create market data response
  */
@@ -187,7 +191,10 @@ const createMarketDataResponse = (date, marketData, source, userTimezone, metada
 export const getMarketData = async (req, res, next) => {
   try {
     const { date } = req.params;
-    const { iso = DEFAULT_ISO } = req.query;
+    const { iso = DEFAULT_ISO, gapFill = DEFAULT_GAP_FILL } = req.query;
+    const rtIntervalMinutes = req.query.rtInterval || getISOProfile(iso).rtIntervalMinutes;
+    const locations = resolveLocations(iso, req.query.locations);
+    const marketOptions = { gapFill, rtIntervalMinutes, locations };
     const userTimezone = getUserTimezone(req);
     
     logger.info(`📊 Processing market data request for ${date} (${iso}) in ${userTimezone}`);
@@ -196,28 +203,19 @@ export const getMarketData = async (req, res, next) => {
     const services = getServices();
     validateServices(services);
     
-    // Check cache first
-    const cachedData = getCachedMarketData(services.dataCache, date, iso, userTimezone);
-    if (cachedData) {
-      return res.json(createMarketDataResponse(date, cachedData, 'cache', userTimezone));
-    }
-    
-    // Fetch market prices
-    const { dayAheadData, realTimeData } = await fetchMarketPrices(services.gridStatusClient, date, iso);
-    
-    // Transform data with timezone conversion
-    const marketData = transformMarketData(dayAheadData, realTimeData, userTimezone, date);
-    
-    // Cache the result
-    cacheMarketData(services.dataCache, date, iso, userTimezone, marketData);
+    // Transformed data is cached per view; raw records are shared by every timezone that loaded this day
+    const { marketData, source, dayAheadRecords, realTimeRecords } = await loadMarketData(services, date, iso, userTimezone, marketOptions);
     
     // Create response with metadata
     const responseMetadata = {
-      dayAheadRecords: dayAheadData.length,
-      realTimeRecords: realTimeData.length
+      dayAheadRecords,
+      realTimeRecords,
+      truncated: marketData.metadata.truncated,
+      locations,
+      provider: services.gridStatusClient.providerName
     };
     
-    res.json(createMarketDataResponse(date, marketData, 'gridstatus-api', userTimezone, responseMetadata));
+    res.json(createMarketDataResponse(date, marketData, RESPONSE_SOURCES[source] || 'gridstatus-api', userTimezone, responseMetadata));
     
   } catch (error) {
     logger.error('❌ Market data error:', error);
@@ -239,6 +237,115 @@ export const getMarketData = async (req, res, next) => {
   }
 };
 
+/**
+ * Get hourly ancillary service prices (regulation up/down, spinning and non-spinning reserves) for a specific date
+ */
+export const getAncillaryData = async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { iso = DEFAULT_ISO } = req.query;
+    const userTimezone = getUserTimezone(req);
+    
+    logger.info(`📊 Processing ancillary services request for ${date} (${iso}) in ${userTimezone}`);
+    
+    const services = getServices();
+    validateServices(services);
+    
+    const { ancillaryData, source } = await services.gridStatusClient.getAncillaryPrices(date, iso);
+    const ancillaryServices = transformAncillaryData(ancillaryData, userTimezone, date, iso);
+    
+    res.json(createMarketDataResponse(date, ancillaryServices, RESPONSE_SOURCES[source] || 'gridstatus-api', userTimezone, {
+      records: ancillaryData.length,
+      provider: services.gridStatusClient.providerName
+    }));
+  } catch (error) {
+    logger.error('❌ Ancillary services error:', error);
+    
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    
+    try {
+      handleGridStatusError(error, req.params.date, req.query.iso || DEFAULT_ISO);
+    } catch (gridError) {
+      return next(gridError);
+    }
+    
+    next(new ApiError('Failed to fetch ancillary service prices', 500, error.message));
+  }
+};
+
+/**
+ * Get hourly system load, load forecast, fuel mix (solar, wind, gas, imports) and net load for a specific date
+ */
+export const getFundamentalsData = async (req, res, next) => {
+  try {
+    const { date } = req.params;
+    const { iso = DEFAULT_ISO } = req.query;
+    const userTimezone = getUserTimezone(req);
+    
+    logger.info(`📊 Processing fundamentals request for ${date} (${iso}) in ${userTimezone}`);
+    
+    const services = getServices();
+    validateServices(services);
+    
+    const { source, pagination, ...records } = await services.gridStatusClient.getFundamentals(date, iso);
+    const fundamentals = transformFundamentalsData(records, userTimezone, date, iso);
+    
+    res.json(createMarketDataResponse(date, fundamentals, RESPONSE_SOURCES[source] || 'gridstatus-api', userTimezone, {
+      pagination,
+      provider: services.gridStatusClient.providerName
+    }));
+  } catch (error) {
+    logger.error('❌ Fundamentals error:', error);
+    
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    
+    try {
+      handleGridStatusError(error, req.params.date, req.query.iso || DEFAULT_ISO);
+    } catch (gridError) {
+      return next(gridError);
+    }
+    
+    next(new ApiError('Failed to fetch load and fuel mix data', 500, error.message));
+  }
+};
+
+/**
+ * Get supported ISO market profiles
+ */
+export const getISOProfiles = (_req, res) => {
+  const profiles = Object.values(ISO_PROFILES).map(toPublicISOProfile);
+  
+  res.json({
+    success: true,
+    isos: profiles,
+    defaultIso: DEFAULT_ISO,
+    count: profiles.length
+  });
+};
+
+/**
+ * Get the location registry for an ISO
+ * Lists every location a request may select via `locations`, with the defaults flagged
+ */
+export const getMarketLocations = (req, res) => {
+  const { iso = DEFAULT_ISO } = req.query;
+  const locations = getLocations(iso);
+  
+  res.json({
+    success: true,
+    iso,
+    locations,
+    defaultLocations: locations.filter(location => location.default).map(location => location.id),
+    types: LOCATION_TYPES,
+    maxPerRequest: MAX_LOCATIONS_PER_REQUEST,
+    count: locations.length
+  });
+};
+
 /**
  * Check cache for datasets
  */
@@ -265,19 +372,21 @@ const cacheDatasets = (dataCache, datasets) => {
 };
 
 /**
- * Filter datasets for CAISO relevance
+ * Filter datasets for relevance to the selected ISO
  */
-const filterRelevantDatasets = (datasets) => {
+const filterRelevantDatasets = (datasets, iso = DEFAULT_ISO) => {
+  const { source } = getISOProfile(iso);
   const relevantDatasets = datasets.filter(dataset => 
-    dataset.source === 'caiso' && (
+    dataset.source === source && (
       dataset.id.includes('lmp') || 
       dataset.id.includes('load') ||
+      dataset.id.includes('as_prices') ||
       dataset.name.toLowerCase().includes('lmp') ||
       dataset.name.toLowerCase().includes('load')
     )
   );
   
-  logger.info(`🔍 Filtered ${relevantDatasets.length} relevant CAISO datasets from ${datasets.length} total`);
+  logger.info(`🔍 Filtered ${relevantDatasets.length} relevant ${iso} datasets from ${datasets.length} total`);
   return relevantDatasets;
 };
 
@@ -319,8 +428,9 @@ const createDatasetsResponse = (datasets, relevantDatasets) => ({
 /**
  * Get available datasets from GridStatus API
  */
-export const getAvailableDatasets = async (_req, res, next) => {
+export const getAvailableDatasets = async (req, res, next) => {
   try {
+    const { iso = DEFAULT_ISO } = req.query;
     logger.info('📋 Processing datasets request...');
     
     // Get and validate services
@@ -332,7 +442,7 @@ export const getAvailableDatasets = async (_req, res, next) => {
     // Check cache first
     const cachedDatasets = getCachedDatasets(services.dataCache);
     if (cachedDatasets) {
-      const relevantDatasets = filterRelevantDatasets(cachedDatasets);
+      const relevantDatasets = filterRelevantDatasets(cachedDatasets, iso);
       return res.json(createDatasetsResponse(cachedDatasets, relevantDatasets));
     }
     
@@ -343,7 +453,7 @@ export const getAvailableDatasets = async (_req, res, next) => {
     cacheDatasets(services.dataCache, datasets);
     
     // Filter for relevant datasets
-    const relevantDatasets = filterRelevantDatasets(datasets);
+    const relevantDatasets = filterRelevantDatasets(datasets, iso);
     
     res.json(createDatasetsResponse(datasets, relevantDatasets));
     
@@ -1,6 +1,11 @@
 import { getGridStatusClient, getDataCache } from '../config/services.js';
-import { transformGridStatusData } from '../utils/marketData.js';
-import { simulateTradeExecution } from '../utils/trading.js';
+import { CACHE_KEY_MARKET_DATA, getMarketDataCacheParams } from '../services/cachedProvider.js';
+import { transformGridStatusData, DEFAULT_GAP_FILL } from '../utils/marketData.js';
+import { getISOProfile } from '../config/isoProfiles.js';
+import { getLocations, resolveLocations } from '../config/locations.js';
+import { MAX_HOURS_PER_DAY, addDays } from '../utils/timezone.js';
+import { simulateTradeExecution, getBidCurveErrors, summarizeBacktest } from '../utils/trading.js';
+import { getStrategy, listStrategies, resolveStrategyParams, getLookbackDays, getStrategyLocations, generateStrategyBids } from '../strategies/index.js';
 import { logger } from '../utils/logger.js';
 import { ApiError } from '../utils/errors.js';
 
@@ -9,7 +14,6 @@ import { ApiError } from '../utils/errors.js';
  */
 const DEFAULT_ISO = 'CAISO';
 const DEFAULT_TIMEZONE = 'America/Los_Angeles';
-const CACHE_KEY_MARKET_DATA = 'market-data';
 
 /**
  * Service getter utilities using unified services
@@ -25,7 +29,7 @@ const getServices = () => ({
 const validateServices = (services) => {
   if (!services.gridStatusClient) {
     logger.error('❌ GridStatus API not configured for trading simulation');
-    throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY environment variable.', 503);
+    throw new ApiError('GridStatus API not configured. Please set GRIDSTATUS_API_KEY (or GRIDSTATUS_FIXTURE_DIR for recorded data) environment variable.', 503);
   }
   
   if (!services.dataCache) {
@@ -45,7 +49,7 @@ const getUserTimezone = (req) => {
 /**
  * Validate trading simulation request
  */
-const validateTradingRequest = (bids, date) => {
+const validateTradingRequest = (bids, date, iso) => {
   if (!Array.isArray(bids) || bids.length === 0) {
     throw new ApiError('Please add at least one bid to simulate', 400);
   }
@@ -54,9 +58,11 @@ const validateTradingRequest = (bids, date) => {
     throw new ApiError('Please select a date for simulation', 400);
   }
   
-  // Validate individual bids
+  // Validate individual bids against the ISO's bid floor/cap and registered locations
+  const { priceLimits } = getISOProfile(iso);
+  const locations = getLocations(iso);
   bids.forEach((bid, index) => {
-    validateBid(bid, index);
+    validateBid(bid, index, priceLimits, locations);
   });
   
   logger.info(`✅ Validated ${bids.length} bids for simulation`);
@@ -65,8 +71,8 @@ const validateTradingRequest = (bids, date) => {
 /**
  * Validate individual bid structure
  */
-const validateBid = (bid, index) => {
-  const requiredFields = ['id', 'hour', 'type', 'price', 'quantity'];
+const validateBid = (bid, index, priceLimits, locations) => {
+  const requiredFields = ['id', 'hour', 'type'];
   
   requiredFields.forEach(field => {
     if (bid[field] === undefined || bid[field] === null) {
@@ -74,80 +80,36 @@ const validateBid = (bid, index) => {
     }
   });
   
-  if (typeof bid.hour !== 'number' || bid.hour < 0 || bid.hour > 23) {
-    throw new ApiError(`Bid ${index}: hour must be between 0 and 23`, 400);
+  if (!Number.isInteger(bid.hour) || bid.hour < 0 || bid.hour >= MAX_HOURS_PER_DAY) {
+    throw new ApiError(`Bid ${index}: hour must be an operating-day hour index between 0 and ${MAX_HOURS_PER_DAY - 1}`, 400);
   }
   
   if (!['buy', 'sell'].includes(bid.type)) {
     throw new ApiError(`Bid ${index}: type must be 'buy' or 'sell'`, 400);
   }
   
-  if (typeof bid.price !== 'number' || bid.price < 0) {
-    throw new ApiError(`Bid ${index}: price must be a positive number`, 400);
+  if (bid.location !== undefined && !locations.some(location => location.id === bid.location)) {
+    throw new ApiError(`Bid ${index}: location must be one of ${locations.map(location => location.id).join(', ')}`, 400);
   }
   
-  if (typeof bid.quantity !== 'number' || bid.quantity <= 0) {
-    throw new ApiError(`Bid ${index}: quantity must be a positive number`, 400);
+  const curveErrors = getBidCurveErrors(bid, priceLimits);
+  if (curveErrors.length > 0) {
+    throw new ApiError(`Bid ${index}: ${curveErrors[0]}`, 400, curveErrors.join('; '));
   }
 };
 
 /**
- * Create cache key for market data
+ * Locations to fetch for a trading request
+ * The requested set (or the ISO's defaults) plus every location the bids settle at, so a bid
+ * at a non-default location does not need its own `locations` parameter
+ * @param {string} iso - ISO identifier
+ * @param {string[]} [requested] - Validated `locations` query parameter
+ * @param {string[]} [settlementLocations] - Bid or strategy locations
+ * @returns {string[]} Location ids in registry order
  */
-const createCacheKey = (date, iso, timezone) => ({
-  key: CACHE_KEY_MARKET_DATA,
-  params: { date, iso, timezone }
-});
-
-/**
- * Check cache for existing market data
- */
-const getCachedMarketData = (dataCache, date, iso, userTimezone) => {
-  if (!dataCache) return null;
-  
-  const { key, params } = createCacheKey(date, iso, userTimezone);
-  const cachedData = dataCache.get(key, params);
-  
-  if (cachedData) {
-    logger.info(`📦 Using cached market data for ${date} (${iso}) in ${userTimezone}`);
-    return cachedData;
-  }
-  
-  return null;
-};
-
-/**
- * Cache market data for future requests with validation
- */
-const cacheMarketData = (dataCache, date, iso, userTimezone, marketData) => {
-  if (!dataCache) return;
-  
-  try {
-    // Validate data before caching
-    if (!marketData || !marketData.dayAheadPrices || !marketData.realTimePrices) {
-      logger.warn(`⚠️  Skipping cache for ${date}: invalid market data structure`);
-      return;
-    }
-    
-    // Validate data integrity by serializing (with safe error handling)
-    try {
-      const serialized = JSON.stringify(marketData);
-      // Check if data is too large
-      if (serialized.length > 2 * 1024 * 1024) { // 2MB limit
-        logger.warn(`⚠️  Market data for ${date} is very large (${serialized.length} chars), caching anyway but consider optimization`);
-      }
-    } catch (serializationError) {
-      logger.error(`❌ Market data serialization failed for ${date}: ${serializationError.message}`);
-      // Don't cache data that can't be serialized
-      return;
-    }
-    
-    const { key, params } = createCacheKey(date, iso, userTimezone);
-    dataCache.set(key, params, marketData);
-    logger.info(`💾 Cached market data for ${date} (${iso}) in ${userTimezone}`);
-  } catch (error) {
-    logger.error(`❌ Failed to cache market data for ${date}: ${error.message}`);
-  }
+const getMarketLocations = (iso, requested, settlementLocations = []) => {
+  const selected = resolveLocations(iso, requested);
+  return resolveLocations(iso, [...new Set([...selected, ...settlementLocations])]);
 };
 
 /**
@@ -181,26 +143,42 @@ const handleGridStatusError = (error, date, iso) => {
 /**
  * Fetch market data from GridStatus API
  */
-const fetchMarketData = async (gridStatusClient, date, iso) => {
+const fetchMarketData = async (gridStatusClient, date, iso, { rtIntervalMinutes, locations }) => {
   try {
     logger.info(`🔄 Fetching market data for ${date} from GridStatus API...`);
-    const { dayAheadData, realTimeData } = await gridStatusClient.getMarketPrices(date, iso);
+    const { dayAheadData, realTimeData, pagination, source } = await gridStatusClient.getMarketPrices(date, iso, { rtIntervalMinutes, locations });
     
     logger.info(`✅ Successfully fetched market data: ${dayAheadData.length} DA, ${realTimeData.length} RT records`);
     
-    return { dayAheadData, realTimeData };
+    return { dayAheadData, realTimeData, pagination, source };
   } catch (error) {
     logger.error('❌ Failed to fetch market data for simulation:', error);
     throw error;
   }
 };
 
+/**
+ * Fetch the prior day's real-time prices for previous-day gap filling
+ * A missing prior day is not fatal: gaps then fall back to day-ahead prices
+ */
+const fetchPreviousDayRealTime = async (gridStatusClient, date, iso, { rtIntervalMinutes, locations }) => {
+  const previousDate = addDays(date, -1);
+  
+  try {
+    logger.info(`🔄 Fetching ${previousDate} real-time prices for previous-day gap filling...`);
+    return await gridStatusClient.getRealTimePrices(previousDate, iso, { rtIntervalMinutes, locations });
+  } catch (error) {
+    logger.warn(`⚠️  Previous-day real-time data unavailable for ${previousDate}: ${error.message}`);
+    return [];
+  }
+};
+
 /**
  * Transform market data with timezone conversion
  */
-const transformMarketData = (dayAheadData, realTimeData, userTimezone, date) => {
+const transformMarketData = (dayAheadData, realTimeData, userTimezone, date, iso, options) => {
   try {
-    const marketData = transformGridStatusData(dayAheadData, realTimeData, userTimezone, date);
+    const marketData = transformGridStatusData(dayAheadData, realTimeData, userTimezone, date, iso, options);
     
     // Validate transformed data
     if (!marketData.dayAheadPrices || !marketData.realTimePrices) {
@@ -215,14 +193,77 @@ const transformMarketData = (dayAheadData, realTimeData, userTimezone, date) =>
   }
 };
 
+/**
+ * Load transformed market data for one operating day, from cache when available
+ */
+const loadMarketData = async (services, date, iso, userTimezone, marketOptions) => {
+  // Same entry shape as the market data endpoint, which caches this view under the same key
+  const buildMarketData = async () => {
+    // Raw records come from the shared cache when any request has loaded this day
+    const { dayAheadData, realTimeData, pagination, source } = await fetchMarketData(services.gridStatusClient, date, iso, marketOptions);
+    const previousDayRealTime = marketOptions.gapFill === 'previous-day'
+      ? await fetchPreviousDayRealTime(services.gridStatusClient, date, iso, marketOptions)
+      : [];
+    
+    // Transform data with timezone conversion and deterministic gap filling
+    const marketData = transformMarketData(dayAheadData, realTimeData, userTimezone, date, iso, { ...marketOptions, previousDayRealTime, pagination });
+    return { marketData, source, dayAheadRecords: dayAheadData.length, realTimeRecords: realTimeData.length };
+  };
+  
+  if (!services.dataCache) {
+    return (await buildMarketData()).marketData;
+  }
+  
+  const { data } = await services.dataCache.getOrLoad(CACHE_KEY_MARKET_DATA, getMarketDataCacheParams(date, iso, userTimezone, marketOptions), buildMarketData);
+  return data.marketData;
+};
+
+/**
+ * Load the prior operating days a strategy looks back over, oldest first
+ * Days that fail to load are left out; strategies work with the history that is available.
+ */
+const loadStrategyHistory = async (services, date, iso, userTimezone, marketOptions, lookbackDays) => {
+  const history = [];
+  
+  for (let offset = lookbackDays; offset >= 1; offset--) {
+    const historyDate = addDays(date, -offset);
+    try {
+      history.push(await loadMarketData(services, historyDate, iso, userTimezone, marketOptions));
+    } catch (error) {
+      logger.warn(`⚠️  Strategy history unavailable for ${historyDate}: ${error.message}`);
+    }
+  }
+  
+  return history;
+};
+
+/**
+ * Map a failure to the ApiError the client would see for a single-day request
+ */
+const toApiError = (error, date, iso) => {
+  if (error instanceof ApiError) return error;
+  
+  try {
+    handleGridStatusError(error, date, iso);
+  } catch (gridError) {
+    return gridError;
+  }
+};
+
 /**
  * Execute trading simulation
  */
-const executeSimulation = (bids, marketData, userTimezone) => {
+const executeSimulation = (bids, marketData, userTimezone, requireActualData) => {
+  const { rtIntervalMinutes } = marketData.metadata;
+  
   try {
-    logger.info(`🎯 Executing simulation for ${bids.length} bids in ${userTimezone}`);
+    logger.info(`🎯 Executing simulation for ${bids.length} bids in ${userTimezone} against ${rtIntervalMinutes}-minute RT intervals${requireActualData ? ' (actual data only)' : ''}`);
     
-    const simulation = simulateTradeExecution(bids, marketData.dayAheadPrices, marketData.realTimePrices);
+    const simulation = simulateTradeExecution(bids, marketData.dayAheadPrices, marketData.realTimePrices, {
+      requireActualData,
+      rtIntervalMinutes,
+      locations: marketData.locations
+    });
     
     const executedCount = simulation.trades.filter(t => t.executed).length;
     logger.info(`✅ Simulation complete: ${executedCount}/${bids.length} trades executed`);
@@ -251,7 +292,7 @@ const createSimulationResponse = (simulation, marketData, userTimezone, metadata
 /**
  * Calculate simulation metadata
  */
-const calculateSimulationMetadata = (bids, simulation, date, iso) => {
+const calculateSimulationMetadata = (bids, simulation, date, iso, settlement) => {
   const executedTrades = simulation.trades.filter(t => t.executed).length;
   
   return {
@@ -260,6 +301,8 @@ const calculateSimulationMetadata = (bids, simulation, date, iso) => {
     successRate: bids.length > 0 ? ((executedTrades / bids.length) * 100).toFixed(1) : 0,
     date,
     iso,
+    ...settlement,
+    excludedTrades: simulation.summary.excludedTrades,
     totalProfit: simulation.totalProfit,
     avgProfitPerTrade: executedTrades > 0 ? (simulation.totalProfit / executedTrades).toFixed(2) : 0
   };
@@ -271,37 +314,31 @@ const calculateSimulationMetadata = (bids, simulation, date, iso) => {
 export const simulateTrades = async (req, res, next) => {
   try {
     const { bids, date } = req.body;
-    const { iso = DEFAULT_ISO } = req.query;
+    const { iso = DEFAULT_ISO, gapFill = DEFAULT_GAP_FILL } = req.query;
+    const requireActualData = req.query.requireActualData === 'true';
+    const rtIntervalMinutes = req.query.rtInterval || getISOProfile(iso).rtIntervalMinutes;
     const userTimezone = getUserTimezone(req);
     
     logger.info(`🎯 Processing trading simulation for ${bids?.length || 0} bids on ${date} (${iso}) in timezone ${userTimezone}`);
     
     // Validate request inputs
-    validateTradingRequest(bids, date);
+    validateTradingRequest(bids, date, iso);
+    
+    const locations = getMarketLocations(iso, req.query.locations, bids.map(bid => bid.location).filter(Boolean));
+    const marketOptions = { gapFill, rtIntervalMinutes, locations };
     
     // Get and validate services
     const services = getServices();
     validateServices(services);
     
-    // Check cache for existing market data
-    let marketData = getCachedMarketData(services.dataCache, date, iso, userTimezone);
-    
-    if (!marketData) {
-      // Fetch market data from API
-      const { dayAheadData, realTimeData } = await fetchMarketData(services.gridStatusClient, date, iso);
-      
-      // Transform data with timezone conversion
-      marketData = transformMarketData(dayAheadData, realTimeData, userTimezone, date);
-      
-      // Cache the transformed data
-      cacheMarketData(services.dataCache, date, iso, userTimezone, marketData);
-    }
+    // Load market data from cache or the GridStatus API
+    const marketData = await loadMarketData(services, date, iso, userTimezone, marketOptions);
     
     // Execute trading simulation
-    const simulation = executeSimulation(bids, marketData, userTimezone);
+    const simulation = executeSimulation(bids, marketData, userTimezone, requireActualData);
     
     // Calculate metadata
-    const metadata = calculateSimulationMetadata(bids, simulation, date, iso);
+    const metadata = calculateSimulationMetadata(bids, simulation, date, iso, { ...marketOptions, requireActualData });
     
     // Create and send response
     const response = createSimulationResponse(simulation, marketData, userTimezone, metadata);
@@ -325,4 +362,178 @@ export const simulateTrades = async (req, res, next) => {
     // Generic error fallback
     next(new ApiError('Failed to simulate trades', 500, error.message));
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Backtest a fixed bid set or a strategy over a date range
+ * Replays each operating day through the same settlement as a single-day simulation.
+ * Days whose market data cannot be loaded, or that produce no bids, are reported as skipped.
+ */
+export const runBacktest = async (req, res, next) => {
+  try {
+    const { startDate, endDate, bids, strategy } = req.body;
+    const { iso = DEFAULT_ISO, gapFill = DEFAULT_GAP_FILL } = req.query;
+    const requireActualData = req.query.requireActualData === 'true';
+    const profile = getISOProfile(iso);
+    const rtIntervalMinutes = req.query.rtInterval || profile.rtIntervalMinutes;
+    const userTimezone = getUserTimezone(req);
+    const mode = strategy ? 'strategy' : 'bids';
+    const strategyModule = strategy && getStrategy(strategy.id);
+    const strategyParams = strategy && resolveStrategyParams(strategyModule, strategy.params);
+    const lookbackDays = strategy ? getLookbackDays(strategyModule, strategyParams) : 0;
+    const settlementLocations = strategy
+      ? getStrategyLocations(strategyModule, strategyParams)
+      : bids.map(bid => bid.location).filter(Boolean);
+    const marketOptions = { gapFill, rtIntervalMinutes, locations: getMarketLocations(iso, req.query.locations, settlementLocations) };
+    
+    logger.info(`📈 Running ${strategy ? `${strategy.id} strategy` : 'fixed bid'} backtest from ${startDate} to ${endDate} (${iso}) in timezone ${userTimezone}`);
+    
+    const services = getServices();
+    validateServices(services);
+    
+    // Strategies read days before the range, then the window rolls forward day by day
+    const history = strategy
+      ? await loadStrategyHistory(services, startDate, iso, userTimezone, marketOptions, lookbackDays)
+      : [];
+    
+    const days = [];
+    let lastError = null;
+    
+    for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+      let marketData;
+      try {
+        marketData = await loadMarketData(services, date, iso, userTimezone, marketOptions);
+      } catch (error) {
+        lastError = toApiError(error, date, iso);
+        logger.warn(`⚠️  Skipping ${date} in backtest: ${lastError.message}`);
+        days.push({ date, skipped: true, error: lastError.message });
+        continue;
+      }
+      
+      const dayBids = strategy
+        ? generateStrategyBids(strategyModule, strategyParams, { date, profile, history, target: marketData })
+        : bids;
+      
+      history.push(marketData);
+      if (history.length > lookbackDays) {
+        history.splice(0, history.length - lookbackDays);
+      }
+      
+      if (dayBids.length === 0) {
+        days.push({ date, skipped: true, error: 'Strategy generated no bids for this day' });
+        continue;
+      }
+      
+      const simulation = executeSimulation(dayBids, marketData, userTimezone, requireActualData);
+      days.push({
+        date,
+        hoursInDay: marketData.metadata.hoursInDay,
+        totalBids: dayBids.length,
+        executedTrades: simulation.summary.executedTrades,
+        excludedTrades: simulation.summary.excludedTrades,
+        profit: simulation.totalProfit
+      });
+    }
+    
+    // Surface the underlying failure when no day could be loaded at all
+    if (lastError && days.every(day => day.skipped)) {
+      return next(lastError);
+    }
+    
+    res.json({
+      success: true,
+      backtest: {
+        days,
+        ...summarizeBacktest(days)
+      },
+      timezone: userTimezone,
+      metadata: {
+        iso,
+        startDate,
+        endDate,
+        mode,
+        ...(strategy && { strategy: { id: strategy.id, params: strategyParams } }),
+        ...marketOptions,
+        requireActualData,
+        timestamp: new Date().toISOString()
+      }
+    });
+    
+  } catch (error) {
+    logger.error('❌ Backtest error:', error);
+    
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    
+    next(new ApiError('Failed to run backtest', 500, error.message));
+  }
+};
+
+/**
+ * List registered bidding strategies and their parameters
+ */
+export const getStrategies = (_req, res) => {
+  const strategies = listStrategies();
+  
+  res.json({
+    success: true,
+    strategies,
+    count: strategies.length
+  });
+};
+
+/**
+ * Generate a day's bids with a strategy and simulate them
+ * Responds like `/simulate`, plus the generated `bids`
+ */
+export const runStrategy = async (req, res, next) => {
+  try {
+    const { date, params } = req.body;
+    const { iso = DEFAULT_ISO, gapFill = DEFAULT_GAP_FILL } = req.query;
+    const requireActualData = req.query.requireActualData === 'true';
+    const profile = getISOProfile(iso);
+    const rtIntervalMinutes = req.query.rtInterval || profile.rtIntervalMinutes;
+    const userTimezone = getUserTimezone(req);
+    
+    const strategy = getStrategy(req.params.id);
+    const strategyParams = resolveStrategyParams(strategy, params);
+    const locations = getMarketLocations(iso, req.query.locations, getStrategyLocations(strategy, strategyParams));
+    const marketOptions = { gapFill, rtIntervalMinutes, locations };
+    
+    logger.info(`🤖 Running ${strategy.id} strategy on ${date} (${iso}) in timezone ${userTimezone}`);
+    
+    const services = getServices();
+    validateServices(services);
+    
+    const marketData = await loadMarketData(services, date, iso, userTimezone, marketOptions);
+    const history = await loadStrategyHistory(services, date, iso, userTimezone, marketOptions, getLookbackDays(strategy, strategyParams));
+    
+    const bids = generateStrategyBids(strategy, strategyParams, { date, profile, history, target: marketData });
+    logger.info(`🤖 ${strategy.id} generated ${bids.length} bids from ${history.length} days of history`);
+    
+    const simulation = executeSimulation(bids, marketData, userTimezone, requireActualData);
+    const metadata = calculateSimulationMetadata(bids, simulation, date, iso, { ...marketOptions, requireActualData });
+    
+    res.json({
+      ...createSimulationResponse(simulation, marketData, userTimezone, {
+        ...metadata,
+        strategy: { id: strategy.id, params: strategyParams, historyDays: history.length }
+      }),
+      bids
+    });
+    
+  } catch (error) {
+    logger.error('❌ Strategy run error:', error);
+    
+    if (error instanceof ApiError) {
+      return next(error);
+    }
+    
+    try {
+      handleGridStatusError(error, req.body.date, req.query.iso || DEFAULT_ISO);
+    } catch (gridError) {
+      return next(gridError);
+    }
+  }
+};
@@ -0,0 +1,39 @@
+import { robustSpread, createScore, exceedsThresholds, getIntervalStart, getLocationPrices } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Real-time deviation from the day-ahead price
+ * The day-ahead price for the interval's hour is the baseline: it already prices in the expected
+ * load shape and scheduled outages, so what remains is real-time surprise. The spread is the median
+ * absolute RT-DA deviation of every interval so far outside any spike, so a slow drift away from the
+ * day-ahead price does not widen it much. Needs `context.dayAhead`: the day's day-ahead prices in
+ * spike analysis format.
+ */
+export default {
+  id: 'da-rt',
+  name: 'DA-RT deviation',
+  description: 'Real-time price against the day-ahead price for the same hour',
+  defaults: { zScoreThreshold: 3 },
+  usesDayAhead: true,
+
+  createScorer: ({ location, prices, context }) => {
+    const dayAheadByHour = new Map(getLocationPrices(context.dayAhead, location)
+      .map(p => [Math.floor(getIntervalStart(p) / HOUR_MS), p.price]));
+    const getDayAheadPrice = (pricePoint) => dayAheadByHour.get(Math.floor(getIntervalStart(pricePoint) / HOUR_MS));
+
+    return (index, calmPrices) => {
+      const dayAheadPrice = getDayAheadPrice(prices[index]);
+      if (dayAheadPrice === undefined) return null;
+
+      const deviations = calmPrices
+        .map(p => ({ price: p.price, dayAheadPrice: getDayAheadPrice(p) }))
+        .filter(p => p.dayAheadPrice !== undefined)
+        .map(p => p.price - p.dayAheadPrice);
+
+      return createScore(prices[index].price, dayAheadPrice, robustSpread(deviations.length > 0 ? deviations : [0], 0));
+    };
+  },
+
+  isSpike: exceedsThresholds
+};
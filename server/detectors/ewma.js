@@ -0,0 +1,57 @@
+import { MIN_SPREAD, mean, standardDeviation, createScore, exceedsThresholds } from './helpers.js';
+
+const TARGET_LAMBDA = 0.05; // Slow EWMA of calm prices: the in-control target and its variance
+const STATISTIC_LAMBDA = 0.3; // Fast EWMA of every price: the charted statistic
+
+/**
+ * EWMA control chart
+ * A fast EWMA of every price is charted against a slow EWMA of calm prices. A slow ramp pulls the
+ * fast statistic away from the lagging target a little more each interval, so sustained drifts that
+ * a rolling window would absorb cross the control limit. The z-score is the statistic's distance
+ * from the target in units of its own standard deviation, sigma * sqrt(lambda / (2 - lambda)).
+ */
+export default {
+  id: 'ewma',
+  name: 'EWMA control chart',
+  description: 'Fast EWMA of prices against a slow EWMA baseline; catches slow ramps',
+  defaults: { zScoreThreshold: 3 },
+
+  createScorer: ({ prices }) => {
+    let target = null;
+    let variance = 0;
+    let calmSeen = 0;
+    let statistic = null;
+    let lastScored = -1;
+
+    return (index, calmPrices) => {
+      if (target === null) {
+        const seed = calmPrices.map(p => p.price);
+        target = mean(seed);
+        variance = Math.pow(standardDeviation(seed, target), 2);
+        calmSeen = calmPrices.length;
+        statistic = target;
+        lastScored = index - 1;
+      }
+
+      // Calm intervals move the target; intervals inside a spike do not
+      for (; calmSeen < calmPrices.length; calmSeen++) {
+        const deviation = calmPrices[calmSeen].price - target;
+        target += TARGET_LAMBDA * deviation;
+        variance = (1 - TARGET_LAMBDA) * (variance + TARGET_LAMBDA * deviation * deviation);
+      }
+
+      // Every interval moves the statistic, once
+      for (; lastScored < index; lastScored++) {
+        statistic = STATISTIC_LAMBDA * prices[lastScored + 1].price + (1 - STATISTIC_LAMBDA) * statistic;
+      }
+
+      const sigma = Math.max(Math.sqrt(variance), MIN_SPREAD);
+      const limitSpread = sigma * Math.sqrt(STATISTIC_LAMBDA / (2 - STATISTIC_LAMBDA));
+      const score = createScore(prices[index].price, target, sigma);
+
+      return { ...score, zScore: Math.abs(statistic - target) / limitSpread };
+    };
+  },
+
+  isSpike: exceedsThresholds
+};
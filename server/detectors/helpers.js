@@ -0,0 +1,95 @@
+/**
+ * Shared building blocks for spike detectors
+ */
+
+/**
+ * Floor on a baseline's spread ($/MWh), so a flat stretch of prices does not turn a move of a
+ * few cents into a huge score
+ */
+export const MIN_SPREAD = 1;
+
+/**
+ * Scale that makes the median absolute deviation estimate a normal standard deviation
+ */
+const MAD_SCALE = 1.4826;
+
+/**
+ * Arithmetic mean of a list of numbers
+ * @param {number[]} values - Non-empty list
+ * @returns {number} Mean
+ */
+export const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Population standard deviation of a list of numbers
+ * @param {number[]} values - Non-empty list
+ * @param {number} [center] - Mean, when already known
+ * @returns {number} Standard deviation
+ */
+export const standardDeviation = (values, center = mean(values)) =>
+  Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - center, 2), 0) / values.length);
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Non-empty list
+ * @returns {number} Median
+ */
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Robust spread of a list of numbers: the scaled median absolute deviation, floored at MIN_SPREAD
+ * @param {number[]} values - Non-empty list
+ * @param {number} [center] - Median, when already known
+ * @returns {number} Spread in the units of the values
+ */
+export const robustSpread = (values, center = median(values)) =>
+  Math.max(median(values.map(value => Math.abs(value - center))) * MAD_SCALE, MIN_SPREAD);
+
+/**
+ * Score a price against a baseline
+ * @param {number} price - Interval price ($/MWh)
+ * @param {number} baseline - Expected price ($/MWh)
+ * @param {number} spread - Typical deviation from the baseline ($/MWh)
+ * @returns {{baseline: number, spread: number, zScore: number, magnitude: number, direction: 1|-1}}
+ */
+export const createScore = (price, baseline, spread) => {
+  const magnitude = Math.abs(price - baseline);
+
+  return {
+    baseline,
+    spread,
+    zScore: spread > 0 ? magnitude / spread : 0,
+    magnitude,
+    direction: price >= baseline ? 1 : -1
+  };
+};
+
+/**
+ * Default detection rule: the score clears both the z-score and the magnitude threshold
+ * @param {Object} score - Interval score
+ * @param {Object} config - Resolved thresholds
+ * @returns {boolean} Whether the interval is a spike
+ */
+export const exceedsThresholds = (score, config) =>
+  score.zScore > config.zScoreThreshold && score.magnitude > config.minMagnitude;
+
+/**
+ * Interval start of a price point in epoch milliseconds
+ * @param {{intervalStartUtc?: string, timestamp: string}} pricePoint - Spike analysis price point
+ * @returns {number} Epoch milliseconds
+ */
+export const getIntervalStart = (pricePoint) =>
+  new Date(pricePoint.intervalStartUtc || pricePoint.timestamp).getTime();
+
+/**
+ * Find one location's series in spike analysis data
+ * @param {Array<{location: string, prices: Array}>} [priceData] - Spike analysis data
+ * @param {string} location - Location id
+ * @returns {Array} Price points, empty when the location is missing
+ */
+export const getLocationPrices = (priceData, location) =>
+  priceData?.find(entry => entry.location === location)?.prices || [];
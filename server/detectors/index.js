@@ -0,0 +1,77 @@
+import { ApiError } from '../utils/errors.js';
+import zScore from './zScore.js';
+import medianMad from './medianMad.js';
+import ewma from './ewma.js';
+import seasonal from './seasonal.js';
+import dayAheadDeviation from './dayAheadDeviation.js';
+
+/**
+ * Spike detector module interface
+ *
+ * A detector is a plain object registered with `registerDetector`:
+ * - `id`, `name`, `description`: identity shown to clients; `id` is the `thresholds.method` value
+ * - `defaults`: threshold defaults that replace the analyzer's for this detector (request
+ *   thresholds still win)
+ * - `lookbackDays`: prior operating days of real-time prices the detector reads from `context.history`
+ * - `usesDayAhead`: whether the detector reads the day's day-ahead prices from `context.dayAhead`
+ * - `createScorer({ location, prices, context, config })`: returns `(index, calmPrices) => score|null`
+ *   for one location's series. `calmPrices` are the price points outside any spike so far, oldest
+ *   first; it does not grow while a spike is open, so the baseline stays frozen. A score is
+ *   `{ baseline, spread, zScore, magnitude, direction }`, or null when there is no baseline for
+ *   the interval. Scorers may keep state, and are called with non-decreasing indexes.
+ * - `isSpike(score, config)`: whether a score is a spike
+ */
+const DETECTORS = new Map();
+
+/**
+ * Detector used when a request does not name one
+ */
+export const DEFAULT_DETECTOR = 'zscore';
+
+/**
+ * Register a spike detector
+ * @param {Object} detector - Detector module (see the interface above)
+ * @throws {Error} When the module is missing required fields or the id is taken
+ */
+export const registerDetector = (detector) => {
+  if (!detector?.id || typeof detector.createScorer !== 'function' || typeof detector.isSpike !== 'function') {
+    throw new Error('Detector modules need an id, a createScorer function and an isSpike function');
+  }
+
+  if (DETECTORS.has(detector.id)) {
+    throw new Error(`Detector ${detector.id} is already registered`);
+  }
+
+  DETECTORS.set(detector.id, detector);
+};
+
+[zScore, medianMad, ewma, seasonal, dayAheadDeviation].forEach(registerDetector);
+
+/**
+ * Look up a registered detector
+ * @param {string} [id] - Detector id, the default detector when omitted
+ * @returns {Object} Detector module
+ * @throws {ApiError} 400 when no detector has that id
+ */
+export const getDetector = (id = DEFAULT_DETECTOR) => {
+  const detector = DETECTORS.get(id);
+  if (!detector) {
+    throw new ApiError(`Unknown detection method ${id}. Available: ${[...DETECTORS.keys()].join(', ')}`, 400);
+  }
+  return detector;
+};
+
+/**
+ * Registered detectors without their implementation, for API clients
+ * @returns {Array<Object>} `{ id, name, description, defaults, lookbackDays, usesDayAhead }` per detector
+ */
+export const listDetectors = () => (
+  [...DETECTORS.values()].map(({ id, name, description, defaults = {}, lookbackDays = 0, usesDayAhead = false }) => ({
+    id,
+    name,
+    description,
+    defaults,
+    lookbackDays,
+    usesDayAhead
+  }))
+);
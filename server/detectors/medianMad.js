@@ -0,0 +1,23 @@
+import { median, robustSpread, createScore, exceedsThresholds } from './helpers.js';
+
+const WINDOW_SIZE = 12; // One hour of 5-minute intervals
+
+/**
+ * Rolling median and median absolute deviation
+ * A single outlier in the window moves neither the median nor the MAD, and the spread floor keeps
+ * flat stretches from flagging moves of a few cents.
+ */
+export default {
+  id: 'mad',
+  name: 'Median/MAD',
+  description: 'Robust z-score against the median and median absolute deviation of the last hour outside any spike',
+  defaults: { zScoreThreshold: 3.5 },
+
+  createScorer: ({ prices }) => (index, calmPrices) => {
+    const window = calmPrices.slice(-WINDOW_SIZE).map(p => p.price);
+    const center = median(window);
+    return createScore(prices[index].price, center, robustSpread(window, center));
+  },
+
+  isSpike: exceedsThresholds
+};
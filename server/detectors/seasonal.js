@@ -0,0 +1,45 @@
+import { median, robustSpread, createScore, exceedsThresholds, getIntervalStart, getLocationPrices } from './helpers.js';
+
+const MIN_SAMPLES = 2; // Fewest prior-day prices an hour needs for a baseline
+
+/**
+ * Seasonal baseline from the same hour of prior days
+ * Each interval is scored against the median and MAD of every price the location cleared in the
+ * same local clock hour over the lookback days, so the daily load shape is not mistaken for a spike.
+ * Needs `context.history`: spike analysis data for each prior day.
+ */
+export default {
+  id: 'seasonal',
+  name: 'Seasonal baseline',
+  description: 'Same hour of the prior 7 days, by median and median absolute deviation',
+  defaults: { zScoreThreshold: 3 },
+  lookbackDays: 7,
+
+  createScorer: ({ location, prices, context }) => {
+    // Local clock hour (0-23) of a price point in the market timezone
+    const formatter = new Intl.DateTimeFormat('en-US', { timeZone: context.timezone, hourCycle: 'h23', hour: '2-digit' });
+    const getLocalHour = (pricePoint) => Number(formatter.format(new Date(getIntervalStart(pricePoint))));
+
+    const pricesByHour = new Map();
+    (context.history || []).forEach(day => {
+      getLocationPrices(day, location).forEach(p => {
+        const hour = getLocalHour(p);
+        pricesByHour.set(hour, [...(pricesByHour.get(hour) || []), p.price]);
+      });
+    });
+
+    const baselines = new Map([...pricesByHour]
+      .filter(([, hourPrices]) => hourPrices.length >= MIN_SAMPLES)
+      .map(([hour, hourPrices]) => {
+        const center = median(hourPrices);
+        return [hour, { center, spread: robustSpread(hourPrices, center) }];
+      }));
+
+    return (index) => {
+      const baseline = baselines.get(getLocalHour(prices[index]));
+      return baseline ? createScore(prices[index].price, baseline.center, baseline.spread) : null;
+    };
+  },
+
+  isSpike: exceedsThresholds
+};
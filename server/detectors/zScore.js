@@ -0,0 +1,27 @@
+import { mean, standardDeviation, createScore } from './helpers.js';
+
+const WINDOW_SIZE = 6; // 30 minutes of 5-minute intervals
+
+/**
+ * Rolling z-score, the original detector
+ * Scores each interval against the mean and standard deviation of the last six calm intervals. It
+ * also fires on any move of twice `minMagnitude` regardless of the z-score, so it is sensitive on
+ * flat stretches and follows slow ramps.
+ */
+export default {
+  id: 'zscore',
+  name: 'Rolling z-score',
+  description: 'Mean and standard deviation of the last 30 minutes outside any spike',
+  defaults: {},
+
+  createScorer: ({ prices }) => (index, calmPrices) => {
+    const window = calmPrices.slice(-WINDOW_SIZE).map(p => p.price);
+    const center = mean(window);
+    return createScore(prices[index].price, center, standardDeviation(window, center));
+  },
+
+  // Either a high z-score or a significant magnitude
+  isSpike: (score, config) =>
+    (score.zScore > config.zScoreThreshold && score.magnitude > config.minMagnitude) ||
+    score.magnitude > config.minMagnitude * 2
+};
@@ -0,0 +1,54 @@
+import { timingSafeEqual } from 'crypto';
+import { ApiError } from '../utils/errors.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Read the admin token from `Authorization: Bearer <token>` or `X-Admin-Token`
+ * @param {import('express').Request} req - Express request object
+ * @returns {string|null} Token sent with the request
+ */
+const getRequestToken = (req) => {
+  const authorization = req.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return req.get('X-Admin-Token') || null;
+};
+
+/**
+ * Compare tokens in constant time
+ * @param {string} provided - Token sent with the request
+ * @param {string} expected - Configured admin token
+ * @returns {boolean}
+ */
+const tokensMatch = (provided, expected) => {
+  const providedBuffer = Buffer.from(provided);
+  const expectedBuffer = Buffer.from(expected);
+  return providedBuffer.length === expectedBuffer.length && timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+/**
+ * Require the ADMIN_TOKEN for admin routes
+ * Admin routes are disabled (503) until ADMIN_TOKEN is configured.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const requireAdminToken = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return next(new ApiError('Admin API is disabled. Set ADMIN_TOKEN to enable it.', 503));
+  }
+
+  const provided = getRequestToken(req);
+  if (!provided) {
+    return next(new ApiError('Admin token required', 401, 'Send it as "Authorization: Bearer <token>" or an X-Admin-Token header'));
+  }
+
+  if (!tokensMatch(provided, expected)) {
+    logger.warn(`⚠️  Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}: invalid token`);
+    return next(new ApiError('Invalid admin token', 403));
+  }
+
+  next();
+};
@@ -1,5 +1,91 @@
 import { ApiError } from '../utils/errors.js';
 import { logger } from '../utils/logger.js';
+import { SUPPORTED_ISOS, getISOProfile, getRTIntervalOptions } from '../config/isoProfiles.js';
+import { getLocations, resolveLocations } from '../config/locations.js';
+import { MAX_HOURS_PER_DAY } from '../utils/timezone.js';
+import { GAP_FILL_STRATEGIES } from '../utils/marketData.js';
+import { getBidCurveErrors } from '../utils/trading.js';
+import { getStrategy, listStrategies, getStrategyParamErrors } from '../strategies/index.js';
+import { listDetectors } from '../detectors/index.js';
+
+/**
+ * Longest date range a single backtest may replay
+ */
+const MAX_BACKTEST_DAYS = 31;
+
+/**
+ * Longest date range a single cache prewarm may load
+ */
+const MAX_PREWARM_DAYS = 31;
+
+/**
+ * Cache entry listing sort orders
+ */
+const CACHE_ENTRY_SORTS = ['recent', 'accessCount', 'size', 'age'];
+
+/**
+ * Numeric spike detection thresholds
+ */
+const SPIKE_THRESHOLD_FIELDS = ['minMagnitude', 'minDuration', 'spatialRadius', 'zScoreThreshold'];
+
+/**
+ * Check a single bid's structure, location and curve
+ * @param {Object} bid - Bid from the request body
+ * @param {number} i - Bid index, used in error messages
+ * @param {Object} priceLimits - ISO bid floor/cap
+ * @param {Array} locations - ISO locations from the location registry
+ * @returns {ApiError|null} First validation error, or null when the bid is valid
+ */
+const getBidError = (bid, i, priceLimits, locations) => {
+  if (!bid.id || typeof bid.id !== 'string') {
+    return new ApiError(`Bid ${i}: id is required and must be a string`, 400);
+  }
+  
+  if (!Number.isInteger(bid.hour) || bid.hour < 0 || bid.hour >= MAX_HOURS_PER_DAY) {
+    return new ApiError(`Bid ${i}: hour must be an operating-day hour index between 0 and ${MAX_HOURS_PER_DAY - 1}`, 400);
+  }
+  
+  if (!['buy', 'sell'].includes(bid.type)) {
+    return new ApiError(`Bid ${i}: type must be 'buy' or 'sell'`, 400);
+  }
+  
+  // Bids settle at a registered location; the controller adds it to the fetched set
+  if (bid.location !== undefined && !locations.some(location => location.id === bid.location)) {
+    return new ApiError(`Bid ${i}: location must be one of ${locations.map(location => location.id).join(', ')}`, 400);
+  }
+  
+  // Segment count, price floor/cap and curve monotonicity
+  const curveErrors = getBidCurveErrors(bid, priceLimits);
+  if (curveErrors.length > 0) {
+    return new ApiError(`Bid ${i}: ${curveErrors[0]}`, 400, curveErrors.join('; '));
+  }
+  
+  return null;
+};
+
+/**
+ * Check a strategy reference `{ id, params }` against the strategy registry
+ * @param {Object} strategy - Strategy id and params from the request body
+ * @param {Object} profile - ISO profile (its registry locations check location params)
+ * @returns {ApiError|null} First validation error, or null when the strategy is valid
+ */
+const getStrategyError = (strategy, profile) => {
+  if (!strategy || typeof strategy !== 'object' || Array.isArray(strategy)) {
+    return new ApiError('Strategy must be an object', 400);
+  }
+  
+  const available = listStrategies().map(s => s.id);
+  if (!available.includes(strategy.id)) {
+    return new ApiError(`Strategy id must be one of ${available.join(', ')}`, 400);
+  }
+  
+  const paramErrors = getStrategyParamErrors(getStrategy(strategy.id), strategy.params, profile);
+  if (paramErrors.length > 0) {
+    return new ApiError(`Strategy ${strategy.id}: ${paramErrors[0]}`, 400, paramErrors.join('; '));
+  }
+  
+  return null;
+};
 
 /**
  * Validate date parameter format (YYYY-MM-DD)
@@ -44,9 +130,8 @@ export const validateISOQuery = (req, res, next) => {
   const { iso } = req.query;
   
   if (iso) {
-    const validISOs = ['CAISO', 'ERCOT', 'ISONE', 'MISO', 'NYISO', 'PJM', 'SPP'];
-    if (!validISOs.includes(iso.toUpperCase())) {
-      return next(new ApiError(`Invalid ISO: ${iso}. Valid ISOs are: ${validISOs.join(', ')}`, 400));
+    if (!SUPPORTED_ISOS.includes(iso.toUpperCase())) {
+      return next(new ApiError(`Invalid ISO: ${iso}. Valid ISOs are: ${SUPPORTED_ISOS.join(', ')}`, 400));
     }
     req.query.iso = iso.toUpperCase();
   }
@@ -54,6 +139,83 @@ export const validateISOQuery = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate the real-time interval query parameter against the ISO's RT markets
+ * Runs after validateISOQuery; converts rtInterval to a number of minutes
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateRTIntervalQuery = (req, res, next) => {
+  const { rtInterval, iso = 'CAISO' } = req.query;
+  
+  if (rtInterval !== undefined) {
+    const intervalOptions = getRTIntervalOptions(getISOProfile(iso));
+    const minutes = Number(rtInterval);
+    
+    if (!intervalOptions.includes(minutes)) {
+      return next(new ApiError(`Invalid rtInterval: ${rtInterval}. ${iso} real-time intervals are: ${intervalOptions.join(', ')} minutes`, 400));
+    }
+    req.query.rtInterval = minutes;
+  }
+  
+  next();
+};
+
+/**
+ * Validate the locations query parameter against the location registry
+ * Runs after validateISOQuery; accepts a comma-separated list (or repeated parameter) and
+ * converts it to an array of location ids. Omitting it selects the ISO's default locations.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateLocationsQuery = (req, res, next) => {
+  const { locations, iso = 'CAISO' } = req.query;
+  
+  if (locations !== undefined) {
+    const ids = [].concat(locations)
+      .flatMap(value => String(value).split(','))
+      .map(id => id.trim())
+      .filter(Boolean);
+    
+    if (ids.length === 0) {
+      return next(new ApiError('locations must list at least one location id', 400));
+    }
+    
+    try {
+      req.query.locations = resolveLocations(iso, ids);
+    } catch (error) {
+      return next(error);
+    }
+  }
+  
+  next();
+};
+
+/**
+ * Validate gap filling query parameters (gapFill, requireActualData)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateGapFillQuery = (req, res, next) => {
+  const { gapFill, requireActualData } = req.query;
+  
+  if (gapFill) {
+    if (!GAP_FILL_STRATEGIES.includes(gapFill.toLowerCase())) {
+      return next(new ApiError(`Invalid gapFill: ${gapFill}. Valid strategies are: ${GAP_FILL_STRATEGIES.join(', ')}`, 400));
+    }
+    req.query.gapFill = gapFill.toLowerCase();
+  }
+  
+  if (requireActualData !== undefined && !['true', 'false'].includes(requireActualData)) {
+    return next(new ApiError('requireActualData must be true or false', 400));
+  }
+  
+  next();
+};
+
 /**
  * Validate trade simulation request body
  * @param {import('express').Request} req - Express request object
@@ -62,6 +224,8 @@ export const validateISOQuery = (req, res, next) => {
  */
 export const validateTradeSimulation = (req, res, next) => {
   const { bids, date } = req.body;
+  const { iso, priceLimits } = getISOProfile(req.query.iso);
+  const locations = getLocations(iso);
   
   if (!bids || !Array.isArray(bids) || bids.length === 0) {
     return next(new ApiError('Bids array is required and must not be empty', 400));
@@ -73,27 +237,91 @@ export const validateTradeSimulation = (req, res, next) => {
   
   // Validate each bid
   for (let i = 0; i < bids.length; i++) {
-    const bid = bids[i];
-    
-    if (!bid.id || typeof bid.id !== 'string') {
-      return next(new ApiError(`Bid ${i}: id is required and must be a string`, 400));
+    const bidError = getBidError(bids[i], i, priceLimits, locations);
+    if (bidError) {
+      return next(bidError);
     }
-    
-    if (typeof bid.hour !== 'number' || bid.hour < 0 || bid.hour > 23) {
-      return next(new ApiError(`Bid ${i}: hour must be a number between 0 and 23`, 400));
+  }
+  
+  next();
+};
+
+/**
+ * Validate backtest request body
+ * Expects a date range plus exactly one of a fixed bid set (replayed every day) or a registered strategy `{ id, params }`
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateBacktest = (req, res, next) => {
+  const { startDate, endDate, bids, strategy } = req.body;
+  const profile = getISOProfile(req.query.iso);
+  const { priceLimits } = profile;
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (!value || !dateRegex.test(value) || isNaN(new Date(value).getTime())) {
+      return next(new ApiError(`${name} is required in YYYY-MM-DD format`, 400));
     }
-    
-    if (!['buy', 'sell'].includes(bid.type)) {
-      return next(new ApiError(`Bid ${i}: type must be 'buy' or 'sell'`, 400));
+  }
+  
+  const rangeDays = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+  if (rangeDays < 1) {
+    return next(new ApiError('startDate must not be after endDate', 400));
+  }
+  
+  if (rangeDays > MAX_BACKTEST_DAYS) {
+    return next(new ApiError(`Backtest range must not exceed ${MAX_BACKTEST_DAYS} days`, 400));
+  }
+  
+  if ((bids === undefined) === (strategy === undefined)) {
+    return next(new ApiError('Provide exactly one of a bids array or a strategy', 400));
+  }
+  
+  if (strategy !== undefined) {
+    const strategyError = getStrategyError(strategy, profile);
+    if (strategyError) {
+      return next(strategyError);
     }
-    
-    if (typeof bid.price !== 'number' || bid.price < 0) {
-      return next(new ApiError(`Bid ${i}: price must be a positive number`, 400));
+    return next();
+  }
+  
+  if (!Array.isArray(bids) || bids.length === 0) {
+    return next(new ApiError('Bids array must not be empty', 400));
+  }
+  
+  for (let i = 0; i < bids.length; i++) {
+    const bidError = getBidError(bids[i], i, priceLimits, getLocations(profile.iso));
+    if (bidError) {
+      return next(bidError);
     }
-    
-    if (typeof bid.quantity !== 'number' || bid.quantity <= 0) {
-      return next(new ApiError(`Bid ${i}: quantity must be a positive number`, 400));
+  }
+  
+  next();
+};
+
+/**
+ * Validate a strategy run: the `:id` route param names a registered strategy and the body
+ * carries `{ date, params }`
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateStrategyRun = (req, res, next) => {
+  const { date, params } = req.body;
+  
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+    return next(new ApiError('date is required in YYYY-MM-DD format', 400));
+  }
+  
+  try {
+    const strategy = getStrategy(req.params.id);
+    const paramErrors = getStrategyParamErrors(strategy, params, getISOProfile(req.query.iso));
+    if (paramErrors.length > 0) {
+      return next(new ApiError(`Strategy ${strategy.id}: ${paramErrors[0]}`, 400, paramErrors.join('; ')));
     }
+  } catch (error) {
+    return next(error);
   }
   
   next();
@@ -116,6 +344,17 @@ export const validateSpikeAnalysis = (req, res, next) => {
     return next(new ApiError('Thresholds must be an object', 400));
   }
   
+  const invalidThreshold = SPIKE_THRESHOLD_FIELDS.find(field =>
+    thresholds?.[field] !== undefined && !(typeof thresholds[field] === 'number' && thresholds[field] >= 0));
+  if (invalidThreshold) {
+    return next(new ApiError(`Threshold ${invalidThreshold} must be a non-negative number`, 400));
+  }
+  
+  const methods = listDetectors().map(detector => detector.id);
+  if (thresholds?.method !== undefined && !methods.includes(thresholds.method)) {
+    return next(new ApiError(`Invalid detection method. Must be one of: ${methods.join(', ')}`, 400));
+  }
+  
   next();
 };
 
@@ -151,3 +390,109 @@ export const validateAIAnalysis = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate whole-day grid events analysis request body
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateGridEventsAnalysis = (req, res, next) => {
+  const { spikes, llmConfig } = req.body;
+  
+  if (!Array.isArray(spikes) || spikes.length === 0) {
+    return next(new ApiError('A non-empty spikes array is required', 400));
+  }
+  
+  if (spikes.some(spike => !spike || typeof spike !== 'object')) {
+    return next(new ApiError('Each spike must be an object', 400));
+  }
+  
+  if (!llmConfig || typeof llmConfig !== 'object') {
+    return next(new ApiError('LLM configuration object is required', 400));
+  }
+  
+  if (!llmConfig.provider || typeof llmConfig.provider !== 'string') {
+    return next(new ApiError('LLM provider is required', 400));
+  }
+  
+  if (!llmConfig.model || typeof llmConfig.model !== 'string') {
+    return next(new ApiError('LLM model is required', 400));
+  }
+  
+  next();
+};
+
+/**
+ * Validate cache entry listing query parameters (prefix, sortBy, limit)
+ * Converts limit to a number
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateCacheEntriesQuery = (req, res, next) => {
+  const { sortBy, limit } = req.query;
+  
+  if (sortBy !== undefined && !CACHE_ENTRY_SORTS.includes(sortBy)) {
+    return next(new ApiError(`Invalid sortBy: ${sortBy}. Valid orders are: ${CACHE_ENTRY_SORTS.join(', ')}`, 400));
+  }
+  
+  if (limit !== undefined) {
+    const count = Number(limit);
+    if (!Number.isInteger(count) || count < 1 || count > 1000) {
+      return next(new ApiError('limit must be a whole number between 1 and 1000', 400));
+    }
+    req.query.limit = count;
+  }
+  
+  next();
+};
+
+/**
+ * Validate cache invalidation filters (date, iso, prefix)
+ * Every filter is optional; together they narrow the entries removed
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateCacheInvalidation = (req, res, next) => {
+  const { date, prefix } = req.query;
+  
+  if (date !== undefined && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime()))) {
+    return next(new ApiError('date must be in YYYY-MM-DD format', 400));
+  }
+  
+  if (prefix !== undefined && (typeof prefix !== 'string' || prefix.length === 0)) {
+    return next(new ApiError('prefix must be a non-empty string', 400));
+  }
+  
+  next();
+};
+
+/**
+ * Validate a cache prewarm request body (startDate, endDate)
+ * Runs after validateISOQuery, validateRTIntervalQuery and validateLocationsQuery
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validateCachePrewarm = (req, res, next) => {
+  const { startDate, endDate } = req.body;
+  
+  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+  for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+    if (!value || !dateRegex.test(value) || isNaN(new Date(value).getTime())) {
+      return next(new ApiError(`${name} is required in YYYY-MM-DD format`, 400));
+    }
+  }
+  
+  const rangeDays = Math.round((new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000)) + 1;
+  if (rangeDays < 1) {
+    return next(new ApiError('startDate must not be after endDate', 400));
+  }
+  
+  if (rangeDays > MAX_PREWARM_DAYS) {
+    return next(new ApiError(`Prewarm range must not exceed ${MAX_PREWARM_DAYS} days`, 400));
+  }
+  
+  next();
+};
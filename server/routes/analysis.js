@@ -1,13 +1,18 @@
 import { Router } from 'express';
 import { 
   getAIProviders, 
+  getSpikeDetectors,
   analyzeSpikes, 
-  performAIAnalysis 
+  performAIAnalysis,
+  analyzeGridEvents
 } from '../controllers/analysisController.js';
 import { 
   validateDateParam, 
+  validateISOQuery,
+  validateLocationsQuery,
   validateSpikeAnalysis, 
-  validateAIAnalysis 
+  validateAIAnalysis,
+  validateGridEventsAnalysis
 } from '../middleware/validation.js';
 
 const router = Router();
@@ -19,6 +24,13 @@ const router = Router();
  */
 router.get('/ai-providers', getAIProviders);
 
+/**
+ * @route GET /api/analysis/detectors
+ * @desc List spike detection methods for `thresholds.method`
+ * @access Public
+ */
+router.get('/detectors', getSpikeDetectors);
+
 /**
  * @route POST /api/analysis/spikes/:date
  * @desc Analyze price spikes for a specific date
@@ -26,6 +38,8 @@ router.get('/ai-providers', getAIProviders);
  */
 router.post('/spikes/:date',
   validateDateParam,
+  validateISOQuery,
+  validateLocationsQuery,
   validateSpikeAnalysis,
   analyzeSpikes
 );
@@ -40,4 +54,16 @@ router.post('/ai',
   performAIAnalysis
 );
 
+/**
+ * @route POST /api/analysis/grid-events/:date
+ * @desc Assess a whole day's spikes with AI: grid events and overall system condition
+ * @access Public
+ */
+router.post('/grid-events/:date',
+  validateDateParam,
+  validateISOQuery,
+  validateGridEventsAnalysis,
+  analyzeGridEvents
+);
+
 export default router;
\ No newline at end of file
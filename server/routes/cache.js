@@ -1,20 +1,66 @@
 import { Router } from 'express';
-import { getCacheStats, clearCache } from '../controllers/cacheController.js';
+import { getCacheStats, getCacheEntries, clearCache, prewarmCache, getPrewarmJob, listPrewarmJobs } from '../controllers/cacheController.js';
+import { requireAdminToken } from '../middleware/adminAuth.js';
+import {
+  validateISOQuery,
+  validateRTIntervalQuery,
+  validateLocationsQuery,
+  validateCacheEntriesQuery,
+  validateCacheInvalidation,
+  validateCachePrewarm
+} from '../middleware/validation.js';
 
 const router = Router();
 
+// Every cache route is an admin route
+router.use(requireAdminToken);
+
 /**
  * @route GET /api/cache/stats
- * @desc Get cache statistics
- * @access Public
+ * @desc Get cache statistics (hit rate, stale hits, evictions, memory, in-flight loads)
+ * @access Admin
  */
 router.get('/stats', getCacheStats);
 
+/**
+ * @route GET /api/cache/entries
+ * @desc List cache entries with key, size, age and access count
+ * @access Admin
+ */
+router.get('/entries', validateCacheEntriesQuery, getCacheEntries);
+
 /**
  * @route DELETE /api/cache
- * @desc Clear cache
- * @access Public
+ * @desc Clear cache, or only entries matching the date, iso and prefix query filters
+ * @access Admin
+ */
+router.delete('/', validateISOQuery, validateCacheInvalidation, clearCache);
+
+/**
+ * @route POST /api/cache/prewarm
+ * @desc Load a date range of market prices into the cache in the background
+ * @access Admin
+ */
+router.post('/prewarm',
+  validateISOQuery,
+  validateRTIntervalQuery,
+  validateLocationsQuery,
+  validateCachePrewarm,
+  prewarmCache
+);
+
+/**
+ * @route GET /api/cache/prewarm
+ * @desc List recent prewarm jobs
+ * @access Admin
+ */
+router.get('/prewarm', listPrewarmJobs);
+
+/**
+ * @route GET /api/cache/prewarm/:jobId
+ * @desc Get a prewarm job's progress
+ * @access Admin
  */
-router.delete('/', clearCache);
+router.get('/prewarm/:jobId', getPrewarmJob);
 
-export default router;
\ No newline at end of file
+export default router;
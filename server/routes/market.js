@@ -1,6 +1,6 @@
 import { Router } from 'express';
-import { getMarketData, getAvailableDatasets } from '../controllers/marketController.js';
-import { validateDateParam, validateISOQuery } from '../middleware/validation.js';
+import { getMarketData, getAncillaryData, getFundamentalsData, getAvailableDatasets, getISOProfiles, getMarketLocations } from '../controllers/marketController.js';
+import { validateDateParam, validateISOQuery, validateGapFillQuery, validateRTIntervalQuery, validateLocationsQuery } from '../middleware/validation.js';
 
 const router = Router();
 
@@ -12,14 +12,53 @@ const router = Router();
 router.get('/data/:date', 
   validateDateParam,
   validateISOQuery,
+  validateRTIntervalQuery,
+  validateGapFillQuery,
+  validateLocationsQuery,
   getMarketData
 );
 
+/**
+ * @route GET /api/market/ancillary/:date
+ * @desc Get hourly ancillary service prices (regulation up/down, spinning and non-spinning reserves) for a specific date
+ * @access Public
+ */
+router.get('/ancillary/:date',
+  validateDateParam,
+  validateISOQuery,
+  getAncillaryData
+);
+
+/**
+ * @route GET /api/market/fundamentals/:date
+ * @desc Get hourly system load, load forecast, fuel mix and net load for a specific date
+ * @access Public
+ */
+router.get('/fundamentals/:date',
+  validateDateParam,
+  validateISOQuery,
+  getFundamentalsData
+);
+
+/**
+ * @route GET /api/market/isos
+ * @desc Get supported ISO market profiles (default and registered locations, timezone, RT interval, DA deadline)
+ * @access Public
+ */
+router.get('/isos', getISOProfiles);
+
+/**
+ * @route GET /api/market/locations
+ * @desc Get the ISO's location registry (name, type, region, coordinates, defaults)
+ * @access Public
+ */
+router.get('/locations', validateISOQuery, getMarketLocations);
+
 /**
  * @route GET /api/market/datasets
  * @desc Get available datasets from GridStatus API
  * @access Public
  */
-router.get('/datasets', getAvailableDatasets);
+router.get('/datasets', validateISOQuery, getAvailableDatasets);
 
 export default router;
\ No newline at end of file
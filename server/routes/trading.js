@@ -1,6 +1,6 @@
 import { Router } from 'express';
-import { simulateTrades } from '../controllers/tradingController.js';
-import { validateTradeSimulation } from '../middleware/validation.js';
+import { simulateTrades, runBacktest, getStrategies, runStrategy } from '../controllers/tradingController.js';
+import { validateTradeSimulation, validateBacktest, validateStrategyRun, validateISOQuery, validateGapFillQuery, validateRTIntervalQuery, validateLocationsQuery } from '../middleware/validation.js';
 
 const router = Router();
 
@@ -10,8 +10,47 @@ const router = Router();
  * @access Public
  */
 router.post('/simulate',
+  validateISOQuery,
+  validateRTIntervalQuery,
+  validateGapFillQuery,
+  validateLocationsQuery,
   validateTradeSimulation,
   simulateTrades
 );
 
+/**
+ * @route POST /api/trading/backtest
+ * @desc Backtest a bid set or strategy over a date range
+ * @access Public
+ */
+router.post('/backtest',
+  validateISOQuery,
+  validateRTIntervalQuery,
+  validateGapFillQuery,
+  validateLocationsQuery,
+  validateBacktest,
+  runBacktest
+);
+
+/**
+ * @route GET /api/trading/strategies
+ * @desc List registered bidding strategies and their parameters
+ * @access Public
+ */
+router.get('/strategies', getStrategies);
+
+/**
+ * @route POST /api/trading/strategies/:id/run
+ * @desc Generate bids with a strategy and simulate them
+ * @access Public
+ */
+router.post('/strategies/:id/run',
+  validateISOQuery,
+  validateRTIntervalQuery,
+  validateGapFillQuery,
+  validateLocationsQuery,
+  validateStrategyRun,
+  runStrategy
+);
+
 export default router;
\ No newline at end of file
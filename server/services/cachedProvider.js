@@ -0,0 +1,208 @@
+import { getISOProfile } from '../config/isoProfiles.js';
+import { getDefaultLocations } from '../config/locations.js';
+import { addDays } from '../utils/timezone.js';
+
+/**
+ * Cache key for raw market price records
+ */
+export const CACHE_KEY_MARKET_PRICES = 'market-prices';
+
+/**
+ * Cache key for market data transformed for one timezone, gap fill and location set
+ */
+export const CACHE_KEY_MARKET_DATA = 'market-data';
+
+/**
+ * Cache key params for one day's transformed market data
+ * @param {string} date - Operating date (YYYY-MM-DD)
+ * @param {string} iso - ISO identifier
+ * @param {string} timezone - Display timezone
+ * @param {{gapFill: string, rtIntervalMinutes: number|string, locations: string[]}} options - Transform options
+ * @returns {Object}
+ */
+export const getMarketDataCacheParams = (date, iso, timezone, { gapFill, rtIntervalMinutes, locations }) => ({
+  date,
+  iso: getISOProfile(iso).iso,
+  timezone,
+  gapFill,
+  rtIntervalMinutes: Number(rtIntervalMinutes),
+  locations: locations.join(',')
+});
+
+/**
+ * Cache key for raw ancillary service price records
+ */
+export const CACHE_KEY_ANCILLARY_PRICES = 'ancillary-prices';
+
+/**
+ * Cache key for raw load, load forecast and fuel mix records
+ */
+export const CACHE_KEY_FUNDAMENTALS = 'fundamentals';
+
+/**
+ * Market data provider that keeps raw price records in the shared data cache
+ * Entries are keyed by date, ISO, RT interval and location set only, so every timezone view,
+ * gap-fill strategy and controller (market data, trading, spike analysis) is derived from the
+ * same upstream fetch. Concurrent requests for the same day share one fetch. Reloading a day's
+ * records drops the transformed market data built from them (`market-data`), including the next
+ * day's, which reads this day for previous-day gap filling.
+ * @implements {import('./gridstatus.js').MarketDataProvider}
+ */
+class CachedMarketDataProvider {
+  /**
+   * @param {import('./gridstatus.js').MarketDataProvider} upstream - Provider used on cache misses
+   * @param {import('./dataCache.js').default} dataCache - Shared data cache
+   */
+  constructor(upstream, dataCache) {
+    this.upstream = upstream;
+    this.dataCache = dataCache;
+    this.providerName = upstream.providerName;
+    this.recordDir = upstream.recordDir || null;
+  }
+
+  /**
+   * Cache key params for one day's raw records
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} iso - ISO identifier
+   * @param {number} rtIntervalMinutes - RT interval length
+   * @param {string[]} locations - Registry location ids
+   * @returns {{date: string, iso: string, rtIntervalMinutes: number, locations: string}}
+   */
+  getCacheParams(date, iso, rtIntervalMinutes, locations) {
+    return { date, iso: getISOProfile(iso).iso, rtIntervalMinutes, locations: locations.join(',') };
+  }
+
+  /**
+   * Load a day's records from upstream and drop the transformed market data derived from them
+   */
+  async loadMarketPrices(date, iso, options) {
+    const prices = await this.upstream.getMarketPrices(date, iso, options);
+    [date, addDays(date, 1)].forEach(derivedDate => {
+      this.dataCache.invalidate({ date: derivedDate, iso: getISOProfile(iso).iso, prefix: CACHE_KEY_MARKET_DATA });
+    });
+    return prices;
+  }
+
+  /**
+   * Get both day-ahead and real-time prices, from the cache when available
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options] - Upstream options (`rtIntervalMinutes`, `locations`, `priority`, `refresh`)
+   * @returns {Promise<{dayAheadData: Array, realTimeData: Array, pagination?: Object, source?: string}>} Records, with `source: 'cache'` when served from the cache
+   */
+  async getMarketPrices(date, iso = 'CAISO', options = {}) {
+    const rtIntervalMinutes = options.rtIntervalMinutes || getISOProfile(iso).rtIntervalMinutes;
+    const locations = options.locations?.length ? options.locations : getDefaultLocations(iso).map(location => location.id);
+    const upstreamOptions = { ...options, rtIntervalMinutes, locations };
+
+    if (options.refresh) {
+      const prices = await this.loadMarketPrices(date, iso, upstreamOptions);
+      this.dataCache.set(CACHE_KEY_MARKET_PRICES, this.getCacheParams(date, iso, rtIntervalMinutes, locations), prices);
+      return prices;
+    }
+
+    const { data, status } = await this.dataCache.getOrLoad(
+      CACHE_KEY_MARKET_PRICES,
+      this.getCacheParams(date, iso, rtIntervalMinutes, locations),
+      () => this.loadMarketPrices(date, iso, upstreamOptions)
+    );
+
+    return status === 'loaded' ? data : { ...data, source: 'cache' };
+  }
+
+  /**
+   * Get hourly ancillary service prices, from the cache when available
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options] - Upstream options (`priority`, `refresh`)
+   * @returns {Promise<{ancillaryData: Array, pagination?: Object, source?: string}>} Records, with `source: 'cache'` when served from the cache
+   */
+  async getAncillaryPrices(date, iso = 'CAISO', options = {}) {
+    const params = { date, iso: getISOProfile(iso).iso };
+
+    if (options.refresh) {
+      const prices = await this.upstream.getAncillaryPrices(date, iso, options);
+      this.dataCache.set(CACHE_KEY_ANCILLARY_PRICES, params, prices);
+      return prices;
+    }
+
+    const { data, status } = await this.dataCache.getOrLoad(
+      CACHE_KEY_ANCILLARY_PRICES,
+      params,
+      () => this.upstream.getAncillaryPrices(date, iso, options)
+    );
+
+    return status === 'loaded' ? data : { ...data, source: 'cache' };
+  }
+
+  /**
+   * Get system load, load forecast and fuel mix, from the cache when available
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options] - Upstream options (`priority`, `refresh`)
+   * @returns {Promise<{load: Array, loadForecast: Array, fuelMix: Array, pagination?: Object, source?: string}>} Records, with `source: 'cache'` when served from the cache
+   */
+  async getFundamentals(date, iso = 'CAISO', options = {}) {
+    const params = { date, iso: getISOProfile(iso).iso };
+
+    if (options.refresh) {
+      const fundamentals = await this.upstream.getFundamentals(date, iso, options);
+      this.dataCache.set(CACHE_KEY_FUNDAMENTALS, params, fundamentals);
+      return fundamentals;
+    }
+
+    const { data, status } = await this.dataCache.getOrLoad(
+      CACHE_KEY_FUNDAMENTALS,
+      params,
+      () => this.upstream.getFundamentals(date, iso, options)
+    );
+
+    return status === 'loaded' ? data : { ...data, source: 'cache' };
+  }
+
+  /**
+   * Get day-ahead prices for a specific date
+   */
+  async getDayAheadPrices(date, iso = 'CAISO') {
+    const { dayAheadData } = await this.getMarketPrices(date, iso);
+    return dayAheadData;
+  }
+
+  /**
+   * Get real-time prices for a specific date
+   */
+  async getRealTimePrices(date, iso = 'CAISO', options = {}) {
+    const { realTimeData } = await this.getMarketPrices(date, iso, options);
+    return realTimeData;
+  }
+
+  /**
+   * List available datasets from the upstream provider
+   */
+  async getAvailableDatasets() {
+    return this.upstream.getAvailableDatasets();
+  }
+
+  /**
+   * Test the upstream connection
+   */
+  async testConnection() {
+    return this.upstream.testConnection();
+  }
+
+  /**
+   * Get upstream API usage statistics
+   */
+  async getUsageStats() {
+    return this.upstream.getUsageStats();
+  }
+
+  /**
+   * Get the upstream request queue and circuit breaker state
+   */
+  getRequestQueueStats() {
+    return this.upstream.getRequestQueueStats();
+  }
+}
+
+export default CachedMarketDataProvider;
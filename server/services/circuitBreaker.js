@@ -0,0 +1,114 @@
+import { logger } from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * Treat network errors, rate limits and 5xx responses as upstream failures
+ * Other errors (a 404 for a missing day, a 401 for a bad key) mean the upstream answered.
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean}
+ */
+const isUpstreamFailure = (error) => {
+  const status = error.response?.status ?? error.statusCode;
+  return status === undefined || status === 429 || status >= 500;
+};
+
+/**
+ * Circuit breaker for an upstream API
+ * After `failureThreshold` consecutive failures the circuit opens and requests fail fast with
+ * a 503 instead of queueing behind an upstream that is down. Once `cooldownMs` has passed,
+ * the next request is let through as a trial: success closes the circuit, failure reopens it.
+ */
+class CircuitBreaker {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] - Upstream name used in errors and logs
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs] - Time the circuit stays open before a trial request
+   * @param {(error: Error) => boolean} [options.isFailure] - Which errors count as upstream failures
+   */
+  constructor({ name = 'Upstream API', failureThreshold = 5, cooldownMs = 30000, isFailure = isUpstreamFailure } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.isFailure = isFailure;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Whether requests should fail fast right now
+   * @returns {boolean} True while open and cooling down
+   */
+  isOpen() {
+    return this.state === 'open' && Date.now() < this.openedAt + this.cooldownMs;
+  }
+
+  /**
+   * Check whether a request may run, moving an open circuit to half-open after the cooldown
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && !this.isOpen()) {
+      this.state = 'half-open';
+      logger.info(`🔌 ${this.name} circuit half-open, sending a trial request`);
+    }
+    return this.state !== 'open';
+  }
+
+  /**
+   * Record the outcome of a request
+   * @param {Error|null} error - Error thrown by the request, or null on success
+   */
+  record(error) {
+    if (!error || !this.isFailure(error)) {
+      if (this.state !== 'closed') {
+        logger.info(`✅ ${this.name} circuit closed after a successful request`);
+      }
+      this.state = 'closed';
+      this.consecutiveFailures = 0;
+      return;
+    }
+
+    this.consecutiveFailures++;
+    this.lastError = error.message;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.error(`🔌 ${this.name} circuit open after ${this.consecutiveFailures} consecutive failures, failing fast for ${this.cooldownMs}ms`);
+    }
+  }
+
+  /**
+   * Error returned to callers while the circuit is open
+   * @returns {ApiError} 503 naming when requests resume
+   */
+  createOpenError() {
+    const retryAt = new Date(this.openedAt + this.cooldownMs).toISOString();
+    return new ApiError(
+      `${this.name} is unavailable after ${this.consecutiveFailures} consecutive failures. Requests resume after ${retryAt}.`,
+      503,
+      this.lastError
+    );
+  }
+
+  /**
+   * Breaker state for health checks
+   * @returns {{state: string, consecutiveFailures: number, failureThreshold: number, cooldownMs: number, openedAt: string|null, retryAt: string|null, lastError: string|null}}
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+export default CircuitBreaker;
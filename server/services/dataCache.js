@@ -1,19 +1,35 @@
 /**
  * Simple in-memory cache to avoid hitting API rate limits
+ * Entries are kept in least-recently-used order, so the entry and byte caps evict the entries
+ * that have gone unread the longest.
  */
 class DataCache {
   /**
    * Create a new data cache
    * @param {number} ttlMinutes - Time to live in minutes
+   * @param {Object} [options]
+   * @param {number} [options.staleMinutes] - How long past its TTL `getOrLoad` serves an entry while refreshing it
+   * @param {number} [options.maxEntries] - Most entries kept before LRU eviction
+   * @param {number} [options.maxBytes] - Estimated size cap before LRU eviction
    */
-  constructor(ttlMinutes = 60) {
+  constructor(ttlMinutes = 60, { staleMinutes = 0, maxEntries = Infinity, maxBytes = Infinity } = {}) {
     this.cache = new Map();
+    this.loads = new Map();
     this.ttl = ttlMinutes * 60 * 1000; // Convert to milliseconds
+    this.staleTtl = staleMinutes * 60 * 1000;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
     this.stats = {
       hits: 0,
       misses: 0,
       sets: 0,
-      deletes: 0
+      deletes: 0,
+      evictions: 0,
+      staleHits: 0,
+      loads: 0,
+      coalesced: 0,
+      refreshFailures: 0
     };
   }
 
@@ -30,7 +46,7 @@ class DataCache {
         result[key] = params[key];
         return result;
       }, {});
-    
+
     return `${endpoint}_${JSON.stringify(sortedParams)}`;
   }
 
@@ -39,19 +55,61 @@ class DataCache {
    * @param {string} endpoint - API endpoint
    * @param {Object} params - Request parameters
    * @param {*} data - Data to cache
+   * @returns {boolean} False when the data cannot be cached
    */
   set(endpoint, params, data) {
-    const key = this.generateKey(endpoint, params);
-    const expiry = Date.now() + this.ttl;
-    
-    this.cache.set(key, { 
-      data, 
-      expiry, 
-      createdAt: Date.now(),
-      accessCount: 0
+    return this.store(this.generateKey(endpoint, params), data, { endpoint, params });
+  }
+
+  /**
+   * Store data under a generated key, evicting least-recently-used entries over the caps
+   * @param {string} key - Cache key
+   * @param {*} data - Data to cache
+   * @param {{endpoint: string, params: Object}} source - Endpoint and params the key was generated from, kept for invalidation
+   * @returns {boolean} False when the data is empty, unserializable or larger than the byte cap
+   */
+  store(key, data, { endpoint, params }) {
+    if (data === null || data === undefined) {
+      return false;
+    }
+
+    // Serializing both sizes the entry and rejects data with circular references
+    let size;
+    try {
+      const serialized = JSON.stringify(data);
+      // Check if serialized data is too large (>1MB suggests potential issue)
+      if (serialized.length > 1024 * 1024) {
+        console.warn(`⚠️  Cache entry ${key} is very large (${serialized.length} chars), consider optimization`);
+      }
+      size = (key.length + serialized.length) * 2; // Approximate string size
+    } catch (serializationError) {
+      console.warn(`⚠️  Not caching ${key}: ${serializationError.message}`);
+      return false;
+    }
+
+    if (size > this.maxBytes) {
+      console.warn(`⚠️  Not caching ${key}: ${size} bytes exceeds the ${this.maxBytes}-byte cache limit`);
+      return false;
+    }
+
+    this.remove(key);
+    const now = Date.now();
+    this.cache.set(key, {
+      data,
+      endpoint,
+      params,
+      expiry: now + this.ttl,
+      staleUntil: now + this.ttl + this.staleTtl,
+      createdAt: now,
+      lastAccessed: now,
+      accessCount: 0,
+      size
     });
-    
+    this.bytes += size;
     this.stats.sets++;
+
+    this.evict();
+    return true;
   }
 
   /**
@@ -63,57 +121,128 @@ class DataCache {
   get(endpoint, params) {
     const key = this.generateKey(endpoint, params);
     const cached = this.cache.get(key);
-    
-    if (!cached) {
-      this.stats.misses++;
-      return null;
-    }
-    
-    if (Date.now() > cached.expiry) {
-      this.cache.delete(key);
+    const now = Date.now();
+
+    if (!cached || now > cached.expiry) {
+      // Expired entries stay until their stale window ends, for getOrLoad to serve
+      if (cached && now > cached.staleUntil) {
+        this.remove(key);
+        this.stats.deletes++;
+      }
       this.stats.misses++;
-      this.stats.deletes++;
       return null;
     }
-    
-    // Validate cached data integrity
-    try {
-      if (cached.data === null || cached.data === undefined) {
-        this.cache.delete(key);
-        this.stats.misses++;
-        this.stats.deletes++;
-        return null;
-      }
-      
-      // Try to serialize and parse to detect corruption (with size limit)
-      try {
-        const serialized = JSON.stringify(cached.data);
-        // Check if serialized data is too large (>1MB suggests potential issue)
-        if (serialized.length > 1024 * 1024) {
-          console.warn(`⚠️  Cache entry ${key} is very large (${serialized.length} chars), consider optimization`);
-        }
-      } catch (serializationError) {
-        // If serialization fails, the data might have circular references or be corrupted
-        console.warn(`⚠️  Cache corruption detected for key ${key}: ${serializationError.message}`);
-        this.cache.delete(key);
-        this.stats.misses++;
-        this.stats.deletes++;
-        return null;
-      }
-      
-      // Update access statistics
-      cached.accessCount++;
-      cached.lastAccessed = Date.now();
-      
+
+    this.touch(key, cached);
+    this.stats.hits++;
+    return cached.data;
+  }
+
+  /**
+   * Retrieve data from cache, loading it on a miss
+   * Concurrent calls for the same key share one load. An entry past its TTL but inside its stale
+   * window is returned immediately while a background load refreshes it; a failed refresh keeps
+   * the stale entry. Failed loads are not cached.
+   * @template T
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Request parameters
+   * @param {() => Promise<T>} loader - Produces the data on a miss
+   * @returns {Promise<{data: T, status: 'fresh'|'stale'|'shared'|'loaded'}>} The data and where it came from
+   */
+  async getOrLoad(endpoint, params, loader) {
+    const key = this.generateKey(endpoint, params);
+    const cached = this.cache.get(key);
+    const now = Date.now();
+
+    if (cached && now <= cached.expiry) {
+      this.touch(key, cached);
       this.stats.hits++;
-      return cached.data;
-    } catch (error) {
-      // Cache corruption detected - remove corrupted entry
-      console.warn(`⚠️  Cache validation error for key ${key}: ${error.message}`);
-      this.cache.delete(key);
-      this.stats.misses++;
+      return { data: cached.data, status: 'fresh' };
+    }
+
+    if (cached && now <= cached.staleUntil) {
+      this.touch(key, cached);
+      this.stats.staleHits++;
+      this.load(key, loader, { endpoint, params }).catch(error => {
+        this.stats.refreshFailures++;
+        console.warn(`⚠️  Background refresh failed for ${key}, keeping the stale entry: ${error.message}`);
+      });
+      return { data: cached.data, status: 'stale' };
+    }
+
+    if (cached) {
+      this.remove(key);
       this.stats.deletes++;
-      return null;
+    }
+    this.stats.misses++;
+
+    if (this.loads.has(key)) {
+      this.stats.coalesced++;
+      return { data: await this.loads.get(key), status: 'shared' };
+    }
+
+    return { data: await this.load(key, loader, { endpoint, params }), status: 'loaded' };
+  }
+
+  /**
+   * Run a loader and cache its result, or join the load already running for the key
+   * @param {string} key - Cache key
+   * @param {() => Promise<*>} loader - Produces the data
+   * @param {{endpoint: string, params: Object}} source - Endpoint and params the key was generated from
+   * @returns {Promise<*>} The loaded data
+   */
+  load(key, loader, source) {
+    if (this.loads.has(key)) {
+      return this.loads.get(key);
+    }
+
+    const promise = Promise.resolve()
+      .then(loader)
+      .then(data => {
+        this.store(key, data, source);
+        return data;
+      })
+      .finally(() => this.loads.delete(key));
+
+    this.loads.set(key, promise);
+    this.stats.loads++;
+    return promise;
+  }
+
+  /**
+   * Mark an entry as the most recently used
+   * @param {string} key - Cache key
+   * @param {Object} entry - Cache entry
+   */
+  touch(key, entry) {
+    this.cache.delete(key);
+    this.cache.set(key, entry);
+    entry.accessCount++;
+    entry.lastAccessed = Date.now();
+  }
+
+  /**
+   * Remove an entry and release its bytes
+   * @param {string} key - Cache key
+   * @returns {boolean} Whether an entry was removed
+   */
+  remove(key) {
+    const entry = this.cache.get(key);
+    if (!entry) return false;
+
+    this.cache.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  /**
+   * Evict least-recently-used entries until the cache is within its caps
+   */
+  evict() {
+    while (this.cache.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const oldestKey = this.cache.keys().next().value;
+      this.remove(oldestKey);
+      this.stats.evictions++;
     }
   }
 
@@ -123,6 +252,7 @@ class DataCache {
   clear() {
     const size = this.cache.size;
     this.cache.clear();
+    this.bytes = 0;
     this.stats.deletes += size;
   }
 
@@ -139,87 +269,115 @@ class DataCache {
    * @returns {Object} Cache statistics
    */
   getStats() {
-    const hitRate = this.stats.hits + this.stats.misses > 0 
-      ? (this.stats.hits / (this.stats.hits + this.stats.misses)) * 100 
+    const hitRate = this.stats.hits + this.stats.misses > 0
+      ? (this.stats.hits / (this.stats.hits + this.stats.misses)) * 100
       : 0;
 
     return {
       ...this.stats,
       hitRate: Math.round(hitRate * 100) / 100,
       size: this.size(),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      loadsInFlight: this.loads.size,
       memoryUsage: this.getMemoryUsage()
     };
   }
 
   /**
    * Estimate memory usage of cache (simplified)
+   * Entry sizes are measured once when stored
    * @returns {number} Estimated memory usage in bytes
    */
   getMemoryUsage() {
-    let totalSize = 0;
-    
+    return this.bytes;
+  }
+
+  /**
+   * Remove the entries matching every given filter
+   * @param {Object} [filters]
+   * @param {string} [filters.date] - Operating date param (YYYY-MM-DD)
+   * @param {string} [filters.iso] - ISO param
+   * @param {string} [filters.prefix] - Key prefix, e.g. an endpoint such as `market-prices`
+   * @returns {number} Number of entries removed
+   */
+  invalidate({ date, iso, prefix } = {}) {
+    let deletedCount = 0;
+
     for (const [key, value] of this.cache) {
-      totalSize += key.length * 2; // Approximate string size
-      
-      // Safe memory estimation without risky serialization
-      try {
-        const serialized = JSON.stringify(value);
-        totalSize += serialized.length * 2;
-      } catch (error) {
-        // For unserializable objects, use rough estimate
-        totalSize += 1000; // Rough estimate for complex objects
+      const matches = (!prefix || key.startsWith(prefix)) &&
+        (!date || value.params?.date === date) &&
+        (!iso || String(value.params?.iso || '').toUpperCase() === iso.toUpperCase());
+
+      if (matches) {
+        this.remove(key);
+        deletedCount++;
       }
     }
-    
-    return totalSize;
+
+    this.stats.deletes += deletedCount;
+    return deletedCount;
   }
 
   /**
-   * Clean up expired entries
+   * Clean up entries past their stale window
    */
   cleanup() {
     const now = Date.now();
     let deletedCount = 0;
-    
+
     for (const [key, value] of this.cache) {
-      if (now > value.expiry) {
-        this.cache.delete(key);
+      if (now > value.staleUntil) {
+        this.remove(key);
         deletedCount++;
       }
     }
-    
+
     this.stats.deletes += deletedCount;
     return deletedCount;
   }
 
+  /**
+   * Describe cache entries without their data
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Only keys starting with this prefix
+   * @param {'recent'|'accessCount'|'size'|'age'} [options.sortBy] - Most recently used, most accessed, largest or oldest first
+   * @param {number} [options.limit] - Most entries returned
+   * @returns {Array<{key: string, endpoint: string, params: Object, size: number, ageMs: number, accessCount: number, lastAccessed: number, expiresInMs: number, stale: boolean}>}
+   */
+  getEntries({ prefix, sortBy = 'recent', limit = 100 } = {}) {
+    const now = Date.now();
+    const sorters = {
+      recent: (a, b) => b.lastAccessed - a.lastAccessed,
+      accessCount: (a, b) => b.accessCount - a.accessCount,
+      size: (a, b) => b.size - a.size,
+      age: (a, b) => b.ageMs - a.ageMs
+    };
+
+    return Array.from(this.cache.entries())
+      .filter(([key]) => !prefix || key.startsWith(prefix))
+      .map(([key, value]) => ({
+        key,
+        endpoint: value.endpoint,
+        params: value.params,
+        size: value.size,
+        ageMs: now - value.createdAt,
+        accessCount: value.accessCount || 0,
+        lastAccessed: value.lastAccessed,
+        expiresInMs: value.expiry - now,
+        stale: now > value.expiry
+      }))
+      .sort(sorters[sortBy] || sorters.recent)
+      .slice(0, limit);
+  }
+
   /**
    * Get cache entries sorted by access frequency (simplified)
    * @returns {Array} Array of cache entries with metadata
    */
   getTopEntries(limit = 10) {
-    const entries = Array.from(this.cache.entries())
-      .map(([key, value]) => {
-        // Safe size estimation without risky serialization
-        let size = 0;
-        try {
-          size = JSON.stringify(value.data).length;
-        } catch (error) {
-          size = 1000; // Rough estimate for unserializable objects
-        }
-        
-        return {
-          key,
-          accessCount: value.accessCount || 0,
-          createdAt: value.createdAt,
-          lastAccessed: value.lastAccessed,
-          size
-        };
-      })
-      .sort((a, b) => b.accessCount - a.accessCount)
-      .slice(0, limit);
-    
-    return entries;
+    return this.getEntries({ sortBy: 'accessCount', limit });
   }
 }
 
-export default DataCache;
\ No newline at end of file
+export default DataCache;
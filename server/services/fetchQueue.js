@@ -0,0 +1,203 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Queue priorities, highest first
+ * Interactive requests (API calls a user is waiting on) run before background work such as
+ * backfills and cache prewarming.
+ */
+export const FETCH_PRIORITIES = ['interactive', 'background'];
+
+/**
+ * Throttled priority queue for upstream API calls
+ * Tasks run one at a time, paced by a token bucket: `burst` tokens are available up front and
+ * they refill at `ratePerSecond`. Concurrent requests (several controllers, or one request for
+ * many locations) share the queue, so they are paced together instead of each timing itself
+ * from the same last call. Tasks queued with the same key while one is queued or running share
+ * its result instead of calling upstream twice. With a circuit breaker attached, tasks fail fast
+ * while the circuit is open.
+ */
+class FetchQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ratePerSecond] - Token refill rate; Infinity disables pacing
+   * @param {number} [options.burst] - Bucket size, the number of tasks that may start back to back
+   * @param {string} [options.name] - Label used in log messages
+   * @param {import('./circuitBreaker.js').default|null} [options.circuitBreaker] - Breaker guarding the upstream
+   */
+  constructor({ ratePerSecond = 0.5, burst = 1, name = 'fetch', circuitBreaker = null } = {}) {
+    this.ratePerSecond = ratePerSecond;
+    this.burst = burst;
+    this.name = name;
+    this.circuitBreaker = circuitBreaker;
+    this.tokens = burst;
+    this.lastRefill = Date.now();
+    this.queues = Object.fromEntries(FETCH_PRIORITIES.map(priority => [priority, []]));
+    this.inFlight = new Map();
+    this.draining = false;
+    this.running = false;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      coalesced: 0,
+      rejected: 0
+    };
+  }
+
+  /**
+   * Queue a task behind every task of the same or higher priority
+   * @template T
+   * @param {() => Promise<T>} task - Work to run once the queue reaches it
+   * @param {Object} [options]
+   * @param {string} [options.key] - Identifies identical requests, which share one result
+   * @param {'interactive'|'background'} [options.priority] - Queue priority (default 'interactive')
+   * @returns {Promise<T>} Settles with the task's result
+   */
+  enqueue(task, { key, priority = 'interactive' } = {}) {
+    if (key && this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      logger.debug(`🔗 ${this.name} queue: sharing in-flight request ${key}`);
+      return this.inFlight.get(key);
+    }
+
+    if (this.circuitBreaker?.isOpen()) {
+      this.stats.rejected++;
+      return Promise.reject(this.circuitBreaker.createOpenError());
+    }
+
+    const queue = this.queues[priority] || this.queues.interactive;
+    const depth = this.getDepth();
+    if (depth > 0) {
+      logger.debug(`📥 ${this.name} queue: ${depth} tasks waiting, adding ${priority} task`);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+    });
+
+    if (key) {
+      this.inFlight.set(key, promise);
+      promise.finally(() => this.inFlight.delete(key)).catch(() => {});
+    }
+
+    this.drain();
+    return promise;
+  }
+
+  /**
+   * Run queued tasks until every queue is empty
+   */
+  async drain() {
+    if (this.draining) return;
+    this.draining = true;
+
+    try {
+      let entry;
+      while ((entry = this.next())) {
+        await this.run(entry);
+      }
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Take the next task, highest priority first and FIFO within a priority
+   * @returns {Object|undefined} Queue entry
+   */
+  next() {
+    const queue = FETCH_PRIORITIES.map(priority => this.queues[priority]).find(tasks => tasks.length > 0);
+    return queue?.shift();
+  }
+
+  /**
+   * Run one task once a token is available, reporting its outcome to the circuit breaker
+   * @param {{task: Function, resolve: Function, reject: Function}} entry - Queue entry
+   */
+  async run({ task, resolve, reject }) {
+    if (this.circuitBreaker && !this.circuitBreaker.allowRequest()) {
+      this.stats.rejected++;
+      reject(this.circuitBreaker.createOpenError());
+      return;
+    }
+
+    await this.takeToken();
+    this.running = true;
+
+    try {
+      const result = await task();
+      this.stats.completed++;
+      this.circuitBreaker?.record(null);
+      resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      this.circuitBreaker?.record(error);
+      reject(error);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Top up the bucket for the time elapsed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.ratePerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token and consume it
+   */
+  async takeToken() {
+    if (this.ratePerSecond === Infinity) return;
+
+    this.refill();
+    if (this.tokens < 1) {
+      const waitTime = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+      logger.info(`⏳ Rate limiting: waiting ${waitTime}ms before ${this.name} call`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      this.refill();
+    }
+
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+
+  /**
+   * Hold the queue after an upstream rate limit and empty the bucket
+   * Called from inside a running task, so nothing else starts while it waits.
+   * @param {number} backoffMs - Time to wait
+   */
+  async backoff(backoffMs) {
+    await new Promise(resolve => setTimeout(resolve, backoffMs));
+    this.tokens = 0;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Number of tasks waiting to start
+   * @returns {number}
+   */
+  getDepth() {
+    return FETCH_PRIORITIES.reduce((total, priority) => total + this.queues[priority].length, 0);
+  }
+
+  /**
+   * Queue depth, counters and breaker state for health checks
+   * @returns {{depth: number, depthByPriority: Object<string, number>, running: boolean, inFlightKeys: number, completed: number, failed: number, coalesced: number, rejected: number, ratePerSecond: number, burst: number, circuit: Object|null}}
+   */
+  getStats() {
+    return {
+      depth: this.getDepth(),
+      depthByPriority: Object.fromEntries(FETCH_PRIORITIES.map(priority => [priority, this.queues[priority].length])),
+      running: this.running,
+      inFlightKeys: this.inFlight.size,
+      ...this.stats,
+      ratePerSecond: this.ratePerSecond,
+      burst: this.burst,
+      circuit: this.circuitBreaker ? this.circuitBreaker.getState() : null
+    };
+  }
+}
+
+export default FetchQueue;
@@ -0,0 +1,45 @@
+import GridStatusClient from './gridstatus.js';
+import FetchQueue from './fetchQueue.js';
+import { readFixture, createFixtureKey } from '../utils/fixtures.js';
+import { logger } from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+
+/**
+ * File-backed market data provider that replays recorded GridStatus responses
+ * Shares dataset discovery and query building with GridStatusClient, so the same
+ * request replays the same fixture and produces identical results on every run
+ * @implements {import('./gridstatus.js').MarketDataProvider}
+ */
+class FixtureMarketDataProvider extends GridStatusClient {
+  /**
+   * @param {string} fixtureDir - Directory of fixtures recorded with GRIDSTATUS_RECORD_DIR
+   */
+  constructor(fixtureDir) {
+    super(null);
+    this.providerName = 'fixture';
+    this.fixtureDir = fixtureDir;
+
+    // Replays never touch the network, so no pacing is needed
+    this.fetchQueue = new FetchQueue({ ratePerSecond: Infinity, name: 'fixture replay' });
+  }
+
+  /**
+   * Replay a recorded response instead of calling the GridStatus API
+   * @param {string} endpoint - API path
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<{status: number, data: *}>} Recorded response status and body
+   */
+  async sendRequest(endpoint, params = {}) {
+    const fixture = await readFixture(this.fixtureDir, endpoint, params);
+
+    if (!fixture) {
+      logger.warn(`📼 No fixture recorded for ${createFixtureKey(endpoint, params)}`);
+      throw new ApiError(`No recorded fixture for ${endpoint}. Record one with GRIDSTATUS_RECORD_DIR set.`, 404);
+    }
+
+    logger.debug(`📼 Replaying fixture for ${endpoint} (recorded ${fixture.recordedAt})`);
+    return { status: fixture.status, data: fixture.data };
+  }
+}
+
+export default FixtureMarketDataProvider;
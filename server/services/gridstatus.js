@@ -2,20 +2,88 @@ import axios from 'axios';
 import { logger } from '../utils/logger.js';
 import { ApiError } from '../utils/errors.js';
 import DataCache from './dataCache.js';
+import FetchQueue from './fetchQueue.js';
+import CircuitBreaker from './circuitBreaker.js';
+import { writeFixture, createFixtureKey } from '../utils/fixtures.js';
+import { getISOProfile, getRealTimeDataset } from '../config/isoProfiles.js';
+import { getDefaultLocations } from '../config/locations.js';
+import { getOperatingDayBounds, MAX_HOURS_PER_DAY } from '../utils/timezone.js';
+
+/**
+ * Default record budget for one location's query, across all of its pages
+ * A 25-hour day of 5-minute RT prices is 300 records per location
+ */
+const DEFAULT_MAX_RECORDS_PER_LOCATION = 2000;
+
+/**
+ * Upper bound on pages followed for one location, in case the API keeps reporting more pages
+ */
+const MAX_PAGES_PER_QUERY = 50;
+
+/**
+ * Retries for a rate-limited (429) request before giving up
+ */
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+/**
+ * First 429 backoff when the response has no Retry-After header; doubles on each retry
+ */
+const BASE_RATE_LIMIT_BACKOFF_MS = 3000;
+
+/**
+ * Fundamentals series in an ISO profile, with the record type used in logs
+ */
+const FUNDAMENTALS_SERIES = {
+  load: 'load',
+  loadForecast: 'load forecast',
+  fuelMix: 'fuel mix'
+};
+
+/**
+ * Market data provider interface shared by every provider in this directory
+ * @typedef {Object} MarketDataProvider
+ * @property {string} providerName - Provider identifier reported in responses and health checks
+ * @property {(date: string, iso?: string, options?: {rtIntervalMinutes?: number, locations?: string[], priority?: 'interactive'|'background'}) => Promise<{dayAheadData: Array, realTimeData: Array, pagination?: Object}>} getMarketPrices
+ * @property {() => Promise<Array>} getAvailableDatasets
+ * @property {() => Promise<Object>} testConnection
+ * @property {() => Promise<Object|null>} getUsageStats
+ * @property {() => Object|null} getRequestQueueStats - Upstream request queue and circuit breaker state
+ * @property {(date: string, iso?: string, options?: {priority?: 'interactive'|'background', refresh?: boolean}) => Promise<{ancillaryData: Array, pagination?: Object}>} getAncillaryPrices - Hourly ancillary service price records
+ * @property {(date: string, iso?: string, options?: {priority?: 'interactive'|'background', refresh?: boolean}) => Promise<{load: Array, loadForecast: Array, fuelMix: Array, pagination?: Object}>} getFundamentals - System load, load forecast and fuel mix records
+ */
 
 /**
  * GridStatus API client for fetching electricity market data
- * All server-side operations use Pacific Time (America/Los_Angeles) for CAISO consistency
+ * Queries run in each ISO's market timezone (see config/isoProfiles.js); CAISO is the default
+ * @implements {MarketDataProvider}
  */
 class GridStatusClient {
-  constructor(apiKey) {
+  /**
+   * @param {string} apiKey - GridStatus API key
+   * @param {Object} [options]
+   * @param {string} [options.recordDir] - When set, every successful response is recorded to this directory
+   * @param {number} [options.maxRecordsPerLocation] - Record budget per location query (GRIDSTATUS_MAX_RECORDS by default)
+   */
+  constructor(apiKey, options = {}) {
     this.apiKey = apiKey;
+    this.providerName = 'gridstatus';
     this.baseURL = process.env.GRIDSTATUS_BASE_URL || 'https://api.gridstatus.io';
-    this.timezone = 'America/Los_Angeles'; // CAISO operates in Pacific Time
+    this.timezone = getISOProfile().timezone; // Default market timezone (CAISO, Pacific Time)
+    this.recordDir = options.recordDir || null;
+    this.maxRecordsPerLocation = options.maxRecordsPerLocation || Number(process.env.GRIDSTATUS_MAX_RECORDS) || DEFAULT_MAX_RECORDS_PER_LOCATION;
     
-    // Simple rate limiting - 1 request per 2 seconds (GridStatus limit is 1/sec)
-    this.lastRequestTime = 0;
-    this.minRequestInterval = 2000; // 2 seconds for safety margin
+    // Every call goes through one queue - 1 request per 2 seconds by default (GridStatus limit is 1/sec)
+    this.circuitBreaker = new CircuitBreaker({
+      name: 'GridStatus API',
+      failureThreshold: Number(process.env.GRIDSTATUS_BREAKER_THRESHOLD) || 5,
+      cooldownMs: Number(process.env.GRIDSTATUS_BREAKER_COOLDOWN_MS) || 30000
+    });
+    this.fetchQueue = new FetchQueue({
+      ratePerSecond: Number(process.env.GRIDSTATUS_REQUESTS_PER_SECOND) || 0.5,
+      burst: Number(process.env.GRIDSTATUS_BURST) || 1,
+      name: 'GridStatus API',
+      circuitBreaker: this.circuitBreaker
+    });
     
     // Cache configuration using shared DataCache
     this.datasetsCache = new DataCache(240); // 4 hours in minutes
@@ -69,16 +137,40 @@ class GridStatusClient {
   }
 
   /**
-   * Get Pacific Time date range for CAISO operations
+   * Send a GET request to the GridStatus API, recording the response when record mode is on
+   * @param {string} endpoint - API path
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<{status: number, data: *}>} Response status and body
    */
-  getPacificTimeRange(date) {
-    const startTime = `${date}T00:00:00-08:00`;
-    const endTime = `${date}T23:59:59-08:00`;
+  async sendRequest(endpoint, params = {}) {
+    const response = await this.client.get(endpoint, { params });
+    
+    if (this.recordDir) {
+      try {
+        const filePath = await writeFixture(this.recordDir, endpoint, params, response);
+        logger.debug(`📼 Recorded GridStatus response for ${endpoint} to ${filePath}`);
+      } catch (error) {
+        logger.warn(`⚠️  Failed to record GridStatus response for ${endpoint}: ${error.message}`);
+      }
+    }
+    
+    return { status: response.status, data: response.data };
+  }
+
+  /**
+   * Get the UTC range for an ISO's operating day
+   * Bounds come from the market's local midnights, so DST days span 23 or 25 hours
+   */
+  getMarketTimeRange(date, iso = 'CAISO') {
+    const { timezone } = getISOProfile(iso);
+    const { start, end } = getOperatingDayBounds(date, timezone);
+    const startTime = start.toISOString();
+    const endTime = new Date(end.getTime() - 1000).toISOString();
     
     return {
       startTime,
       endTime,
-      timezone: this.timezone
+      timezone
     };
   }
 
@@ -110,63 +202,87 @@ class GridStatusClient {
 
 
   /**
-   * Simple rate-limited request wrapper with proper 429 handling
+   * Queue a GET request to the GridStatus API
+   * Identical queries (same endpoint and params) queued at the same time share one upstream call.
+   * @param {string} endpoint - API path
+   * @param {Object} [params] - Query parameters
+   * @param {Object} [options]
+   * @param {'interactive'|'background'} [options.priority] - Queue priority (default 'interactive')
+   * @returns {Promise<{status: number, data: *}>} Response status and body
    */
-  async makeRateLimitedRequest(requestFn) {
-    // Simple rate limiting
-    const now = Date.now();
-    const timeSinceLastRequest = now - this.lastRequestTime;
-    const waitTime = Math.max(0, this.minRequestInterval - timeSinceLastRequest);
-    
-    if (waitTime > 0) {
-      logger.info(`⏳ Rate limiting: waiting ${waitTime}ms before GridStatus API call`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-    
-    this.lastRequestTime = Date.now();
-    
-    try {
-      const result = await requestFn();
-      logger.debug(`✅ GridStatus API call successful`);
-      return result;
-    } catch (error) {
-      // Handle rate limit errors with exponential backoff
-      if (error.response?.status === 429) {
-        logger.warn('⚠️  Rate limited by GridStatus API, implementing backoff');
+  async queueRequest(endpoint, params = {}, { priority } = {}) {
+    return this.makeRateLimitedRequest(() => this.sendRequest(endpoint, params), {
+      key: createFixtureKey(endpoint, params),
+      priority
+    });
+  }
+
+  /**
+   * Rate-limited request wrapper with proper 429 handling
+   * Requests wait their turn in the shared fetch queue, so concurrent callers are paced together,
+   * and fail fast with a 503 while the circuit breaker is open
+   * @param {() => Promise<*>} requestFn - Request to run
+   * @param {{key?: string, priority?: 'interactive'|'background'}} [options] - Coalescing key and queue priority
+   */
+  async makeRateLimitedRequest(requestFn, options = {}) {
+    return this.fetchQueue.enqueue(() => this.executeRequest(requestFn), options);
+  }
+
+  /**
+   * Run a queued request, retrying a 429 with exponential backoff
+   */
+  async executeRequest(requestFn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await requestFn();
+        logger.debug(`✅ GridStatus API call successful${attempt > 0 ? ` after ${attempt} rate limit retries` : ''}`);
+        return result;
+      } catch (error) {
+        if (error.response?.status !== 429) {
+          throw this.mapRequestError(error);
+        }
         
-        // Extract retry-after header if available
-        const retryAfter = error.response?.headers?.['retry-after'];
-        const backoffTime = retryAfter ? parseInt(retryAfter) * 1000 : 3000; // 3 seconds default
+        if (attempt >= MAX_RATE_LIMIT_RETRIES) {
+          logger.error(`❌ GridStatus API still rate limited after ${attempt} retries`);
+          throw new ApiError('GridStatus API rate limit exceeded. Please try again later.', 429);
+        }
         
-        logger.warn(`⏳ Backing off for ${backoffTime}ms due to rate limit`);
-        await new Promise(resolve => setTimeout(resolve, backoffTime));
+        // Honour Retry-After when the API sends it, otherwise back off exponentially
+        const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+        const backoffTime = retryAfter > 0 ? retryAfter * 1000 : BASE_RATE_LIMIT_BACKOFF_MS * 2 ** attempt;
         
-        // Update last request time to include backoff
-        this.lastRequestTime = Date.now();
+        logger.warn(`⏳ Rate limited by GridStatus API, backing off for ${backoffTime}ms (retry ${attempt + 1}/${MAX_RATE_LIMIT_RETRIES})`);
         
-        // Retry once after backoff
-        try {
-          const retryResult = await requestFn();
-          logger.info(`✅ GridStatus API retry successful after rate limit`);
-          return retryResult;
-        } catch (retryError) {
-          logger.error(`❌ GridStatus API retry failed: ${retryError.message}`);
-          throw new ApiError('GridStatus API rate limit exceeded. Please try again later.', 429);
-        }
+        // The queue holds every waiting request for the backoff
+        await this.fetchQueue.backoff(backoffTime);
       }
-      
-      // Handle other error types
-      if (error.response?.status === 401) {
-        throw new ApiError('Invalid GridStatus API key', 401);
-      }
-      if (error.response?.status === 404) {
-        throw new ApiError('GridStatus API endpoint not found', 404);
-      }
-      
-      throw error;
     }
   }
 
+  /**
+   * Map a failed request's HTTP status to an ApiError where callers need one
+   * @param {Error} error - Error thrown by the request
+   * @returns {Error} ApiError for auth and not-found responses, otherwise the original error
+   */
+  mapRequestError(error) {
+    if (error.response?.status === 401) {
+      return new ApiError('Invalid GridStatus API key', 401);
+    }
+    if (error.response?.status === 404) {
+      return new ApiError('GridStatus API endpoint not found', 404);
+    }
+    
+    return error;
+  }
+
+  /**
+   * Request queue depth, counters and circuit breaker state for health checks
+   * @returns {Object} FetchQueue stats
+   */
+  getRequestQueueStats() {
+    return this.fetchQueue.getStats();
+  }
+
   /**
    * Test API connection and key validity
    */
@@ -174,11 +290,7 @@ class GridStatusClient {
     try {
       logger.info('🔍 Testing GridStatus API connection...');
       
-      const response = await this.makeRateLimitedRequest(async () => {
-        return await this.client.get('/v1/datasets', {
-          params: { page_size: 1 }
-        });
-      });
+      const response = await this.queueRequest('/v1/datasets', { page_size: 1 });
       
       logger.info('✅ GridStatus API connection successful');
       return { 
@@ -195,6 +307,11 @@ class GridStatusClient {
    * Handle connection errors with specific error types
    */
   handleConnectionError(error) {
+    // Already mapped, e.g. the 503 from an open circuit
+    if (error instanceof ApiError) {
+      return error;
+    }
+    
     const status = error.response?.status;
     
     switch (status) {
@@ -226,9 +343,7 @@ class GridStatusClient {
     try {
       logger.info('📋 Fetching available datasets...');
       
-      const response = await this.makeRateLimitedRequest(async () => {
-        return await this.client.get('/v1/datasets');
-      });
+      const response = await this.queueRequest('/v1/datasets');
       
       const datasets = response.data?.data || [];
       
@@ -246,21 +361,31 @@ class GridStatusClient {
   }
 
   /**
-   * Find CAISO LMP datasets with caching
+   * Find an ISO's LMP datasets with caching
+   * Prefers the dataset ids from the ISO profile, falling back to name matching
+   * @param {string} [iso] - ISO identifier
+   * @param {number} [rtIntervalMinutes] - RT interval length (defaults to the ISO's settlement interval)
    */
-  async findCAISOLMPDatasets() {
+  async findLMPDatasets(iso = 'CAISO', rtIntervalMinutes) {
+    const profile = getISOProfile(iso);
+    const realTimeDatasetId = getRealTimeDataset(profile, rtIntervalMinutes);
+    const isDefaultRealTime = realTimeDatasetId === profile.datasets.realTime;
+    
     try {
       const datasets = await this.getAvailableDatasets();
       
-      const caisoLMPDatasets = datasets.filter(dataset => 
-        dataset.source?.toLowerCase() === 'caiso' && 
-        (dataset.id.includes('lmp') || dataset.name.toLowerCase().includes('lmp'))
+      const isoLMPDatasets = datasets.filter(dataset => 
+        dataset.source?.toLowerCase() === profile.source && 
+        (dataset.id.includes('lmp') || dataset.id.includes('spp') || dataset.name.toLowerCase().includes('lmp'))
       );
       
-      logger.info(`🔍 Found ${caisoLMPDatasets.length} CAISO LMP datasets`);
+      logger.info(`🔍 Found ${isoLMPDatasets.length} ${profile.iso} LMP datasets`);
       
-      const dayAheadDataset = this.findDatasetByType(caisoLMPDatasets, 'day_ahead');
-      const realTimeDataset = this.findDatasetByType(caisoLMPDatasets, 'real_time');
+      const dayAheadDataset = isoLMPDatasets.find(d => d.id === profile.datasets.dayAhead) ||
+        this.findDatasetByType(isoLMPDatasets, 'day_ahead');
+      // Name matching only stands in for the default RT market; an explicit interval must match exactly
+      const realTimeDataset = isoLMPDatasets.find(d => d.id === realTimeDatasetId) ||
+        (isDefaultRealTime ? this.findDatasetByType(isoLMPDatasets, 'real_time') : undefined);
       
       logger.info(`📊 Day-ahead dataset: ${dayAheadDataset?.id || 'Not found'}`);
       logger.info(`📊 Real-time dataset: ${realTimeDataset?.id || 'Not found'}`);
@@ -268,14 +393,151 @@ class GridStatusClient {
       return {
         dayAhead: dayAheadDataset,
         realTime: realTimeDataset,
-        all: caisoLMPDatasets
+        all: isoLMPDatasets
       };
     } catch (error) {
-      logger.warn('⚠️  Could not fetch CAISO LMP datasets:', error.message);
+      // An unavailable upstream is reported as such, not as a day without data
+      if (error.statusCode === 503) {
+        throw error;
+      }
+      logger.warn(`⚠️  Could not fetch ${profile.iso} LMP datasets:`, error.message);
       return { dayAhead: null, realTime: null, all: [] };
     }
   }
 
+  /**
+   * Find an ISO's ancillary service price dataset with caching
+   * Prefers the dataset id from the ISO profile, falling back to name matching
+   * @param {string} [iso] - ISO identifier
+   * @returns {Promise<Object|null>} Dataset, or null when none is found
+   */
+  async findAncillaryDataset(iso = 'CAISO') {
+    const profile = getISOProfile(iso);
+    
+    try {
+      const datasets = await this.getAvailableDatasets();
+      
+      const isoASDatasets = datasets.filter(dataset => 
+        dataset.source?.toLowerCase() === profile.source && 
+        (dataset.id.includes('as_prices') || dataset.name.toLowerCase().includes('ancillary'))
+      );
+      
+      const dataset = isoASDatasets.find(d => d.id === profile.ancillaryServices?.dataset) || isoASDatasets[0] || null;
+      logger.info(`📊 Ancillary services dataset: ${dataset?.id || 'Not found'}`);
+      return dataset;
+    } catch (error) {
+      // An unavailable upstream is reported as such, not as a day without data
+      if (error.statusCode === 503) {
+        throw error;
+      }
+      logger.warn(`⚠️  Could not fetch ${profile.iso} ancillary service datasets:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get hourly ancillary service prices (regulation, spinning and non-spinning reserves) for a specific date
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options]
+   * @param {'interactive'|'background'} [options.priority] - Request queue priority (default 'interactive')
+   * @returns {Promise<{ancillaryData: Array, pagination: Object}>} Records for the ISO's AS region plus page counts
+   */
+  async getAncillaryPrices(date, iso = 'CAISO', options = {}) {
+    this.validateDate(date);
+    
+    const profile = getISOProfile(iso);
+    if (!profile.ancillaryServices) {
+      throw new ApiError(`Ancillary service prices are not available for ${profile.iso}`, 404);
+    }
+    
+    const { region, filterColumn } = profile.ancillaryServices;
+    logger.info(`📊 Fetching ancillary service prices for ${profile.iso} on ${date} (${region})`);
+    
+    const dataset = await this.findAncillaryDataset(iso);
+    const { startTime, endTime } = this.getMarketTimeRange(date, iso);
+    const { records, pagination } = await this.fetchDatasetData(dataset, startTime, endTime, profile.timezone, 'ancillary services', [region], {
+      pageSize: MAX_HOURS_PER_DAY,
+      priority: options.priority,
+      filterColumn
+    });
+    
+    if (records.length === 0) {
+      throw new ApiError(`No ancillary service prices available for ${profile.iso} on ${date}. The date may be too recent or too old.`, 404);
+    }
+    
+    return { ancillaryData: records, pagination };
+  }
+
+  /**
+   * Find an ISO's fundamentals datasets (load, load forecast, fuel mix) with caching
+   * @param {string} [iso] - ISO identifier
+   * @returns {Promise<Object<string, Object|null>>} Dataset per series, null when not found
+   */
+  async findFundamentalsDatasets(iso = 'CAISO') {
+    const profile = getISOProfile(iso);
+    const series = Object.keys(profile.fundamentals || {});
+    
+    try {
+      const datasets = await this.getAvailableDatasets();
+      
+      return Object.fromEntries(series.map(name => {
+        const dataset = datasets.find(d => d.id === profile.fundamentals[name].dataset) || null;
+        logger.info(`📊 ${FUNDAMENTALS_SERIES[name]} dataset: ${dataset?.id || 'Not found'}`);
+        return [name, dataset];
+      }));
+    } catch (error) {
+      // An unavailable upstream is reported as such, not as a day without data
+      if (error.statusCode === 503) {
+        throw error;
+      }
+      logger.warn(`⚠️  Could not fetch ${profile.iso} fundamentals datasets:`, error.message);
+      return Object.fromEntries(series.map(name => [name, null]));
+    }
+  }
+
+  /**
+   * Get system load, load forecast and fuel mix for a specific date
+   * A series whose dataset is missing or fails comes back empty; the call only fails when all of them do.
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options]
+   * @param {'interactive'|'background'} [options.priority] - Request queue priority (default 'interactive')
+   * @returns {Promise<{load: Array, loadForecast: Array, fuelMix: Array, pagination: Object}>} Records per series plus page counts
+   */
+  async getFundamentals(date, iso = 'CAISO', options = {}) {
+    this.validateDate(date);
+    
+    const profile = getISOProfile(iso);
+    if (!profile.fundamentals) {
+      throw new ApiError(`System load and fuel mix data are not available for ${profile.iso}`, 404);
+    }
+    
+    logger.info(`📊 Fetching fundamentals for ${profile.iso} on ${date}`);
+    
+    const datasets = await this.findFundamentalsDatasets(iso);
+    const { startTime, endTime } = this.getMarketTimeRange(date, iso);
+    const result = { pagination: {} };
+    
+    // Size pages to hold a 25-hour day of 5-minute records
+    const pageSize = MAX_HOURS_PER_DAY * 12;
+    for (const [series, { filterColumn = null, filterValue }] of Object.entries(profile.fundamentals)) {
+      const { records, pagination } = await this.fetchDatasetData(datasets[series], startTime, endTime, profile.timezone, FUNDAMENTALS_SERIES[series], [filterValue || profile.iso], {
+        pageSize,
+        priority: options.priority,
+        filterColumn
+      });
+      result[series] = records;
+      result.pagination[series] = pagination;
+    }
+    
+    if (Object.keys(FUNDAMENTALS_SERIES).every(series => !result[series]?.length)) {
+      throw new ApiError(`No load or fuel mix data available for ${profile.iso} on ${date}. The date may be too recent or too old.`, 404);
+    }
+    
+    return result;
+  }
+
   /**
    * Find dataset by type (day_ahead or real_time)
    */
@@ -295,96 +557,143 @@ class GridStatusClient {
 
   /**
    * Get both day-ahead and real-time prices for a specific date
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options]
+   * @param {number} [options.rtIntervalMinutes] - RT interval length, e.g. 5 for CAISO RTD instead of the 15-minute FMM
+   * @param {string[]} [options.locations] - Registry location ids to fetch (the ISO's default locations when omitted)
+   * @param {'interactive'|'background'} [options.priority] - Request queue priority (default 'interactive')
+   * @returns {Promise<{dayAheadData: Array, realTimeData: Array, pagination: {dayAhead: Object, realTime: Object}}>} Records plus per-market page counts and truncation
    */
-  async getMarketPrices(date, iso = 'CAISO') {
+  async getMarketPrices(date, iso = 'CAISO', options = {}) {
     this.validateDate(date);
     
-    logger.info(`📊 Fetching market prices for ${iso} on ${date} (Pacific Time)`);
+    const { timezone, rtIntervalMinutes: defaultInterval } = getISOProfile(iso);
+    const rtIntervalMinutes = options.rtIntervalMinutes || defaultInterval;
+    logger.info(`📊 Fetching market prices for ${iso} on ${date} (${timezone}, ${rtIntervalMinutes}-minute RT)`);
     
-    const datasets = await this.findCAISOLMPDatasets();
-    const { startTime, endTime, timezone } = this.getPacificTimeRange(date);
+    const datasets = await this.findLMPDatasets(iso, rtIntervalMinutes);
+    const { startTime, endTime } = this.getMarketTimeRange(date, iso);
     logger.info(`🕐 Query range: ${startTime} to ${endTime} (${timezone})`);
     
-    // NOTE: Before trying Promise.all, note there is Rate-limit of 1 request per second for Free Tier of GridStatus. Update only if applicable.
-    const dayAheadData = await this.fetchDatasetData(datasets.dayAhead, startTime, endTime, timezone, 'day-ahead');
-    const realTimeData = await this.fetchDatasetData(datasets.realTime, startTime, endTime, timezone, 'real-time');
+    const locations = options.locations?.length ? options.locations : this.getRepresentativeLocations(iso);
+    logger.info(`📍 Queueing ${locations.length} locations: ${locations.join(', ')}`);
     
-    this.logDataDistribution(dayAheadData, 'day-ahead');
-    this.logDataDistribution(realTimeData, 'real-time');
+    // NOTE: Every query waits its turn in the fetch queue (Free Tier limit is 1 request per second), so Promise.all would not be faster.
+    const { priority } = options;
+    const dayAhead = await this.fetchDatasetData(datasets.dayAhead, startTime, endTime, timezone, 'day-ahead', locations, { priority });
+    // Size pages to hold every RT interval of a 25-hour day, so most days need a single page
+    const realTimePageSize = MAX_HOURS_PER_DAY * Math.ceil(60 / rtIntervalMinutes);
+    const realTime = await this.fetchDatasetData(datasets.realTime, startTime, endTime, timezone, 'real-time', locations, { pageSize: realTimePageSize, priority });
+    const dayAheadData = dayAhead.records;
+    const realTimeData = realTime.records;
+    
+    this.logDataDistribution(dayAheadData, 'day-ahead', timezone);
+    this.logDataDistribution(realTimeData, 'real-time', timezone);
     
     if (dayAheadData.length === 0 && realTimeData.length === 0) {
       throw new ApiError(`No market data available for ${iso} on ${date}. The date may be too recent or too old.`, 404);
     }
     
-    return { dayAheadData, realTimeData };
+    return { dayAheadData, realTimeData, pagination: { dayAhead: dayAhead.pagination, realTime: realTime.pagination } };
   }
 
   /**
-   * Get representative CAISO trading hubs for efficient data sampling (CAISO DAY_AHEAD_HOURLY; CAISO REAL_TIME_15_MIN)
+   * Get an ISO's default locations from the location registry (config/locations.js)
    * {@link https://opensource.gridstatus.io/en/stable/lmp.html}
    */
-  getRepresentativeLocations() {
-    // Use only 2 major trading hubs (largest price zones in California) for speed while maintaining accuracy
-    return [
-      'TH_NP15_GEN-APND',     // NP15 Trading Hub (Northern California)
-      'TH_SP15_GEN-APND'      // SP15 Trading Hub (Southern California)
-      // TODO: Check and add more hubs (RATE LIMIT)
-      // 'TH_ZP26_GEN-APND',     // ZP26 Trading Hub (Central Valley)
-      // 'DLAP_PGAE-APND',       // PG&E Load Aggregation Point
-      // 'DLAP_SCE-APND',        // SCE Load Aggregation Point
-      // 'DLAP_SDGE-APND'        // SDGE Load Aggregation Point
-    ];
+  getRepresentativeLocations(iso = 'CAISO') {
+    return getDefaultLocations(iso).map(location => location.id);
   }
 
   /**
-   * Fetch data from a specific dataset using representative locations
+   * Fetch data from a specific dataset for the selected locations
+   * Follows the response's pagination (cursor, or page numbers when no cursor is given) until
+   * every page is read or the per-location record budget is spent. Truncation is reported
+   * rather than hidden, so callers can surface it next to the interpolated hours.
+   * @param {Object} [options]
+   * @param {number} [options.pageSize] - Records per page
+   * @param {'interactive'|'background'} [options.priority] - Request queue priority
+   * @param {string|null} [options.filterColumn] - Column the `locations` values filter on (`region` for AS prices); null queries the whole dataset, with `locations` only labelling the query
+   * @returns {Promise<{records: Array, pagination: {pages: number, records: number, truncated: boolean, truncatedLocations: string[], maxRecordsPerLocation: number}}>}
    */
-  async fetchDatasetData(dataset, startTime, endTime, timezone, type) {
+  async fetchDatasetData(dataset, startTime, endTime, timezone, type, locations = this.getRepresentativeLocations(), { pageSize = type === 'day-ahead' ? 30 : 100, priority, filterColumn = 'location' } = {}) {
+    const pagination = { pages: 0, records: 0, truncated: false, truncatedLocations: [], maxRecordsPerLocation: this.maxRecordsPerLocation };
+    
     if (!dataset) {
       logger.warn(`⚠️  No ${type} dataset found`);
-      return [];
+      return { records: [], pagination };
     }
     
+    let allData = [];
+    let locationIndex = 0;
+    
     try {
       logger.info(`📊 Fetching ${type} data from: ${dataset.id}`);
       
-      const representativeLocations = this.getRepresentativeLocations();
-      let allData = [];
-      
-      // Fetch data for each representative location separately
-      for (const location of representativeLocations) {
-        const response = await this.makeRateLimitedRequest(async () => {
-          return await this.client.get(`/v1/datasets/${dataset.id}/query`, {
-            params: {
-              start_time: startTime,
-              end_time: endTime,
-              filter_column: 'location',
-              filter_value: location,
-              page_size: type === 'day-ahead' ? 30 : 100,
-              timezone: timezone
-            }
-          });
-        });
+      // Fetch data for each location separately
+      for (; locationIndex < locations.length; locationIndex++) {
+        const location = locations[locationIndex];
+        const locationData = [];
+        let page = 1;
+        let cursor = null;
+        let hasNextPage = true;
+        
+        while (hasNextPage && locationData.length < this.maxRecordsPerLocation && page <= MAX_PAGES_PER_QUERY) {
+          const pageParams = cursor ? { cursor } : (page > 1 ? { page } : {});
+          const response = await this.queueRequest(`/v1/datasets/${dataset.id}/query`, {
+            start_time: startTime,
+            end_time: endTime,
+            ...(filterColumn && { filter_column: filterColumn, filter_value: location }),
+            page_size: pageSize,
+            timezone: timezone,
+            ...pageParams
+          }, { priority });
+          
+          const records = response.data?.data || [];
+          const meta = response.data?.meta || {};
+          locationData.push(...records);
+          pagination.pages++;
+          
+          hasNextPage = Boolean(meta.hasNextPage ?? meta.has_next_page) && records.length > 0;
+          cursor = meta.cursor || meta.next_cursor || null;
+          page++;
+        }
+        
+        if (hasNextPage || locationData.length > this.maxRecordsPerLocation) {
+          pagination.truncated = true;
+          pagination.truncatedLocations.push(location);
+          locationData.length = Math.min(locationData.length, this.maxRecordsPerLocation);
+          logger.warn(`⚠️  ${location}: ${type} data truncated at ${locationData.length} records (budget ${this.maxRecordsPerLocation}, ${page - 1} pages)`);
+        }
         
-        const locationData = response.data?.data || [];
         allData = allData.concat(locationData);
         
         logger.info(`📍 ${location}: ${locationData.length} records`);          
       }
       
-      logger.info(`✅ Fetched ${allData.length} ${type} records from ${representativeLocations.length} representative locations`);
+      pagination.records = allData.length;
+      logger.info(`✅ Fetched ${allData.length} ${type} records in ${pagination.pages} pages from ${locations.length} locations`);
       
-      return allData;
+      return { records: allData, pagination };
     } catch (error) {
-      logger.warn(`⚠️  Failed to fetch ${type} data: ${error.message}`);
-      return [];
+      if (error.statusCode === 503) {
+        throw error;
+      }
+      // Keep the locations already fetched; the failed location and any after it are reported truncated
+      const missingLocations = locations.slice(locationIndex);
+      pagination.truncated = true;
+      pagination.truncatedLocations.push(...missingLocations);
+      pagination.records = allData.length;
+      logger.warn(`⚠️  Failed to fetch ${type} data for ${missingLocations.join(', ')}: ${error.message}`);
+      return { records: allData, pagination };
     }
   }
 
   /**
    * Log data distribution analysis
    */
-  logDataDistribution(data, type) {
+  logDataDistribution(data, type, timezone = this.timezone) {
     if (data.length === 0) return;
     
     const hourCounts = {};
@@ -396,8 +705,8 @@ class GridStatusClient {
       
       if (timestamp) {
         const date = new Date(timestamp);
-        const pacificTime = new Date(date.toLocaleString('en-US', { timeZone: this.timezone }));
-        const hour = pacificTime.getHours();
+        const marketTime = new Date(date.toLocaleString('en-US', { timeZone: timezone }));
+        const hour = marketTime.getHours();
         
         hourCounts[hour] = (hourCounts[hour] || 0) + 1;
         locationCounts[location] = (locationCounts[location] || 0) + 1;
@@ -412,7 +721,7 @@ class GridStatusClient {
     
     logger.info(`📊 ${type} locations: ${Object.keys(locationCounts).length} unique locations`);
     logger.info(`📊 ${type} top locations: ${topLocations}`);
-    logger.info(`📊 ${type} data distribution (Pacific Time): ${JSON.stringify(hourCounts)}`);
+    logger.info(`📊 ${type} data distribution (${timezone}): ${JSON.stringify(hourCounts)}`);
   }
 
   /**
@@ -426,8 +735,8 @@ class GridStatusClient {
   /**
    * Get real-time prices for a specific date
    */
-  async getRealTimePrices(date, iso = 'CAISO') {
-    const { realTimeData } = await this.getMarketPrices(date, iso);
+  async getRealTimePrices(date, iso = 'CAISO', options = {}) {
+    const { realTimeData } = await this.getMarketPrices(date, iso, options);
     return realTimeData;
   }
 
@@ -438,9 +747,7 @@ class GridStatusClient {
     try {
       logger.info('📈 Fetching API usage statistics...');
       
-      const response = await this.makeRateLimitedRequest(async () => {
-        return await this.client.get('/v1/usage');
-      });
+      const response = await this.queueRequest('/v1/usage');
       
       logger.info('✅ Successfully fetched API usage statistics');
       return response.data;
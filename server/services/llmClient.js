@@ -191,6 +191,42 @@ const parseJSONResponse = (content) => {
   }
 };
 
+/**
+ * Format one hour of fundamentals for a prompt, skipping values the ISO did not publish
+ */
+const formatFundamentalsHour = (hour) => {
+  const values = [
+    ['load', hour.load],
+    ['forecast', hour.loadForecast],
+    ['net load', hour.netLoad],
+    ['solar', hour.solar],
+    ['wind', hour.wind],
+    ['gas', hour.gas],
+    ['imports', hour.imports]
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  return `- ${hour.hourLabel}: ${values.map(([name, value]) => `${name} ${Math.round(value).toLocaleString('en-US')} MW`).join(', ')}`;
+};
+
+/**
+ * Create the system conditions prompt section from server-added fundamentals context
+ */
+const createFundamentalsSection = (fundamentals) => {
+  if (!fundamentals?.hours?.length) {
+    return '';
+  }
+
+  const { peakNetLoad, minNetLoad } = fundamentals.summary || {};
+  const netLoadRange = peakNetLoad && minNetLoad
+    ? `\nDay net load range: ${Math.round(minNetLoad.value).toLocaleString('en-US')} MW (${minNetLoad.hourLabel}) to ${Math.round(peakNetLoad.value).toLocaleString('en-US')} MW (${peakNetLoad.hourLabel})`
+    : '';
+
+  return `
+System Conditions (${fundamentals.iso}, spike in ${fundamentals.spikeHourLabel}; net load = load - solar - wind):
+${fundamentals.hours.map(formatFundamentalsHour).join('\n')}${netLoadRange}
+`;
+};
+
 /**
  * Grid Analysis LLM class for power systems analysis
  */
@@ -212,6 +248,13 @@ Other Spikes Within 1 Hour:
 ${contextData.nearbySpikes.map(s => `- ${s.location}: $${s.magnitude}/MWh spike at ${s.timestamp}`).join('\n')}
 ` : '';
 
+    const componentsSection = spike.componentDeltas ? `
+LMP Component Changes vs Baseline (driver: ${spike.driver}):
+${Object.entries(spike.componentDeltas).map(([name, delta]) => `- ${name}: ${delta >= 0 ? '+' : ''}$${delta.toFixed(2)}/MWh`).join('\n')}
+` : '';
+
+    const fundamentalsSection = createFundamentalsSection(contextData.fundamentals);
+
     const gridEventsSection = contextData.gridEvents?.length > 0 ? `
 Concurrent Grid Events:
 ${contextData.gridEvents.map(e => `- ${e.type}: ${e.description}`).join('\n')}
@@ -221,15 +264,16 @@ ${contextData.gridEvents.map(e => `- ${e.type}: ${e.description}`).join('\n')}
 
 Price Spike Details:
 - Location: ${spike.location}
-- Timestamp: ${spike.timestamp}
+- Timestamp: ${spike.timestamp}${spike.durationMinutes ? ` (peak of an episode from ${spike.startTimestamp} to ${spike.endTimestamp})` : ''}
 - Price: $${spike.price}/MWh (baseline: $${spike.baselinePrice}/MWh)
 - Magnitude: $${spike.magnitude}/MWh ${spike.type} spike
-- Severity: ${spike.severity}
+- Severity: ${spike.severity}${spike.durationMinutes ? `
+- Duration: ${spike.durationMinutes} minutes, integrated magnitude $${spike.integratedMagnitude}/MWh-minutes` : ''}
 
 Nearby Locations (same time):
 ${spike.nearbyLocations.map(loc => `- ${loc.location}: $${loc.price}/MWh (${loc.distance} miles away)`).join('\n')}
 
-${nearbySpikesSection}${gridEventsSection}
+${componentsSection}${fundamentalsSection}${nearbySpikesSection}${gridEventsSection}
 
 Provide a JSON response with the following structure:
 {
@@ -244,26 +288,27 @@ Provide a JSON response with the following structure:
   "recommendations": ["Array of 2-3 operational recommendations"]
 }
 
-Focus on transmission constraints, generation outages, demand patterns, and market dynamics. Be concise but technically accurate.`;
+Focus on transmission constraints, generation outages, demand patterns, and market dynamics. When system conditions are given, use load, net load ramps and the fuel mix to support or rule out demand- and supply-driven causes. Be concise but technically accurate.`;
   }
 
   /**
    * Create grid events analysis prompt
    */
-  createGridEventsPrompt(spikes, date) {
+  createGridEventsPrompt(spikes, date, iso) {
     return `Analyze the following collection of electricity price spikes to identify potential grid events and transmission issues.
 
+ISO: ${iso}
 Date: ${date}
 Total Spikes: ${spikes.length}
 
 Spike Summary:
-${spikes.map(spike => `- ${spike.location} at ${spike.timestamp}: $${spike.magnitude}/MWh ${spike.type} spike (${spike.severity})`).join('\n')}
+${spikes.map(spike => `- ${spike.location} at ${spike.timestamp}: $${spike.magnitude}/MWh ${spike.type} spike (${spike.severity}${spike.driver && spike.driver !== 'unknown' ? `, ${spike.driver}-driven` : ''})`).join('\n')}
 
 Provide a JSON response with the following structure:
 {
   "gridEvents": [
     {
-      "type": "transmission_outage|generation_trip|load_spike|congestion",
+      "type": "transmission_outage|generation_trip|load_spike|congestion|system_energy",
       "description": "Technical description of the event",
       "affectedLocations": ["array of location names"],
       "estimatedImpact": number (average price impact in $/MWh),
@@ -319,11 +364,11 @@ Focus on identifying transmission line trips, generator outages, and congestion
   /**
    * Analyze multiple spikes to identify grid events
    */
-  async analyzeGridEvents(spikes, date) {
+  async analyzeGridEvents(spikes, date, iso) {
     try {
       logger.info(`🔍 Analyzing grid events with ${this.provider} - ${this.config.model}`);
       
-      const prompt = this.createGridEventsPrompt(spikes, date);
+      const prompt = this.createGridEventsPrompt(spikes, date, iso);
       const content = await this.invokeLLM(prompt);
       const result = parseJSONResponse(content);
       
@@ -0,0 +1,254 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { extractPrice } from '../utils/marketData.js';
+
+// Timestamps with an explicit UTC offset or `Z`; anything else is ambiguous wall-clock time
+const EXPLICIT_OFFSET = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Convert a timestamp to a UTC ISO string
+ * @param {string} [value] - Timestamp, e.g. GridStatus's `interval_start_local` (`2024-01-01T00:00:00-08:00`)
+ * @returns {string|undefined} UTC timestamp, or undefined when the value has no offset or does not parse
+ */
+const toUtcTimestamp = (value) => {
+  if (typeof value !== 'string' || !EXPLICIT_OFFSET.test(value.trim())) return undefined;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+};
+
+/**
+ * Durable on-disk store of normalized LMP records
+ * One JSON file per ISO, market and operating day:
+ * `<baseDir>/<ISO>/<market>/<YYYY-MM-DD>.json`, where market is `day-ahead` or
+ * `real-time-<N>m` for each RT interval length. Inside a file, records are grouped by location,
+ * and writes merge into the locations already stored, so a day can be filled in one location set at a time.
+ */
+class PriceStore {
+  /**
+   * @param {string} baseDir - Directory the store lives in (created on first write)
+   */
+  constructor(baseDir) {
+    this.baseDir = path.resolve(baseDir);
+  }
+
+  /**
+   * Store key for a market
+   * @param {'day-ahead'|'real-time'} type - Market type
+   * @param {number} [intervalMinutes] - RT interval length
+   * @returns {string} Market directory name
+   */
+  getMarketKey(type, intervalMinutes) {
+    return type === 'day-ahead' ? 'day-ahead' : `real-time-${intervalMinutes}m`;
+  }
+
+  /**
+   * Path of a day's file
+   */
+  getFilePath(iso, market, date) {
+    return path.join(this.baseDir, iso, market, `${date}.json`);
+  }
+
+  /**
+   * Reduce a GridStatus record to the fields the transforms read
+   * Local timestamps are converted to UTC; records whose start has no UTC offset are refused,
+   * since the stored field is read as UTC.
+   * @param {Object} record - Raw GridStatus record
+   * @returns {Object|null} Normalized record, or null when the interval start cannot be placed in UTC
+   */
+  normalizeRecord(record) {
+    const intervalStart = record.interval_start_utc || toUtcTimestamp(record.interval_start_local) || toUtcTimestamp(record.timestamp);
+    if (!intervalStart) return null;
+
+    // Same price fields as the transforms (ERCOT publishes `spp`), stored as `lmp`
+    const price = extractPrice(record);
+    const normalized = {
+      interval_start_utc: intervalStart,
+      interval_end_utc: record.interval_end_utc || toUtcTimestamp(record.interval_end_local),
+      location: record.location || record.pnode || record.node || record.zone,
+      market: record.market,
+      lmp: Number.isNaN(price) ? undefined : price,
+      energy: record.energy,
+      congestion: record.congestion,
+      loss: record.loss
+    };
+
+    return Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== undefined && value !== null));
+  }
+
+  /**
+   * Read one market's records for a day, grouped by location
+   * @param {string} iso - ISO identifier
+   * @param {string} market - Market key from `getMarketKey`
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} Records keyed by location, or null when the day is not stored
+   */
+  async readLocations(iso, market, date) {
+    try {
+      const content = await fs.readFile(this.getFilePath(iso, market, date), 'utf8');
+      return JSON.parse(content).locations;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      logger.warn(`⚠️  Unreadable price store file for ${iso} ${market} ${date}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read one market's records for a day
+   * @param {string} iso - ISO identifier
+   * @param {string} market - Market key from `getMarketKey`
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string[]} [locations] - Locations to read; all stored locations when omitted
+   * @returns {Promise<Array|null>} Records, or null unless every requested location is stored
+   */
+  async read(iso, market, date, locations) {
+    const stored = await this.readLocations(iso, market, date);
+    if (!stored) return null;
+
+    if (!locations) {
+      return Object.values(stored).flat();
+    }
+
+    if (!locations.every(location => stored[location])) return null;
+    return locations.flatMap(location => stored[location]);
+  }
+
+  /**
+   * Write one market's records for a day
+   * Locations in `records` replace their stored copies; other stored locations are kept.
+   * Requested locations without records are stored empty, so reads know they were fetched.
+   * Writes go to a temporary file first so readers never see a partial day.
+   * @param {string} iso - ISO identifier
+   * @param {string} market - Market key from `getMarketKey`
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {Array} records - Raw GridStatus records
+   * @param {string[]} [requestedLocations] - Locations the records were fetched for
+   * @returns {Promise<number>} Number of records stored
+   */
+  async write(iso, market, date, records, requestedLocations = []) {
+    const written = Object.fromEntries(requestedLocations.map(location => [location, []]));
+    let refused = 0;
+    records.forEach(record => {
+      const normalized = this.normalizeRecord(record);
+      if (!normalized) {
+        refused++;
+        return;
+      }
+      const location = normalized.location || 'UNKNOWN';
+      (written[location] = written[location] || []).push(normalized);
+    });
+    if (refused > 0) {
+      logger.warn(`⚠️  Skipped ${refused} ${iso} ${market} records for ${date} without a UTC interval start`);
+    }
+    const locations = { ...(await this.readLocations(iso, market, date)), ...written };
+
+    const filePath = this.getFilePath(iso, market, date);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify({
+      iso,
+      market,
+      date,
+      storedAt: new Date().toISOString(),
+      recordCount: Object.values(locations).reduce((sum, locationRecords) => sum + locationRecords.length, 0),
+      locations
+    }));
+    await fs.rename(tempPath, filePath);
+
+    return records.length - refused;
+  }
+
+  /**
+   * Read a day's day-ahead and real-time records
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} iso - ISO identifier
+   * @param {number} rtIntervalMinutes - RT interval length
+   * @param {string[]} [locations] - Locations to read; all stored locations when omitted
+   * @returns {Promise<{dayAheadData: Array, realTimeData: Array}|null>} Null unless both markets are stored for every location
+   */
+  async getDayPrices(date, iso, rtIntervalMinutes, locations) {
+    const dayAheadData = await this.read(iso, this.getMarketKey('day-ahead'), date, locations);
+    if (!dayAheadData) return null;
+
+    const realTimeData = await this.read(iso, this.getMarketKey('real-time', rtIntervalMinutes), date, locations);
+    if (!realTimeData) return null;
+
+    return { dayAheadData, realTimeData };
+  }
+
+  /**
+   * Store a day's day-ahead and real-time records
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} iso - ISO identifier
+   * @param {number} rtIntervalMinutes - RT interval length
+   * @param {{dayAheadData: Array, realTimeData: Array}} prices - Raw GridStatus records
+   * @param {string[]} [locations] - Locations the records were fetched for; those without records are stored empty
+   */
+  async saveDayPrices(date, iso, rtIntervalMinutes, { dayAheadData, realTimeData }, locations) {
+    await this.write(iso, this.getMarketKey('day-ahead'), date, dayAheadData, locations);
+    await this.write(iso, this.getMarketKey('real-time', rtIntervalMinutes), date, realTimeData, locations);
+    logger.info(`🗄️  Stored ${iso} prices for ${date}: ${dayAheadData.length} DA, ${realTimeData.length} RT (${rtIntervalMinutes}-minute) records`);
+  }
+
+  /**
+   * Check whether a day's prices are stored
+   * @param {string[]} [locations] - Locations that must be stored; any stored copy counts when omitted
+   * @returns {Promise<boolean>}
+   */
+  async hasDayPrices(date, iso, rtIntervalMinutes, locations) {
+    if (locations) {
+      return Boolean(await this.getDayPrices(date, iso, rtIntervalMinutes, locations));
+    }
+
+    const files = [
+      this.getFilePath(iso, this.getMarketKey('day-ahead'), date),
+      this.getFilePath(iso, this.getMarketKey('real-time', rtIntervalMinutes), date)
+    ];
+
+    try {
+      await Promise.all(files.map(file => fs.access(file)));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Stored days per ISO and market
+   * @returns {Promise<Object>} `{ [iso]: { [market]: { days, firstDate, lastDate } } }`
+   */
+  async getStats() {
+    const stats = {};
+    const readDir = async (dir) => {
+      try {
+        return await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+    };
+
+    for (const iso of await readDir(this.baseDir)) {
+      for (const market of await readDir(path.join(this.baseDir, iso))) {
+        const dates = (await readDir(path.join(this.baseDir, iso, market)))
+          .filter(file => file.endsWith('.json'))
+          .map(file => file.slice(0, -'.json'.length))
+          .sort();
+
+        stats[iso] = stats[iso] || {};
+        stats[iso][market] = {
+          days: dates.length,
+          firstDate: dates[0] || null,
+          lastDate: dates[dates.length - 1] || null
+        };
+      }
+    }
+
+    return stats;
+  }
+}
+
+export default PriceStore;
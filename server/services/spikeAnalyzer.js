@@ -1,4 +1,7 @@
 import { GridAnalysisLLM } from './llmClient.js';
+import { getDetector } from '../detectors/index.js';
+import { getIntervalStart } from '../detectors/helpers.js';
+import { greatCircleDistanceMiles } from '../utils/geo.js';
 import { logger } from '../utils/logger.js';
 import { ApiError } from '../utils/errors.js';
 
@@ -7,9 +10,9 @@ import { ApiError } from '../utils/errors.js';
  */
 const DEFAULT_THRESHOLDS = {
   minMagnitude: 5,
-  minDuration: 15,
-  spatialRadius: 50,
-  zScoreThreshold: 1.5
+  minDuration: 15, // Minutes; shorter episodes are dropped
+  spatialRadius: 150, // Miles, great-circle between registry coordinates
+  zScoreThreshold: 1.5 // Default detector only; other detectors set their own
 };
 
 const SEVERITY_THRESHOLDS = {
@@ -19,7 +22,52 @@ const SEVERITY_THRESHOLDS = {
   low: 0
 };
 
-const WINDOW_SIZE = 6; // 30-minute window for 5-min data
+const WINDOW_SIZE = 6; // Intervals before the first one scored, the detectors' initial calm baseline
+
+const MAX_NEARBY_LOCATIONS = 5;
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // Assumed interval length when a series has a single point
+
+/**
+ * LMP components a spike can be attributed to
+ */
+const COMPONENT_NAMES = ['energy', 'congestion', 'loss'];
+
+/**
+ * Share of a group's component-attributed spikes that must share a driver for the event to take it
+ */
+const EVENT_DRIVER_SHARE = 0.5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Correlation analysis settings
+ */
+const MAX_LAG_INTERVALS = 6; // Lead/lag search window on either side
+const MIN_CORRELATION_POINTS = 12; // Fewest aligned points a correlation is computed from
+
+/**
+ * Pearson correlation of two equal-length lists
+ * @returns {number|null} Correlation rounded to three decimals, or null when either list is constant
+ *   or there are too few points
+ */
+const pearsonCorrelation = (xs, ys) => {
+  if (xs.length < 2) return null;
+
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += Math.pow(x - meanX, 2);
+    varianceY += Math.pow(ys[i] - meanY, 2);
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.round(covariance / Math.sqrt(varianceX * varianceY) * 1000) / 1000;
+};
 
 /**
  * Spike Analyzer service for detecting and analyzing price spikes
@@ -44,25 +92,32 @@ class SpikeAnalyzer {
 
   /**
    * Detect price spikes using statistical analysis
+   * `thresholds.method` picks the detector (see server/detectors); its threshold defaults apply
+   * under the request's thresholds.
+   * @param {Array} priceData - Spike analysis data, one entry per location
+   * @param {Object} [thresholds] - Detection thresholds and `method`
+   * @param {Object} [context] - Extra data the detector reads: `timezone`, `history` (prior days'
+   *   spike analysis data) and `dayAhead` (the day's DA prices in spike analysis format)
    */
-  detectSpikes(priceData, thresholds = {}) {
+  detectSpikes(priceData, thresholds = {}, context = {}) {
     this.validatePriceData(priceData);
     
-    const config = { ...DEFAULT_THRESHOLDS, ...thresholds };
-    logger.info(`🔍 Detecting spikes with thresholds: magnitude=${config.minMagnitude}, zScore=${config.zScoreThreshold}, spatialRadius=${config.spatialRadius}`);
+    const detector = getDetector(thresholds?.method);
+    const config = { ...DEFAULT_THRESHOLDS, ...detector.defaults, ...thresholds, method: detector.id };
+    logger.info(`🔍 Detecting spikes with ${detector.id} detector: magnitude=${config.minMagnitude}, zScore=${config.zScoreThreshold}, spatialRadius=${config.spatialRadius}`);
 
     const spikes = [];
     
     try {
+      const priceIndex = this.buildPriceIndex(priceData);
       priceData.forEach((locationData, locationIndex) => {
-        const locationSpikes = this.analyzeLocationSpikes(locationData, locationIndex, config, priceData);
+        const locationSpikes = this.analyzeLocationSpikes(locationData, locationIndex, config, priceData, priceIndex, detector, context);
         spikes.push(...locationSpikes);
       });
 
-      const filteredSpikes = this.filterDuplicateSpikes(spikes);
-      logger.info(`📊 Detected ${filteredSpikes.length} price spikes (${spikes.length} before filtering)`);
+      logger.info(`📊 Detected ${spikes.length} price spike episodes lasting at least ${config.minDuration} minutes`);
       
-      return filteredSpikes;
+      return spikes.sort((a, b) => b.magnitude - a.magnitude);
     } catch (error) {
       logger.error('❌ Spike detection error:', error);
       throw new ApiError(`Spike detection failed: ${error.message}`, 500);
@@ -79,95 +134,193 @@ class SpikeAnalyzer {
   }
 
   /**
-   * Analyze spikes for a specific location
+   * Analyze spike episodes for a specific location
+   * Consecutive intervals the detector flags on the same side of their baseline form one episode.
+   * Detectors build their baselines from the intervals outside any episode, which stop accumulating
+   * while an episode is open, so a sustained spike is not absorbed into its own baseline and the return
+   * to normal is not flagged as a spike in the other direction. An episode ends at the first interval
+   * that falls back, flips direction or follows a gap in the data; episodes shorter than `minDuration`
+   * minutes are dropped.
    */
-  analyzeLocationSpikes(locationData, locationIndex, config, allPriceData) {
+  analyzeLocationSpikes(locationData, locationIndex, config, allPriceData, priceIndex, detector, context) {
     const { location, prices } = locationData;
     
     if (!prices || prices.length === 0) {
       throw new ApiError(`No price data available for location ${location}`, 400);
     }
         
+    const intervalMs = this.getIntervalMs(prices);
+    const calmPrices = prices.slice(0, WINDOW_SIZE);
+    const scoreInterval = detector.createScorer({ location, prices, context, config });
+    const isSpike = (score) => score !== null && detector.isSpike(score, config);
     const spikes = [];
+    let dropped = 0;
+    let episode = null;
     
-    for (let i = WINDOW_SIZE; i < prices.length; i++) {
-      const spike = this.detectSpikeAtIndex(prices, i, location, locationIndex, config, allPriceData);
+    const closeEpisode = () => {
+      const spike = this.createEpisodeSpike(episode, prices, location, locationIndex, config, allPriceData, priceIndex, intervalMs);
       if (spike) {
         spikes.push(spike);
-        logger.info(`🎯 Spike detected: ${location} at ${prices[i].timestamp}, magnitude: $${spike.magnitude.toFixed(2)}, zScore: ${spike.zScore.toFixed(2)}`);
+        logger.info(`🎯 Spike detected: ${location} from ${spike.startTimestamp} for ${spike.durationMinutes} min, peak magnitude: $${spike.magnitude.toFixed(2)}, zScore: ${spike.zScore.toFixed(2)}`);
+      } else {
+        dropped++;
+      }
+      episode = null;
+    };
+    
+    for (let i = WINDOW_SIZE; i < prices.length; i++) {
+      const score = scoreInterval(i, calmPrices);
+      
+      if (episode) {
+        const contiguous = getIntervalStart(prices[i]) - getIntervalStart(prices[episode.endIndex]) <= intervalMs;
+        
+        if (contiguous && isSpike(score) && score.direction === episode.direction) {
+          this.extendEpisode(episode, i, score, intervalMs);
+          continue;
+        }
+        closeEpisode();
       }
+      
+      if (isSpike(score)) {
+        // Component deltas compare against the intervals just before the episode
+        const window = calmPrices.slice(-WINDOW_SIZE);
+        episode = { startIndex: i, endIndex: i, window, direction: score.direction, peakIndex: i, peak: score, integratedMagnitude: 0 };
+        this.extendEpisode(episode, i, score, intervalMs);
+      } else {
+        calmPrices.push(prices[i]);
+      }
+    }
+    
+    if (episode) {
+      closeEpisode();
+    }
+    
+    if (dropped > 0) {
+      logger.info(`⏱️  Dropped ${dropped} ${location} spike episodes shorter than ${config.minDuration} minutes`);
     }
     
     return spikes;
   }
 
   /**
-   * Detect spike at specific price index
+   * Add an interval to an episode, tracking its peak and integrated magnitude ($/MWh-minutes)
    */
-  detectSpikeAtIndex(prices, index, location, locationIndex, config, allPriceData) {
-    const window = prices.slice(index - WINDOW_SIZE, index);
-    const { mean, stdDev } = this.calculateStatistics(window);
+  extendEpisode(episode, index, score, intervalMs) {
+    episode.endIndex = index;
+    episode.integratedMagnitude += score.magnitude * intervalMs / 60000;
     
-    const currentPrice = prices[index].price;
-    const zScore = stdDev > 0 ? Math.abs(currentPrice - mean) / stdDev : 0;
-    const magnitude = Math.abs(currentPrice - mean);
+    if (score.magnitude > episode.peak.magnitude) {
+      episode.peakIndex = index;
+      episode.peak = score;
+    }
+  }
+
+  /**
+   * Turn a closed episode into a spike reported at its peak
+   * @returns {Object|null} Spike, or null when the episode is shorter than `minDuration`
+   */
+  createEpisodeSpike(episode, prices, location, locationIndex, config, allPriceData, priceIndex, intervalMs) {
+    const start = prices[episode.startIndex];
+    const end = prices[episode.endIndex];
+    const durationMinutes = (getIntervalStart(end) - getIntervalStart(start) + intervalMs) / 60000;
     
-    if (this.isSpikeDetected(zScore, magnitude, config)) {
-      return this.createSpikeObject(
-        prices[index], 
-        location, 
-        locationIndex, 
-        currentPrice, 
-        mean, 
-        magnitude, 
-        zScore, 
-        config, 
-        allPriceData, 
-        index
-      );
+    if (durationMinutes < config.minDuration) {
+      return null;
     }
     
-    return null;
+    const peakPoint = prices[episode.peakIndex];
+    const { baseline, magnitude, zScore } = episode.peak;
+    
+    return this.createSpikeObject(
+      peakPoint,
+      location,
+      locationIndex,
+      peakPoint.price,
+      baseline,
+      magnitude,
+      zScore,
+      config,
+      allPriceData,
+      episode.startIndex,
+      this.calculateComponentDeltas(episode.window, peakPoint),
+      priceIndex,
+      {
+        startTimestamp: start.timestamp,
+        endTimestamp: new Date(new Date(end.timestamp).getTime() + intervalMs).toISOString(),
+        startUtc: new Date(getIntervalStart(start)).toISOString(),
+        endUtc: new Date(getIntervalStart(end) + intervalMs).toISOString(),
+        durationMinutes,
+        intervalCount: episode.endIndex - episode.startIndex + 1,
+        integratedMagnitude: Math.round(episode.integratedMagnitude * 100) / 100,
+        detector: config.method
+      }
+    );
   }
 
   /**
-   * Calculate statistical measures for a price window
+   * Typical interval length of a price series (the median gap between points)
    */
-  calculateStatistics(window) {
-    const mean = window.reduce((sum, p) => sum + p.price, 0) / window.length;
-    const variance = window.reduce((sum, p) => sum + Math.pow(p.price - mean, 2), 0) / window.length;
-    const stdDev = Math.sqrt(variance);
+  getIntervalMs(prices) {
+    const gaps = prices.slice(1)
+      .map((p, i) => getIntervalStart(p) - getIntervalStart(prices[i]))
+      .filter(gap => gap > 0)
+      .sort((a, b) => a - b);
     
-    return { mean, stdDev, variance };
+    return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : DEFAULT_INTERVAL_MS;
   }
 
   /**
-   * Check if spike detection criteria are met
+   * Change in each LMP component from the window average to the current price
+   * @returns {{energy: number, congestion: number, loss: number}|null} Deltas in $/MWh, or null unless every point carries components
    */
-  isSpikeDetected(zScore, magnitude, config) {
-    const { zScoreThreshold, minMagnitude } = config;
-    
-    // More lenient detection: either high z-score OR significant magnitude
-    return (zScore > zScoreThreshold && magnitude > minMagnitude) || 
-           magnitude > minMagnitude * 2;
+  calculateComponentDeltas(window, pricePoint) {
+    if (!pricePoint.components || window.some(p => !p.components)) {
+      return null;
+    }
+
+    return Object.fromEntries(COMPONENT_NAMES.map(name => {
+      const baseline = window.reduce((sum, p) => sum + p.components[name], 0) / window.length;
+      return [name, pricePoint.components[name] - baseline];
+    }));
+  }
+
+  /**
+   * Attribute a spike to the LMP component that moved the most
+   * Congestion and loss are location-specific; energy is the same system-wide price at every node.
+   * @returns {'energy'|'congestion'|'loss'|'unknown'} Spike driver, 'unknown' without component data
+   */
+  classifySpikeDriver(componentDeltas) {
+    if (!componentDeltas) return 'unknown';
+
+    return COMPONENT_NAMES.reduce((driver, name) =>
+      Math.abs(componentDeltas[name]) > Math.abs(componentDeltas[driver]) ? name : driver
+    );
   }
 
   /**
    * Create spike object with all required properties
+   * `timestamp`, `price` and `magnitude` describe the episode's peak interval.
    */
-  createSpikeObject(pricePoint, location, locationIndex, currentPrice, mean, magnitude, zScore, config, allPriceData, index) {
+  createSpikeObject(pricePoint, location, locationIndex, currentPrice, mean, magnitude, zScore, config, allPriceData, index, componentDeltas = null, priceIndex, episode = null) {
+    const nodePrices = this.getNodePrices(allPriceData, priceIndex, locationIndex, pricePoint);
+    
     return {
       id: `spike-${locationIndex}-${index}-${Date.now()}`,
       timestamp: pricePoint.timestamp,
+      intervalStartUtc: pricePoint.intervalStartUtc,
       location,
       price: currentPrice,
       baselinePrice: mean,
       magnitude,
       type: currentPrice > mean ? 'positive' : 'negative',
       severity: this.calculateSeverity(magnitude),
-      nearbyLocations: this.findNearbyPrices(allPriceData, locationIndex, index, config.spatialRadius),
+      nearbyLocations: this.findNearbyPrices(nodePrices, location, config.spatialRadius),
+      nodePrices,
       confidence: Math.min(zScore / 5, 1), // Normalize confidence
-      zScore
+      zScore,
+      driver: this.classifySpikeDriver(componentDeltas),
+      ...(componentDeltas && { components: pricePoint.components, componentDeltas }),
+      ...episode
     };
   }
 
@@ -182,55 +335,57 @@ class SpikeAnalyzer {
   }
 
   /**
-   * Find nearby price data for spatial analysis
+   * Index every location's prices by interval start, so locations are compared at the same instant
+   * rather than at the same array position
+   * @returns {Array<Map<string, number>>} Price by interval start, in priceData order
    */
-  findNearbyPrices(priceData, currentLocationIndex, timeIndex, radius) {
-    const nearby = [];
-    
-    for (let i = 0; i < priceData.length; i++) {
-      if (i !== currentLocationIndex && priceData[i].prices[timeIndex]) {
-        // Distance calculation (simplified - in reality would use actual coordinates)
-        const distance = Math.abs(i - currentLocationIndex) * 10;
-        
-        if (distance <= radius) {
-          nearby.push({
-            location: priceData[i].location,
-            price: priceData[i].prices[timeIndex].price,
-            distance
-          });
-        }
-      }
-    }
-    
-    return nearby.slice(0, 5); // Return top 5 nearby locations
+  buildPriceIndex(priceData) {
+    return priceData.map(({ prices }) =>
+      new Map(prices.map(p => [p.intervalStartUtc || p.timestamp, p.price])));
   }
 
   /**
-   * Filter duplicate spikes that are too close in time and space
+   * Price at every location in the spike's interval, for mapping price separation
+   * Distances are great-circle miles from the spiking location, null when either location has no
+   * registry coordinates. Separation is the location's price minus the spiking location's price.
+   * @returns {Array<{location: string, name: string, region: string, lat?: number, lon?: number, price: number, separation: number, distance: number|null}>}
    */
-  filterDuplicateSpikes(spikes) {
-    const filtered = [];
-    const timeThreshold = 15 * 60 * 1000; // 15 minutes
-    
-    spikes.forEach(spike => {
-      const isDuplicate = filtered.some(existing => 
-        this.areSpikesDuplicate(existing, spike, timeThreshold)
-      );
-      
-      if (!isDuplicate) {
-        filtered.push(spike);
-      }
-    });
+  getNodePrices(priceData, priceIndex, currentLocationIndex, pricePoint) {
+    const interval = pricePoint.intervalStartUtc || pricePoint.timestamp;
+    const origin = priceData[currentLocationIndex].metadata;
     
-    return filtered.sort((a, b) => b.magnitude - a.magnitude);
+    return priceData
+      .map(({ location, metadata = {} }, i) => {
+        const price = priceIndex[i].get(interval);
+        if (price === undefined) return null;
+        
+        const distance = i === currentLocationIndex ? 0 : greatCircleDistanceMiles(origin, metadata);
+        return {
+          location,
+          name: metadata.name || location,
+          region: metadata.region,
+          lat: metadata.lat,
+          lon: metadata.lon,
+          price,
+          separation: price - pricePoint.price,
+          distance: distance === null ? null : Math.round(distance * 10) / 10
+        };
+      })
+      .filter(Boolean);
   }
 
   /**
-   * Check if two spikes are duplicates
+   * Locations within the spatial radius of a spike, nearest first
+   * @param {Array} nodePrices - Prices at every location in the spike's interval
+   * @param {string} location - Spiking location
+   * @param {number} radius - Spatial radius in miles
    */
-  areSpikesDuplicate(spike1, spike2, timeThreshold) {
-    return spike1.location === spike2.location &&
-           Math.abs(new Date(spike1.timestamp).getTime() - new Date(spike2.timestamp).getTime()) < timeThreshold;
+  findNearbyPrices(nodePrices, location, radius) {
+    return nodePrices
+      .filter(node => node.location !== location && node.distance !== null && node.distance <= radius)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, MAX_NEARBY_LOCATIONS)
+      .map(({ location: nearbyLocation, name, price, separation, distance }) => ({ location: nearbyLocation, name, price, separation, distance }));
   }
 
   /**
@@ -255,37 +410,46 @@ class SpikeAnalyzer {
   }
 
   /**
-   * Group spikes by hour for event detection
+   * Group spikes by clock hour for event detection
+   * Hours are taken from each spike's UTC interval start, so grouping does not depend on the
+   * server's timezone or on the timezone the spike timestamps were converted to.
    */
   groupSpikesByTime(spikes) {
     const timeGroups = new Map();
     
     spikes.forEach(spike => {
-      const hour = new Date(spike.timestamp).getHours();
-      if (!timeGroups.has(hour)) {
-        timeGroups.set(hour, []);
+      const instant = new Date(spike.intervalStartUtc || spike.timestamp).getTime();
+      const hourStart = Math.floor(instant / HOUR_MS) * HOUR_MS;
+      if (!timeGroups.has(hourStart)) {
+        timeGroups.set(hourStart, []);
       }
-      timeGroups.get(hour).push(spike);
+      timeGroups.get(hourStart).push(spike);
     });
     
     return timeGroups;
   }
 
   /**
-   * Create grid events from time-grouped spikes
+   * Create grid events from time-grouped spikes, in time order
+   * Event timestamps use the earliest spike's timestamp, in the same timezone as the spikes.
    */
   createEventsFromTimeGroups(timeGroups, date) {
     const events = [];
     
-    timeGroups.forEach((hourSpikes, hour) => {
+    [...timeGroups.entries()].sort((a, b) => a[0] - b[0]).forEach(([hourStart, hourSpikes]) => {
       if (hourSpikes.length >= 2) {
         const avgMagnitude = this.calculateAverageMagnitude(hourSpikes);
+        const driver = this.getEventDriver(hourSpikes);
+        const first = hourSpikes.reduce((earliest, s) =>
+          new Date(s.intervalStartUtc || s.timestamp) < new Date(earliest.intervalStartUtc || earliest.timestamp) ? s : earliest);
         
         events.push({
-          id: `event-${hour}-${Date.now()}`,
-          timestamp: `${date}T${hour.toString().padStart(2, '0')}:00:00Z`,
-          type: avgMagnitude > 100 ? 'transmission_outage' : 'congestion',
-          description: this.generateEventDescription(hourSpikes, avgMagnitude),
+          id: `event-${date}-${new Date(hourStart).toISOString()}`,
+          timestamp: first.timestamp,
+          hourStartUtc: new Date(hourStart).toISOString(),
+          type: this.getEventType(driver, avgMagnitude),
+          driver,
+          description: this.generateEventDescription(hourSpikes, avgMagnitude, driver),
           affectedLocations: hourSpikes.map(s => s.location),
           estimatedImpact: avgMagnitude,
           severity: this.getEventSeverity(avgMagnitude),
@@ -297,6 +461,33 @@ class SpikeAnalyzer {
     return events;
   }
 
+  /**
+   * Dominant driver of a group of spikes
+   * @returns {'energy'|'congestion'|'loss'|'mixed'|'unknown'} 'unknown' when no spike has component data,
+   * 'mixed' when no driver reaches EVENT_DRIVER_SHARE of the attributed spikes
+   */
+  getEventDriver(spikes) {
+    const attributed = spikes.filter(s => s.driver && s.driver !== 'unknown');
+    if (attributed.length === 0) return 'unknown';
+
+    const counts = attributed.reduce((result, s) => {
+      result[s.driver] = (result[s.driver] || 0) + 1;
+      return result;
+    }, {});
+    const [driver, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+
+    return count / attributed.length > EVENT_DRIVER_SHARE ? driver : 'mixed';
+  }
+
+  /**
+   * Event type from the spikes' driver, falling back to magnitude without component data
+   */
+  getEventType(driver, avgMagnitude) {
+    if (driver === 'energy') return 'system_energy';
+    if (driver === 'congestion' || driver === 'loss') return 'congestion';
+    return avgMagnitude > 100 ? 'transmission_outage' : 'congestion';
+  }
+
   /**
    * Calculate average magnitude for a group of spikes
    */
@@ -316,9 +507,17 @@ class SpikeAnalyzer {
   /**
    * Generate event description based on spike patterns
    */
-  generateEventDescription(spikes, avgMagnitude) {
+  generateEventDescription(spikes, avgMagnitude, driver = 'unknown') {
     const locations = spikes.map(s => s.location).join(', ');
     
+    if (driver === 'energy') {
+      return `System-wide energy price movement at ${locations}. The energy component drove the spikes, pointing to a supply-demand imbalance rather than a local constraint.`;
+    } else if (driver === 'congestion') {
+      return `Transmission congestion at ${locations}. The congestion component drove the spikes, pointing to a binding constraint.`;
+    } else if (driver === 'loss') {
+      return `Loss-driven price separation at ${locations}. Marginal losses moved more than energy or congestion.`;
+    }
+    
     if (avgMagnitude > 150) {
       return `Major transmission outage affecting ${locations}. Price differential suggests line trip or generator failure.`;
     } else if (avgMagnitude > 75) {
@@ -344,6 +543,160 @@ class SpikeAnalyzer {
     return Math.min(confidence, 0.95);
   }
 
+  /**
+   * Cross-location correlation analysis for the "correlation" analysis type
+   * - `matrix`: Pearson correlation of every pair of locations' prices, aligned by interval start
+   * - `leadLag`: For each pair, the correlation of interval-to-interval price changes with one series
+   *   shifted by up to MAX_LAG_INTERVALS either way. A positive `bestLagMinutes` means the first
+   *   location's moves show up at the second that many minutes later
+   * - `spreadCorrelations`: Per location, the correlation across hours between spike minutes and the
+   *   RT-DA spread (hourly average RT minus DA); empty without day-ahead prices
+   * @param {Array} priceData - Spike analysis data, one entry per location
+   * @param {Array} spikes - Detected spikes
+   * @param {Array|null} [dayAheadData] - The day's DA prices in spike analysis format
+   */
+  analyzeCorrelations(priceData, spikes, dayAheadData = null) {
+    this.validatePriceData(priceData);
+    
+    const intervalMs = this.getIntervalMs(priceData[0].prices);
+    const series = priceData.map(({ location, metadata, prices }) => ({
+      location,
+      name: metadata?.name || location,
+      prices: new Map(prices.map(p => [getIntervalStart(p), p.price]))
+    }));
+    
+    const matrix = series.map(a => series.map(b => a === b ? 1 : this.correlateSeries(a.prices, b.prices)));
+    
+    const leadLag = [];
+    series.forEach((a, i) => {
+      series.slice(i + 1).forEach(b => leadLag.push(this.calculateLeadLag(a, b, intervalMs)));
+    });
+    
+    const spreadCorrelations = dayAheadData
+      ? priceData.map(locationData => this.calculateSpreadCorrelation(locationData, spikes, dayAheadData, intervalMs))
+      : [];
+    
+    logger.info(`🔗 Correlated ${series.length} locations (${leadLag.length} pairs)${dayAheadData ? ' with DA-RT spreads' : ''}`);
+    
+    return {
+      locations: series.map(({ location, name }) => ({ location, name })),
+      matrix,
+      leadLag,
+      spreadCorrelations,
+      intervalMinutes: intervalMs / 60000,
+      maxLagMinutes: MAX_LAG_INTERVALS * intervalMs / 60000
+    };
+  }
+
+  /**
+   * Correlate two series keyed by interval start, pairing `a` at t with `b` at t + offsetMs
+   * @returns {number|null} Correlation, or null with fewer than MIN_CORRELATION_POINTS pairs
+   */
+  correlateSeries(a, b, offsetMs = 0) {
+    const xs = [];
+    const ys = [];
+    a.forEach((value, time) => {
+      if (b.has(time + offsetMs)) {
+        xs.push(value);
+        ys.push(b.get(time + offsetMs));
+      }
+    });
+    
+    return xs.length >= MIN_CORRELATION_POINTS ? pearsonCorrelation(xs, ys) : null;
+  }
+
+  /**
+   * Interval-to-interval price changes keyed by interval start, skipping gaps
+   */
+  getPriceChanges(prices, intervalMs) {
+    const changes = new Map();
+    prices.forEach((price, time) => {
+      if (prices.has(time - intervalMs)) {
+        changes.set(time, price - prices.get(time - intervalMs));
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Find the lag at which two locations' price changes line up best
+   * @returns {{locationA: string, locationB: string, bestLagMinutes: number|null, correlation: number|null,
+   *   leader: string|null, curve: Array<{lagMinutes: number, correlation: number|null}>}}
+   */
+  calculateLeadLag(a, b, intervalMs) {
+    const changesA = this.getPriceChanges(a.prices, intervalMs);
+    const changesB = this.getPriceChanges(b.prices, intervalMs);
+    
+    const curve = [];
+    for (let lag = -MAX_LAG_INTERVALS; lag <= MAX_LAG_INTERVALS; lag++) {
+      curve.push({
+        lagMinutes: lag * intervalMs / 60000,
+        correlation: this.correlateSeries(changesA, changesB, lag * intervalMs)
+      });
+    }
+    
+    const best = curve
+      .filter(point => point.correlation !== null)
+      .reduce((top, point) => (!top || point.correlation > top.correlation ? point : top), null);
+    
+    return {
+      locationA: a.location,
+      locationB: b.location,
+      bestLagMinutes: best ? best.lagMinutes : null,
+      correlation: best ? best.correlation : null,
+      leader: !best || best.lagMinutes === 0 ? null : best.lagMinutes > 0 ? a.location : b.location,
+      curve
+    };
+  }
+
+  /**
+   * Correlate a location's spike minutes per hour with its hourly RT-DA spread
+   * @returns {{location: string, name: string, correlation: number|null, hours: number, spikeHours: number,
+   *   meanSpreadSpikeHours: number|null, meanSpreadOtherHours: number|null}}
+   */
+  calculateSpreadCorrelation(locationData, spikes, dayAheadData, intervalMs) {
+    const { location, metadata, prices } = locationData;
+    const dayAhead = dayAheadData.find(entry => entry.location === location)?.prices || [];
+    const dayAheadByHour = new Map(dayAhead.map(p => [Math.floor(getIntervalStart(p) / HOUR_MS), p.price]));
+    
+    const realTimeByHour = new Map();
+    prices.forEach(p => {
+      const hour = Math.floor(getIntervalStart(p) / HOUR_MS);
+      realTimeByHour.set(hour, [...(realTimeByHour.get(hour) || []), p.price]);
+    });
+    
+    // Minutes of each hour covered by the location's spike episodes
+    const episodes = spikes
+      .filter(spike => spike.location === location)
+      .map(spike => spike.startUtc && spike.endUtc
+        ? { start: new Date(spike.startUtc).getTime(), end: new Date(spike.endUtc).getTime() }
+        : { start: getIntervalStart(spike), end: getIntervalStart(spike) + intervalMs });
+    const getSpikeMinutes = (hour) => episodes.reduce((minutes, { start, end }) =>
+      minutes + Math.max(0, Math.min(end, (hour + 1) * HOUR_MS) - Math.max(start, hour * HOUR_MS)) / 60000, 0);
+    
+    const hours = [...realTimeByHour]
+      .filter(([hour]) => dayAheadByHour.has(hour))
+      .map(([hour, hourPrices]) => ({
+        spikeMinutes: getSpikeMinutes(hour),
+        spread: hourPrices.reduce((sum, price) => sum + price, 0) / hourPrices.length - dayAheadByHour.get(hour)
+      }));
+    
+    const meanSpread = (subset) => subset.length > 0
+      ? Math.round(subset.reduce((sum, h) => sum + h.spread, 0) / subset.length * 100) / 100
+      : null;
+    const spikeHours = hours.filter(h => h.spikeMinutes > 0);
+    
+    return {
+      location,
+      name: metadata?.name || location,
+      correlation: pearsonCorrelation(hours.map(h => h.spikeMinutes), hours.map(h => h.spread)),
+      hours: hours.length,
+      spikeHours: spikeHours.length,
+      meanSpreadSpikeHours: meanSpread(spikeHours),
+      meanSpreadOtherHours: meanSpread(hours.filter(h => h.spikeMinutes === 0))
+    };
+  }
+
   /**
    * AI-powered analysis using LangChain
    */
@@ -381,12 +734,12 @@ class SpikeAnalyzer {
   /**
    * Analyze multiple spikes for grid events using AI
    */
-  async analyzeGridEvents(spikes, date) {
+  async analyzeGridEvents(spikes, date, iso) {
     this.validateGridEventsInputs(spikes);
 
     try {
-      logger.info(`🧠 Performing AI grid events analysis for ${spikes.length} spikes`);
-      const analysis = await this.llmClient.analyzeGridEvents(spikes, date);
+      logger.info(`🧠 Performing AI grid events analysis for ${spikes.length} ${iso} spikes`);
+      const analysis = await this.llmClient.analyzeGridEvents(spikes, date, iso);
       return analysis;
     } catch (error) {
       logger.error('❌ Grid events analysis error:', error.message);
@@ -423,6 +776,7 @@ class SpikeAnalyzer {
         total: spikes.length,
         bySeverity: this.calculateSeverityStats(spikes),
         byType: this.calculateTypeStats(spikes),
+        byDriver: this.calculateDriverStats(spikes),
         avgMagnitude: this.calculateAverageMagnitude(spikes),
         maxMagnitude: spikes.length > 0 ? Math.max(...spikes.map(s => s.magnitude)) : 0,
         avgConfidence: spikes.length > 0 
@@ -468,6 +822,16 @@ class SpikeAnalyzer {
       negative: spikes.filter(s => s.type === 'negative').length
     };
   }
+
+  /**
+   * Calculate LMP component driver distribution statistics
+   */
+  calculateDriverStats(spikes) {
+    return [...COMPONENT_NAMES, 'unknown'].reduce((result, driver) => {
+      result[driver] = spikes.filter(s => (s.driver || 'unknown') === driver).length;
+      return result;
+    }, {});
+  }
 }
 
 export default SpikeAnalyzer;
\ No newline at end of file
@@ -0,0 +1,159 @@
+import { logger } from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+import { getISOProfile } from '../config/isoProfiles.js';
+import { getDefaultLocations } from '../config/locations.js';
+import { getOperatingDayBounds } from '../utils/timezone.js';
+
+/**
+ * Hours after an operating day ends before its RT prices are treated as final
+ */
+const SETTLEMENT_GRACE_HOURS = 2;
+
+/**
+ * Market data provider that reads the durable price store first
+ * Misses go to the upstream provider (GridStatus API or fixtures) and settled days are
+ * written back, so a restart or cold start does not refetch days already seen.
+ * Without an upstream provider it serves stored days only.
+ * @implements {import('./gridstatus.js').MarketDataProvider}
+ */
+class StoredMarketDataProvider {
+  /**
+   * @param {import('./priceStore.js').default} priceStore - Durable price store
+   * @param {import('./gridstatus.js').MarketDataProvider|null} upstream - Provider used on store misses
+   */
+  constructor(priceStore, upstream = null) {
+    this.priceStore = priceStore;
+    this.upstream = upstream;
+    this.providerName = upstream ? upstream.providerName : 'store';
+    this.recordDir = upstream?.recordDir || null;
+  }
+
+  /**
+   * Whether a day's prices are final and safe to store
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} iso - ISO identifier
+   * @returns {boolean}
+   */
+  isSettledDay(date, iso) {
+    const { end } = getOperatingDayBounds(date, getISOProfile(iso).timezone);
+    return end.getTime() + SETTLEMENT_GRACE_HOURS * 60 * 60 * 1000 <= Date.now();
+  }
+
+  /**
+   * Get both day-ahead and real-time prices, from the store when available
+   * @param {string} date - Operating date (YYYY-MM-DD)
+   * @param {string} [iso] - ISO identifier
+   * @param {Object} [options]
+   * @param {number} [options.rtIntervalMinutes] - RT interval length
+   * @param {string[]} [options.locations] - Registry location ids (the ISO's default locations when omitted)
+   * @param {boolean} [options.refresh] - Skip the store and refetch from upstream
+   * @param {'interactive'|'background'} [options.priority] - Upstream request queue priority
+   * @returns {Promise<{dayAheadData: Array, realTimeData: Array, pagination?: Object, source: 'store'|'upstream', stored?: boolean}>} Upstream results report whether the day was written to the store
+   */
+  async getMarketPrices(date, iso = 'CAISO', options = {}) {
+    const rtIntervalMinutes = options.rtIntervalMinutes || getISOProfile(iso).rtIntervalMinutes;
+    const locations = options.locations?.length ? options.locations : getDefaultLocations(iso).map(location => location.id);
+
+    if (!options.refresh) {
+      const stored = await this.priceStore.getDayPrices(date, iso, rtIntervalMinutes, locations);
+      if (stored) {
+        logger.info(`🗄️  Using stored ${iso} prices for ${date} (${rtIntervalMinutes}-minute RT, ${locations.length} locations)`);
+        return { ...stored, source: 'store' };
+      }
+    }
+
+    if (!this.upstream) {
+      throw new ApiError(`No stored market data for ${iso} on ${date} at ${locations.join(', ')}. Run the backfill command to load it.`, 404);
+    }
+
+    const { dayAheadData, realTimeData, pagination } = await this.upstream.getMarketPrices(date, iso, { rtIntervalMinutes, locations, priority: options.priority });
+    const truncated = Boolean(pagination?.dayAhead.truncated || pagination?.realTime.truncated);
+
+    // Only complete, settled days are stored; today's prices are still arriving
+    let stored = false;
+    if (dayAheadData.length > 0 && realTimeData.length > 0 && !truncated && this.isSettledDay(date, iso)) {
+      try {
+        await this.priceStore.saveDayPrices(date, iso, rtIntervalMinutes, { dayAheadData, realTimeData }, locations);
+        stored = true;
+      } catch (error) {
+        logger.warn(`⚠️  Failed to store ${iso} prices for ${date}: ${error.message}`);
+      }
+    }
+
+    return { dayAheadData, realTimeData, pagination, source: 'upstream', stored };
+  }
+
+  /**
+   * Get hourly ancillary service prices from the upstream provider
+   * AS prices are not kept in the price store; the shared data cache holds them instead.
+   */
+  async getAncillaryPrices(date, iso = 'CAISO', options = {}) {
+    if (!this.upstream) {
+      throw new ApiError('Ancillary service prices need a GridStatus API key or fixtures', 503);
+    }
+    return this.upstream.getAncillaryPrices(date, iso, { priority: options.priority });
+  }
+
+  /**
+   * Get system load, load forecast and fuel mix from the upstream provider
+   * Fundamentals are not kept in the price store; the shared data cache holds them instead.
+   */
+  async getFundamentals(date, iso = 'CAISO', options = {}) {
+    if (!this.upstream) {
+      throw new ApiError('Load and fuel mix data need a GridStatus API key or fixtures', 503);
+    }
+    return this.upstream.getFundamentals(date, iso, { priority: options.priority });
+  }
+
+  /**
+   * Get day-ahead prices for a specific date
+   */
+  async getDayAheadPrices(date, iso = 'CAISO') {
+    const { dayAheadData } = await this.getMarketPrices(date, iso);
+    return dayAheadData;
+  }
+
+  /**
+   * Get real-time prices for a specific date
+   */
+  async getRealTimePrices(date, iso = 'CAISO', options = {}) {
+    const { realTimeData } = await this.getMarketPrices(date, iso, options);
+    return realTimeData;
+  }
+
+  /**
+   * List available datasets from the upstream provider
+   */
+  async getAvailableDatasets() {
+    if (!this.upstream) {
+      throw new ApiError('Dataset listing needs a GridStatus API key or fixtures', 503);
+    }
+    return this.upstream.getAvailableDatasets();
+  }
+
+  /**
+   * Test the upstream connection; a store-only provider is always reachable
+   */
+  async testConnection() {
+    if (!this.upstream) {
+      return { success: true, message: 'Serving stored market data only' };
+    }
+    return this.upstream.testConnection();
+  }
+
+  /**
+   * Get upstream API usage statistics
+   */
+  async getUsageStats() {
+    return this.upstream ? this.upstream.getUsageStats() : null;
+  }
+
+  /**
+   * Get the upstream request queue and circuit breaker state
+   */
+  getRequestQueueStats() {
+    return this.upstream ? this.upstream.getRequestQueueStats() : null;
+  }
+}
+
+export default StoredMarketDataProvider;
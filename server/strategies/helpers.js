@@ -0,0 +1,86 @@
+/**
+ * Shared building blocks for bidding strategies
+ */
+
+/**
+ * Pick the price series a strategy trades: a pricing node's series, or the hub average
+ * @param {Object} marketData - Transformed market data (or a day-ahead-only view of it)
+ * @param {string} [location] - Hub id
+ * @returns {Object|null} Series with `dayAheadPrices` (and `realTimePrices` on history days)
+ */
+export const getPriceSeries = (marketData, location) => {
+  if (!marketData) return null;
+  return location ? marketData.locations?.[location] || null : marketData;
+};
+
+/**
+ * Average RT price for each hour-ending of a day
+ * @param {Object} series - Price series with `realTimePrices`
+ * @returns {Map<number, number>} Average RT price keyed by hour-ending (the fall-back day's repeated hour is averaged in)
+ */
+const getRealTimeByHourEnding = (series) => {
+  const totals = new Map();
+
+  series.realTimePrices.forEach(({ hourEnding, prices }) => {
+    if (!prices?.length) return;
+    const average = prices.reduce((sum, p) => sum + p.price, 0) / prices.length;
+    const { sum = 0, count = 0 } = totals.get(hourEnding) || {};
+    totals.set(hourEnding, { sum: sum + average, count: count + 1 });
+  });
+
+  return new Map([...totals].map(([hourEnding, { sum, count }]) => [hourEnding, sum / count]));
+};
+
+/**
+ * DA minus average RT price for each hour-ending of a history day
+ * Positive spreads mean the day-ahead market cleared above real time.
+ * @param {Object} series - Price series with `dayAheadPrices` and `realTimePrices`
+ * @returns {Map<number, number>} Spread keyed by hour-ending
+ */
+export const getHourlySpreads = (series) => {
+  const realTime = getRealTimeByHourEnding(series);
+  const spreads = new Map();
+
+  series.dayAheadPrices.forEach(({ hourEnding, price }) => {
+    if (realTime.has(hourEnding) && !spreads.has(hourEnding)) {
+      spreads.set(hourEnding, price - realTime.get(hourEnding));
+    }
+  });
+
+  return spreads;
+};
+
+/**
+ * Build a one-segment bid, clamping the price to the ISO's bid floor/cap
+ * @param {Object} options - Bid fields
+ * @param {string} options.date - Operating date, used in the bid id
+ * @param {string} options.strategyId - Strategy that produced the bid
+ * @param {number} options.hour - Operating-day hour index
+ * @param {'buy'|'sell'} options.type - DEC (buy DA) or INC (sell DA)
+ * @param {number} options.price - Limit price ($/MWh)
+ * @param {number} options.quantity - MW
+ * @param {string} [options.location] - Hub id
+ * @param {Object} options.priceLimits - ISO bid floor/cap
+ * @returns {Object} Bid
+ */
+export const createBid = ({ date, strategyId, hour, type, price, quantity, location, priceLimits }) => {
+  const limited = Math.min(priceLimits.cap, Math.max(priceLimits.floor, price));
+
+  return {
+    id: `${strategyId}-${date}-${type}-${hour}${location ? `-${location}` : ''}`,
+    hour,
+    type,
+    ...(location && { location }),
+    segments: [{ price: Math.round(limited * 100) / 100, quantity }]
+  };
+};
+
+/**
+ * Price that always clears: a DEC bid at the cap or an INC offer at the floor
+ * @param {'buy'|'sell'} type - Bid side
+ * @param {Object} priceLimits - ISO bid floor/cap
+ * @returns {number} Limit price ($/MWh)
+ */
+export const getPriceTakerPrice = (type, priceLimits) => (
+  type === 'buy' ? priceLimits.cap : priceLimits.floor
+);
@@ -0,0 +1,36 @@
+import { getPriceSeries, createBid, getPriceTakerPrice } from './helpers.js';
+
+/**
+ * Always-INC peak hours
+ * Offers a price-taking INC (virtual supply) in every peak hour, betting that real-time
+ * prices settle below the day-ahead premium the market pays for on-peak energy.
+ */
+export default {
+  id: 'inc-peak',
+  name: 'Always INC peak hours',
+  description: 'Sell day-ahead in every peak hour at the offer floor and buy back in real time',
+  lookbackDays: 0,
+  params: [
+    { name: 'hours', label: 'Peak hours (hour-ending)', type: 'hours', default: [7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22] },
+    { name: 'quantity', label: 'Quantity (MW)', type: 'number', default: 10, min: 0.1 },
+    { name: 'location', label: 'Location', type: 'location' }
+  ],
+
+  generateBids: ({ date, profile, target, params }) => {
+    const series = getPriceSeries(target, params.location);
+    if (!series) return [];
+
+    return series.dayAheadPrices
+      .filter(({ hourEnding }) => params.hours.includes(hourEnding))
+      .map(({ hour }) => createBid({
+        date,
+        strategyId: 'inc-peak',
+        hour,
+        type: 'sell',
+        price: getPriceTakerPrice('sell', profile.priceLimits),
+        quantity: params.quantity,
+        location: params.location,
+        priceLimits: profile.priceLimits
+      }));
+  }
+};
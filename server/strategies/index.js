@@ -0,0 +1,201 @@
+import { ApiError } from '../utils/errors.js';
+import { getBidCurveErrors } from '../utils/trading.js';
+import { getLocations } from '../config/locations.js';
+import incPeak from './incPeak.js';
+import meanReversion from './meanReversion.js';
+import threshold from './threshold.js';
+
+/**
+ * Strategy module interface
+ *
+ * A strategy is a plain object registered with `registerStrategy`:
+ * - `id`, `name`, `description`: identity shown to clients
+ * - `params`: parameter definitions `{ name, label, type, default, min, max, integer }`, where
+ *   `type` is 'number', 'side' ('buy'/'sell'), 'hours' (hour-ending numbers) or 'location' (hub id)
+ * - `lookbackDays`: prior operating days of DA/RT history the strategy reads (a `lookbackDays`
+ *   param overrides it)
+ * - `validate(params, profile)`: optional extra checks returning error messages
+ * - `generateBids(context)`: returns `Bid[]` for the target day, where context is
+ *   `{ date, profile, history, target, params }`. `history` holds transformed market data for
+ *   prior days, oldest first; `target` holds only the target day's day-ahead prices, which
+ *   clear before the operating day, so strategies cannot peek at real-time settlement.
+ */
+const STRATEGIES = new Map();
+
+/**
+ * Register a bidding strategy
+ * @param {Object} strategy - Strategy module (see the interface above)
+ * @throws {Error} When the module is missing required fields or the id is taken
+ */
+export const registerStrategy = (strategy) => {
+  if (!strategy?.id || typeof strategy.generateBids !== 'function' || !Array.isArray(strategy.params)) {
+    throw new Error('Strategy modules need an id, a params array and a generateBids function');
+  }
+
+  if (STRATEGIES.has(strategy.id)) {
+    throw new Error(`Strategy ${strategy.id} is already registered`);
+  }
+
+  STRATEGIES.set(strategy.id, strategy);
+};
+
+[incPeak, meanReversion, threshold].forEach(registerStrategy);
+
+/**
+ * Look up a registered strategy
+ * @param {string} id - Strategy id
+ * @returns {Object} Strategy module
+ * @throws {ApiError} 404 when no strategy has that id
+ */
+export const getStrategy = (id) => {
+  const strategy = STRATEGIES.get(id);
+  if (!strategy) {
+    throw new ApiError(`Unknown strategy ${id}. Available: ${[...STRATEGIES.keys()].join(', ')}`, 404);
+  }
+  return strategy;
+};
+
+/**
+ * Registered strategies without their implementation, for API clients
+ * @returns {Array<Object>} `{ id, name, description, lookbackDays, params }` per strategy
+ */
+export const listStrategies = () => (
+  [...STRATEGIES.values()].map(({ id, name, description, lookbackDays = 0, params }) => ({
+    id,
+    name,
+    description,
+    lookbackDays,
+    params
+  }))
+);
+
+/**
+ * Merge request params over a strategy's defaults
+ * @param {Object} strategy - Strategy module
+ * @param {Object} [params] - Params from the request
+ * @returns {Object} Resolved params
+ */
+export const resolveStrategyParams = (strategy, params = {}) => {
+  const resolved = {};
+  strategy.params.forEach(definition => {
+    const value = params[definition.name] ?? definition.default;
+    if (value !== undefined) {
+      resolved[definition.name] = value;
+    }
+  });
+  return resolved;
+};
+
+/**
+ * Days of history a strategy needs with the given params
+ * @param {Object} strategy - Strategy module
+ * @param {Object} params - Resolved params
+ * @returns {number} Prior operating days to load
+ */
+export const getLookbackDays = (strategy, params) => params.lookbackDays ?? strategy.lookbackDays ?? 0;
+
+/**
+ * Locations a strategy's bids will settle at with the given params
+ * @param {Object} strategy - Strategy module
+ * @param {Object} params - Resolved params
+ * @returns {string[]} Location ids from `location` params that are set
+ */
+export const getStrategyLocations = (strategy, params) => strategy.params
+  .filter(definition => definition.type === 'location' && params[definition.name])
+  .map(definition => params[definition.name]);
+
+/**
+ * Check one param value against its definition
+ * @returns {string|null} Error message, or null when valid
+ */
+const getParamError = (definition, value, profile) => {
+  const { name, type, min, max, integer } = definition;
+
+  switch (type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      if (integer && !Number.isInteger(value)) return `${name} must be a whole number`;
+      if (min !== undefined && value < min) return `${name} must be at least ${min}`;
+      if (max !== undefined && value > max) return `${name} must be at most ${max}`;
+      return null;
+    case 'side':
+      return ['buy', 'sell'].includes(value) ? null : `${name} must be 'buy' or 'sell'`;
+    case 'hours':
+      return Array.isArray(value) && value.length > 0 &&
+        value.every(hourEnding => Number.isInteger(hourEnding) && hourEnding >= 1 && hourEnding <= 24)
+        ? null
+        : `${name} must be a non-empty array of hour-ending numbers between 1 and 24`;
+    case 'location': {
+      const locations = getLocations(profile.iso);
+      return locations.some(location => location.id === value)
+        ? null
+        : `${name} must be one of ${locations.map(location => location.id).join(', ')}`;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validate request params for a strategy
+ * @param {Object} strategy - Strategy module
+ * @param {Object} params - Params from the request
+ * @param {Object} profile - ISO profile (its registry locations check location params)
+ * @returns {string[]} Error messages, empty when the params are valid
+ */
+export const getStrategyParamErrors = (strategy, params, profile) => {
+  if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params))) {
+    return ['params must be an object'];
+  }
+
+  const resolved = resolveStrategyParams(strategy, params);
+  const errors = strategy.params
+    .filter(definition => resolved[definition.name] !== undefined)
+    .map(definition => getParamError(definition, resolved[definition.name], profile))
+    .filter(Boolean);
+
+  if (errors.length === 0 && strategy.validate) {
+    errors.push(...strategy.validate(resolved, profile));
+  }
+
+  return errors;
+};
+
+/**
+ * Reduce a day's market data to what is known before the operating day: DA prices only
+ */
+const toDayAheadView = (marketData) => ({
+  dayAheadPrices: marketData.dayAheadPrices,
+  ...(marketData.locations && {
+    locations: Object.fromEntries(
+      Object.entries(marketData.locations).map(([id, series]) => [id, { name: series.name, dayAheadPrices: series.dayAheadPrices }])
+    )
+  })
+});
+
+/**
+ * Generate a day's bids with a strategy
+ * @param {Object} strategy - Strategy module
+ * @param {Object} params - Resolved params
+ * @param {Object} context - `{ date, profile, history, target }` with full market data for history and target days
+ * @returns {Array} Bids for the target day
+ * @throws {Error} When the strategy emits a bid that would fail validation
+ */
+export const generateStrategyBids = (strategy, params, { date, profile, history, target }) => {
+  const bids = strategy.generateBids({
+    date,
+    profile,
+    history,
+    target: toDayAheadView(target),
+    params
+  });
+
+  bids.forEach(bid => {
+    const errors = getBidCurveErrors(bid, profile.priceLimits);
+    if (errors.length > 0) {
+      throw new Error(`Strategy ${strategy.id} produced an invalid bid for hour ${bid.hour}: ${errors.join('; ')}`);
+    }
+  });
+
+  return bids;
+};
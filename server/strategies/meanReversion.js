@@ -0,0 +1,63 @@
+import { getPriceSeries, getHourlySpreads, createBid, getPriceTakerPrice } from './helpers.js';
+
+/**
+ * Mean reversion on the DA-RT spread
+ * For each hour-ending, compares the most recent day's DA-RT spread with its mean over the
+ * lookback window. A spread stretched `entryZ` standard deviations above the mean is expected
+ * to fall back, so the strategy buys DA (DEC); one stretched below the mean is sold (INC).
+ */
+export default {
+  id: 'mean-reversion',
+  name: 'DA-RT spread mean reversion',
+  description: 'Fade hours whose latest DA-RT spread is unusually far from its recent mean',
+  lookbackDays: 7,
+  params: [
+    { name: 'lookbackDays', label: 'Lookback (days)', type: 'number', default: 7, min: 2, max: 14, integer: true },
+    { name: 'entryZ', label: 'Entry z-score', type: 'number', default: 1, min: 0.1 },
+    { name: 'quantity', label: 'Quantity (MW)', type: 'number', default: 10, min: 0.1 },
+    { name: 'location', label: 'Location', type: 'location' }
+  ],
+
+  generateBids: ({ date, profile, history, target, params }) => {
+    const series = getPriceSeries(target, params.location);
+    if (!series) return [];
+
+    // Spread history per hour-ending, oldest first
+    const spreadsByHour = new Map();
+    history.forEach(day => {
+      const daySeries = getPriceSeries(day, params.location);
+      if (!daySeries) return;
+
+      getHourlySpreads(daySeries).forEach((spread, hourEnding) => {
+        spreadsByHour.set(hourEnding, [...(spreadsByHour.get(hourEnding) || []), spread]);
+      });
+    });
+
+    const bids = [];
+    series.dayAheadPrices.forEach(({ hour, hourEnding }) => {
+      const spreads = spreadsByHour.get(hourEnding) || [];
+      if (spreads.length < 2) return;
+
+      const mean = spreads.reduce((sum, s) => sum + s, 0) / spreads.length;
+      const stdDev = Math.sqrt(spreads.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / spreads.length);
+      if (stdDev === 0) return;
+
+      const zScore = (spreads[spreads.length - 1] - mean) / stdDev;
+      if (Math.abs(zScore) < params.entryZ) return;
+
+      const type = zScore > 0 ? 'buy' : 'sell';
+      bids.push(createBid({
+        date,
+        strategyId: 'mean-reversion',
+        hour,
+        type,
+        price: getPriceTakerPrice(type, profile.priceLimits),
+        quantity: params.quantity,
+        location: params.location,
+        priceLimits: profile.priceLimits
+      }));
+    });
+
+    return bids;
+  }
+};
@@ -0,0 +1,47 @@
+import { getPriceSeries, createBid, getPriceTakerPrice } from './helpers.js';
+
+/**
+ * Day-ahead price thresholds
+ * Sells DA (INC) in hours that clear above `sellAbove` and buys DA (DEC) in hours that
+ * clear below `buyBelow`, betting that extreme day-ahead prices are not repeated in real time.
+ */
+export default {
+  id: 'threshold',
+  name: 'DA price threshold',
+  description: 'INC hours priced above an upper threshold and DEC hours priced below a lower one',
+  lookbackDays: 0,
+  params: [
+    { name: 'sellAbove', label: 'Sell above ($/MWh)', type: 'number', default: 80 },
+    { name: 'buyBelow', label: 'Buy below ($/MWh)', type: 'number', default: 20 },
+    { name: 'quantity', label: 'Quantity (MW)', type: 'number', default: 10, min: 0.1 },
+    { name: 'location', label: 'Location', type: 'location' }
+  ],
+
+  validate: (params) => (
+    params.buyBelow < params.sellAbove ? [] : ['buyBelow must be lower than sellAbove']
+  ),
+
+  generateBids: ({ date, profile, target, params }) => {
+    const series = getPriceSeries(target, params.location);
+    if (!series) return [];
+
+    const bids = [];
+    series.dayAheadPrices.forEach(({ hour, price }) => {
+      const type = price > params.sellAbove ? 'sell' : (price < params.buyBelow ? 'buy' : null);
+      if (!type) return;
+
+      bids.push(createBid({
+        date,
+        strategyId: 'threshold',
+        hour,
+        type,
+        price: getPriceTakerPrice(type, profile.priceLimits),
+        quantity: params.quantity,
+        location: params.location,
+        priceLimits: profile.priceLimits
+      }));
+    });
+
+    return bids;
+  }
+};
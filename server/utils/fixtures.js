@@ -0,0 +1,79 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Fixture utilities - record and replay GridStatus query responses on disk
+ * Each response is stored as one JSON file named after a hash of the request
+ */
+
+/**
+ * Build a stable key for a GridStatus request
+ * @param {string} endpoint - API path (e.g. /v1/datasets/caiso_lmp_day_ahead_hourly/query)
+ * @param {Object} params - Query parameters
+ * @returns {string} Deterministic request key
+ */
+export const createFixtureKey = (endpoint, params = {}) => {
+  const sortedParams = Object.keys(params)
+    .sort()
+    .reduce((result, key) => {
+      result[key] = params[key];
+      return result;
+    }, {});
+
+  return `${endpoint}?${JSON.stringify(sortedParams)}`;
+};
+
+/**
+ * Resolve the fixture file path for a request
+ * @param {string} fixtureDir - Directory holding recorded fixtures
+ * @param {string} endpoint - API path
+ * @param {Object} params - Query parameters
+ * @returns {string} Absolute path of the fixture file
+ */
+export const getFixturePath = (fixtureDir, endpoint, params = {}) => {
+  const hash = createHash('sha1').update(createFixtureKey(endpoint, params)).digest('hex');
+  return path.resolve(fixtureDir, `${hash}.json`);
+};
+
+/**
+ * Read a recorded response
+ * @param {string} fixtureDir - Directory holding recorded fixtures
+ * @param {string} endpoint - API path
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object|null>} Recorded fixture or null when none exists
+ */
+export const readFixture = async (fixtureDir, endpoint, params = {}) => {
+  try {
+    const content = await fs.readFile(getFixturePath(fixtureDir, endpoint, params), 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Write a response to disk so it can be replayed later
+ * @param {string} fixtureDir - Directory holding recorded fixtures
+ * @param {string} endpoint - API path
+ * @param {Object} params - Query parameters
+ * @param {{status: number, data: *}} response - Response to record
+ * @returns {Promise<string>} Path of the written fixture
+ */
+export const writeFixture = async (fixtureDir, endpoint, params, response) => {
+  const filePath = getFixturePath(fixtureDir, endpoint, params);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const fixture = {
+    request: { endpoint, params },
+    status: response.status,
+    data: response.data,
+    recordedAt: new Date().toISOString()
+  };
+
+  await fs.writeFile(filePath, JSON.stringify(fixture, null, 2));
+  return filePath;
+};
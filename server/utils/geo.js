@@ -0,0 +1,36 @@
+/**
+ * Geographic helpers for spatial analysis over registry coordinates
+ */
+
+/**
+ * Mean Earth radius in statute miles
+ */
+const EARTH_RADIUS_MILES = 3958.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Check that a point carries usable coordinates
+ * @param {{lat?: number, lon?: number}} [point] - Point or registry entry
+ * @returns {boolean}
+ */
+export const hasCoordinates = (point) => Number.isFinite(point?.lat) && Number.isFinite(point?.lon);
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {{lat: number, lon: number}} from - Start point
+ * @param {{lat: number, lon: number}} to - End point
+ * @returns {number|null} Distance in miles, or null when either point has no coordinates
+ */
+export const greatCircleDistanceMiles = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) {
+    return null;
+  }
+
+  const deltaLat = toRadians(to.lat - from.lat);
+  const deltaLon = toRadians(to.lon - from.lon);
+  const a = Math.sin(deltaLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+};
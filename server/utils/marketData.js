@@ -1,32 +1,135 @@
 import { logger } from './logger.js';
 import { ApiError } from './errors.js';
-import { convertPacificHourToUserTimezone } from './timezone.js';
+import { getISOProfile } from '../config/isoProfiles.js';
+import { getLocation } from '../config/locations.js';
+import { getOperatingDayHours, getHourIndex, addDays } from './timezone.js';
 
 /**
  * Market data utilities - handles GridStatus data transformation
- * Server processes data in Pacific Time, then converts to user's timezone
+ * Server lays out the operating day in the ISO's market time (23-25 hours, hour-ending
+ * labels) and tags each hour with its start time in the user's timezone
  */
 
 /**
- * Convert timestamp to Pacific Time hour
- * @param {string} timestamp - ISO timestamp string
- * @returns {number} Hour in Pacific Time (0-23)
+ * Infer the operating date from the first record when the caller did not pass one
+ * @param {Array} dayAheadData - Raw day-ahead data
+ * @param {Array} realTimeData - Raw real-time data
+ * @param {string} timezone - Market timezone
+ * @returns {string} Operating date in YYYY-MM-DD format
  */
-const getPacificTimeHour = (timestamp) => {
-  const date = new Date(timestamp);
-  // Convert to Pacific Time and get hour
-  const pacificTime = new Date(date.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-  return pacificTime.getHours();
+const inferOperatingDate = (dayAheadData, realTimeData, timezone) => {
+  const sample = dayAheadData[0] || realTimeData[0];
+  const timestamp = sample?.interval_start_utc || sample?.interval_start_local || sample?.timestamp;
+  const instant = timestamp ? new Date(timestamp) : new Date();
+
+  // en-CA formats dates as YYYY-MM-DD
+  return instant.toLocaleDateString('en-CA', { timeZone: timezone });
 };
 
 /**
- * Convert timestamp to Pacific Time for consistent processing
- * @param {string} timestamp - ISO timestamp string
- * @returns {Date} Date object in Pacific Time
+ * Format the start of an hour as a wall-clock time in the user's timezone
+ * @param {string} startUtc - Hour start as an ISO timestamp
+ * @param {string} timezone - User's timezone
+ * @returns {string} Local time (HH:MM)
  */
-const toPacificTime = (timestamp) => {
-  const date = new Date(timestamp);
-  return new Date(date.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
+const formatLocalTime = (startUtc, timezone) => {
+  return new Date(startUtc).toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+};
+
+/**
+ * Price fields GridStatus uses across datasets, in order of preference
+ * ERCOT publishes settlement point prices (`spp`) rather than LMPs.
+ */
+const PRICE_FIELDS = ['lmp', 'spp', 'price', 'energy_price', 'da_lmp', 'rt_lmp'];
+
+/**
+ * Extract the price from a GridStatus record
+ * Zero and negative prices are real market outcomes, so only missing fields yield NaN
+ * @param {Object} item - GridStatus record
+ * @returns {number} Price in $/MWh, or NaN when the record carries no price
+ */
+export const extractPrice = (item) => {
+  const field = PRICE_FIELDS.find(name => item[name] !== undefined && item[name] !== null && item[name] !== '');
+  return field ? parseFloat(item[field]) : NaN;
+};
+
+/**
+ * LMP components GridStatus publishes alongside the total price
+ */
+const COMPONENT_FIELDS = ['energy', 'congestion', 'loss'];
+
+/**
+ * Extract the energy, congestion and loss components from a GridStatus record
+ * @param {Object} item - GridStatus record
+ * @returns {{energy: number, congestion: number, loss: number}|null} Components in $/MWh, or null unless the record carries all three
+ */
+const extractComponents = (item) => {
+  const values = COMPONENT_FIELDS.map(name => (item[name] === null || item[name] === '') ? NaN : parseFloat(item[name]));
+  if (values.some(isNaN)) return null;
+  return Object.fromEntries(COMPONENT_FIELDS.map((name, index) => [name, values[index]]));
+};
+
+/**
+ * Average component sets, ignoring records without components
+ * @param {Array<Object|null>} componentSets - Components per record
+ * @returns {{energy: number, congestion: number, loss: number}|null} Average components, or null when no record carries them
+ */
+const averageComponents = (componentSets) => {
+  const present = componentSets.filter(Boolean);
+  if (present.length === 0) return null;
+  return Object.fromEntries(COMPONENT_FIELDS.map(name => [name, present.reduce((sum, components) => sum + components[name], 0) / present.length]));
+};
+
+/**
+ * Pricing node of a GridStatus record
+ * @param {Object} item - GridStatus record
+ * @returns {string|undefined} Location id
+ */
+const getRecordLocation = (item) => item?.location || item?.pnode || item?.node;
+
+/**
+ * Strategies for filling missing real-time intervals
+ * - linear: interpolate between the nearest actual RT intervals
+ * - previous-day: reuse the same hour-ending interval from the prior operating day
+ * - da-as-rt: settle the interval at the hour's day-ahead price
+ */
+export const GAP_FILL_STRATEGIES = ['linear', 'previous-day', 'da-as-rt'];
+export const DEFAULT_GAP_FILL = 'linear';
+
+/**
+ * Average the prior day's RT prices by hour-ending and interval for previous-day gap filling
+ * @param {Array} previousDayRealTime - Raw RT data for the prior operating day
+ * @param {string} operatingDate - Operating date in YYYY-MM-DD format
+ * @param {string} timezone - Market timezone
+ * @param {number} rtIntervalMinutes - RT interval length
+ * @returns {Map<string, number>} Average price keyed by `${hourEnding}:${interval}`
+ */
+const buildPreviousDaySlots = (previousDayRealTime, operatingDate, timezone, rtIntervalMinutes) => {
+  const previousHours = getOperatingDayHours(addDays(operatingDate, -1), timezone);
+  const dayStart = new Date(previousHours[0].startUtc);
+  const grouped = new Map();
+  
+  previousDayRealTime.forEach(item => {
+    const timestamp = item?.interval_start_utc || item?.interval_start_local || item?.timestamp;
+    const price = item ? extractPrice(item) : NaN;
+    if (!timestamp || isNaN(price)) return;
+    
+    const { hour, minute } = getHourIndex(timestamp, dayStart);
+    if (hour < 0 || hour >= previousHours.length) return;
+    
+    const key = `${previousHours[hour].hourEnding}:${Math.floor(minute / rtIntervalMinutes)}`;
+    if (!grouped.has(key)) {
+      grouped.set(key, []);
+    }
+    grouped.get(key).push(price);
+  });
+  
+  const slots = new Map();
+  grouped.forEach((prices, key) => {
+    slots.set(key, prices.reduce((sum, p) => sum + p, 0) / prices.length);
+  });
+  
+  return slots;
 };
 
 /**
@@ -35,10 +138,32 @@ const toPacificTime = (timestamp) => {
  * @param {Array} realTimeData - Raw real-time data from GridStatus API
  * @param {string} userTimezone - User's timezone for conversion
  * @param {string} date - Date being processed
- * @returns {Object} Transformed market data in user's timezone
+ * @param {string} [iso] - ISO whose market timezone and RT interval apply (defaults to CAISO)
+ * @param {Object} [options] - Gap filling options
+ * @param {string} [options.gapFill] - Strategy for missing RT intervals: linear, previous-day or da-as-rt
+ * @param {Array} [options.previousDayRealTime] - Raw RT data for the prior day, used by previous-day
+ * @param {number} [options.rtIntervalMinutes] - Interval length of realTimeData (defaults to the ISO's settlement interval)
+ * @param {boolean} [options.byLocation] - Also build a DA/RT series for each pricing node (default true)
+ * @param {Object} [options.pagination] - Page counts and truncation from the fetch, reported in metadata
+ * @returns {Object} Transformed market data with one entry per operating hour (23, 24 or 25); the
+ *   top-level series average all nodes and `locations` holds each node's own series
  */
-export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone = 'America/Los_Angeles', date = null) => {
-  logger.info(`🔄 Transforming ${dayAheadData.length} day-ahead and ${realTimeData.length} real-time records for timezone: ${userTimezone}`);
+export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone = 'America/Los_Angeles', date = null, iso = 'CAISO', options = {}) => {
+  const profile = getISOProfile(iso);
+  const { gapFill = DEFAULT_GAP_FILL, previousDayRealTime = [], rtIntervalMinutes = profile.rtIntervalMinutes, byLocation = true, pagination = null } = options;
+  const { timezone: sourceTimezone, priceLimits } = profile;
+  const intervalsPerHour = Math.round(60 / rtIntervalMinutes);
+  
+  // Prices outside the bid floor/cap are kept (scarcity and penalty pricing are real) but flagged
+  const outOfRangeRecords = [];
+  const flagOutOfRange = (market, timestamp, price) => {
+    if (price < priceLimits.floor || price > priceLimits.cap) {
+      outOfRangeRecords.push({ market, timestamp, price });
+      logger.warn(`⚠️  ${market} price $${price.toFixed(2)} at ${timestamp} is outside ${iso} limits ($${priceLimits.floor} to $${priceLimits.cap})`);
+    }
+  };
+  
+  logger.info(`🔄 Transforming ${dayAheadData.length} day-ahead and ${realTimeData.length} real-time ${iso} records for timezone: ${userTimezone}`);
   
   // Track data quality for metadata
   const actualHours = [];
@@ -54,7 +179,7 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
       
       // Log only essential fields safely
       const timestamp = sample.interval_start_utc || sample.interval_start_local || sample.timestamp || 'N/A';
-      const price = sample.lmp || sample.price || sample.energy_price || 'N/A';
+      const price = extractPrice(sample);
       const location = sample.location || sample.pnode || 'N/A';
       logger.info(`📋 Sample day-ahead: timestamp=${timestamp}, price=${price}, location=${location}`);
     } catch (error) {
@@ -70,7 +195,7 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
       
       // Log only essential fields safely
       const timestamp = sample.interval_start_utc || sample.interval_start_local || sample.timestamp || 'N/A';
-      const price = sample.lmp || sample.price || sample.energy_price || 'N/A';
+      const price = extractPrice(sample);
       const location = sample.location || sample.pnode || 'N/A';
       logger.info(`📋 Sample real-time: timestamp=${timestamp}, price=${price}, location=${location}`);
     } catch (error) {
@@ -78,11 +203,30 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
     }
   }
 
-  // Transform day-ahead prices using Pacific Time first, then convert to user timezone
+  // Lay out the operating day in market time; DST days have 23 or 25 hours
+  const operatingDate = date || inferOperatingDate(dayAheadData, realTimeData, sourceTimezone);
+  const operatingHours = getOperatingDayHours(operatingDate, sourceTimezone);
+  const dayStart = new Date(operatingHours[0].startUtc);
+  const hoursInDay = operatingHours.length;
+  
+  if (hoursInDay !== 24) {
+    logger.info(`🕐 ${operatingDate} is a ${hoursInDay}-hour operating day in ${sourceTimezone}`);
+  }
+  
+  // Hour labels shared by day-ahead and real-time entries
+  const getHourInfo = ({ hourEnding, label, isRepeated, startUtc }) => ({
+    hourEnding,
+    hourLabel: label,
+    isRepeatedHour: isRepeated,
+    localTime: formatLocalTime(startUtc, userTimezone),
+    sourceHour: hourEnding - 1 // Local start hour in market time
+  });
+  
+  // Transform day-ahead prices, grouped by hour of the operating day
   const dayAheadPrices = [];
   const hourlyData = {};
   
-  // Process day-ahead data in Pacific Time
+  // Process day-ahead data in market time
   dayAheadData.forEach((item, index) => {
     try {
       // Validate item structure
@@ -92,7 +236,7 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
       }
       
       const timestamp = item.interval_start_utc || item.interval_start_local || item.timestamp || item.datetime || item.time || item.interval_start;
-      const price = parseFloat(item.lmp || item.price || item.energy_price || item.da_lmp || item.rt_lmp || 0);
+      const price = extractPrice(item);
       
       // Validate timestamp and price
       if (!timestamp || typeof timestamp !== 'string') {
@@ -100,72 +244,60 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
         return;
       }
       
-      if (isNaN(price) || price <= 0 || price > 10000) {
-        logger.debug(`⚠️  Skipping item ${index}: invalid price (${price})`);
+      if (isNaN(price)) {
+        logger.debug(`⚠️  Skipping item ${index}: missing price`);
         return;
       }
       
-      // Use Pacific Time for hour calculation (data source timezone)
-      const pacificHour = getPacificTimeHour(timestamp);
+      const { hour } = getHourIndex(timestamp, dayStart);
       
-      if (pacificHour < 0 || pacificHour > 23) {
-        logger.warn(`⚠️  Invalid hour extracted: ${pacificHour} from timestamp ${timestamp}`);
+      if (hour < 0 || hour >= hoursInDay) {
+        logger.debug(`⚠️  Skipping item ${index}: ${timestamp} is outside the ${operatingDate} operating day`);
         return;
       }
       
-      if (!hourlyData[pacificHour]) {
-        hourlyData[pacificHour] = { prices: [], timestamp, count: 0 };
+      flagOutOfRange('dayAhead', timestamp, price);
+      
+      if (!hourlyData[hour]) {
+        hourlyData[hour] = { prices: [], components: [], timestamp, count: 0 };
       }
-      hourlyData[pacificHour].prices.push(price);
-      hourlyData[pacificHour].count++;
+      hourlyData[hour].prices.push(price);
+      hourlyData[hour].components.push(extractComponents(item));
+      hourlyData[hour].count++;
     } catch (error) {
       logger.warn(`⚠️  Error processing day-ahead item ${index}: ${error.message}`);
     }
   });
   
-  logger.info(`📊 Grouped day-ahead data into ${Object.keys(hourlyData).length} Pacific Time hours: [${Object.keys(hourlyData).sort((a, b) => parseInt(a) - parseInt(b)).join(', ')}]`);
+  logger.info(`📊 Grouped day-ahead data into ${Object.keys(hourlyData).length}/${hoursInDay} operating hours`);
   
   // Log hourly data summary
   Object.entries(hourlyData).forEach(([hour, data]) => {
     const avgPrice = data.prices.reduce((sum, p) => sum + p, 0) / data.prices.length;
     const minPrice = Math.min(...data.prices);
     const maxPrice = Math.max(...data.prices);
-    logger.info(`📊 DA Hour ${hour} (PT): ${data.count} records, avg: $${avgPrice.toFixed(2)}, range: $${minPrice.toFixed(2)}-$${maxPrice.toFixed(2)}`);
+    logger.info(`📊 DA ${operatingHours[hour].label} (${iso}): ${data.count} records, avg: $${avgPrice.toFixed(2)}, range: $${minPrice.toFixed(2)}-$${maxPrice.toFixed(2)}`);
   });
   
-  // Create 24-hour day-ahead price array in user's timezone
-  for (let userHour = 0; userHour < 24; userHour++) {
-    // Convert user hour to Pacific Time to find the data
-    let pacificHour = userHour;
-    if (date && userTimezone !== 'America/Los_Angeles') {
-      try {
-        // More robust timezone conversion using actual date
-        const testDate = new Date(`${date}T${userHour.toString().padStart(2, '0')}:00:00`);
-        const userTime = new Date(testDate.toLocaleString('en-US', { timeZone: userTimezone }));
-        const pacificTime = new Date(testDate.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-        
-        // Calculate hour difference
-        const hourDiff = Math.round((userTime.getTime() - pacificTime.getTime()) / (1000 * 60 * 60));
-        pacificHour = (userHour - hourDiff + 24) % 24;
-      } catch (error) {
-        logger.warn(`⚠️  Timezone conversion error for hour ${userHour}: ${error.message}`);
-        // Fallback to no conversion if timezone parsing fails
-        pacificHour = userHour;
-      }
-    }
+  // Create one day-ahead entry per operating hour
+  operatingHours.forEach((operatingHour) => {
+    const { hour, label, startUtc } = operatingHour;
+    const hourInfo = getHourInfo(operatingHour);
     
-    if (hourlyData[pacificHour] && hourlyData[pacificHour].prices.length > 0) {
-      const avgPrice = hourlyData[pacificHour].prices.reduce((sum, p) => sum + p, 0) / hourlyData[pacificHour].prices.length;
-      actualHours.push(userHour);
+    if (hourlyData[hour] && hourlyData[hour].prices.length > 0) {
+      const avgPrice = hourlyData[hour].prices.reduce((sum, p) => sum + p, 0) / hourlyData[hour].prices.length;
+      const components = averageComponents(hourlyData[hour].components);
+      actualHours.push(hour);
       dayAheadPrices.push({
-        hour: userHour, // User's local hour
+        hour,
         price: avgPrice,
-        timestamp: hourlyData[pacificHour].timestamp,
+        timestamp: hourlyData[hour].timestamp,
         dataQuality: 'actual',
-        recordCount: hourlyData[pacificHour].prices.length,
-        sourceHour: pacificHour // Keep track of source Pacific Time hour
+        recordCount: hourlyData[hour].prices.length,
+        ...(components && { components }),
+        ...hourInfo
       });
-      logger.info(`✅ DA Hour ${userHour} (${userTimezone}): $${avgPrice.toFixed(2)} (from PT hour ${pacificHour}, ${hourlyData[pacificHour].prices.length} records)`);
+      logger.info(`✅ DA ${label} (${hourInfo.localTime} ${userTimezone}): $${avgPrice.toFixed(2)} (${hourlyData[hour].prices.length} records)`);
     } else {
       // Handle missing hours with interpolation or fallback
       let interpolatedPrice = 50; // Default fallback
@@ -173,44 +305,43 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
       
       // Try to interpolate from adjacent hours
       const prevHour = dayAheadPrices[dayAheadPrices.length - 1];
-      const nextPacificHour = (pacificHour + 1) % 24;
-      const nextHourData = hourlyData[nextPacificHour];
+      const nextHourData = hourlyData[hour + 1];
       
       if (prevHour && nextHourData && nextHourData.prices.length > 0) {
         const nextPrice = nextHourData.prices.reduce((sum, p) => sum + p, 0) / nextHourData.prices.length;
         interpolatedPrice = (prevHour.price + nextPrice) / 2;
         dataQuality = 'interpolated';
-        interpolatedHours.push(userHour);
+        interpolatedHours.push(hour);
       } else if (prevHour) {
         interpolatedPrice = prevHour.price;
         dataQuality = 'interpolated';
-        interpolatedHours.push(userHour);
+        interpolatedHours.push(hour);
       } else if (nextHourData && nextHourData.prices.length > 0) {
         interpolatedPrice = nextHourData.prices.reduce((sum, p) => sum + p, 0) / nextHourData.prices.length;
         dataQuality = 'interpolated';
-        interpolatedHours.push(userHour);
+        interpolatedHours.push(hour);
       } else {
-        fallbackHours.push(userHour);
+        fallbackHours.push(hour);
       }
       
       dayAheadPrices.push({
-        hour: userHour,
+        hour,
         price: interpolatedPrice,
-        timestamp: new Date().toISOString(),
+        timestamp: startUtc,
         dataQuality,
         recordCount: 0,
-        sourceHour: pacificHour
+        ...hourInfo
       });
       
-      logger.warn(`⚠️  Missing day-ahead data for hour ${userHour} (${userTimezone}), using ${dataQuality} price: $${interpolatedPrice.toFixed(2)}`);
+      logger.warn(`⚠️  Missing day-ahead data for ${label}, using ${dataQuality} price: $${interpolatedPrice.toFixed(2)}`);
     }
-  }
+  });
 
-  // Transform real-time data using similar timezone conversion
+  // Transform real-time data, grouped by hour of the operating day
   const realTimePrices = [];
   const hourlyRTData = {};
   
-  // Process real-time data in Pacific Time
+  // Process real-time data in market time
   realTimeData.forEach((item, index) => {
     try {
       // Validate item structure
@@ -220,7 +351,7 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
       }
       
       const timestamp = item.interval_start_utc || item.interval_start_local || item.timestamp || item.datetime || item.time || item.interval_start;
-      const price = parseFloat(item.lmp || item.price || item.energy_price || item.da_lmp || item.rt_lmp || 0);
+      const price = extractPrice(item);
       
       // Validate timestamp and price
       if (!timestamp || typeof timestamp !== 'string') {
@@ -228,33 +359,28 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
         return;
       }
       
-      if (isNaN(price) || price <= 0 || price > 10000) {
-        logger.debug(`⚠️  Skipping RT item ${index}: invalid price (${price})`);
+      if (isNaN(price)) {
+        logger.debug(`⚠️  Skipping RT item ${index}: missing price`);
         return;
       }
       
-      // Use Pacific Time for hour and minute calculation
-      const pacificTime = toPacificTime(timestamp);
-      const pacificHour = pacificTime.getHours();
-      const minute = pacificTime.getMinutes();
+      const { hour, minute } = getHourIndex(timestamp, dayStart);
       
-      if (pacificHour < 0 || pacificHour > 23) {
-        logger.warn(`⚠️  Invalid RT hour extracted: ${pacificHour} from timestamp ${timestamp}`);
+      if (hour < 0 || hour >= hoursInDay) {
+        logger.debug(`⚠️  Skipping RT item ${index}: ${timestamp} is outside the ${operatingDate} operating day`);
         return;
       }
       
-      if (minute < 0 || minute > 59) {
-        logger.warn(`⚠️  Invalid minute extracted: ${minute} from timestamp ${timestamp}`);
-        return;
-      }
+      flagOutOfRange('realTime', timestamp, price);
       
-      if (!hourlyRTData[pacificHour]) {
-        hourlyRTData[pacificHour] = [];
+      if (!hourlyRTData[hour]) {
+        hourlyRTData[hour] = [];
       }
       
-      hourlyRTData[pacificHour].push({
-        interval: Math.floor(minute / 15), // 15-minute intervals
+      hourlyRTData[hour].push({
+        interval: Math.floor(minute / rtIntervalMinutes), // ISO RT interval (5 or 15 minutes)
         price,
+        components: extractComponents(item),
         timestamp,
         minute
       });
@@ -263,122 +389,131 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
     }
   });
   
-  logger.info(`📊 Grouped real-time data into ${Object.keys(hourlyRTData).length} Pacific Time hours`);
+  logger.info(`📊 Grouped real-time data into ${Object.keys(hourlyRTData).length}/${hoursInDay} operating hours`);
   
   // Log real-time hourly data summary
   Object.entries(hourlyRTData).forEach(([hour, data]) => {
     const avgPrice = data.reduce((sum, p) => sum + p.price, 0) / data.length;
     const minPrice = Math.min(...data.map(p => p.price));
     const maxPrice = Math.max(...data.map(p => p.price));
-    logger.info(`📊 RT Hour ${hour} (PT): ${data.length} records, avg: $${avgPrice.toFixed(2)}, range: $${minPrice.toFixed(2)}-$${maxPrice.toFixed(2)}`);
+    logger.info(`📊 RT ${operatingHours[hour].label} (${iso}): ${data.length} records, avg: $${avgPrice.toFixed(2)}, range: $${minPrice.toFixed(2)}-$${maxPrice.toFixed(2)}`);
   });
   
-  // Create 24-hour real-time price array in user's timezone
-  for (let userHour = 0; userHour < 24; userHour++) {
-    // Convert user hour to Pacific Time to find the data
-    let pacificHour = userHour;
-    if (date && userTimezone !== 'America/Los_Angeles') {
-      try {
-        // More robust timezone conversion using actual date
-        const testDate = new Date(`${date}T${userHour.toString().padStart(2, '0')}:00:00`);
-        const userTime = new Date(testDate.toLocaleString('en-US', { timeZone: userTimezone }));
-        const pacificTime = new Date(testDate.toLocaleString('en-US', { timeZone: 'America/Los_Angeles' }));
-        
-        // Calculate hour difference
-        const hourDiff = Math.round((userTime.getTime() - pacificTime.getTime()) / (1000 * 60 * 60));
-        pacificHour = (userHour - hourDiff + 24) % 24;
-      } catch (error) {
-        logger.warn(`⚠️  RT Timezone conversion error for hour ${userHour}: ${error.message}`);
-        // Fallback to no conversion if timezone parsing fails
-        pacificHour = userHour;
+  // Average actual RT prices (and their components) into one slot per interval across the whole operating day
+  const actualSlots = new Array(hoursInDay * intervalsPerHour).fill(null);
+  const componentSlots = new Array(hoursInDay * intervalsPerHour).fill(null);
+  Object.entries(hourlyRTData).forEach(([hour, data]) => {
+    const intervalData = {};
+    data.forEach(item => {
+      if (!intervalData[item.interval]) {
+        intervalData[item.interval] = [];
       }
-    }
+      intervalData[item.interval].push(item);
+    });
     
-    const hourData = hourlyRTData[pacificHour] || [];
+    Object.entries(intervalData).forEach(([interval, items]) => {
+      const slot = Number(hour) * intervalsPerHour + Number(interval);
+      actualSlots[slot] = items.reduce((sum, item) => sum + item.price, 0) / items.length;
+      componentSlots[slot] = averageComponents(items.map(item => item.components));
+    });
+  });
+  
+  const previousDaySlots = gapFill === 'previous-day'
+    ? buildPreviousDaySlots(previousDayRealTime, operatingDate, sourceTimezone, rtIntervalMinutes)
+    : new Map();
+  
+  /**
+   * Fill one missing RT interval with the selected strategy
+   * Falls back to the hour's day-ahead price when the strategy has nothing to work with
+   */
+  const fillGap = (slot) => {
+    const hour = Math.floor(slot / intervalsPerHour);
+    const interval = slot % intervalsPerHour;
     
-    if (hourData.length === 0) {
-      // Use day-ahead price as fallback for missing real-time data
-      const daPrice = dayAheadPrices.find(da => da.hour === userHour)?.price || 50;
-      const fallbackPrices = [];
-      
-      // Create 4 intervals for 15-minute data
-      for (let interval = 0; interval < 4; interval++) {
-        fallbackPrices.push({
-          interval,
-          price: daPrice + (Math.random() - 0.5) * 5, // Add small variance
-          timestamp: new Date().toISOString(),
-          dataQuality: 'fallback'
-        });
-      }
+    if (gapFill === 'linear') {
+      let prevSlot = slot - 1;
+      while (prevSlot >= 0 && actualSlots[prevSlot] === null) prevSlot--;
+      let nextSlot = slot + 1;
+      while (nextSlot < actualSlots.length && actualSlots[nextSlot] === null) nextSlot++;
       
-      realTimePrices.push({ 
-        hour: userHour, 
-        prices: fallbackPrices,
-        dataQuality: 'fallback',
-        recordCount: 0,
-        sourceHour: pacificHour
-      });
-      logger.warn(`⚠️  Missing real-time data for hour ${userHour} (${userTimezone}), using fallback based on day-ahead: $${daPrice.toFixed(2)}`);
-      continue;
+      const hasPrev = prevSlot >= 0;
+      const hasNext = nextSlot < actualSlots.length;
+      
+      if (hasPrev && hasNext) {
+        const weight = (slot - prevSlot) / (nextSlot - prevSlot);
+        return { price: actualSlots[prevSlot] + (actualSlots[nextSlot] - actualSlots[prevSlot]) * weight, method: 'linear' };
+      }
+      if (hasPrev || hasNext) {
+        return { price: actualSlots[hasPrev ? prevSlot : nextSlot], method: 'linear' };
+      }
     }
     
-    // Group by 15-minute intervals and average prices within each interval
-    const intervalData = {};
-    hourData.forEach(item => {
-      if (!intervalData[item.interval]) {
-        intervalData[item.interval] = [];
+    if (gapFill === 'previous-day') {
+      const previousPrice = previousDaySlots.get(`${operatingHours[hour].hourEnding}:${interval}`);
+      if (previousPrice !== undefined) {
+        return { price: previousPrice, method: 'previous-day' };
       }
-      intervalData[item.interval].push(item.price);
-    });
+    }
     
-    // Create 4 intervals per hour
+    return { price: dayAheadPrices[hour].price, method: 'da-as-rt' };
+  };
+  
+  // Create one real-time entry per operating hour
+  const fillMethods = {};
+  let syntheticIntervals = 0;
+  
+  operatingHours.forEach((operatingHour) => {
+    const { hour, label, startUtc } = operatingHour;
+    const hourInfo = getHourInfo(operatingHour);
     const prices = [];
-    let hasActualData = false;
-    for (let interval = 0; interval < 4; interval++) {
-      if (intervalData[interval] && intervalData[interval].length > 0) {
-        const avgPrice = intervalData[interval].reduce((sum, p) => sum + p, 0) / intervalData[interval].length;
-        hasActualData = true;
-        prices.push({
-          interval,
-          price: avgPrice,
-          timestamp: new Date().toISOString(),
-          dataQuality: 'actual'
-        });
-      } else {
-        // Use average of all data for this hour if specific interval is missing
-        const avgPrice = hourData.reduce((sum, item) => sum + item.price, 0) / hourData.length;
-        prices.push({
-          interval,
-          price: avgPrice,
-          timestamp: new Date().toISOString(),
-          dataQuality: 'fallback'
-        });
+    
+    for (let interval = 0; interval < intervalsPerHour; interval++) {
+      const slot = hour * intervalsPerHour + interval;
+      const timestamp = new Date(new Date(startUtc).getTime() + interval * rtIntervalMinutes * 60000).toISOString();
+      
+      if (actualSlots[slot] !== null) {
+        const components = componentSlots[slot];
+        prices.push({ interval, price: actualSlots[slot], timestamp, dataQuality: 'actual', ...(components && { components }) });
+        continue;
       }
+      
+      const { price, method } = fillGap(slot);
+      fillMethods[method] = (fillMethods[method] || 0) + 1;
+      syntheticIntervals++;
+      prices.push({ interval, price, timestamp, dataQuality: 'fallback', fillMethod: method });
     }
     
-    const dataQuality = hasActualData ? 
-      (prices.every(p => p.dataQuality === 'actual') ? 'actual' : 'partial') : 
-      'fallback';
+    const actualCount = prices.filter(p => p.dataQuality === 'actual').length;
+    const dataQuality = actualCount === intervalsPerHour ? 'actual' : (actualCount > 0 ? 'partial' : 'fallback');
+    
+    if (dataQuality === 'fallback') {
+      logger.warn(`⚠️  Missing real-time data for ${label}, filled using ${gapFill} strategy`);
+    }
     
     realTimePrices.push({ 
-      hour: userHour, 
+      hour, 
       prices,
       dataQuality,
-      recordCount: hourData.length,
-      sourceHour: pacificHour
+      recordCount: (hourlyRTData[hour] || []).length,
+      ...hourInfo
     });
-  }
+  });
+  
+  // Hours whose DA or RT price is not fully backed by market data
+  const syntheticHours = operatingHours
+    .map(({ hour }) => hour)
+    .filter(hour => dayAheadPrices[hour].dataQuality !== 'actual' || realTimePrices[hour].dataQuality !== 'actual');
 
   // Validate we have complete data
-  if (dayAheadPrices.length !== 24) {
-    logger.warn(`⚠️  Incomplete day-ahead data: ${dayAheadPrices.length}/24 hours`);
+  if (dayAheadPrices.length !== hoursInDay) {
+    logger.warn(`⚠️  Incomplete day-ahead data: ${dayAheadPrices.length}/${hoursInDay} hours`);
   }
   
-  if (realTimePrices.length !== 24) {
-    logger.warn(`⚠️  Incomplete real-time data: ${realTimePrices.length}/24 hours`);
+  if (realTimePrices.length !== hoursInDay) {
+    logger.warn(`⚠️  Incomplete real-time data: ${realTimePrices.length}/${hoursInDay} hours`);
   }
 
-  logger.info(`✅ Successfully transformed data to ${userTimezone}: ${dayAheadPrices.length} DA hours, ${realTimePrices.length} RT hours`);
+  logger.info(`✅ Successfully transformed ${operatingDate} (${hoursInDay} hours): ${dayAheadPrices.length} DA hours, ${realTimePrices.length} RT hours`);
   
   // Log final summary
   const avgDAPrice = dayAheadPrices.reduce((sum, p) => sum + p.price, 0) / dayAheadPrices.length;
@@ -388,13 +523,48 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
   
   // Final data quality summary
   logger.info(`📊 Final data quality summary: Actual=${actualHours.length}, Interpolated=${interpolatedHours.length}, Fallback=${fallbackHours.length}`);
+  logger.info(`📊 Gap filling (${gapFill}): ${syntheticIntervals} synthetic RT intervals, ${syntheticHours.length} hours not fully backed by market data`);
   logger.info(`📊 Actual hours: [${actualHours.sort((a, b) => a - b).join(', ')}]`);
   logger.info(`📊 Interpolated hours: [${interpolatedHours.sort((a, b) => a - b).join(', ')}]`);
   logger.info(`📊 Fallback hours: [${fallbackHours.sort((a, b) => a - b).join(', ')}]`);
+  
+  // Per-node series, so bids settle against their own location instead of the hub average
+  const locations = {};
+  if (byLocation) {
+    const locationIds = [...new Set([...dayAheadData, ...realTimeData].map(getRecordLocation).filter(Boolean))];
+    
+    locationIds.forEach(location => {
+      const isLocation = item => getRecordLocation(item) === location;
+      const registryEntry = getLocation(iso, location);
+      
+      logger.info(`📍 Building ${location} price series`);
+      const locationData = transformGridStatusData(
+        dayAheadData.filter(isLocation),
+        realTimeData.filter(isLocation),
+        userTimezone,
+        operatingDate,
+        iso,
+        { ...options, previousDayRealTime: previousDayRealTime.filter(isLocation), byLocation: false }
+      );
+      
+      locations[location] = {
+        location,
+        name: registryEntry?.name || location,
+        type: registryEntry?.type,
+        region: registryEntry?.region,
+        lat: registryEntry?.lat,
+        lon: registryEntry?.lon,
+        dayAheadPrices: locationData.dayAheadPrices,
+        realTimePrices: locationData.realTimePrices,
+        syntheticHours: locationData.metadata.gapFill.syntheticHours
+      };
+    });
+  }
 
   return { 
     dayAheadPrices, 
     realTimePrices,
+    ...(byLocation && { locations }),
     metadata: {
       actualHours,
       interpolatedHours,
@@ -404,8 +574,299 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
         realTime: realTimeData.length
       },
       dataSource: 'gridstatus',
+      iso,
+      operatingDate,
+      hoursInDay,
+      hourConvention: 'hour-ending',
+      gapFill: {
+        strategy: gapFill,
+        syntheticIntervals,
+        methods: fillMethods,
+        syntheticHours
+      },
+      rtIntervalMinutes,
+      priceLimits,
+      outOfRangeRecords,
+      // Fetches that hit the record budget leave gaps that gap filling then covers
+      truncated: Boolean(pagination?.dayAhead?.truncated || pagination?.realTime?.truncated),
+      pagination,
+      timezone: userTimezone,
+      sourceTimezone
+    }
+  };
+};
+
+/**
+ * Ancillary service products and the GridStatus fields that carry their prices, in order of preference
+ */
+export const ANCILLARY_PRODUCTS = {
+  regulationUp: { label: 'Regulation Up', fields: ['regulation_up', 'reg_up'] },
+  regulationDown: { label: 'Regulation Down', fields: ['regulation_down', 'reg_down'] },
+  spinningReserve: { label: 'Spinning Reserve', fields: ['spinning_reserves', 'spinning_reserve', 'spin'] },
+  nonSpinningReserve: { label: 'Non-Spinning Reserve', fields: ['non_spinning_reserves', 'non_spinning_reserve', 'non_spin'] }
+};
+
+/**
+ * Extract one ancillary service price from a GridStatus record
+ * @param {Object} item - GridStatus record
+ * @param {string} product - Key of ANCILLARY_PRODUCTS
+ * @returns {number} Price in $/MW, or NaN when the record carries no price for the product
+ */
+const extractAncillaryPrice = (item, product) => {
+  const field = ANCILLARY_PRODUCTS[product].fields.find(name => item[name] !== undefined && item[name] !== null && item[name] !== '');
+  return field ? parseFloat(item[field]) : NaN;
+};
+
+/**
+ * Transform raw GridStatus ancillary service records into one entry per operating hour
+ * Hours without records keep null prices rather than interpolated ones, since AS prices
+ * clear independently hour by hour.
+ * @param {Array} ancillaryData - Raw ancillary service records
+ * @param {string} [userTimezone] - User's timezone for `localTime`
+ * @param {string} date - Operating date (YYYY-MM-DD)
+ * @param {string} [iso] - ISO the data belongs to (defaults to CAISO)
+ * @returns {{prices: Array, products: Array<{id: string, label: string}>, metadata: Object}} Hourly AS prices in $/MW
+ */
+export const transformAncillaryData = (ancillaryData, userTimezone = 'America/Los_Angeles', date, iso = 'CAISO') => {
+  const { timezone: sourceTimezone, ancillaryServices } = getISOProfile(iso);
+  const operatingHours = getOperatingDayHours(date, sourceTimezone);
+  const dayStart = new Date(operatingHours[0].startUtc);
+  const productIds = Object.keys(ANCILLARY_PRODUCTS);
+  
+  logger.info(`🔄 Transforming ${ancillaryData.length} ${iso} ancillary service records for timezone: ${userTimezone}`);
+  
+  // Collect each product's prices by hour of the operating day
+  const hourlyData = {};
+  ancillaryData.forEach((item, index) => {
+    const timestamp = item?.interval_start_utc || item?.interval_start_local || item?.timestamp;
+    if (!timestamp) {
+      logger.debug(`⚠️  Skipping AS item ${index}: invalid timestamp`);
+      return;
+    }
+    
+    const { hour } = getHourIndex(timestamp, dayStart);
+    if (hour < 0 || hour >= operatingHours.length) {
+      logger.debug(`⚠️  Skipping AS item ${index}: ${timestamp} is outside the ${date} operating day`);
+      return;
+    }
+    
+    if (!hourlyData[hour]) {
+      hourlyData[hour] = { count: 0, ...Object.fromEntries(productIds.map(product => [product, []])) };
+    }
+    hourlyData[hour].count++;
+    productIds.forEach(product => {
+      const price = extractAncillaryPrice(item, product);
+      if (!isNaN(price)) {
+        hourlyData[hour][product].push(price);
+      }
+    });
+  });
+  
+  const average = (prices) => prices.length > 0 ? prices.reduce((sum, p) => sum + p, 0) / prices.length : null;
+  const missingHours = [];
+  
+  const prices = operatingHours.map(({ hour, hourEnding, label, isRepeated, startUtc }) => {
+    const data = hourlyData[hour];
+    if (!data) {
+      missingHours.push(hour);
+    }
+    
+    return {
+      hour,
+      hourEnding,
+      hourLabel: label,
+      isRepeatedHour: isRepeated,
+      localTime: formatLocalTime(startUtc, userTimezone),
+      timestamp: startUtc,
+      ...Object.fromEntries(productIds.map(product => [product, data ? average(data[product]) : null])),
+      recordCount: data?.count || 0
+    };
+  });
+  
+  // Only products the dataset actually published
+  const products = productIds
+    .filter(product => prices.some(entry => entry[product] !== null))
+    .map(product => ({ id: product, label: ANCILLARY_PRODUCTS[product].label }));
+  
+  if (missingHours.length > 0) {
+    logger.warn(`⚠️  Missing ancillary service prices for ${missingHours.length}/${operatingHours.length} hours of ${date}`);
+  }
+  logger.info(`✅ Transformed ${iso} ancillary services for ${date}: ${products.map(p => p.label).join(', ') || 'no products'}`);
+  
+  return {
+    prices,
+    products,
+    metadata: {
+      iso,
+      operatingDate: date,
+      hoursInDay: operatingHours.length,
+      hourConvention: 'hour-ending',
+      region: ancillaryServices?.region,
+      missingHours,
+      totalRecords: ancillaryData.length,
+      dataSource: 'gridstatus',
+      timezone: userTimezone,
+      sourceTimezone
+    }
+  };
+};
+
+/**
+ * Fundamentals values per source series and the GridStatus fields that carry them, in order of preference
+ * Net load (load minus solar and wind) is derived from these.
+ */
+export const FUNDAMENTALS_FIELDS = {
+  load: { load: ['load'] },
+  loadForecast: { loadForecast: ['load_forecast', 'forecast'] },
+  fuelMix: {
+    solar: ['solar'],
+    wind: ['wind'],
+    gas: ['natural_gas', 'gas'],
+    imports: ['imports']
+  }
+};
+
+/**
+ * Extract the first present numeric field from a GridStatus record
+ * @param {Object} item - GridStatus record
+ * @param {string[]} fields - Candidate field names
+ * @returns {number} Value, or NaN when none of the fields is present
+ */
+const extractField = (item, fields) => {
+  const field = fields.find(name => item[name] !== undefined && item[name] !== null && item[name] !== '');
+  return field ? parseFloat(item[field]) : NaN;
+};
+
+/**
+ * Keep one load forecast per interval
+ * Prefers the latest forecast published before the interval started, so hours are compared
+ * against what the market knew ahead of time; falls back to the earliest one published after.
+ * @param {Array} records - Raw load forecast records, possibly several publish times per interval
+ * @returns {Array} One record per interval
+ */
+const selectLatestForecasts = (records) => {
+  const byInterval = new Map();
+  const publishedAt = item => new Date(item.publish_time_utc || item.publish_time || 0).getTime();
+  
+  records.forEach(item => {
+    const timestamp = item?.interval_start_utc || item?.interval_start_local || item?.timestamp;
+    if (!timestamp) return;
+    
+    const start = new Date(timestamp).getTime();
+    const current = byInterval.get(timestamp);
+    if (!current) {
+      byInterval.set(timestamp, item);
+      return;
+    }
+    
+    const isAhead = publishedAt(item) <= start;
+    const currentIsAhead = publishedAt(current) <= start;
+    const isBetter = isAhead !== currentIsAhead
+      ? isAhead
+      : (isAhead ? publishedAt(item) > publishedAt(current) : publishedAt(item) < publishedAt(current));
+    
+    if (isBetter) {
+      byInterval.set(timestamp, item);
+    }
+  });
+  
+  return [...byInterval.values()];
+};
+
+/**
+ * Transform raw GridStatus load, load forecast and fuel mix records into one entry per operating hour
+ * Values are hourly averages in MW; hours without records keep null values.
+ * @param {{load?: Array, loadForecast?: Array, fuelMix?: Array}} fundamentals - Raw records per series
+ * @param {string} [userTimezone] - User's timezone for `localTime`
+ * @param {string} date - Operating date (YYYY-MM-DD)
+ * @param {string} [iso] - ISO the data belongs to (defaults to CAISO)
+ * @returns {{hours: Array, summary: Object, metadata: Object}} Hourly load, forecast, fuel mix and net load
+ */
+export const transformFundamentalsData = (fundamentals, userTimezone = 'America/Los_Angeles', date, iso = 'CAISO') => {
+  const { timezone: sourceTimezone } = getISOProfile(iso);
+  const operatingHours = getOperatingDayHours(date, sourceTimezone);
+  const dayStart = new Date(operatingHours[0].startUtc);
+  const valueNames = Object.values(FUNDAMENTALS_FIELDS).flatMap(fields => Object.keys(fields));
+  
+  const records = {
+    load: fundamentals.load || [],
+    loadForecast: selectLatestForecasts(fundamentals.loadForecast || []),
+    fuelMix: fundamentals.fuelMix || []
+  };
+  
+  logger.info(`🔄 Transforming ${iso} fundamentals for ${date}: ${records.load.length} load, ${records.loadForecast.length} forecast, ${records.fuelMix.length} fuel mix records`);
+  
+  // Collect each value by hour of the operating day
+  const hourlyValues = operatingHours.map(() => Object.fromEntries(valueNames.map(name => [name, []])));
+  Object.entries(FUNDAMENTALS_FIELDS).forEach(([series, fields]) => {
+    records[series].forEach(item => {
+      const timestamp = item?.interval_start_utc || item?.interval_start_local || item?.timestamp;
+      if (!timestamp) return;
+      
+      const { hour } = getHourIndex(timestamp, dayStart);
+      if (hour < 0 || hour >= operatingHours.length) return;
+      
+      Object.entries(fields).forEach(([name, candidates]) => {
+        const value = extractField(item, candidates);
+        if (!isNaN(value)) {
+          hourlyValues[hour][name].push(value);
+        }
+      });
+    });
+  });
+  
+  const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+  
+  const hours = operatingHours.map(({ hour, hourEnding, label, isRepeated, startUtc }) => {
+    const values = Object.fromEntries(valueNames.map(name => [name, average(hourlyValues[hour][name])]));
+    const { load, solar, wind } = values;
+    
+    return {
+      hour,
+      hourEnding,
+      hourLabel: label,
+      isRepeatedHour: isRepeated,
+      localTime: formatLocalTime(startUtc, userTimezone),
+      timestamp: startUtc,
+      ...values,
+      netLoad: load !== null && solar !== null && wind !== null ? load - solar - wind : null
+    };
+  });
+  
+  // Hour with the highest or lowest value of a field
+  const findExtreme = (field, direction) => hours
+    .filter(entry => entry[field] !== null)
+    .reduce((best, entry) => (!best || direction * (entry[field] - best.value) > 0)
+      ? { hour: entry.hour, hourLabel: entry.hourLabel, value: entry[field] }
+      : best, null);
+  
+  const missingHours = hours.filter(entry => valueNames.every(name => entry[name] === null)).map(entry => entry.hour);
+  if (missingHours.length > 0) {
+    logger.warn(`⚠️  No fundamentals for ${missingHours.length}/${operatingHours.length} hours of ${date}`);
+  }
+  
+  return {
+    hours,
+    summary: {
+      peakLoad: findExtreme('load', 1),
+      peakNetLoad: findExtreme('netLoad', 1),
+      minNetLoad: findExtreme('netLoad', -1)
+    },
+    metadata: {
+      iso,
+      operatingDate: date,
+      hoursInDay: operatingHours.length,
+      hourConvention: 'hour-ending',
+      units: 'MW',
+      missingHours,
+      totalRecords: {
+        load: records.load.length,
+        loadForecast: records.loadForecast.length,
+        fuelMix: records.fuelMix.length
+      },
+      dataSource: 'gridstatus',
       timezone: userTimezone,
-      sourceTimezone: 'America/Los_Angeles'
+      sourceTimezone
     }
   };
 };
@@ -414,9 +875,10 @@ export const transformGridStatusData = (dayAheadData, realTimeData, userTimezone
  * Transform raw GridStatus API data to spike analysis format
  * @param {Array} rawData - Raw data from GridStatus API
  * @param {string} userTimezone - User's timezone for conversion
+ * @param {string} [iso] - ISO the data belongs to (defaults to CAISO)
  * @returns {Array} Array of LocationPriceData objects for spike analysis
  */
-export const transformGridStatusRawToSpikeAnalysisFormat = (rawData, userTimezone = 'America/Los_Angeles') => {
+export const transformGridStatusRawToSpikeAnalysisFormat = (rawData, userTimezone = 'America/Los_Angeles', iso = 'CAISO') => {
   if (!rawData || rawData.length === 0) {
     throw new ApiError('No raw data provided for transformation', 400);
   }
@@ -430,13 +892,13 @@ export const transformGridStatusRawToSpikeAnalysisFormat = (rawData, userTimezon
     // Handle different possible field names for location/node
     const location = item.pnode || item.location || item.node || item.zone || 'UNKNOWN';
     const timestamp = item.interval_start_utc || item.interval_start_local || item.timestamp || item.datetime;
-    const price = parseFloat(item.lmp || item.price || 0);
+    const price = extractPrice(item);
     
     if (!locationGroups[location]) {
       locationGroups[location] = [];
     }
     
-    if (timestamp) {
+    if (timestamp && !isNaN(price)) {
       // Convert timestamp to user's timezone
       let convertedTimestamp = timestamp;
       if (userTimezone !== 'America/Los_Angeles') {
@@ -448,9 +910,12 @@ export const transformGridStatusRawToSpikeAnalysisFormat = (rawData, userTimezon
         }
       }
       
+      const components = extractComponents(item);
       locationGroups[location].push({
         price,
-        timestamp: convertedTimestamp
+        timestamp: convertedTimestamp,
+        intervalStartUtc: timestamp,
+        ...(components && { components })
       });
     }
   });
@@ -463,12 +928,17 @@ export const transformGridStatusRawToSpikeAnalysisFormat = (rawData, userTimezon
       // Sort prices by timestamp
       prices.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
       
+      const registryEntry = getLocation(iso, location);
+      
       locationPriceData.push({
         location,
         prices,
         metadata: {
-          region: getLocationRegion(location),
-          type: getLocationType(location),
+          name: registryEntry?.name || location,
+          region: getLocationRegion(location, iso),
+          type: getLocationType(location, iso),
+          lat: registryEntry?.lat,
+          lon: registryEntry?.lon,
           source: 'gridstatus',
           dataPoints: prices.length,
           timeRange: {
@@ -491,11 +961,23 @@ export const transformGridStatusRawToSpikeAnalysisFormat = (rawData, userTimezon
 };
 
 /**
- * Get region for a location based on common naming patterns
+ * Get region for a location from the location registry, falling back to common naming patterns
  * @param {string} location - Location name
+ * @param {string} [iso] - ISO the location belongs to
  * @returns {string} Region name
  */
-const getLocationRegion = (location) => {
+const getLocationRegion = (location, iso = 'CAISO') => {
+  const profile = getISOProfile(iso);
+  const registryEntry = getLocation(profile.iso, location);
+  if (registryEntry?.region) {
+    return registryEntry.region;
+  }
+  
+  // Naming patterns below are CAISO-specific
+  if (profile.iso !== 'CAISO') {
+    return profile.label;
+  }
+  
   const locationUpper = location.toUpperCase();
   
   if (locationUpper.includes('SP15') || locationUpper.includes('SCE') || locationUpper.includes('SDGE')) {
@@ -526,11 +1008,27 @@ const getLocationRegion = (location) => {
 };
 
 /**
- * Get location type based on naming patterns
+ * Display names for registry location types
+ */
+const LOCATION_TYPE_LABELS = {
+  hub: 'Trading Hub',
+  'load-zone': 'Load Zone',
+  zone: 'Price Zone',
+  node: 'Price Node'
+};
+
+/**
+ * Get location type from the location registry, falling back to naming patterns
  * @param {string} location - Location name
+ * @param {string} [iso] - ISO the location belongs to
  * @returns {string} Location type
  */
-const getLocationType = (location) => {
+const getLocationType = (location, iso = 'CAISO') => {
+  const registryEntry = getLocation(iso, location);
+  if (registryEntry) {
+    return LOCATION_TYPE_LABELS[registryEntry.type];
+  }
+  
   const locationUpper = location.toUpperCase();
   
   if (locationUpper.includes('DLAP')) return 'Load Zone';
@@ -1,5 +1,6 @@
 /**
  * Timezone utility functions for handling user timezone conversions
+ * and DST-aware operating days (23 hours on spring-forward, 25 on fall-back)
  */
 
 /**
@@ -121,4 +122,124 @@ export const formatTimestampInUserTimezone = (timestamp, userTimezone) => {
     minute: '2-digit',
     hour12: true
   });
-};
\ No newline at end of file
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Longest operating day (fall-back day), so bid hour indexes run 0-24
+ */
+export const MAX_HOURS_PER_DAY = 25;
+
+/**
+ * Offset in minutes between a timezone's wall clock and UTC at a given instant
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in minutes (e.g. -480 for PST)
+ */
+export const getTimeZoneOffsetMinutes = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const value = (type) => Number(parts.find(part => part.type === type).value);
+  const wallClockAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return Math.round((wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Convert local midnight of a date in a timezone to a UTC Date
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant of local midnight
+ */
+export const getLocalMidnightUtc = (date, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const midnightAsUtc = Date.UTC(year, month - 1, day);
+
+  // Re-check the offset at the corrected instant in case it crosses a DST switch
+  let offset = getTimeZoneOffsetMinutes(new Date(midnightAsUtc), timeZone);
+  offset = getTimeZoneOffsetMinutes(new Date(midnightAsUtc - offset * 60000), timeZone);
+
+  return new Date(midnightAsUtc - offset * 60000);
+};
+
+/**
+ * Shift a calendar date by a number of days
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+/**
+ * Get the UTC bounds of an operating day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} timeZone - Market timezone
+ * @returns {{start: Date, end: Date}} Start (inclusive) and end (exclusive) of the day
+ */
+export const getOperatingDayBounds = (date, timeZone) => ({
+  start: getLocalMidnightUtc(date, timeZone),
+  end: getLocalMidnightUtc(addDays(date, 1), timeZone)
+});
+
+/**
+ * Lay out the hours of an operating day in the ISO hour-ending convention
+ * Hour-ending (HE) N covers local time N-1:00 to N:00. On the spring-forward day
+ * the skipped hour has no entry; on the fall-back day the repeated hour is marked
+ * with an asterisk (e.g. HE2 then HE2*)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} timeZone - Market timezone
+ * @returns {Array<{hour: number, hourEnding: number, label: string, isRepeated: boolean, startUtc: string}>}
+ *   One entry per hour, where `hour` is the 0-based index within the day
+ */
+export const getOperatingDayHours = (date, timeZone) => {
+  const { start, end } = getOperatingDayBounds(date, timeZone);
+  const hourCount = Math.round((end.getTime() - start.getTime()) / HOUR_MS);
+  const seen = new Set();
+  const hours = [];
+
+  for (let hour = 0; hour < hourCount; hour++) {
+    const hourStart = new Date(start.getTime() + hour * HOUR_MS);
+    const localHour = Number(new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', hour: '2-digit' }).format(hourStart));
+    const hourEnding = localHour + 1;
+    const isRepeated = seen.has(hourEnding);
+    seen.add(hourEnding);
+
+    hours.push({
+      hour,
+      hourEnding,
+      label: `HE${hourEnding}${isRepeated ? '*' : ''}`,
+      isRepeated,
+      startUtc: hourStart.toISOString()
+    });
+  }
+
+  return hours;
+};
+
+/**
+ * Find the operating-day hour index for a timestamp
+ * @param {string} timestamp - ISO timestamp string
+ * @param {Date} dayStart - Start of the operating day
+ * @returns {{hour: number, minute: number}} 0-based hour index and minutes into that hour
+ */
+export const getHourIndex = (timestamp, dayStart) => {
+  const elapsed = new Date(timestamp).getTime() - dayStart.getTime();
+
+  return {
+    hour: Math.floor(elapsed / HOUR_MS),
+    minute: Math.floor((elapsed % HOUR_MS) / 60000)
+  };
+};
@@ -1,17 +1,156 @@
+import { getISOProfile } from '../config/isoProfiles.js';
+import { MAX_HOURS_PER_DAY } from './timezone.js';
+
+/**
+ * Maximum price/MW segments in one bid curve (CAISO allows 10 per hour)
+ */
+export const MAX_BID_SEGMENTS = 10;
+
+/**
+ * Price/MW segments of a bid curve
+ * A bid without segments is the legacy single price/quantity pair, i.e. a one-segment curve
+ * @param {Object} bid - Bid with `segments` or `price` and `quantity`
+ * @returns {Array<{price: number, quantity: number}>} Segments in submission order
+ */
+export const getBidSegments = (bid) => (
+  Array.isArray(bid.segments) ? bid.segments : [{ price: bid.price, quantity: bid.quantity }]
+);
+
+/**
+ * Check a bid curve against the segment limit, the market's bid floor/cap and monotonicity
+ * Segments are incremental MW blocks; buy curves must step down in price and sell curves
+ * step up, so more MW is only ever awarded at a less favourable price
+ * @param {Object} bid - Bid with `type` and `segments` (or legacy `price`/`quantity`)
+ * @param {{floor: number, cap: number}} priceLimits - Market bid floor and cap
+ * @returns {Array<string>} Validation errors, empty for a valid curve
+ */
+export const getBidCurveErrors = (bid, priceLimits) => {
+  const errors = [];
+  
+  if (bid.segments !== undefined && (!Array.isArray(bid.segments) || bid.segments.length === 0)) {
+    return ['segments must be a non-empty array'];
+  }
+  
+  const segments = getBidSegments(bid);
+  
+  if (segments.length > MAX_BID_SEGMENTS) {
+    errors.push(`a bid curve can have at most ${MAX_BID_SEGMENTS} segments`);
+  }
+  
+  segments.forEach((segment, index) => {
+    const name = segments.length > 1 ? `segment ${index + 1} ` : '';
+    
+    if (typeof segment?.price !== 'number' || isNaN(segment.price)) {
+      errors.push(`${name}price must be a number`);
+    } else if (segment.price < priceLimits.floor || segment.price > priceLimits.cap) {
+      errors.push(`${name}price must be between $${priceLimits.floor} and $${priceLimits.cap}/MWh`);
+    }
+    
+    if (typeof segment?.quantity !== 'number' || !(segment.quantity > 0)) {
+      errors.push(`${name}quantity must be a positive number`);
+    }
+    
+    const previous = segments[index - 1];
+    if (previous && typeof previous.price === 'number' && typeof segment?.price === 'number') {
+      if (bid.type === 'buy' && segment.price >= previous.price) {
+        errors.push(`buy curve prices must decrease: segment ${index + 1} ($${segment.price}) is not below segment ${index} ($${previous.price})`);
+      } else if (bid.type === 'sell' && segment.price <= previous.price) {
+        errors.push(`sell curve prices must increase: segment ${index + 1} ($${segment.price}) is not above segment ${index} ($${previous.price})`);
+      }
+    }
+  });
+  
+  return errors;
+};
+
+/**
+ * Clear a bid curve against the DA LMP
+ * Buy segments priced at or above the LMP and sell segments at or below it are awarded
+ * @param {Object} bid - Bid curve
+ * @param {number} daPrice - Day-ahead clearing price
+ * @returns {{segments: Array, offeredQuantity: number, awardedQuantity: number}} Segments with `awarded` flags and MW totals
+ */
+export const clearBidCurve = (bid, daPrice) => {
+  const segments = getBidSegments(bid).map(segment => ({
+    ...segment,
+    awarded: bid.type === 'buy' ? segment.price >= daPrice : segment.price <= daPrice
+  }));
+  
+  return {
+    segments,
+    offeredQuantity: segments.reduce((sum, s) => sum + s.quantity, 0),
+    awardedQuantity: segments.filter(s => s.awarded).reduce((sum, s) => sum + s.quantity, 0)
+  };
+};
+
+/**
+ * Settle an awarded virtual position against each RT interval of its hour
+ * Every interval carries awarded MW * (interval length / 60), i.e. MW/4 for 15-minute
+ * and MW/12 for 5-minute prices, priced at the RT-minus-DA spread
+ * @param {string} type - Bid side, buy or sell
+ * @param {number} awardedQuantity - Awarded MW
+ * @param {number} daPrice - Day-ahead clearing price
+ * @param {Array} intervalPrices - The hour's RT interval prices
+ * @param {number} intervalMinutes - RT interval length
+ * @returns {Array} Per-interval cash flows
+ */
+const settleIntervals = (type, awardedQuantity, daPrice, intervalPrices, intervalMinutes) => {
+  const direction = type === 'buy' ? 1 : -1;
+  const quantity = awardedQuantity * intervalMinutes / 60;
+  
+  return intervalPrices.map(({ interval, timestamp, price, dataQuality }) => ({
+    interval,
+    timestamp,
+    startMinute: interval * intervalMinutes,
+    realTimePrice: price,
+    quantity,
+    profit: direction * (price - daPrice) * quantity,
+    dataQuality
+  }));
+};
+
 /**
  * Simulate bid execution and profit calculation
- * @param {Array} bids - Array of user bids
- * @param {Array} dayAheadPrices - Day-ahead price data
- * @param {Array} realTimePrices - Real-time price data
- * @returns {Object} Simulation results with trades and total profit
+ * Bid hours are operating-day hour indexes, so DST days settle 23 or 25 hours
+ * Each bid is a curve cleared against the hour's DA LMP; the awarded MW settle in RT
+ * Bids with a `location` use that node's prices; bids without one use the hub average
+ * @param {Array} bids - Array of user bid curves
+ * @param {Array} dayAheadPrices - Day-ahead price data (hub average)
+ * @param {Array} realTimePrices - Real-time price data (hub average)
+ * @param {Object} [options] - Settlement options
+ * @param {boolean} [options.requireActualData] - Refuse to settle hours that depend on gap-filled prices
+ * @param {number} [options.rtIntervalMinutes] - RT interval length (inferred from each hour's interval count when omitted)
+ * @param {Object} [options.locations] - Per-node `{dayAheadPrices, realTimePrices}` keyed by location id
+ * @returns {Object} Simulation results with trades, per-interval cash flows and total profit
  */
-export const simulateTradeExecution = (bids, dayAheadPrices, realTimePrices) => {
+export const simulateTradeExecution = (bids, dayAheadPrices, realTimePrices, { requireActualData = false, rtIntervalMinutes, locations = {} } = {}) => {
   const results = [];
   let totalProfit = 0;
   
   bids.forEach(bid => {
-    const hourData = dayAheadPrices.find(d => d.hour === bid.hour);
-    const rtData = realTimePrices.find(r => r.hour === bid.hour);
+    if (bid.location && !locations[bid.location]) {
+      results.push({
+        ...bid,
+        executed: false,
+        profit: 0,
+        error: `No market data available for location ${bid.location}`
+      });
+      return;
+    }
+    
+    const series = bid.location ? locations[bid.location] : { dayAheadPrices, realTimePrices, name: 'Hub average' };
+    const hourData = series.dayAheadPrices.find(d => d.hour === bid.hour);
+    const rtData = series.realTimePrices.find(r => r.hour === bid.hour);
+    
+    if (bid.hour >= dayAheadPrices.length) {
+      results.push({
+        ...bid,
+        executed: false,
+        profit: 0,
+        error: `Hour ${bid.hour} does not exist on this ${dayAheadPrices.length}-hour operating day`
+      });
+      return;
+    }
     
     if (!hourData || !rtData) {
       results.push({
@@ -23,39 +162,65 @@ export const simulateTradeExecution = (bids, dayAheadPrices, realTimePrices) =>
       return;
     }
     
-    const daPrice = hourData.price;
-    const avgRtPrice = rtData.prices.reduce((sum, p) => sum + p.price, 0) / rtData.prices.length;
+    const usesSyntheticData = hourData.dataQuality !== 'actual' || rtData.dataQuality !== 'actual';
     
-    let executed = false;
-    let profit = 0;
-    
-    // Execute bid based on market rules
-    if (bid.type === 'buy' && bid.price >= daPrice) {
-      executed = true;
-      profit = (avgRtPrice - daPrice) * bid.quantity;
-    } else if (bid.type === 'sell' && bid.price <= daPrice) {
-      executed = true;
-      profit = (daPrice - avgRtPrice) * bid.quantity;
+    if (usesSyntheticData && requireActualData) {
+      results.push({
+        ...bid,
+        hourLabel: hourData.hourLabel,
+        locationName: series.name,
+        executed: false,
+        excluded: true,
+        profit: 0,
+        reason: `Not settled: ${hourData.hourLabel || `hour ${bid.hour}`} depends on gap-filled prices (DA ${hourData.dataQuality}, RT ${rtData.dataQuality})`
+      });
+      return;
     }
     
-    if (executed) {
+    const daPrice = hourData.price;
+    
+    // Award the curve segments that clear against the DA LMP
+    const { segments, offeredQuantity, awardedQuantity } = clearBidCurve(bid, daPrice);
+    
+    if (awardedQuantity > 0) {
+      const intervalMinutes = rtIntervalMinutes || 60 / rtData.prices.length;
+      const intervals = settleIntervals(bid.type, awardedQuantity, daPrice, rtData.prices, intervalMinutes);
+      const profit = intervals.reduce((sum, i) => sum + i.profit, 0);
+      const settledQuantity = intervals.reduce((sum, i) => sum + i.quantity, 0);
+      const avgRtPrice = intervals.reduce((sum, i) => sum + i.realTimePrice * i.quantity, 0) / settledQuantity;
+      
       totalProfit += profit;
       results.push({
         ...bid,
+        hourLabel: hourData.hourLabel,
+        locationName: series.name,
+        segments,
+        offeredQuantity,
+        awardedQuantity,
         executed: true,
+        usesSyntheticData,
         executionPrice: daPrice,
         avgRealTimePrice: avgRtPrice,
         profit,
-        profitPerMWh: profit / bid.quantity
+        profitPerMWh: profit / awardedQuantity,
+        rtIntervalMinutes: intervalMinutes,
+        intervals
       });
     } else {
+      // The first segment is the most aggressive price on a monotonic curve
+      const bestPrice = segments[0].price;
       results.push({
         ...bid,
+        hourLabel: hourData.hourLabel,
+        locationName: series.name,
+        segments,
+        offeredQuantity,
+        awardedQuantity: 0,
         executed: false,
         profit: 0,
         reason: bid.type === 'buy' 
-          ? `Bid price $${bid.price} below market price $${daPrice.toFixed(2)}`
-          : `Bid price $${bid.price} above market price $${daPrice.toFixed(2)}`
+          ? `Highest bid price $${bestPrice} below market price $${daPrice.toFixed(2)}`
+          : `Lowest offer price $${bestPrice} above market price $${daPrice.toFixed(2)}`
       });
     }
   });
@@ -66,7 +231,8 @@ export const simulateTradeExecution = (bids, dayAheadPrices, realTimePrices) =>
     summary: {
       totalBids: bids.length,
       executedTrades: results.filter(r => r.executed).length,
-      successRate: (results.filter(r => r.executed).length / bids.length) * 100,
+      excludedTrades: results.filter(r => r.excluded).length,
+      successRate: bids.length > 0 ? (results.filter(r => r.executed).length / bids.length) * 100 : 0,
       avgProfitPerTrade: results.filter(r => r.executed).length > 0 
         ? totalProfit / results.filter(r => r.executed).length 
         : 0
@@ -74,6 +240,40 @@ export const simulateTradeExecution = (bids, dayAheadPrices, realTimePrices) =>
   };
 };
 
+/**
+ * Summarize a backtest run from its daily results
+ * Risk metrics are computed over daily P&L, so drawdown follows the equity curve day by day
+ * @param {Array} days - Daily results `{ date, profit, skipped }`
+ * @returns {Object} Equity curve, totals and risk metrics
+ */
+export const summarizeBacktest = (days) => {
+  const tradedDays = days.filter(day => !day.skipped);
+  
+  let equity = 0;
+  const equityCurve = tradedDays.map(day => {
+    equity += day.profit;
+    return { date: day.date, profit: day.profit, equity };
+  });
+  
+  const profits = tradedDays.map(day => day.profit);
+  
+  return {
+    equityCurve,
+    totalProfit: equity,
+    riskMetrics: calculateRiskMetrics(tradedDays.map(day => ({ executed: true, profit: day.profit }))),
+    summary: {
+      totalDays: days.length,
+      tradedDays: tradedDays.length,
+      skippedDays: days.length - tradedDays.length,
+      winningDays: profits.filter(p => p > 0).length,
+      losingDays: profits.filter(p => p < 0).length,
+      bestDay: tradedDays.reduce((best, day) => (!best || day.profit > best.profit ? day : best), null)?.date || null,
+      worstDay: tradedDays.reduce((worst, day) => (!worst || day.profit < worst.profit ? day : worst), null)?.date || null,
+      avgDailyProfit: tradedDays.length > 0 ? equity / tradedDays.length : 0
+    }
+  };
+};
+
 /**
  * Calculate portfolio risk metrics
  * @param {Array} trades - Executed trades
@@ -103,8 +303,8 @@ export const calculateRiskMetrics = (trades) => {
   const var95Index = Math.floor(profits.length * 0.05);
   const var95 = sortedProfits[var95Index] || 0;
   
-  // Calculate max drawdown
-  let peak = profits[0];
+  // Calculate max drawdown from the high-water mark of cumulative P&L, which starts at zero equity
+  let peak = 0;
   let maxDrawdown = 0;
   let cumulativeProfit = 0;
   
@@ -131,37 +331,30 @@ export const calculateRiskMetrics = (trades) => {
 /**
  * Validate bid parameters
  * @param {Object} bid - Bid object to validate
+ * @param {{floor: number, cap: number}} [priceLimits] - Market bid floor and cap (defaults to CAISO)
  * @returns {Object} Validation result
  */
-export const validateBid = (bid) => {
+export const validateBid = (bid, priceLimits = getISOProfile().priceLimits) => {
   const errors = [];
   
   if (!bid.id || typeof bid.id !== 'string') {
     errors.push('Bid ID is required and must be a string');
   }
   
-  if (typeof bid.hour !== 'number' || bid.hour < 0 || bid.hour > 23) {
-    errors.push('Hour must be a number between 0 and 23');
+  if (!Number.isInteger(bid.hour) || bid.hour < 0 || bid.hour >= MAX_HOURS_PER_DAY) {
+    errors.push(`Hour must be an operating-day hour index between 0 and ${MAX_HOURS_PER_DAY - 1}`);
   }
   
   if (!['buy', 'sell'].includes(bid.type)) {
     errors.push('Type must be either "buy" or "sell"');
   }
   
-  if (typeof bid.price !== 'number' || bid.price < 0) {
-    errors.push('Price must be a positive number');
-  }
-  
-  if (typeof bid.quantity !== 'number' || bid.quantity <= 0) {
-    errors.push('Quantity must be a positive number');
-  }
+  const curveErrors = getBidCurveErrors(bid, priceLimits);
+  errors.push(...curveErrors.map(error => error.charAt(0).toUpperCase() + error.slice(1)));
   
   // Check for reasonable limits
-  if (bid.price > 10000) {
-    errors.push('Price seems unreasonably high (>$10,000/MWh)');
-  }
-  
-  if (bid.quantity > 1000) {
+  const offeredQuantity = getBidSegments(bid).reduce((sum, s) => sum + (s?.quantity || 0), 0);
+  if (offeredQuantity > 1000) {
     errors.push('Quantity seems unreasonably high (>1000 MWh)');
   }
   
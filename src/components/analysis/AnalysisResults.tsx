@@ -1,24 +1,40 @@
 import React from 'react';
 import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
 import { AlertTriangle, TrendingUp, Brain } from 'lucide-react';
-import { PriceSpike, GridEvent, LLMConfig } from '../../types/analysis';
+import { PriceSpike, GridEvent, GridEventsAssessment, LLMConfig } from '../../types/analysis';
+import type { PriceComponents } from '../../types/market';
 import StatCard from '../ui/StatCard';
+import GridEventTimeline from './GridEventTimeline';
 
 interface AnalysisResultsProps {
   spikes: PriceSpike[];
   gridEvents: GridEvent[];
+  gridAssessment: GridEventsAssessment | null;
   onAnalyzeSpike: (spike: PriceSpike) => void;
+  onAssessDay: () => void;
   isAnalyzing: boolean;
+  isAssessing: boolean;
   llmConfig: LLMConfig;
 }
 
 const AnalysisResults: React.FC<AnalysisResultsProps> = ({
   spikes,
   gridEvents,
+  gridAssessment,
   onAnalyzeSpike,
+  onAssessDay,
   isAnalyzing,
+  isAssessing,
   llmConfig,
 }) => {
+  const formatComponentDeltas = (deltas: PriceComponents) =>
+    (['energy', 'congestion', 'loss'] as const)
+      .map(name => `${name} ${deltas[name] >= 0 ? '+' : '-'}$${Math.abs(deltas[name]).toFixed(2)}`)
+      .join(', ');
+
+  const formatTime = (timestamp: string) =>
+    new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
   const getSeverityColor = (severity: string) => {
     switch (severity) {
       case 'critical': return '#DC2626';
@@ -39,17 +55,6 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({
     }));
   };
 
-  const prepareSpatialData = () => {
-    return spikes.map((spike, index) => ({
-      x: (index % 10) * 10,
-      y: Math.floor(index / 10) * 10,
-      magnitude: spike.magnitude,
-      severity: spike.severity,
-      location: spike.location,
-      spike
-    }));
-  };
-
   if (spikes.length === 0) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-12 border border-gray-100 text-center">
@@ -95,6 +100,14 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({
         />
       </div>
 
+      {/* Grid Event Timeline */}
+      <GridEventTimeline
+        gridEvents={gridEvents}
+        assessment={gridAssessment}
+        onAssessDay={onAssessDay}
+        isAssessing={isAssessing}
+      />
+
       {/* Temporal Analysis Chart */}
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
         <h3 className="text-xl font-bold text-gray-900 mb-6">Temporal Price Spike Pattern</h3>
@@ -131,41 +144,6 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({
         </ResponsiveContainer>
       </div>
 
-      {/* Spatial Analysis */}
-      <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-        <h3 className="text-xl font-bold text-gray-900 mb-6">Spatial Distribution of Price Spikes</h3>
-        <ResponsiveContainer width="100%" height={400}>
-          <ScatterChart data={prepareSpatialData()}>
-            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-            <XAxis 
-              dataKey="x" 
-              stroke="#6b7280"
-              label={{ value: 'Geographic X-Coordinate', position: 'insideBottom', offset: -5 }}
-            />
-            <YAxis 
-              stroke="#6b7280"
-              label={{ value: 'Geographic Y-Coordinate', angle: -90, position: 'insideLeft' }}
-            />
-            <Tooltip 
-              contentStyle={{ 
-                backgroundColor: '#fff', 
-                border: '1px solid #e5e7eb',
-                borderRadius: '8px',
-                boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
-              }}
-              formatter={(value: number, name: string, props: any) => [
-                `Magnitude: $${props.payload.magnitude.toFixed(2)}`,
-                `Location: ${props.payload.location}`
-              ]}
-            />
-            <Scatter 
-              dataKey="magnitude" 
-              fill="#059669"
-            />
-          </ScatterChart>
-        </ResponsiveContainer>
-      </div>
-
       {/* Detailed Spike Analysis */}
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
         <h3 className="text-xl font-bold text-gray-900 mb-6">Detected Price Spikes</h3>
@@ -184,8 +162,11 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({
                   ></div>
                   <span className="font-medium text-gray-900">{spike.location}</span>
                   <span className="text-sm text-gray-500">
-                    {new Date(spike.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                    {formatTime(spike.timestamp)}
                   </span>
+                  {spike.detector && (
+                    <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-600">{spike.detector}</span>
+                  )}
                 </div>
                 
                 <div className="flex items-center space-x-4">
@@ -233,6 +214,21 @@ const AnalysisResults: React.FC<AnalysisResultsProps> = ({
                 </div>
               </div>
               
+              {spike.componentDeltas && spike.driver && spike.driver !== 'unknown' && (
+                <div className="mt-2 text-xs text-gray-600">
+                  <strong className="capitalize">{spike.driver}-driven:</strong>{' '}
+                  {formatComponentDeltas(spike.componentDeltas)} vs baseline
+                </div>
+              )}
+              
+              {spike.startTimestamp && spike.endTimestamp && spike.durationMinutes !== undefined && (
+                <div className="mt-2 text-xs text-gray-600">
+                  <strong>Episode:</strong>{' '}
+                  {formatTime(spike.startTimestamp)} - {formatTime(spike.endTimestamp)} ({spike.durationMinutes} min
+                  {spike.integratedMagnitude !== undefined && `, $${spike.integratedMagnitude.toFixed(0)}/MWh-min integrated`})
+                </div>
+              )}
+              
               {spike.aiAnalysis && (
                 <div className="mt-3 p-3 bg-purple-50 rounded-lg border border-purple-200">
                   <div className="flex items-center gap-2 mb-2">
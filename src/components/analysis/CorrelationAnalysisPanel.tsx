@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { GitCompare } from 'lucide-react';
+import { cn } from '../../lib/utils';
+import type { CorrelationAnalysis, LeadLagPair } from '../../types/analysis';
+
+interface CorrelationAnalysisPanelProps {
+  correlation: CorrelationAnalysis;
+}
+
+// Red for prices that move together, blue for prices that move apart
+const getCorrelationColor = (value: number | null) => {
+  if (value === null) return '#F3F4F6';
+  return value >= 0
+    ? `rgba(220, 38, 38, ${Math.abs(value)})`
+    : `rgba(37, 99, 235, ${Math.abs(value)})`;
+};
+
+const formatCorrelation = (value: number | null) => (value === null ? 'N/A' : value.toFixed(2));
+
+const formatSpread = (value: number | null) =>
+  value === null ? 'N/A' : `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
+
+const getPairKey = (pair: LeadLagPair) => `${pair.locationA}|${pair.locationB}`;
+
+const CorrelationAnalysisPanel: React.FC<CorrelationAnalysisPanelProps> = ({ correlation }) => {
+  const { locations, matrix, leadLag, spreadCorrelations, maxLagMinutes } = correlation;
+  const getName = (location: string) => locations.find(entry => entry.location === location)?.name || location;
+
+  // Start the lag chart on the pair whose price changes line up best
+  const strongestPair = leadLag.reduce<LeadLagPair | null>(
+    (best, pair) => (pair.correlation !== null && (!best || best.correlation === null || pair.correlation > best.correlation) ? pair : best),
+    null
+  );
+  const [selectedPairKey, setSelectedPairKey] = useState<string | null>(null);
+  const selectedPair = leadLag.find(pair => getPairKey(pair) === selectedPairKey) || strongestPair;
+
+  const describeLeadLag = (pair: LeadLagPair) => {
+    if (pair.bestLagMinutes === null) return 'Not enough overlapping data';
+    if (!pair.leader) return 'Move together in the same interval';
+    const follower = pair.leader === pair.locationA ? pair.locationB : pair.locationA;
+    return `${getName(pair.leader)} leads ${getName(follower)} by ${Math.abs(pair.bestLagMinutes)} min`;
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+      <h3 className="text-xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+        <GitCompare className="w-5 h-5 text-indigo-600" />
+        Cross-Location Correlation
+      </h3>
+      <p className="text-sm text-gray-600 mb-6">
+        How real-time prices move together across locations, which location moves first, and how spikes line up with DA-RT spreads
+      </p>
+
+      <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+        {/* Price correlation heatmap */}
+        <div>
+          <h4 className="text-lg font-semibold text-gray-800 mb-4">Price Correlation</h4>
+          <div className="overflow-x-auto">
+            <table className="text-xs border-separate border-spacing-1">
+              <thead>
+                <tr>
+                  <th></th>
+                  {locations.map(({ location, name }) => (
+                    <th key={location} className="font-medium text-gray-600 px-1 max-w-[6rem] truncate" title={name}>
+                      {name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {locations.map(({ location, name }, row) => (
+                  <tr key={location}>
+                    <th className="font-medium text-gray-600 text-right pr-2 whitespace-nowrap">{name}</th>
+                    {matrix[row].map((value, column) => (
+                      <td
+                        key={locations[column].location}
+                        className={cn(
+                          'w-14 h-10 text-center rounded',
+                          value !== null && Math.abs(value) > 0.5 ? 'text-white' : 'text-gray-800'
+                        )}
+                        style={{ backgroundColor: getCorrelationColor(value) }}
+                        title={`${name} / ${locations[column].name}: ${formatCorrelation(value)}`}
+                      >
+                        {formatCorrelation(value)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="mt-3 flex items-center gap-2 text-xs text-gray-500">
+            <span className="w-3 h-3 rounded" style={{ backgroundColor: getCorrelationColor(-1) }}></span> -1
+            <span className="w-3 h-3 rounded" style={{ backgroundColor: getCorrelationColor(0) }}></span> 0
+            <span className="w-3 h-3 rounded" style={{ backgroundColor: getCorrelationColor(1) }}></span> +1
+          </div>
+        </div>
+
+        {/* Lead/lag chart for one pair */}
+        <div>
+          <div className="flex items-center justify-between gap-4 mb-4">
+            <h4 className="text-lg font-semibold text-gray-800">Lead/Lag</h4>
+            {leadLag.length > 0 && (
+              <select
+                value={selectedPair ? getPairKey(selectedPair) : ''}
+                onChange={(e) => setSelectedPairKey(e.target.value)}
+                className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+              >
+                {leadLag.map(pair => (
+                  <option key={getPairKey(pair)} value={getPairKey(pair)}>
+                    {getName(pair.locationA)} / {getName(pair.locationB)}
+                  </option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {selectedPair ? (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                {describeLeadLag(selectedPair)}
+                {selectedPair.correlation !== null && ` (r = ${selectedPair.correlation.toFixed(2)})`}
+              </p>
+              <ResponsiveContainer width="100%" height={240}>
+                <LineChart data={selectedPair.curve} margin={{ top: 5, right: 20, left: 10, bottom: 15 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                  <XAxis
+                    type="number"
+                    dataKey="lagMinutes"
+                    domain={[-maxLagMinutes, maxLagMinutes]}
+                    stroke="#6b7280"
+                    tick={{ fontSize: 12 }}
+                    label={{ value: `Lag of ${getName(selectedPair.locationB)} (min)`, position: 'insideBottom', offset: -10 }}
+                  />
+                  <YAxis
+                    domain={[-1, 1]}
+                    stroke="#6b7280"
+                    tick={{ fontSize: 12 }}
+                    label={{ value: 'Correlation', angle: -90, position: 'insideLeft' }}
+                  />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: '#fff',
+                      border: '1px solid #e5e7eb',
+                      borderRadius: '8px',
+                      boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+                    }}
+                    formatter={(value: number) => [value.toFixed(3), 'Correlation of price changes']}
+                    labelFormatter={(lag: number) => `${lag > 0 ? '+' : ''}${lag} min`}
+                  />
+                  <ReferenceLine x={0} stroke="#9ca3af" />
+                  <Line type="monotone" dataKey="correlation" stroke="#4f46e5" strokeWidth={2} dot={{ r: 3 }} connectNulls={false} />
+                </LineChart>
+              </ResponsiveContainer>
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">Select two or more locations to compare lead and lag.</p>
+          )}
+
+          {leadLag.length > 0 && (
+            <ul className="mt-4 space-y-1 text-sm text-gray-700">
+              {leadLag.map(pair => (
+                <li key={getPairKey(pair)}>
+                  <span className="font-medium">{getName(pair.locationA)} / {getName(pair.locationB)}:</span>{' '}
+                  {describeLeadLag(pair)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {/* Spikes against DA-RT spreads */}
+      <div className="mt-8">
+        <h4 className="text-lg font-semibold text-gray-800 mb-1">Spikes vs DA-RT Spread</h4>
+        <p className="text-sm text-gray-600 mb-4">
+          Correlation across hours between spike minutes and the hourly RT minus DA price
+        </p>
+        {spreadCorrelations.length === 0 ? (
+          <p className="text-sm text-gray-500">Day-ahead prices are not available for this date.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">Location</th>
+                  <th className="py-2 pr-4 font-medium">Correlation</th>
+                  <th className="py-2 pr-4 font-medium">Spike Hours</th>
+                  <th className="py-2 pr-4 font-medium">Avg Spread (spike hours)</th>
+                  <th className="py-2 font-medium">Avg Spread (other hours)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {spreadCorrelations.map(entry => (
+                  <tr key={entry.location} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 font-medium text-gray-900">{entry.name}</td>
+                    <td className="py-2 pr-4">{formatCorrelation(entry.correlation)}</td>
+                    <td className="py-2 pr-4">{entry.spikeHours} of {entry.hours}</td>
+                    <td className="py-2 pr-4">{formatSpread(entry.meanSpreadSpikeHours)}</td>
+                    <td className="py-2">{formatSpread(entry.meanSpreadOtherHours)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CorrelationAnalysisPanel;
@@ -0,0 +1,149 @@
+import React from 'react';
+import { Brain, Zap } from 'lucide-react';
+import { cn } from '../../lib/utils';
+import type { GridEvent, GridEventsAssessment, SystemAssessment } from '../../types/analysis';
+
+interface GridEventTimelineProps {
+  gridEvents: GridEvent[];
+  assessment: GridEventsAssessment | null;
+  onAssessDay: () => void;
+  isAssessing: boolean;
+}
+
+const STABILITY_STYLES: Record<SystemAssessment['overallStability'], string> = {
+  stable: 'bg-green-100 text-green-800 border-green-200',
+  stressed: 'bg-yellow-100 text-yellow-800 border-yellow-200',
+  critical: 'bg-red-100 text-red-800 border-red-200',
+};
+
+const SEVERITY_COLORS: Record<string, string> = {
+  high: '#EA580C',
+  medium: '#D97706',
+  low: '#059669',
+};
+
+const formatEventType = (type: GridEvent['type']) => type.replace(/_/g, ' ');
+
+// Rule-based events carry a timestamp; AI events describe their time range in words
+const formatEventTime = (event: GridEvent) =>
+  event.timestamp
+    ? new Date(event.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : event.timeWindow || 'Time not given';
+
+const TimelineItem: React.FC<{ event: GridEvent; source: 'rules' | 'ai' }> = ({ event, source }) => (
+  <li className="relative pl-6">
+    <span
+      className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full border-2 border-white"
+      style={{ backgroundColor: SEVERITY_COLORS[event.severity || ''] || (source === 'ai' ? '#7C3AED' : '#6B7280') }}
+    ></span>
+    <div className="flex flex-wrap items-center gap-2 mb-1">
+      <span className="text-sm font-medium text-gray-900">{formatEventTime(event)}</span>
+      <span className="text-xs px-2 py-0.5 rounded bg-gray-100 text-gray-700 capitalize">{formatEventType(event.type)}</span>
+      {source === 'ai' && (
+        <span className="text-xs px-2 py-0.5 rounded bg-purple-100 text-purple-700">AI</span>
+      )}
+      {event.confidence !== undefined && (
+        <span className="text-xs text-gray-500">{(event.confidence * 100).toFixed(0)}% confidence</span>
+      )}
+    </div>
+    <p className="text-sm text-gray-700">{event.description}</p>
+    <div className="mt-1 text-xs text-gray-500">
+      {event.affectedLocations.join(', ')} · ${event.estimatedImpact.toFixed(2)}/MWh average impact
+    </div>
+  </li>
+);
+
+const GridEventTimeline: React.FC<GridEventTimelineProps> = ({
+  gridEvents,
+  assessment,
+  onAssessDay,
+  isAssessing,
+}) => {
+  const systemAssessment = assessment?.systemAssessment;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h3 className="text-xl font-bold text-gray-900">Grid Event Timeline</h3>
+          <p className="text-sm text-gray-600">Hours where two or more locations spiked together</p>
+        </div>
+        <button
+          onClick={onAssessDay}
+          disabled={isAssessing}
+          className="bg-purple-600 text-white px-3 py-2 rounded text-sm hover:bg-purple-700 disabled:opacity-50 flex items-center gap-2"
+        >
+          {isAssessing ? (
+            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+          ) : (
+            <Brain className="w-4 h-4" />
+          )}
+          Assess Whole Day
+        </button>
+      </div>
+
+      {systemAssessment && (
+        <div className="mb-6 p-4 bg-purple-50 rounded-lg border border-purple-200">
+          <div className="flex items-center gap-3 mb-3">
+            <Brain className="w-4 h-4 text-purple-600" />
+            <span className="text-sm font-medium text-purple-800">System Assessment</span>
+            <span className={cn('text-xs px-2 py-0.5 rounded border capitalize', STABILITY_STYLES[systemAssessment.overallStability])}>
+              {systemAssessment.overallStability}
+            </span>
+            {assessment && (
+              <span className="text-xs text-purple-600">{assessment.spikesAssessed} spikes assessed</span>
+            )}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <div className="text-xs font-medium text-purple-800 mb-1">Primary Concerns:</div>
+              <ul className="text-xs text-purple-700 space-y-1">
+                {systemAssessment.primaryConcerns.map((concern, index) => (
+                  <li key={index}>• {concern}</li>
+                ))}
+              </ul>
+            </div>
+            <div>
+              <div className="text-xs font-medium text-purple-800 mb-1">Operational Recommendations:</div>
+              <ul className="text-xs text-purple-700 space-y-1">
+                {systemAssessment.operationalRecommendations.map((rec, index) => (
+                  <li key={index}>• {rec}</li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {gridEvents.length === 0 && !assessment?.gridEvents.length ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Zap className="w-4 h-4" />
+          No hour had concurrent spikes at two or more locations.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 mb-3">Detected Events ({gridEvents.length})</h4>
+            <ol className="border-l-2 border-gray-200 ml-1.5 space-y-4">
+              {gridEvents.map(event => (
+                <TimelineItem key={event.id} event={event} source="rules" />
+              ))}
+            </ol>
+          </div>
+          {assessment && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-3">AI-Identified Events ({assessment.gridEvents.length})</h4>
+              <ol className="border-l-2 border-purple-200 ml-1.5 space-y-4">
+                {assessment.gridEvents.map(event => (
+                  <TimelineItem key={event.id} event={event} source="ai" />
+                ))}
+              </ol>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GridEventTimeline;
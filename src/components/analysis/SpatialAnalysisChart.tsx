@@ -1,162 +1,294 @@
-import React from 'react';
-import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
-import { MapPin } from 'lucide-react';
-import { PriceSpike } from '../../types/analysis';
+import React, { useEffect, useMemo, useState } from 'react';
+import { MapPin, Pause, Play } from 'lucide-react';
+import { cn } from '../../lib/utils';
+import type { NodePrice, PriceSpike } from '../../types/analysis';
 
 interface SpatialAnalysisChartProps {
   spikes: PriceSpike[];
+  iso?: string; // ISO the spikes were detected in; CAISO spikes are drawn over a California outline
 }
 
-const SpatialAnalysisChart: React.FC<SpatialAnalysisChartProps> = ({ spikes }) => {
-  const getSeverityColor = (severity: string) => {
-    switch (severity) {
-      case 'critical': return '#DC2626';
-      case 'high': return '#EA580C';
-      case 'medium': return '#D97706';
-      case 'low': return '#059669';
-      default: return '#6B7280';
-    }
-  };
+type Point = { lat: number; lon: number };
+type MappedNode = NodePrice & Point;
+
+const MAP_WIDTH = 420;
+const MAP_PADDING = 30;
+const PROPAGATION_WINDOW_MS = 60 * 60 * 1000; // Spikes within an hour of the selected one form its propagation path
+const PLAYBACK_STEP_MS = 1500;
+const SAME_PRICE_TOLERANCE = 5; // $/MWh; nodes this close to the spiking node's price moved with it
+
+// Schematic California border, clockwise from the Oregon line at the coast
+const CALIFORNIA_OUTLINE: Point[] = [
+  { lat: 42.0, lon: -124.2 }, { lat: 42.0, lon: -120.0 }, { lat: 39.0, lon: -120.0 },
+  { lat: 35.0, lon: -114.6 }, { lat: 34.3, lon: -114.1 }, { lat: 33.4, lon: -114.7 },
+  { lat: 32.7, lon: -114.7 }, { lat: 32.5, lon: -117.1 }, { lat: 33.0, lon: -117.3 },
+  { lat: 33.7, lon: -118.3 }, { lat: 34.0, lon: -118.8 }, { lat: 34.4, lon: -119.7 },
+  { lat: 34.5, lon: -120.6 }, { lat: 35.6, lon: -121.3 }, { lat: 36.6, lon: -121.9 },
+  { lat: 37.2, lon: -122.4 }, { lat: 37.8, lon: -122.5 }, { lat: 38.3, lon: -123.0 },
+  { lat: 39.0, lon: -123.7 }, { lat: 40.4, lon: -124.4 }, { lat: 41.0, lon: -124.1 },
+];
+
+const hasCoordinates = (node: NodePrice): node is MappedNode =>
+  typeof node.lat === 'number' && typeof node.lon === 'number';
+
+const getSpikeTime = (spike: PriceSpike) => new Date(spike.intervalStartUtc || spike.timestamp).getTime();
+
+const formatTime = (spike: PriceSpike) =>
+  new Date(spike.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const formatSeparation = (separation: number) =>
+  `${separation >= 0 ? '+' : '-'}$${Math.abs(separation).toFixed(2)}`;
+
+// Nodes that moved with the spike are red; cheaper nodes blue and dearer ones purple, darker with more separation
+const getSeparationColor = (separation: number) => {
+  if (Math.abs(separation) <= SAME_PRICE_TOLERANCE) return '#DC2626';
+  const strength = Math.min(Math.abs(separation) / 100, 1);
+  const lightness = 70 - strength * 30;
+  return separation < 0 ? `hsl(217, 80%, ${lightness}%)` : `hsl(271, 70%, ${lightness}%)`;
+};
 
-  const prepareSpatialData = () => {
-    // Create a mock spatial layout for CAISO locations
-    const locationCoordinates: { [key: string]: { x: number; y: number } } = {
-      'SP15': { x: 20, y: 80 },
-      'NP15': { x: 20, y: 20 },
-      'ZP26': { x: 50, y: 50 },
-      'DLAP_SCE': { x: 30, y: 85 },
-      'DLAP_SDGE': { x: 25, y: 95 },
-      'DLAP_PGE': { x: 15, y: 30 },
-      'TH_SP15_GEN': { x: 25, y: 75 },
-      'TH_NP15_GEN': { x: 25, y: 25 },
-      'ASR_SP15': { x: 35, y: 80 },
-      'ASR_NP15': { x: 35, y: 20 },
-      'DLAP_SMUD': { x: 40, y: 35 },
-      'DLAP_VEA': { x: 45, y: 40 }
-    };
-
-    return spikes.map((spike, index) => {
-      const coords = locationCoordinates[spike.location] || { 
-        x: 50 + (Math.random() - 0.5) * 40, 
-        y: 50 + (Math.random() - 0.5) * 40 
-      };
-      
-      return {
-        x: coords.x,
-        y: coords.y,
-        magnitude: spike.magnitude,
-        severity: spike.severity,
-        location: spike.location,
-        price: spike.price,
-        timestamp: spike.timestamp,
-        spike
-      };
-    });
+/**
+ * Equirectangular projection fitted to the points, with longitude scaled by latitude so distances look right
+ */
+const createProjection = (points: Point[]) => {
+  const lats = points.map(p => p.lat);
+  const lons = points.map(p => p.lon);
+  const [minLat, maxLat] = [Math.min(...lats), Math.max(...lats)];
+  const [minLon, maxLon] = [Math.min(...lons), Math.max(...lons)];
+  const lonScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLon - minLon) * lonScale, 0.5);
+  const spanY = Math.max(maxLat - minLat, 0.5);
+  const scale = (MAP_WIDTH - 2 * MAP_PADDING) / spanX;
+
+  return {
+    height: spanY * scale + 2 * MAP_PADDING,
+    project: ({ lat, lon }: Point) => ({
+      x: MAP_PADDING + (lon - minLon) * lonScale * scale,
+      y: MAP_PADDING + (maxLat - lat) * scale,
+    }),
   };
+};
 
-  const spatialData = prepareSpatialData();
+const SpatialAnalysisChart: React.FC<SpatialAnalysisChartProps> = ({ spikes, iso }) => {
+  const timeline = useMemo(
+    () => spikes.filter(spike => spike.nodePrices?.some(hasCoordinates)).sort((a, b) => getSpikeTime(a) - getSpikeTime(b)),
+    [spikes]
+  );
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [isPlaying, setIsPlaying] = useState(false);
 
-  if (spikes.length === 0) {
+  // Spikes arrive largest first, so start on the largest mapped spike
+  const selected = timeline.find(spike => spike.id === selectedId)
+    || spikes.find(spike => timeline.includes(spike))
+    || null;
+  const selectedIndex = selected ? timeline.indexOf(selected) : -1;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    if (selectedIndex >= timeline.length - 1) {
+      setIsPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => setSelectedId(timeline[selectedIndex + 1].id), PLAYBACK_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [isPlaying, selectedIndex, timeline]);
+
+  // Every location seen in any spike's snapshot, so path stops can be placed even when a snapshot lacks them
+  const coordinates = useMemo(() => {
+    const byLocation = new Map<string, MappedNode>();
+    timeline.forEach(spike => spike.nodePrices?.filter(hasCoordinates).forEach(node => byLocation.set(node.location, node)));
+    return byLocation;
+  }, [timeline]);
+
+  if (!selected) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
         <h3 className="text-xl font-bold text-gray-900 mb-6 flex items-center gap-2">
           <MapPin className="w-5 h-5 text-blue-600" />
-          Spatial Distribution
+          Spatial Price Separation
         </h3>
         <div className="text-center py-8 text-gray-500">
-          No price spike data available for spatial analysis
+          No spikes at locations with registry coordinates to map
         </div>
       </div>
     );
   }
 
+  const nodes = (selected.nodePrices || []).filter(hasCoordinates);
+  const showOutline = iso === 'CAISO';
+  const { project, height } = createProjection([...coordinates.values(), ...(showOutline ? CALIFORNIA_OUTLINE : [])]);
+  const origin = nodes.find(node => node.location === selected.location);
+
+  // Spikes around the selected one, in time order, trace how the spike moved between locations
+  const propagation = timeline.filter(spike => Math.abs(getSpikeTime(spike) - getSpikeTime(selected)) <= PROPAGATION_WINDOW_MS);
+  const path = propagation
+    .filter((spike, index) => index === 0 || spike.location !== propagation[index - 1].location)
+    .map(spike => coordinates.get(spike.location))
+    .filter((node): node is MappedNode => node !== undefined)
+    .map(project);
+
   return (
     <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-      <h3 className="text-xl font-bold text-gray-900 mb-6 flex items-center gap-2">
-        <MapPin className="w-5 h-5 text-blue-600" />
-        Spatial Distribution of Price Spikes
-      </h3>
-      
-      <ResponsiveContainer width="100%" height={400}>
-        <ScatterChart data={spatialData} margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
-          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-          <XAxis 
-            type="number"
-            dataKey="x" 
-            domain={[0, 100]}
-            stroke="#6b7280"
-            tick={{ fontSize: 12 }}
-            label={{ value: 'West ← → East', position: 'insideBottom', offset: -10 }}
-          />
-          <YAxis 
-            type="number"
-            dataKey="y" 
-            domain={[0, 100]}
-            stroke="#6b7280"
-            tick={{ fontSize: 12 }}
-            label={{ value: 'South ← → North', angle: -90, position: 'insideLeft' }}
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <MapPin className="w-5 h-5 text-blue-600" />
+          Spatial Price Separation
+        </h3>
+        <button
+          onClick={() => {
+            if (!isPlaying && selectedIndex >= timeline.length - 1) setSelectedId(timeline[0].id);
+            setIsPlaying(!isPlaying);
+          }}
+          className="flex items-center gap-1 px-3 py-1 text-sm rounded border border-gray-300 hover:bg-gray-100"
+        >
+          {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+          {isPlaying ? 'Pause' : 'Play spikes'}
+        </button>
+      </div>
+
+      <div className="flex items-center gap-3 mb-4">
+        <input
+          type="range"
+          min={0}
+          max={timeline.length - 1}
+          value={selectedIndex}
+          onChange={(e) => {
+            setIsPlaying(false);
+            setSelectedId(timeline[Number(e.target.value)].id);
+          }}
+          className="flex-1"
+        />
+        <span className="text-sm text-gray-600 whitespace-nowrap">
+          {formatTime(selected)} · {selected.location} · ${selected.magnitude.toFixed(2)}
+        </span>
+      </div>
+
+      <svg viewBox={`0 0 ${MAP_WIDTH} ${height}`} className="w-full max-h-[480px]">
+        <defs>
+          <marker id="propagation-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#111827" />
+          </marker>
+        </defs>
+
+        {showOutline && (
+          <polygon
+            points={CALIFORNIA_OUTLINE.map(project).map(({ x, y }) => `${x},${y}`).join(' ')}
+            fill="#F9FAFB"
+            stroke="#D1D5DB"
+            strokeWidth={1.5}
           />
-          <Tooltip 
-            contentStyle={{ 
-              backgroundColor: '#fff', 
-              border: '1px solid #e5e7eb',
-              borderRadius: '8px',
-              boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
-            }}
-            formatter={(value: number, name: string, props: any) => {
-              const data = props.payload;
-              return [
-                <div key="tooltip" className="space-y-1">
-                  <div className="font-medium">{data.location}</div>
-                  <div>Magnitude: ${data.magnitude.toFixed(2)}/MWh</div>
-                  <div>Price: ${data.price.toFixed(2)}/MWh</div>
-                  <div>Severity: {data.severity.toUpperCase()}</div>
-                  <div className="text-xs text-gray-500">
-                    {new Date(data.timestamp).toLocaleTimeString()}
-                  </div>
-                </div>,
-                ''
-              ];
-            }}
-            labelFormatter={() => ''}
+        )}
+
+        {/* Separation from the spiking location */}
+        {origin && nodes.filter(node => node !== origin).map(node => {
+          const from = project(origin);
+          const to = project(node);
+          return (
+            <line
+              key={`separation-${node.location}`}
+              x1={from.x}
+              y1={from.y}
+              x2={to.x}
+              y2={to.y}
+              stroke={getSeparationColor(node.separation)}
+              strokeWidth={1 + Math.min(Math.abs(node.separation) / 25, 5)}
+              strokeOpacity={0.5}
+            />
+          );
+        })}
+
+        {/* Propagation path through the spikes around the selected one */}
+        {path.slice(1).map((to, index) => (
+          <line
+            key={`path-${index}`}
+            x1={path[index].x}
+            y1={path[index].y}
+            x2={to.x}
+            y2={to.y}
+            stroke="#111827"
+            strokeWidth={1.5}
+            strokeDasharray="4 3"
+            markerEnd="url(#propagation-arrow)"
           />
-          <Scatter dataKey="magnitude">
-            {spatialData.map((entry, index) => (
-              <Cell 
-                key={`cell-${index}`} 
-                fill={getSeverityColor(entry.severity)}
-                r={Math.max(4, Math.min(entry.magnitude / 10, 20))}
+        ))}
+
+        {nodes.map(node => {
+          const { x, y } = project(node);
+          const isOrigin = node.location === selected.location;
+          return (
+            <g key={node.location}>
+              <title>
+                {`${node.name} (${node.region || node.location})\n$${node.price.toFixed(2)}/MWh, ${isOrigin ? 'spiking location' : `${formatSeparation(node.separation)} vs spike, ${node.distance ?? '?'} mi`}`}
+              </title>
+              <circle
+                cx={x}
+                cy={y}
+                r={isOrigin ? 10 : 7}
+                fill={isOrigin ? '#DC2626' : getSeparationColor(node.separation)}
+                stroke={isOrigin ? '#111827' : '#fff'}
+                strokeWidth={isOrigin ? 3 : 2}
               />
-            ))}
-          </Scatter>
-        </ScatterChart>
-      </ResponsiveContainer>
-      
+              <text x={x + 12} y={y - 2} fontSize={10} fill="#111827" fontWeight={isOrigin ? 700 : 500}>
+                {node.location.replace(/-APND$/, '')}
+              </text>
+              <text x={x + 12} y={y + 10} fontSize={9} fill="#4B5563">
+                ${node.price.toFixed(0)}{!isOrigin && ` (${formatSeparation(node.separation)})`}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+
       {/* Legend */}
-      <div className="mt-4 flex flex-wrap gap-4 justify-center">
+      <div className="mt-4 flex flex-wrap gap-4 justify-center text-sm text-gray-600">
+        <div className="flex items-center gap-2">
+          <div className="w-3 h-3 rounded-full border-2 border-gray-900 bg-red-600"></div>
+          Spiking location
+        </div>
         <div className="flex items-center gap-2">
           <div className="w-3 h-3 rounded-full bg-red-600"></div>
-          <span className="text-sm text-gray-600">Critical</span>
+          Within ${SAME_PRICE_TOLERANCE} of the spike
         </div>
         <div className="flex items-center gap-2">
-          <div className="w-3 h-3 rounded-full bg-orange-600"></div>
-          <span className="text-sm text-gray-600">High</span>
+          <div className="w-3 h-3 rounded-full bg-blue-500"></div>
+          Cheaper
         </div>
         <div className="flex items-center gap-2">
-          <div className="w-3 h-3 rounded-full bg-yellow-600"></div>
-          <span className="text-sm text-gray-600">Medium</span>
+          <div className="w-3 h-3 rounded-full bg-purple-500"></div>
+          Dearer
         </div>
         <div className="flex items-center gap-2">
-          <div className="w-3 h-3 rounded-full bg-green-600"></div>
-          <span className="text-sm text-gray-600">Low</span>
+          <div className="w-5 border-t-2 border-dashed border-gray-900"></div>
+          Propagation (±1 hour)
         </div>
       </div>
-      
+
+      {propagation.length > 1 && (
+        <div className="mt-4">
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Spike propagation</h4>
+          <ol className="text-xs text-gray-600 space-y-1">
+            {propagation.map(spike => (
+              <li key={spike.id}>
+                <button
+                  onClick={() => {
+                    setIsPlaying(false);
+                    setSelectedId(spike.id);
+                  }}
+                  className={cn('hover:text-blue-600', spike.id === selected.id && 'font-semibold text-gray-900')}
+                >
+                  {formatTime(spike)} · {spike.location} ({coordinates.get(spike.location)?.region || 'unmapped'}) · ${spike.magnitude.toFixed(2)} {spike.type}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
       <p className="text-sm text-gray-500 mt-4 text-center">
-        Bubble size represents spike magnitude. Data from GridStatus API for CAISO regions.
+        Prices at every analyzed location in the selected spike's interval. Positions come from the location registry; the state outline is schematic.
       </p>
     </div>
   );
 };
 
-export default SpatialAnalysisChart;
\ No newline at end of file
+export default SpatialAnalysisChart;
@@ -1,12 +1,20 @@
 import React from 'react';
-import { Zap, AlertTriangle } from 'lucide-react';
+import { Zap, AlertTriangle, MapPin } from 'lucide-react';
 import { cn } from '../../lib/utils';
+import type { MarketLocation } from '../../types/market';
+import type { AnalysisMode, SpikeDetector } from '../../types/analysis';
 
 interface SpikeDetectionPanelProps {
-  analysisMode: 'detection' | 'correlation' | 'prediction';
-  onAnalysisModeChange: (mode: 'detection' | 'correlation' | 'prediction') => void;
+  analysisMode: AnalysisMode;
+  onAnalysisModeChange: (mode: AnalysisMode) => void;
   onDetectSpikes: () => void;
   isLoading: boolean;
+  locations: MarketLocation[];
+  selectedLocations: string[];
+  onSelectedLocationsChange: (locations: string[]) => void;
+  detectors: SpikeDetector[];
+  detectionMethod: string;
+  onDetectionMethodChange: (method: string) => void;
 }
 
 const SpikeDetectionPanel: React.FC<SpikeDetectionPanelProps> = ({
@@ -14,7 +22,21 @@ const SpikeDetectionPanel: React.FC<SpikeDetectionPanelProps> = ({
   onAnalysisModeChange,
   onDetectSpikes,
   isLoading,
+  locations,
+  selectedLocations,
+  onSelectedLocationsChange,
+  detectors,
+  detectionMethod,
+  onDetectionMethodChange,
 }) => {
+  const toggleLocation = (id: string) => {
+    onSelectedLocationsChange(
+      selectedLocations.includes(id)
+        ? selectedLocations.filter(location => location !== id)
+        : [...selectedLocations, id]
+    );
+  };
+
   return (
     <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
       <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
@@ -31,7 +53,7 @@ const SpikeDetectionPanel: React.FC<SpikeDetectionPanelProps> = ({
         <div className="flex items-center space-x-4">
           <select
             value={analysisMode}
-            onChange={(e) => onAnalysisModeChange(e.target.value as any)}
+            onChange={(e) => onAnalysisModeChange(e.target.value as AnalysisMode)}
             className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
           >
             <option value="detection">Spike Detection</option>
@@ -39,9 +61,22 @@ const SpikeDetectionPanel: React.FC<SpikeDetectionPanelProps> = ({
             <option value="prediction">Predictive Analysis</option>
           </select>
           
+          {detectors.length > 0 && (
+            <select
+              value={detectionMethod}
+              onChange={(e) => onDetectionMethodChange(e.target.value)}
+              title={detectors.find(detector => detector.id === detectionMethod)?.description}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            >
+              {detectors.map(detector => (
+                <option key={detector.id} value={detector.id}>{detector.name}</option>
+              ))}
+            </select>
+          )}
+          
           <button
             onClick={onDetectSpikes}
-            disabled={isLoading}
+            disabled={isLoading || (locations.length > 0 && selectedLocations.length === 0)}
             className={cn(
               "bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center gap-2",
               isLoading && "cursor-not-allowed"
@@ -56,6 +91,33 @@ const SpikeDetectionPanel: React.FC<SpikeDetectionPanelProps> = ({
           </button>
         </div>
       </div>
+
+      {/* Location Selection - each location is fetched separately, so larger sets take longer */}
+      {locations.length > 0 && (
+        <div className="mt-4 pt-4 border-t border-gray-100">
+          <div className="flex items-center gap-2 mb-2 text-sm font-medium text-gray-700">
+            <MapPin className="w-4 h-4 text-gray-500" />
+            Locations ({selectedLocations.length} of {locations.length})
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {locations.map(location => (
+              <button
+                key={location.id}
+                onClick={() => toggleLocation(location.id)}
+                title={`${location.region} • ${location.type}`}
+                className={cn(
+                  "px-3 py-1 rounded-full text-xs border transition-colors",
+                  selectedLocations.includes(location.id)
+                    ? "bg-blue-50 border-blue-300 text-blue-700"
+                    : "bg-white border-gray-300 text-gray-600 hover:bg-gray-50"
+                )}
+              >
+                {location.name}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
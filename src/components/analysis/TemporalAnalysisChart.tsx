@@ -1,5 +1,5 @@
 import React from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ScatterChart, Scatter, Cell } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ScatterChart, Scatter, Cell, ReferenceArea } from 'recharts';
 import { Clock } from 'lucide-react';
 import { PriceSpike } from '../../types/analysis';
 
@@ -53,12 +53,34 @@ const TemporalAnalysisChart: React.FC<TemporalAnalysisChartProps> = ({ spikes })
       severity: spike.severity,
       location: spike.location,
       price: spike.price,
-      timestamp: spike.timestamp
+      timestamp: spike.timestamp,
+      durationMinutes: spike.durationMinutes
     }));
   };
 
+  // Each episode spans its start to its end, drawn up to its peak magnitude behind the peak point
+  const prepareEpisodeBands = () => {
+    return spikes
+      .filter(spike => spike.startTimestamp && spike.durationMinutes)
+      .map(spike => {
+        const start = new Date(spike.startTimestamp ?? spike.timestamp);
+        const startHour = start.getHours() + start.getMinutes() / 60;
+        return {
+          id: spike.id,
+          x1: startHour,
+          x2: Math.min(startHour + (spike.durationMinutes ?? 0) / 60, 24),
+          magnitude: spike.magnitude,
+          severity: spike.severity,
+        };
+      });
+  };
+
   const temporalData = prepareTemporalData();
   const scatterData = prepareScatterData();
+  const episodeBands = prepareEpisodeBands();
+  const durations = spikes
+    .map(spike => spike.durationMinutes)
+    .filter((duration): duration is number => duration !== undefined);
 
   if (spikes.length === 0) {
     return (
@@ -125,7 +147,8 @@ const TemporalAnalysisChart: React.FC<TemporalAnalysisChartProps> = ({ spikes })
 
       {/* Spike Magnitude Scatter Plot */}
       <div>
-        <h4 className="text-lg font-semibold text-gray-800 mb-4">Spike Magnitude Distribution</h4>
+        <h4 className="text-lg font-semibold text-gray-800 mb-1">Spike Magnitude Distribution</h4>
+        <p className="text-sm text-gray-600 mb-4">Points mark each episode's peak; shaded bands show how long it lasted</p>
         <ResponsiveContainer width="100%" height={300}>
           <ScatterChart data={scatterData} margin={{ top: 20, right: 20, bottom: 20, left: 20 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
@@ -159,6 +182,7 @@ const TemporalAnalysisChart: React.FC<TemporalAnalysisChartProps> = ({ spikes })
                     <div>Magnitude: ${data.magnitude.toFixed(2)}/MWh</div>
                     <div>Price: ${data.price.toFixed(2)}/MWh</div>
                     <div>Severity: {data.severity.toUpperCase()}</div>
+                    {data.durationMinutes !== undefined && <div>Duration: {data.durationMinutes} min</div>}
                     <div className="text-xs text-gray-500">
                       {new Date(data.timestamp).toLocaleTimeString()}
                     </div>
@@ -168,6 +192,20 @@ const TemporalAnalysisChart: React.FC<TemporalAnalysisChartProps> = ({ spikes })
               }}
               labelFormatter={(hour: number) => `Hour ${hour.toFixed(1)}`}
             />
+            {episodeBands.map(band => (
+              <ReferenceArea
+                key={band.id}
+                x1={band.x1}
+                x2={band.x2}
+                y1={0}
+                y2={band.magnitude}
+                fill={getSeverityColor(band.severity)}
+                fillOpacity={0.15}
+                stroke={getSeverityColor(band.severity)}
+                strokeOpacity={0.3}
+                ifOverflow="hidden"
+              />
+            ))}
             <Scatter dataKey="magnitude">
               {scatterData.map((entry, index) => (
                 <Cell 
@@ -181,7 +219,7 @@ const TemporalAnalysisChart: React.FC<TemporalAnalysisChartProps> = ({ spikes })
       </div>
       
       {/* Summary Statistics */}
-      <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div className="mt-6 grid grid-cols-2 md:grid-cols-5 gap-4">
         <div className="bg-gray-50 rounded-lg p-3 text-center">
           <div className="text-lg font-bold text-gray-900">{spikes.length}</div>
           <div className="text-sm text-gray-600">Total Spikes</div>
@@ -204,6 +242,14 @@ const TemporalAnalysisChart: React.FC<TemporalAnalysisChartProps> = ({ spikes })
           </div>
           <div className="text-sm text-gray-600">Avg Magnitude</div>
         </div>
+        <div className="bg-gray-50 rounded-lg p-3 text-center">
+          <div className="text-lg font-bold text-gray-900">
+            {durations.length > 0
+              ? `${(durations.reduce((sum, duration) => sum + duration, 0) / durations.length).toFixed(0)} min`
+              : 'N/A'}
+          </div>
+          <div className="text-sm text-gray-600">Avg Duration</div>
+        </div>
       </div>
     </div>
   );
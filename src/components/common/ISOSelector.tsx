@@ -0,0 +1,54 @@
+import React from 'react';
+import { Zap } from 'lucide-react';
+import { useISOProfiles } from '../../hooks/useISOProfiles';
+
+interface ISOSelectorProps {
+  selectedISO: string;
+  onISOSelect: (iso: string) => void;
+  label?: string;
+  className?: string;
+}
+
+const ISOSelector: React.FC<ISOSelectorProps> = ({
+  selectedISO,
+  onISOSelect,
+  label = "Market",
+  className = "",
+}) => {
+  const { profiles, getProfile } = useISOProfiles();
+  const selectedProfile = getProfile(selectedISO);
+
+  // Keep the current selection available while profiles load
+  const options = profiles.length > 0
+    ? profiles
+    : [{ iso: selectedISO, label: selectedISO }];
+
+  return (
+    <div className={`flex flex-col space-y-2 ${className}`}>
+      <div className="flex items-center space-x-2">
+        <Zap className="w-5 h-5 text-blue-600" />
+        <label className="text-sm font-medium text-gray-700">{label}:</label>
+      </div>
+      
+      <select
+        value={selectedISO}
+        onChange={(e) => onISOSelect(e.target.value)}
+        className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+      >
+        {options.map(option => (
+          <option key={option.iso} value={option.iso}>
+            {option.iso === option.label ? option.iso : `${option.iso} - ${option.label}`}
+          </option>
+        ))}
+      </select>
+      
+      {selectedProfile && (
+        <div className="text-xs text-gray-500">
+          {selectedProfile.timezone} • {selectedProfile.rtIntervalMinutes}-min RT
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ISOSelector;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import LoadingSpinner from '../ui/LoadingSpinner';
+import { useAncillaryData } from '../../hooks/useAncillaryData';
+import { useISOProfiles } from '../../hooks/useISOProfiles';
+import type { AncillaryServiceProduct, MarketData } from '../../types/market';
+
+interface AncillaryServicesPanelProps {
+  marketData: MarketData;
+  date: string;
+  iso: string;
+}
+
+const PRODUCT_COLORS: Record<AncillaryServiceProduct, string> = {
+  regulationUp: '#dc2626',
+  regulationDown: '#7c3aed',
+  spinningReserve: '#ea580c',
+  nonSpinningReserve: '#0891b2',
+};
+
+const AncillaryServicesPanel: React.FC<AncillaryServicesPanelProps> = ({ marketData, date, iso }) => {
+  const { getProfile } = useISOProfiles();
+  const hasAncillaryServices = getProfile(iso)?.hasAncillaryServices ?? false;
+  const { data: ancillaryData, isLoading, error } = useAncillaryData(date, iso, hasAncillaryServices);
+
+  if (!hasAncillaryServices) {
+    return null;
+  }
+
+  // AS prices share the hour index of the operating day with the DA energy prices
+  const chartData = (ancillaryData?.prices || []).map(entry => ({
+    ...entry,
+    label: entry.hourLabel,
+    daEnergy: marketData.dayAheadPrices.find(p => p.hour === entry.hour)?.price,
+  }));
+
+  const getAverage = (product: AncillaryServiceProduct) => {
+    const prices = chartData.map(entry => entry[product]).filter((price): price is number => price !== null);
+    return prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null;
+  };
+
+  const errorMessage = (error as { response?: { data?: { error?: string } } } | null)?.response?.data?.error || error?.message;
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+      <h3 className="text-xl font-bold text-gray-900 mb-2">Ancillary Services</h3>
+      <p className="text-sm text-gray-600 mb-6">
+        Day-ahead regulation and reserve clearing prices ($/MW per hour) against the day-ahead energy price ($/MWh)
+        {ancillaryData?.metadata.region && ` - ${ancillaryData.metadata.region}`}
+      </p>
+
+      {isLoading && (
+        <div className="flex items-center justify-center py-12">
+          <LoadingSpinner size="md" />
+        </div>
+      )}
+
+      {error && !isLoading && (
+        <p className="text-sm text-red-600">Ancillary service prices unavailable: {errorMessage}</p>
+      )}
+
+      {ancillaryData && !isLoading && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            {ancillaryData.products.map(product => {
+              const average = getAverage(product.id);
+              return (
+                <div key={product.id} className="p-3 bg-gray-50 rounded-lg">
+                  <div className="text-xs text-gray-600">{product.label}</div>
+                  <div className="text-lg font-bold" style={{ color: PRODUCT_COLORS[product.id] }}>
+                    {average !== null ? `$${average.toFixed(2)}` : 'N/A'}
+                  </div>
+                  <div className="text-xs text-gray-500">avg per MW</div>
+                </div>
+              );
+            })}
+          </div>
+
+          <ResponsiveContainer width="100%" height={350}>
+            <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis
+                dataKey="label"
+                stroke="#6b7280"
+                tick={{ fontSize: 12 }}
+                interval={0}
+                angle={-45}
+                textAnchor="end"
+                height={50}
+                label={{ value: 'Hour Ending (market time)', position: 'insideBottom', offset: -5 }}
+              />
+              <YAxis
+                stroke="#6b7280"
+                tick={{ fontSize: 12 }}
+                label={{ value: 'Price ($/MW, $/MWh)', angle: -90, position: 'insideLeft' }}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: '#fff',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+                }}
+                formatter={(value: number, name: string) => [`$${value.toFixed(2)}`, name]}
+              />
+              <Legend />
+              <Line
+                type="monotone"
+                dataKey="daEnergy"
+                stroke="#2563eb"
+                strokeWidth={3}
+                strokeDasharray="5 5"
+                dot={false}
+                name="DA Energy"
+              />
+              {ancillaryData.products.map(product => (
+                <Line
+                  key={product.id}
+                  type="stepAfter"
+                  dataKey={product.id}
+                  stroke={PRODUCT_COLORS[product.id]}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls={false}
+                  name={product.label}
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+
+          {ancillaryData.metadata.missingHours.length > 0 && (
+            <p className="mt-4 text-sm text-amber-700">
+              No ancillary service prices for {ancillaryData.metadata.missingHours.length} of {ancillaryData.metadata.hoursInDay} hours; those hours are left blank.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AncillaryServicesPanel;
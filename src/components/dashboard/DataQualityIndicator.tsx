@@ -10,11 +10,11 @@ interface DataQualityIndicatorProps {
 const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ marketData, selectedDate }) => {
   if (!marketData.metadata) return null;
 
-  const { actualHours, interpolatedHours, fallbackHours, totalRecords, timezone, sourceTimezone } = marketData.metadata;
+  const { actualHours, interpolatedHours, fallbackHours, totalRecords, timezone, sourceTimezone, priceLimits, outOfRangeRecords = [], truncated, pagination } = marketData.metadata;
   
   const getQualityLevel = () => {
     const actualCount = actualHours.length;
-    const totalHours = 24;
+    const totalHours = marketData.metadata?.hoursInDay ?? 24;
     const actualPercentage = (actualCount / totalHours) * 100;
     
     if (actualPercentage >= 80) return 'high';
@@ -69,8 +69,9 @@ const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ marketData,
 
   // Validate data consistency
   const totalHours = actualHours.length + interpolatedHours.length + fallbackHours.length;
-  if (totalHours !== 24) {
-    console.warn('Data quality hours do not sum to 24:', {
+  const hoursInDay = marketData.metadata.hoursInDay ?? 24;
+  if (totalHours !== hoursInDay) {
+    console.warn(`Data quality hours do not sum to ${hoursInDay}:`, {
       actual: actualHours.length,
       interpolated: interpolatedHours.length,
       fallback: fallbackHours.length,
@@ -152,6 +153,18 @@ const DataQualityIndicator: React.FC<DataQualityIndicatorProps> = ({ marketData,
               </div>
             )}
             
+            {outOfRangeRecords.length > 0 && priceLimits && (
+              <div className={`text-${color}-700`}>
+                <strong>Outside bid limits:</strong> {outOfRangeRecords.length} price record{outOfRangeRecords.length === 1 ? '' : 's'} beyond ${priceLimits.floor} to ${priceLimits.cap}/MWh (kept in averages)
+              </div>
+            )}
+            
+            {truncated && pagination && (
+              <div className={`text-${color}-700`}>
+                <strong>Truncated fetch:</strong> {[...new Set([...pagination.dayAhead.truncatedLocations, ...pagination.realTime.truncatedLocations])].join(', ')} hit the {pagination.realTime.maxRecordsPerLocation}-record budget; the missing intervals are gap-filled
+              </div>
+            )}
+            
             {isToday() && (
               <div className={`text-${color}-700 mt-2 p-2 bg-${color}-100 rounded`}>
                 <strong>Note:</strong> Missing hours are expected for today's date as those market periods haven't occurred yet in your timezone.
@@ -1,14 +1,36 @@
-import React from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, Dot } from 'recharts';
-import { prepareChartData } from '../../lib/marketUtils';
-import type { MarketData } from '../../types/market';
+import React, { useState } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, Dot } from 'recharts';
+import { prepareChartData, prepareComponentChartData, hasPriceComponents } from '../../lib/marketUtils';
+import { cn } from '../../lib/utils';
+import type { MarketData, FundamentalsData } from '../../types/market';
 
 interface MarketDataChartProps {
   marketData: MarketData;
+  fundamentals?: FundamentalsData; // Adds a net load line on a second axis when present
 }
 
-const MarketDataChart: React.FC<MarketDataChartProps> = ({ marketData }) => {
-  const chartData = prepareChartData(marketData);
+type ChartView = 'prices' | 'components';
+
+// Stacked LMP component bars: day-ahead and real-time each get their own stack per hour
+const COMPONENT_BARS = [
+  { dataKey: 'daEnergy', stackId: 'dayAhead', name: 'DA Energy', fill: '#1d4ed8' },
+  { dataKey: 'daCongestion', stackId: 'dayAhead', name: 'DA Congestion', fill: '#f97316' },
+  { dataKey: 'daLoss', stackId: 'dayAhead', name: 'DA Loss', fill: '#a855f7' },
+  { dataKey: 'rtEnergy', stackId: 'realTime', name: 'RT Energy', fill: '#60a5fa' },
+  { dataKey: 'rtCongestion', stackId: 'realTime', name: 'RT Congestion', fill: '#fdba74' },
+  { dataKey: 'rtLoss', stackId: 'realTime', name: 'RT Loss', fill: '#d8b4fe' },
+];
+
+const MarketDataChart: React.FC<MarketDataChartProps> = ({ marketData, fundamentals }) => {
+  const [view, setView] = useState<ChartView>('prices');
+  const showNetLoad = !!fundamentals?.hours.some(entry => entry.netLoad !== null);
+  // Fundamentals share the hour index of the operating day with the prices
+  const chartData = prepareChartData(marketData).map(point => ({
+    ...point,
+    netLoad: fundamentals?.hours.find(entry => entry.hour === point.hour)?.netLoad ?? null,
+  }));
+  const componentsAvailable = hasPriceComponents(marketData);
+  const activeView: ChartView = componentsAvailable ? view : 'prices';
   
   // Get current hour for reference line (if viewing today)
   const getCurrentHour = () => {
@@ -67,88 +89,182 @@ const MarketDataChart: React.FC<MarketDataChartProps> = ({ marketData }) => {
 
   return (
     <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-      <h3 className="text-xl font-bold text-gray-900 mb-6">Hourly Price Comparison</h3>
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-bold text-gray-900">Hourly Price Comparison</h3>
+        {componentsAvailable && (
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden text-xs">
+            {(['prices', 'components'] as const).map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={cn(
+                  "px-3 py-1 font-medium transition-colors",
+                  activeView === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+                )}
+              >
+                {option === 'prices' ? 'Prices' : 'LMP Components'}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {marketData.metadata?.hoursInDay && marketData.metadata.hoursInDay !== 24 && (
+        <p className="-mt-4 mb-4 text-sm text-amber-700">
+          Daylight saving transition: this operating day has {marketData.metadata.hoursInDay} hours
+          {marketData.metadata.hoursInDay === 25 ? ' (hour ending 2 repeats as HE2*)' : ' (hour ending 3 is skipped)'}.
+        </p>
+      )}
       
-      <ResponsiveContainer width="100%" height={400}>
-        <LineChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
-          <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-          <XAxis 
-            dataKey="hour" 
-            stroke="#6b7280"
-            tick={{ fontSize: 12 }}
-            label={{ value: 'Hour of Day', position: 'insideBottom', offset: -5 }}
-          />
-          <YAxis 
-            stroke="#6b7280"
-            tick={{ fontSize: 12 }}
-            label={{ value: 'Price ($/MWh)', angle: -90, position: 'insideLeft' }}
-          />
-          <Tooltip 
-            contentStyle={{ 
-              backgroundColor: '#fff', 
-              border: '1px solid #e5e7eb',
-              borderRadius: '8px',
-              boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
-            }}
-            formatter={(value: number, name: string, props: any) => {
-              const hour = props.payload.hour;
-              let qualityInfo = '';
-              let recordInfo = '';
-              
-              if (name === 'dayAhead') {
-                const daPrice = marketData.dayAheadPrices.find(p => p.hour === hour);
-                if (daPrice?.dataQuality) {
-                  qualityInfo = ` (${daPrice.dataQuality})`;
-                }
-                if (daPrice?.recordCount !== undefined) {
-                  recordInfo = ` - ${daPrice.recordCount} records`;
-                }
-              } else if (name === 'realTimeAvg') {
-                const rtData = marketData.realTimePrices.find(p => p.hour === hour);
-                if (rtData?.dataQuality) {
-                  qualityInfo = ` (${rtData.dataQuality})`;
+      {activeView === 'components' ? (
+        <ResponsiveContainer width="100%" height={400}>
+          <BarChart data={prepareComponentChartData(marketData)} stackOffset="sign" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis 
+              dataKey="label" 
+              stroke="#6b7280"
+              tick={{ fontSize: 12 }}
+              interval={0}
+              angle={-45}
+              textAnchor="end"
+              height={50}
+              label={{ value: 'Hour Ending (market time)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis 
+              stroke="#6b7280"
+              tick={{ fontSize: 12 }}
+              label={{ value: 'Price ($/MWh)', angle: -90, position: 'insideLeft' }}
+            />
+            <Tooltip 
+              contentStyle={{ 
+                backgroundColor: '#fff', 
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px',
+                boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+              }}
+              formatter={(value: number, name: string) => [`$${value.toFixed(2)}`, name]}
+            />
+            <Legend />
+            <ReferenceLine y={0} stroke="#9ca3af" />
+            {COMPONENT_BARS.map(bar => (
+              <Bar key={bar.dataKey} {...bar} />
+            ))}
+          </BarChart>
+        </ResponsiveContainer>
+      ) : (
+        <ResponsiveContainer width="100%" height={400}>
+          <LineChart data={chartData} margin={{ top: 5, right: showNetLoad ? 40 : 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+            <XAxis 
+              dataKey="label" 
+              stroke="#6b7280"
+              tick={{ fontSize: 12 }}
+              interval={0}
+              angle={-45}
+              textAnchor="end"
+              height={50}
+              label={{ value: 'Hour Ending (market time)', position: 'insideBottom', offset: -5 }}
+            />
+            <YAxis 
+              stroke="#6b7280"
+              tick={{ fontSize: 12 }}
+              label={{ value: 'Price ($/MWh)', angle: -90, position: 'insideLeft' }}
+            />
+            {showNetLoad && (
+              <YAxis 
+                yAxisId="netLoad"
+                orientation="right"
+                stroke="#9ca3af"
+                tick={{ fontSize: 12 }}
+                tickFormatter={(value: number) => `${(value / 1000).toFixed(0)}k`}
+                label={{ value: 'Net Load (MW)', angle: 90, position: 'insideRight' }}
+              />
+            )}
+            <Tooltip 
+              contentStyle={{ 
+                backgroundColor: '#fff', 
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px',
+                boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+              }}
+              formatter={(value: number, name: string, props: any) => {
+                if (props.dataKey === 'netLoad') {
+                  return [`${Math.round(value).toLocaleString()} MW`, 'Net Load'];
                 }
-                if (rtData?.recordCount !== undefined) {
-                  recordInfo = ` - ${rtData.recordCount} records`;
+
+                const hour = props.payload.hour;
+                let qualityInfo = '';
+                let recordInfo = '';
+              
+                if (name === 'dayAhead') {
+                  const daPrice = marketData.dayAheadPrices.find(p => p.hour === hour);
+                  if (daPrice?.dataQuality) {
+                    qualityInfo = ` (${daPrice.dataQuality})`;
+                  }
+                  if (daPrice?.recordCount !== undefined) {
+                    recordInfo = ` - ${daPrice.recordCount} records`;
+                  }
+                } else if (name === 'realTimeAvg') {
+                  const rtData = marketData.realTimePrices.find(p => p.hour === hour);
+                  if (rtData?.dataQuality) {
+                    qualityInfo = ` (${rtData.dataQuality})`;
+                  }
+                  if (rtData?.recordCount !== undefined) {
+                    recordInfo = ` - ${rtData.recordCount} records`;
+                  }
                 }
-              }
               
-              return [`$${value.toFixed(2)}${qualityInfo}${recordInfo}`, name === 'dayAhead' ? 'Day-Ahead' : 'Real-Time Avg'];
-            }}
-            labelFormatter={(hour: number) => `Hour ${hour}:00`}
-          />
-          <Legend />
+                return [`$${value.toFixed(2)}${qualityInfo}${recordInfo}`, name === 'dayAhead' ? 'Day-Ahead' : 'Real-Time Avg'];
+              }}
+              labelFormatter={(label: string, payload: Array<{ payload?: { hour?: number } }>) => {
+                const localTime = marketData.dayAheadPrices.find(p => p.hour === payload?.[0]?.payload?.hour)?.localTime;
+                return localTime ? `${label} (starts ${localTime} your time)` : label;
+              }}
+            />
+            <Legend />
+          
+            {isToday() && (
+              <ReferenceLine 
+                x={chartData.find(point => point.hour === getCurrentHour())?.label} 
+                stroke="#ef4444" 
+                strokeDasharray="5 5"
+                label={{ value: "Current Hour", position: "top" }}
+              />
+            )}
           
-          {isToday() && (
-            <ReferenceLine 
-              x={getCurrentHour()} 
-              stroke="#ef4444" 
+            <Line 
+              type="monotone" 
+              dataKey="dayAhead" 
+              stroke="#2563eb" 
+              strokeWidth={3}
+              dot={<CustomDot dataKey="dayAhead" />}
+              activeDot={{ r: 8, fill: '#2563eb' }}
+              name="Day-Ahead"
+            />
+            <Line 
+              type="monotone" 
+              dataKey="realTimeAvg" 
+              stroke="#059669" 
+              strokeWidth={3}
+              dot={<CustomDot dataKey="realTimeAvg" />}
+              activeDot={{ r: 8, fill: '#059669' }}
               strokeDasharray="5 5"
-              label={{ value: "Current Hour", position: "top" }}
+              name="Real-Time Avg"
             />
-          )}
-          
-          <Line 
-            type="monotone" 
-            dataKey="dayAhead" 
-            stroke="#2563eb" 
-            strokeWidth={3}
-            dot={<CustomDot dataKey="dayAhead" />}
-            activeDot={{ r: 8, fill: '#2563eb' }}
-            name="Day-Ahead"
-          />
-          <Line 
-            type="monotone" 
-            dataKey="realTimeAvg" 
-            stroke="#059669" 
-            strokeWidth={3}
-            dot={<CustomDot dataKey="realTimeAvg" />}
-            activeDot={{ r: 8, fill: '#059669' }}
-            strokeDasharray="5 5"
-            name="Real-Time Avg"
-          />
-        </LineChart>
-      </ResponsiveContainer>
+            {showNetLoad && (
+              <Line 
+                yAxisId="netLoad"
+                type="monotone" 
+                dataKey="netLoad" 
+                stroke="#9ca3af" 
+                strokeWidth={2}
+                dot={false}
+                connectNulls={false}
+                name="Net Load"
+              />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
       
       {/* Enhanced Data Quality Legend */}
       <div className="mt-6 p-4 bg-gray-50 rounded-lg">
@@ -1,9 +1,21 @@
-import React, { useState } from 'react';
-import { Plus, Trash2 } from 'lucide-react';
-import { Bid } from '../../types/trading';
+import React, { useEffect, useMemo, useState } from 'react';
+import { Plus, Save, Trash2 } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Bid, BidSegment } from '../../types/trading';
 import BidValidationHelper from './BidValidationHelper';
 import { useMarketData } from '../../hooks/useMarketData';
+import { useISOProfiles } from '../../hooks/useISOProfiles';
 import { useAppContext } from '../../contexts/AppContext';
+import {
+  DEFAULT_PRICE_LIMITS,
+  MAX_BID_SEGMENTS,
+  formatBidCurve,
+  getBidCurveErrors,
+  getBidCurveSteps,
+  getLocationPrices,
+  getOperatingHours,
+  getHourLabel,
+} from '../../lib/marketUtils';
 import { cn } from '../../lib/utils';
 
 interface BidPlacementFormProps {
@@ -15,6 +27,9 @@ interface BidPlacementFormProps {
   onRemoveBid: (id: string) => void;
 }
 
+const DEFAULT_SEGMENT: BidSegment = { price: 50, quantity: 1 };
+const PRICE_STEP = 5;
+
 const BidPlacementForm: React.FC<BidPlacementFormProps> = ({
   selectedHour,
   onHourChange,
@@ -23,40 +38,82 @@ const BidPlacementForm: React.FC<BidPlacementFormProps> = ({
   onUpdateBid,
   onRemoveBid,
 }) => {
-  const { selectedDate } = useAppContext();
-  const { data: marketData } = useMarketData(selectedDate);
-  const [newBid, setNewBid] = useState({
-    type: 'buy' as 'buy' | 'sell',
-    price: 50,
-    quantity: 1,
-  });
+  const { selectedDate, selectedISO, settlementOptions } = useAppContext();
+  const { data: marketData } = useMarketData(selectedDate, selectedISO, settlementOptions);
+  const { getProfile } = useISOProfiles();
+  const profile = getProfile(selectedISO);
+  const priceLimits = profile?.priceLimits || DEFAULT_PRICE_LIMITS;
+  const locations = useMemo(() => profile?.locations || [], [profile]);
+  const operatingHours = getOperatingHours(marketData);
+  const selectedHourLabel = getHourLabel(selectedHour, marketData);
+
+  // DST days have 23 or 25 hours, so keep the selection inside the current day
+  useEffect(() => {
+    if (selectedHour >= operatingHours.length) {
+      onHourChange(operatingHours.length - 1);
+    }
+  }, [selectedHour, operatingHours.length, onHourChange]);
+
+  const [side, setSide] = useState<'buy' | 'sell'>('buy');
+  const [location, setLocation] = useState<string | undefined>(undefined);
+  const [segments, setSegments] = useState<BidSegment[]>([DEFAULT_SEGMENT]);
+
+  // Locations differ by ISO, so default to the first default location of the selected ISO
+  useEffect(() => {
+    if (locations.length > 0 && !locations.some(loc => loc.id === location)) {
+      setLocation((locations.find(loc => loc.default) || locations[0]).id);
+    }
+  }, [locations, location]);
+
+  const getLocationName = (id?: string) => locations.find(loc => loc.id === id)?.name || id || 'Hub average';
 
   const hourBids = bids.filter(bid => bid.hour === selectedHour);
-  const marketPrice = marketData?.dayAheadPrices.find(p => p.hour === selectedHour)?.price;
+  const existingCurve = hourBids.find(bid => bid.type === side && bid.location === location);
+  const locationPrices = getLocationPrices(marketData, location);
+  const marketPrice = locationPrices?.dayAheadPrices.find(p => p.hour === selectedHour)?.price;
+  const curveErrors = getBidCurveErrors({ type: side, segments }, priceLimits);
+
+  // Load the saved curve for this hour, side and location into the editor
+  useEffect(() => {
+    setSegments(existingCurve ? existingCurve.segments : [DEFAULT_SEGMENT]);
+  }, [selectedHour, side, location, existingCurve]);
+
+  const updateSegment = (index: number, updates: Partial<BidSegment>) => {
+    setSegments(prev => prev.map((segment, i) => (i === index ? { ...segment, ...updates } : segment)));
+  };
+
+  // New segments continue the curve one price step further from the market
+  const addSegment = () => {
+    const last = segments[segments.length - 1] || DEFAULT_SEGMENT;
+    const price = side === 'buy'
+      ? Math.max(priceLimits.floor, last.price - PRICE_STEP)
+      : Math.min(priceLimits.cap, last.price + PRICE_STEP);
+    setSegments(prev => [...prev, { price, quantity: last.quantity }]);
+  };
+
+  const removeSegment = (index: number) => {
+    setSegments(prev => prev.filter((_, i) => i !== index));
+  };
 
-  const handleAddBid = () => {
-    if (hourBids.length >= 10) {
-      alert('Maximum 10 bids per hour allowed');
+  const handleSaveCurve = () => {
+    if (curveErrors.length > 0) {
+      alert(curveErrors[0]);
       return;
     }
 
-    onAddBid({
-      hour: selectedHour,
-      ...newBid,
-    });
-
-    // Reset form
-    setNewBid({
-      type: 'buy',
-      price: 50,
-      quantity: 1,
-    });
+    if (existingCurve) {
+      onUpdateBid(existingCurve.id, { segments });
+    } else {
+      onAddBid({ hour: selectedHour, type: side, location, segments });
+    }
   };
 
+  const curveSteps = getBidCurveSteps(segments);
+
   return (
     <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-      <h3 className="text-xl font-bold text-gray-900 mb-6">Place Bids</h3>
-      
+      <h3 className="text-xl font-bold text-gray-900 mb-6">Place Bid Curves</h3>
+
       {/* Hour Selection */}
       <div className="mb-6">
         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -67,145 +124,201 @@ const BidPlacementForm: React.FC<BidPlacementFormProps> = ({
           onChange={(e) => onHourChange(parseInt(e.target.value))}
           className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
         >
-          {Array.from({ length: 24 }, (_, i) => (
-            <option key={i} value={i}>
-              Hour {i}:00 - {i + 1}:00
+          {operatingHours.map(({ hour, label, localTime }) => (
+            <option key={hour} value={hour}>
+              {label}{localTime ? ` (starts ${localTime} your time)` : ''}
             </option>
           ))}
         </select>
       </div>
 
-      {/* New Bid Form */}
+      {/* Location Selection */}
+      {locations.length > 0 && (
+        <div className="mb-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Location
+          </label>
+          <select
+            value={location}
+            onChange={(e) => setLocation(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+          >
+            {locations.map(loc => (
+              <option key={loc.id} value={loc.id}>
+                {loc.name} ({loc.region})
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {/* Curve Editor */}
       <div className="mb-6 p-4 bg-gray-50 rounded-lg">
-        <h4 className="text-sm font-medium text-gray-700 mb-3">New Bid</h4>
-        <div className="grid grid-cols-3 gap-3 mb-3">
-          <div>
-            <label className="block text-xs font-medium text-gray-600 mb-1">
-              Type
-            </label>
-            <select
-              value={newBid.type}
-              onChange={(e) => setNewBid(prev => ({ ...prev, type: e.target.value as 'buy' | 'sell' }))}
-              className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
-            >
-              <option value="buy">Buy</option>
-              <option value="sell">Sell</option>
-            </select>
-          </div>
-          
-          <div>
-            <label className="block text-xs font-medium text-gray-600 mb-1">
-              Price ($/MWh)
-            </label>
-            <input
-              type="number"
-              value={newBid.price}
-              onChange={(e) => setNewBid(prev => ({ ...prev, price: parseFloat(e.target.value) || 0 }))}
-              min="0"
-              step="0.01"
-              className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
-            />
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-sm font-medium text-gray-700">
+            {existingCurve ? 'Edit' : 'New'} {side} curve for {selectedHourLabel} at {getLocationName(location)}
+          </h4>
+          <div className="flex rounded-lg border border-gray-300 overflow-hidden text-xs">
+            {(['buy', 'sell'] as const).map(option => (
+              <button
+                key={option}
+                onClick={() => setSide(option)}
+                className={cn(
+                  "px-3 py-1 font-medium transition-colors",
+                  side === option
+                    ? option === 'buy' ? 'bg-green-600 text-white' : 'bg-red-600 text-white'
+                    : 'bg-white text-gray-600 hover:bg-gray-100'
+                )}
+              >
+                {option === 'buy' ? 'Buy' : 'Sell'}
+              </button>
+            ))}
           </div>
-          
-          <div>
-            <label className="block text-xs font-medium text-gray-600 mb-1">
-              Quantity (MWh)
-            </label>
-            <input
-              type="number"
-              value={newBid.quantity}
-              onChange={(e) => setNewBid(prev => ({ ...prev, quantity: parseFloat(e.target.value) || 0 }))}
-              min="0.1"
-              step="0.1"
-              className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
-            />
+        </div>
+
+        <p className="text-xs text-gray-500 mb-3">
+          {side === 'buy'
+            ? 'Buy segments must step down in price: each extra MW is bid lower.'
+            : 'Sell segments must step up in price: each extra MW is offered higher.'}
+        </p>
+
+        <div className="space-y-2 mb-3">
+          <div className="grid grid-cols-[2rem_1fr_1fr_2rem] gap-2 text-xs font-medium text-gray-600">
+            <span>#</span>
+            <span>Price ($/MWh)</span>
+            <span>Quantity (MW)</span>
+            <span />
           </div>
+          {segments.map((segment, index) => (
+            <div key={index} className="grid grid-cols-[2rem_1fr_1fr_2rem] gap-2 items-center">
+              <span className="text-xs text-gray-500">{index + 1}</span>
+              <input
+                type="number"
+                value={segment.price}
+                onChange={(e) => updateSegment(index, { price: parseFloat(e.target.value) || 0 })}
+                min={priceLimits.floor}
+                max={priceLimits.cap}
+                step="0.01"
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
+              />
+              <input
+                type="number"
+                value={segment.quantity}
+                onChange={(e) => updateSegment(index, { quantity: parseFloat(e.target.value) || 0 })}
+                min="0.1"
+                step="0.1"
+                className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
+              />
+              <button
+                onClick={() => removeSegment(index)}
+                disabled={segments.length === 1}
+                className="text-red-600 hover:text-red-800 disabled:text-gray-300 transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <button
+          onClick={addSegment}
+          disabled={segments.length >= MAX_BID_SEGMENTS}
+          className="mb-4 flex items-center space-x-1 text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 transition-colors"
+        >
+          <Plus className="w-4 h-4" />
+          <span>Add segment ({segments.length}/{MAX_BID_SEGMENTS})</span>
+        </button>
+
+        {/* Step Chart Preview */}
+        <div className="mb-4 bg-white rounded border border-gray-200 p-2">
+          <ResponsiveContainer width="100%" height={160}>
+            <LineChart data={curveSteps} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="mw" type="number" stroke="#6b7280" tick={{ fontSize: 11 }} unit=" MW" />
+              <YAxis stroke="#6b7280" tick={{ fontSize: 11 }} unit="$" width={50} />
+              <Tooltip formatter={(value: number) => [`$${value.toFixed(2)}`, 'Price']} labelFormatter={(mw) => `${mw} MW`} />
+              {marketPrice !== undefined && (
+                <ReferenceLine y={marketPrice} stroke="#2563eb" strokeDasharray="4 4" label={{ value: 'DA', fontSize: 10, fill: '#2563eb' }} />
+              )}
+              <Line
+                type="linear"
+                dataKey="price"
+                stroke={side === 'buy' ? '#059669' : '#DC2626'}
+                strokeWidth={2}
+                dot={false}
+                isAnimationActive={false}
+              />
+            </LineChart>
+          </ResponsiveContainer>
         </div>
-        
+
         {/* Bid Validation Helper */}
-        <BidValidationHelper 
-          bid={{ ...newBid, hour: selectedHour }} 
+        <BidValidationHelper
+          bid={{ hour: selectedHour, type: side, segments }}
           marketPrice={marketPrice}
+          priceLimits={priceLimits}
         />
-        
+
         <button
-          onClick={handleAddBid}
-          disabled={hourBids.length >= 10}
+          onClick={handleSaveCurve}
+          disabled={curveErrors.length > 0}
           className={cn(
-            "w-full flex items-center justify-center space-x-2 px-4 py-2 rounded-lg font-medium transition-all",
-            hourBids.length >= 10
+            "w-full mt-3 flex items-center justify-center space-x-2 px-4 py-2 rounded-lg font-medium transition-all",
+            curveErrors.length > 0
               ? "bg-gray-100 text-gray-400 cursor-not-allowed"
               : "bg-blue-600 text-white hover:bg-blue-700 shadow-lg hover:shadow-xl"
           )}
         >
-          <Plus className="w-4 h-4" />
-          <span>Add Bid for Hour {selectedHour} ({hourBids.length}/10)</span>
+          {existingCurve ? <Save className="w-4 h-4" /> : <Plus className="w-4 h-4" />}
+          <span>{existingCurve ? 'Update' : 'Add'} {side} curve for {selectedHourLabel}</span>
         </button>
       </div>
 
-      {/* Hour Bids List */}
+      {/* Hour Curves List */}
       <div className="space-y-3">
         <h4 className="text-sm font-medium text-gray-700">
-          Bids for Hour {selectedHour}
+          Curves for {selectedHourLabel}
         </h4>
-        {hourBids.map((bid, index) => (
-          <div key={bid.id} className="border border-gray-200 rounded-lg p-4 bg-gray-50">
-            <div className="flex items-center justify-between mb-3">
-              <span className="text-sm font-medium text-gray-700">Bid #{index + 1}</span>
-              <button
-                onClick={() => onRemoveBid(bid.id)}
-                className="text-red-600 hover:text-red-800 transition-colors"
-              >
-                <Trash2 className="w-4 h-4" />
-              </button>
-            </div>
-            
-            <div className="grid grid-cols-3 gap-3">
-              <div>
-                <label className="block text-xs font-medium text-gray-600 mb-1">Type</label>
-                <select
-                  value={bid.type}
-                  onChange={(e) => onUpdateBid(bid.id, { type: e.target.value as 'buy' | 'sell' })}
-                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
-                >
-                  <option value="buy">Buy</option>
-                  <option value="sell">Sell</option>
-                </select>
-              </div>
-              
-              <div>
-                <label className="block text-xs font-medium text-gray-600 mb-1">Price ($/MWh)</label>
-                <input
-                  type="number"
-                  value={bid.price}
-                  onChange={(e) => onUpdateBid(bid.id, { price: parseFloat(e.target.value) || 0 })}
-                  min="0"
-                  step="0.01"
-                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
-                />
-              </div>
-              
-              <div>
-                <label className="block text-xs font-medium text-gray-600 mb-1">Quantity (MWh)</label>
-                <input
-                  type="number"
-                  value={bid.quantity}
-                  onChange={(e) => onUpdateBid(bid.id, { quantity: parseFloat(e.target.value) || 0 })}
-                  min="0.1"
-                  step="0.1"
-                  className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500"
-                />
-              </div>
-            </div>
+        {hourBids.map(bid => (
+          <div
+            key={bid.id}
+            className={cn(
+              "border rounded-lg p-3 bg-gray-50 flex items-center justify-between",
+              bid.type === side && bid.location === location ? 'border-blue-300' : 'border-gray-200'
+            )}
+          >
+            <button
+              onClick={() => {
+                setSide(bid.type);
+                setLocation(bid.location);
+              }}
+              className="flex items-center space-x-2 text-left"
+            >
+              <span className={cn(
+                "px-2 py-1 text-xs rounded text-white",
+                bid.type === 'buy' ? 'bg-green-600' : 'bg-red-600'
+              )}>
+                {bid.type.toUpperCase()}
+              </span>
+              <span className="text-sm text-gray-700">
+                {getLocationName(bid.location)} • {bid.segments.length} seg • {formatBidCurve(bid.segments)}
+              </span>
+            </button>
+            <button
+              onClick={() => onRemoveBid(bid.id)}
+              className="text-red-600 hover:text-red-800 transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
           </div>
         ))}
-        
+
         {hourBids.length === 0 && (
-          <p className="text-gray-500 text-center py-4">No bids for hour {selectedHour}</p>
+          <p className="text-gray-500 text-center py-4">No bid curves for {selectedHourLabel}</p>
         )}
       </div>
     </div>
   );
 };
 
-export default BidPlacementForm;
\ No newline at end of file
+export default BidPlacementForm;
@@ -1,6 +1,10 @@
 import React from 'react';
 import { Bid } from '../../types/trading';
 import { cn } from '../../lib/utils';
+import { useMarketData } from '../../hooks/useMarketData';
+import { useAppContext } from '../../contexts/AppContext';
+import { useISOProfiles } from '../../hooks/useISOProfiles';
+import { formatBidCurve, getOperatingHours } from '../../lib/marketUtils';
 
 interface BidSummaryProps {
   bids: Bid[];
@@ -13,25 +17,31 @@ const BidSummary: React.FC<BidSummaryProps> = ({
   onRunSimulation,
   isLoading,
 }) => {
+  const { selectedDate, selectedISO, settlementOptions } = useAppContext();
+  const { data: marketData } = useMarketData(selectedDate, selectedISO, settlementOptions);
+  const { getProfile } = useISOProfiles();
+  const locations = getProfile(selectedISO)?.locations || [];
+  const operatingHours = getOperatingHours(marketData);
+
   return (
     <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
       <div className="flex items-center justify-between mb-6">
         <h3 className="text-xl font-bold text-gray-900">All Bids Summary</h3>
         <div className="text-sm text-gray-600">
-          {bids.length} total bids
+          {bids.length} bid curves
         </div>
       </div>
 
       {bids.length > 0 ? (
         <div className="space-y-2 mb-6 max-h-64 overflow-y-auto">
-          {Array.from({ length: 24 }, (_, hour) => {
+          {operatingHours.map(({ hour, label }) => {
             const hourBids = bids.filter(bid => bid.hour === hour);
             if (hourBids.length === 0) return null;
             
             return (
               <div key={hour} className="border border-gray-200 rounded-lg p-3">
                 <div className="font-medium text-sm text-gray-800 mb-2">
-                  Hour {hour}:00 ({hourBids.length} bids)
+                  {label} ({hourBids.length} {hourBids.length === 1 ? 'curve' : 'curves'})
                 </div>
                 <div className="space-y-1">
                   {hourBids.map(bid => (
@@ -42,7 +52,9 @@ const BidSummary: React.FC<BidSummaryProps> = ({
                       )}>
                         {bid.type.toUpperCase()}
                       </span>
-                      <span>${bid.price} × {bid.quantity} MWh</span>
+                      <span>
+                        {locations.find(location => location.id === bid.location)?.name || bid.location || 'Hub average'} • {formatBidCurve(bid.segments)}
+                      </span>
                     </div>
                   ))}
                 </div>
@@ -1,81 +1,60 @@
 import React from 'react';
 import { AlertCircle, CheckCircle, Info } from 'lucide-react';
 import { Bid } from '../../types/trading';
+import type { PriceLimits } from '../../types/market';
+import { DEFAULT_PRICE_LIMITS, getAwardedQuantity, getBidCurveErrors, getCurveQuantity } from '../../lib/marketUtils';
 
 interface BidValidationHelperProps {
   bid: Omit<Bid, 'id'>;
   marketPrice?: number;
+  priceLimits?: PriceLimits;
 }
 
-const BidValidationHelper: React.FC<BidValidationHelperProps> = ({ bid, marketPrice }) => {
+const BidValidationHelper: React.FC<BidValidationHelperProps> = ({ bid, marketPrice, priceLimits = DEFAULT_PRICE_LIMITS }) => {
   const getValidationMessages = () => {
     const messages: Array<{ type: 'error' | 'warning' | 'info' | 'success'; message: string }> = [];
 
-    // Price validation
-    if (bid.price <= 0) {
-      messages.push({ type: 'error', message: 'Price must be greater than $0/MWh' });
-    } else if (bid.price > 1000) {
+    // Curve validation: segment limit, price limits and monotonicity
+    const curveErrors = getBidCurveErrors(bid, priceLimits);
+    curveErrors.forEach(message => messages.push({ type: 'error', message }));
+
+    const totalQuantity = getCurveQuantity(bid.segments);
+    const prices = bid.segments.map(segment => segment.price);
+
+    if (prices.some(price => price > 1000)) {
       messages.push({ type: 'warning', message: 'Price above $1000/MWh is unusually high' });
-    } else if (bid.price < 10) {
-      messages.push({ type: 'warning', message: 'Price below $10/MWh is unusually low' });
+    } else if (prices.some(price => price < 0)) {
+      messages.push({ type: 'info', message: 'Negative price segment - common in midday solar oversupply hours' });
     }
 
-    // Quantity validation
-    if (bid.quantity <= 0) {
-      messages.push({ type: 'error', message: 'Quantity must be greater than 0 MWh' });
-    } else if (bid.quantity > 100) {
-      messages.push({ type: 'warning', message: 'Large quantity (>100 MWh) - ensure this is intended' });
+    if (totalQuantity > 100) {
+      messages.push({ type: 'warning', message: `Large curve (${totalQuantity} MW > 100 MW) - ensure this is intended` });
     }
 
-    // Market price comparison
-    if (marketPrice && bid.price && bid.quantity > 0) {
-      const priceDiff = Math.abs(bid.price - marketPrice);
-      const priceDiffPercent = (priceDiff / marketPrice) * 100;
-
-      if (bid.type === 'buy') {
-        if (bid.price >= marketPrice) {
-          messages.push({ 
-            type: 'success', 
-            message: `Buy bid likely to execute (${(bid.price - marketPrice).toFixed(2)} above market)` 
-          });
-        } else {
-          messages.push({ 
-            type: 'info', 
-            message: `Buy bid ${(marketPrice - bid.price).toFixed(2)} below market price` 
-          });
-        }
-      } else {
-        if (bid.price <= marketPrice) {
-          messages.push({ 
-            type: 'success', 
-            message: `Sell bid likely to execute (${(marketPrice - bid.price).toFixed(2)} below market)` 
-          });
-        } else {
-          messages.push({ 
-            type: 'info', 
-            message: `Sell bid ${(bid.price - marketPrice).toFixed(2)} above market price` 
-          });
-        }
-      }
+    // Expected award at the DA price
+    if (marketPrice !== undefined && curveErrors.length === 0) {
+      const awarded = getAwardedQuantity(bid, marketPrice);
 
-      if (priceDiffPercent > 50) {
-        messages.push({ 
-          type: 'warning', 
-          message: `Bid price differs significantly from market (${priceDiffPercent.toFixed(0)}%)` 
+      if (awarded > 0) {
+        messages.push({
+          type: 'success',
+          message: `At DA $${marketPrice.toFixed(2)}: ${awarded} of ${totalQuantity} MW would clear`
+        });
+      } else {
+        messages.push({
+          type: 'info',
+          message: `No segment clears at DA $${marketPrice.toFixed(2)}`
         });
       }
     }
 
     // Strategy suggestions
-    if (bid.type === 'buy' && bid.price && bid.quantity > 0) {
-      messages.push({ 
-        type: 'info', 
-        message: `Strategy: Buy ${bid.quantity} MWh at $${bid.price} - profit if RT > DA` 
-      });
-    } else if (bid.type === 'sell' && bid.price && bid.quantity > 0) {
-      messages.push({ 
-        type: 'info', 
-        message: `Strategy: Sell ${bid.quantity} MWh at $${bid.price} - profit if DA > RT` 
+    if (totalQuantity > 0) {
+      messages.push({
+        type: 'info',
+        message: bid.type === 'buy'
+          ? `Strategy: Buy up to ${totalQuantity} MW - profit if RT > DA`
+          : `Strategy: Sell up to ${totalQuantity} MW - profit if DA > RT`
       });
     }
 
@@ -1,19 +1,23 @@
 import React from 'react';
 import { TrendingUp, TrendingDown, DollarSign, AlertCircle, CheckCircle } from 'lucide-react';
 import { useMarketData } from '../../hooks/useMarketData';
+import { formatHourEnding, getHourLabel } from '../../lib/marketUtils';
+import type { MarketDataOptions } from '../../types/market';
 
 interface MarketPriceDisplayProps {
   selectedDate: string;
+  selectedISO: string;
   selectedHour: number;
+  marketOptions?: MarketDataOptions;
 }
 
-const MarketPriceDisplay: React.FC<MarketPriceDisplayProps> = ({ selectedDate, selectedHour }) => {
-  const { data: marketData, isLoading } = useMarketData(selectedDate);
+const MarketPriceDisplay: React.FC<MarketPriceDisplayProps> = ({ selectedDate, selectedISO, selectedHour, marketOptions }) => {
+  const { data: marketData, isLoading } = useMarketData(selectedDate, selectedISO, marketOptions);
 
   if (isLoading) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-        <h3 className="text-lg font-bold text-gray-900 mb-4">Market Prices - Hour {selectedHour}</h3>
+        <h3 className="text-lg font-bold text-gray-900 mb-4">Market Prices - {formatHourEnding(selectedHour)}</h3>
         <div className="animate-pulse space-y-3">
           <div className="h-4 bg-gray-200 rounded w-3/4"></div>
           <div className="h-4 bg-gray-200 rounded w-1/2"></div>
@@ -25,18 +29,21 @@ const MarketPriceDisplay: React.FC<MarketPriceDisplayProps> = ({ selectedDate, s
   if (!marketData) {
     return (
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
-        <h3 className="text-lg font-bold text-gray-900 mb-4">Market Prices - Hour {selectedHour}</h3>
+        <h3 className="text-lg font-bold text-gray-900 mb-4">Market Prices - {formatHourEnding(selectedHour)}</h3>
         <p className="text-gray-500">No market data available for {selectedDate}</p>
       </div>
     );
   }
 
+  const hourLabel = getHourLabel(selectedHour, marketData);
   const dayAheadPrice = marketData.dayAheadPrices.find(p => p.hour === selectedHour);
   const realTimeData = marketData.realTimePrices.find(p => p.hour === selectedHour);
   const avgRealTimePrice = realTimeData 
     ? realTimeData.prices.reduce((sum, p) => sum + p.price, 0) / realTimeData.prices.length
     : 0;
 
+  const rtIntervalMinutes = marketData.metadata?.rtIntervalMinutes || 15;
+
   const spread = avgRealTimePrice - (dayAheadPrice?.price || 0);
   const spreadPercentage = dayAheadPrice?.price ? (spread / dayAheadPrice.price) * 100 : 0;
 
@@ -61,7 +68,7 @@ const MarketPriceDisplay: React.FC<MarketPriceDisplayProps> = ({ selectedDate, s
     <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
       <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
         <DollarSign className="w-5 h-5 text-green-600" />
-        Market Prices - Hour {selectedHour}:00
+        Market Prices - {hourLabel}
       </h3>
       
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -124,13 +131,13 @@ const MarketPriceDisplay: React.FC<MarketPriceDisplayProps> = ({ selectedDate, s
       {realTimeData && (
         <div className="mt-4 pt-4 border-t border-gray-200">
           <h4 className="text-sm font-medium text-gray-700 mb-2">Real-Time Price Intervals</h4>
-          <div className="grid grid-cols-4 gap-2">
+          <div className={`grid gap-2 ${rtIntervalMinutes < 15 ? 'grid-cols-6' : 'grid-cols-4'}`}>
             {realTimeData.prices.map((price, index) => (
               <div key={index} className={`text-center p-2 rounded ${
                 price.dataQuality === 'actual' ? 'bg-green-50' : 
                 price.dataQuality === 'fallback' ? 'bg-red-50' : 'bg-gray-50'
               }`}>
-                <div className="text-xs text-gray-600">:{(index * 15).toString().padStart(2, '0')}</div>
+                <div className="text-xs text-gray-600">:{(index * rtIntervalMinutes).toString().padStart(2, '0')}</div>
                 <div className="text-sm font-medium">${price.price.toFixed(2)}</div>
                 {price.dataQuality !== 'actual' && (
                   <div className="text-xs text-gray-500">
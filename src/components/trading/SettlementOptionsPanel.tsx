@@ -0,0 +1,93 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+import type { GapFillStrategy, SettlementOptions } from '../../types/market';
+
+interface SettlementOptionsPanelProps {
+  options: SettlementOptions;
+  onChange: (options: SettlementOptions) => void;
+  syntheticHourCount?: number;
+  rtIntervalOptions?: number[]; // Default interval first
+}
+
+const GAP_FILL_OPTIONS: Array<{ value: GapFillStrategy; label: string; description: string }> = [
+  { value: 'linear', label: 'Linear', description: 'Interpolate between the nearest actual RT intervals' },
+  { value: 'previous-day', label: 'Previous day', description: 'Reuse the same hour from the prior operating day' },
+  { value: 'da-as-rt', label: 'DA as RT', description: 'Settle missing intervals at the day-ahead price' },
+];
+
+const SettlementOptionsPanel: React.FC<SettlementOptionsPanelProps> = ({
+  options,
+  onChange,
+  syntheticHourCount = 0,
+  rtIntervalOptions = [],
+}) => {
+  const selectedOption = GAP_FILL_OPTIONS.find(option => option.value === options.gapFill);
+  const selectedInterval = options.rtIntervalMinutes ?? rtIntervalOptions[0];
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+      <div className="flex items-center space-x-2 mb-4">
+        <ShieldCheck className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-bold text-gray-900">Settlement Options</h3>
+      </div>
+
+      {rtIntervalOptions.length > 1 && (
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Real-time settlement prices
+          </label>
+          <select
+            value={selectedInterval}
+            onChange={(e) => {
+              const minutes = Number(e.target.value);
+              onChange({ ...options, rtIntervalMinutes: minutes === rtIntervalOptions[0] ? undefined : minutes });
+            }}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+          >
+            {rtIntervalOptions.map(minutes => (
+              <option key={minutes} value={minutes}>
+                {minutes}-minute intervals ({Math.round(60 / minutes)} per hour)
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <label className="block text-sm font-medium text-gray-700 mb-2">
+        Missing real-time data
+      </label>
+      <select
+        value={options.gapFill}
+        onChange={(e) => onChange({ ...options, gapFill: e.target.value as GapFillStrategy })}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+      >
+        {GAP_FILL_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      {selectedOption && (
+        <p className="text-xs text-gray-500 mt-1">{selectedOption.description}</p>
+      )}
+
+      <label className="flex items-center gap-2 mt-4 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={options.requireActualData}
+          onChange={(e) => onChange({ ...options, requireActualData: e.target.checked })}
+          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+        />
+        Only settle hours backed by actual market data
+      </label>
+
+      {syntheticHourCount > 0 && (
+        <p className="text-xs text-yellow-700 mt-2">
+          {syntheticHourCount} hour{syntheticHourCount === 1 ? '' : 's'} on this day use gap-filled prices
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SettlementOptionsPanel;
@@ -3,6 +3,7 @@ import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContaine
 import { DollarSign, TrendingUp } from 'lucide-react';
 import { SimulationResult } from '../../types/trading';
 import { cn } from '../../lib/utils';
+import { formatBidCurve, formatHourEnding, getCurveQuantity } from '../../lib/marketUtils';
 import StatCard from '../ui/StatCard';
 
 interface SimulationResultsProps {
@@ -18,14 +19,20 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
 
   const prepareHourlyProfitChart = () => {
     const hourlyData: { [hour: number]: number } = {};
+    const hourLabels: { [hour: number]: string } = {};
     
-    // Initialize all hours with 0 profit
-    for (let hour = 0; hour < 24; hour++) {
+    // Initialize all hours with 0 profit (DST days can reach a 25th hour)
+    const lastHour = Math.max(23, ...simulation.trades.map(trade => trade.hour));
+    for (let hour = 0; hour <= lastHour; hour++) {
       hourlyData[hour] = 0;
+      hourLabels[hour] = formatHourEnding(hour);
     }
     
     // Sum profits by hour
     simulation.trades.forEach(trade => {
+      if (trade.hourLabel) {
+        hourLabels[trade.hour] = trade.hourLabel;
+      }
       if (trade.executed) {
         hourlyData[trade.hour] += trade.profit;
       }
@@ -33,12 +40,34 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
     
     return Object.entries(hourlyData).map(([hour, profit]) => ({
       hour: parseInt(hour),
+      label: hourLabels[parseInt(hour)],
       profit: Math.round(profit * 100) / 100,
       profitColor: profit >= 0 ? '#059669' : '#DC2626'
     }));
   };
 
+  // Sum per-interval cash flows by their offset into the hour
+  const prepareIntraHourProfitChart = () => {
+    const minuteData: { [startMinute: number]: number } = {};
+    
+    executedTrades.forEach(trade => {
+      trade.intervals?.forEach(interval => {
+        minuteData[interval.startMinute] = (minuteData[interval.startMinute] || 0) + interval.profit;
+      });
+    });
+    
+    return Object.entries(minuteData)
+      .map(([startMinute, profit]) => ({
+        startMinute: parseInt(startMinute),
+        label: `:${startMinute.padStart(2, '0')}`,
+        profit: Math.round(profit * 100) / 100
+      }))
+      .sort((a, b) => a.startMinute - b.startMinute);
+  };
+
   const hourlyProfitData = prepareHourlyProfitChart();
+  const intraHourProfitData = prepareIntraHourProfitChart();
+  const rtIntervalMinutes = executedTrades.find(trade => trade.rtIntervalMinutes)?.rtIntervalMinutes;
 
   return (
     <div className="space-y-6">
@@ -85,10 +114,10 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
           <BarChart data={hourlyProfitData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
             <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
             <XAxis 
-              dataKey="hour" 
+              dataKey="label" 
               stroke="#6b7280"
               tick={{ fontSize: 12 }}
-              label={{ value: 'Hour of Day', position: 'insideBottom', offset: -5 }}
+              label={{ value: 'Hour Ending (market time)', position: 'insideBottom', offset: -5 }}
             />
             <YAxis 
               stroke="#6b7280"
@@ -103,7 +132,7 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
                 boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
               }}
               formatter={(value: number) => [`$${value.toFixed(2)}`, 'Profit']}
-              labelFormatter={(hour: number) => `Hour ${hour}:00`}
+              labelFormatter={(label: string) => label}
             />
             <Bar 
               dataKey="profit" 
@@ -114,6 +143,46 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
         </ResponsiveContainer>
       </div>
 
+      {/* Intra-hour Profit Chart */}
+      {intraHourProfitData.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+          <h3 className="text-xl font-bold text-gray-900 mb-2">Profit Within the Hour</h3>
+          <p className="text-sm text-gray-600 mb-6">
+            Real-time settlement of all executed trades by {rtIntervalMinutes}-minute interval
+          </p>
+          <ResponsiveContainer width="100%" height={240}>
+            <BarChart data={intraHourProfitData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis
+                dataKey="label"
+                stroke="#6b7280"
+                tick={{ fontSize: 12 }}
+                label={{ value: 'Interval start (minutes past the hour)', position: 'insideBottom', offset: -5 }}
+              />
+              <YAxis
+                stroke="#6b7280"
+                tick={{ fontSize: 12 }}
+                label={{ value: 'Profit ($)', angle: -90, position: 'insideLeft' }}
+              />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: '#fff',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+                }}
+                formatter={(value: number) => [`$${value.toFixed(2)}`, 'Profit']}
+              />
+              <Bar
+                dataKey="profit"
+                fill="#2563eb"
+                radius={[4, 4, 0, 0]}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
       {/* Detailed Results Table */}
       <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
         <h3 className="text-xl font-bold text-gray-900 mb-6">Detailed Trading Results</h3>
@@ -129,10 +198,10 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
                   Type
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Bid Price
+                  Bid Curve
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Quantity
+                  Awarded
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Status
@@ -152,7 +221,8 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
               {simulation.trades.map((trade) => (
                 <tr key={trade.id} className={trade.executed ? 'bg-green-50' : 'bg-red-50'}>
                   <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                    {trade.hour}:00
+                    {trade.hourLabel || formatHourEnding(trade.hour)}
+                    <div className="text-xs font-normal text-gray-500">{trade.locationName || trade.location || 'Hub average'}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={cn(
@@ -165,10 +235,24 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
                     </span>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    ${trade.price.toFixed(2)}
+                    <div>{formatBidCurve(trade.segments)}</div>
+                    <div className="flex gap-1 mt-1">
+                      {trade.segments.map((segment, index) => (
+                        <span
+                          key={index}
+                          title={`$${segment.price} × ${segment.quantity} MW${segment.awarded ? ' (awarded)' : ''}`}
+                          className={cn(
+                            'px-1 text-xs rounded',
+                            segment.awarded ? 'bg-green-200 text-green-900' : 'bg-gray-200 text-gray-600'
+                          )}
+                        >
+                          ${segment.price}
+                        </span>
+                      ))}
+                    </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {trade.quantity} MWh
+                    {trade.awardedQuantity ?? 0} / {trade.offeredQuantity ?? getCurveQuantity(trade.segments)} MW
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <span className={cn(
@@ -177,8 +261,14 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
                         ? 'bg-green-100 text-green-800' 
                         : 'bg-gray-100 text-gray-800'
                     )}>
-                      {trade.executed ? 'EXECUTED' : 'NOT EXECUTED'}
+                      {trade.executed ? 'EXECUTED' : (trade.excluded ? 'NOT SETTLED' : 'NOT EXECUTED')}
                     </span>
+                    {trade.excluded && trade.reason && (
+                      <div className="text-xs text-gray-500 mt-1 whitespace-normal">{trade.reason}</div>
+                    )}
+                    {trade.usesSyntheticData && (
+                      <div className="text-xs text-yellow-700 mt-1">Uses gap-filled prices</div>
+                    )}
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                     {trade.executed ? `$${trade.executionPrice?.toFixed(2)}` : '-'}
@@ -192,6 +282,21 @@ const SimulationResults: React.FC<SimulationResultsProps> = ({ simulation }) =>
                     )}>
                       {trade.executed ? `$${trade.profit.toFixed(2)}` : '$0.00'}
                     </span>
+                    {trade.intervals && trade.intervals.length > 0 && (
+                      <div className="flex gap-0.5 mt-1">
+                        {trade.intervals.map(interval => (
+                          <div
+                            key={interval.interval}
+                            title={`:${interval.startMinute.toString().padStart(2, '0')} • ${interval.quantity.toFixed(2)} MWh @ $${interval.realTimePrice.toFixed(2)} • $${interval.profit.toFixed(2)}${interval.dataQuality === 'fallback' ? ' (gap-filled)' : ''}`}
+                            className={cn(
+                              'w-2 h-3 rounded-sm',
+                              interval.profit >= 0 ? 'bg-green-500' : 'bg-red-500',
+                              interval.dataQuality === 'fallback' && 'opacity-40'
+                            )}
+                          />
+                        ))}
+                      </div>
+                    )}
                   </td>
                 </tr>
               ))}
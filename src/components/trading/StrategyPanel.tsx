@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { Bot, Play } from 'lucide-react';
+import type { StrategyDefinition, StrategyParamDefinition, StrategyParamValue } from '../../types/trading';
+import { useStrategies } from '../../hooks/useStrategies';
+import { useISOProfiles } from '../../hooks/useISOProfiles';
+import { useAppContext } from '../../contexts/AppContext';
+import { formatHourEndingList, parseHourEndingList } from '../../lib/marketUtils';
+
+interface StrategyPanelProps {
+  onRunStrategy: (strategyId: string, params: Record<string, StrategyParamValue>) => void;
+  isRunning: boolean;
+}
+
+const INPUT_CLASS = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all text-sm';
+
+// Params are edited as text and parsed when the strategy runs
+const getDefaultInputs = (strategy?: StrategyDefinition): Record<string, string> => {
+  const inputs: Record<string, string> = {};
+  strategy?.params.forEach(param => {
+    if (param.default === undefined) {
+      inputs[param.name] = '';
+    } else {
+      inputs[param.name] = Array.isArray(param.default) ? formatHourEndingList(param.default) : String(param.default);
+    }
+  });
+  return inputs;
+};
+
+const parseParam = (param: StrategyParamDefinition, input: string): { value?: StrategyParamValue; error?: string } => {
+  switch (param.type) {
+    case 'number': {
+      const value = Number(input);
+      if (input.trim() === '' || !Number.isFinite(value)) return { error: `${param.label} must be a number` };
+      if (param.integer && !Number.isInteger(value)) return { error: `${param.label} must be a whole number` };
+      if (param.min !== undefined && value < param.min) return { error: `${param.label} must be at least ${param.min}` };
+      if (param.max !== undefined && value > param.max) return { error: `${param.label} must be at most ${param.max}` };
+      return { value };
+    }
+    case 'hours': {
+      const value = parseHourEndingList(input);
+      return value ? { value } : { error: `${param.label} must list hour-endings 1-24, e.g. 7-22` };
+    }
+    default:
+      // Empty location means the hub average
+      return input ? { value: input } : {};
+  }
+};
+
+const StrategyPanel: React.FC<StrategyPanelProps> = ({ onRunStrategy, isRunning }) => {
+  const { selectedISO } = useAppContext();
+  const { strategies, isLoading } = useStrategies();
+  const { getProfile } = useISOProfiles();
+  const locations = getProfile(selectedISO)?.locations || [];
+
+  const [strategyId, setStrategyId] = useState<string>('');
+  const [inputs, setInputs] = useState<Record<string, string>>({});
+  const strategy = strategies.find(s => s.id === strategyId);
+
+  // Select the first strategy once the list loads
+  useEffect(() => {
+    if (!strategyId && strategies.length > 0) {
+      setStrategyId(strategies[0].id);
+    }
+  }, [strategies, strategyId]);
+
+  // Location ids differ by ISO, so start from the defaults when either selection changes
+  useEffect(() => {
+    setInputs(getDefaultInputs(strategy));
+  }, [strategy, selectedISO]);
+
+  const params: Record<string, StrategyParamValue> = {};
+  const errors: string[] = [];
+  strategy?.params.forEach(param => {
+    const { value, error } = parseParam(param, inputs[param.name] ?? '');
+    if (error) errors.push(error);
+    if (value !== undefined) params[param.name] = value;
+  });
+
+  const renderInput = (param: StrategyParamDefinition) => {
+    const value = inputs[param.name] ?? '';
+    const onChange = (next: string) => setInputs(prev => ({ ...prev, [param.name]: next }));
+
+    if (param.type === 'side') {
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={INPUT_CLASS}>
+          <option value="buy">Buy (DEC)</option>
+          <option value="sell">Sell (INC)</option>
+        </select>
+      );
+    }
+
+    if (param.type === 'location') {
+      return (
+        <select value={value} onChange={(e) => onChange(e.target.value)} className={INPUT_CLASS}>
+          <option value="">Hub average</option>
+          {locations.map(location => (
+            <option key={location.id} value={location.id}>{location.name}</option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        type={param.type === 'number' ? 'number' : 'text'}
+        value={value}
+        min={param.min}
+        max={param.max}
+        onChange={(e) => onChange(e.target.value)}
+        className={INPUT_CLASS}
+      />
+    );
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 border border-gray-100">
+      <div className="flex items-center space-x-2 mb-4">
+        <Bot className="w-5 h-5 text-blue-600" />
+        <h3 className="text-lg font-bold text-gray-900">Strategy Bids</h3>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading strategies...</p>
+      ) : strategies.length === 0 ? (
+        <p className="text-sm text-gray-500">No strategies available</p>
+      ) : (
+        <>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Strategy</label>
+          <select
+            value={strategyId}
+            onChange={(e) => setStrategyId(e.target.value)}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+          >
+            {strategies.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+          {strategy && (
+            <p className="text-xs text-gray-500 mt-1">
+              {strategy.description}
+              {strategy.lookbackDays > 0 && ` (uses up to ${strategy.lookbackDays} prior days)`}
+            </p>
+          )}
+
+          <div className="grid grid-cols-2 gap-3 mt-4">
+            {strategy?.params.map(param => (
+              <div key={param.name}>
+                <label className="block text-xs font-medium text-gray-600 mb-1">{param.label}</label>
+                {renderInput(param)}
+              </div>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <p className="text-xs text-red-600 mt-2">{errors[0]}</p>
+          )}
+
+          <button
+            onClick={() => strategy && onRunStrategy(strategy.id, params)}
+            disabled={!strategy || errors.length > 0 || isRunning}
+            className="w-full mt-4 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <Play className="w-4 h-4" />
+            <span>{isRunning ? 'Running Strategy...' : 'Generate Bids & Simulate'}</span>
+          </button>
+          <p className="text-xs text-gray-500 mt-2">Generated bids replace the current bid list</p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StrategyPanel;
@@ -1,11 +1,20 @@
 import React from 'react';
 import { Clock, AlertTriangle, Info, Globe } from 'lucide-react';
+import { useISOProfiles } from '../../hooks/useISOProfiles';
+import { zonedTimeToUtc } from '../../lib/marketUtils';
 
 interface TradingDeadlineNoticeProps {
   selectedDate: string;
+  selectedISO: string;
 }
 
-const TradingDeadlineNotice: React.FC<TradingDeadlineNoticeProps> = ({ selectedDate }) => {
+// Used until the ISO profiles load
+const DEFAULT_DEADLINE = { hour: 11, minute: 0 };
+
+const TradingDeadlineNotice: React.FC<TradingDeadlineNoticeProps> = ({ selectedDate, selectedISO }) => {
+  const { getProfile } = useISOProfiles();
+  const profile = getProfile(selectedISO);
+
   const getDeadlineStatus = () => {
     if (!selectedDate) return null;
     
@@ -13,9 +22,14 @@ const TradingDeadlineNotice: React.FC<TradingDeadlineNoticeProps> = ({ selectedD
     const now = new Date();
     const selectedDateObj = new Date(selectedDate + 'T00:00:00'); // Treat as local date
     
-    // Create deadline at 11:00 AM in local timezone
-    const deadline = new Date(selectedDateObj);
-    deadline.setHours(11, 0, 0, 0); // 11:00 AM local time
+    // ISO deadlines are set in market time; fall back to 11:00 AM local time without a profile
+    const { hour, minute } = profile?.daDeadline || DEFAULT_DEADLINE;
+    const deadline = profile
+      ? zonedTimeToUtc(selectedDate, hour, minute, profile.timezone)
+      : new Date(selectedDateObj);
+    if (!profile) {
+      deadline.setHours(hour, minute, 0, 0);
+    }
     
     const isToday = selectedDateObj.toDateString() === now.toDateString();
     const isFuture = selectedDateObj > now;
@@ -1,9 +1,15 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { format, subDays } from 'date-fns';
+import type { SettlementOptions } from '../types/market';
+import { DEFAULT_SETTLEMENT_OPTIONS } from '../lib/marketUtils';
 
 interface AppContextType {
   selectedDate: string;
   setSelectedDate: (date: string) => void;
+  selectedISO: string;
+  setSelectedISO: (iso: string) => void;
+  settlementOptions: SettlementOptions;
+  setSettlementOptions: (options: SettlementOptions) => void;
 }
 
 const AppContext = createContext<AppContextType | undefined>(undefined);
@@ -14,6 +20,8 @@ interface AppProviderProps {
 
 export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
   const [selectedDate, setSelectedDate] = useState<string>('');
+  const [selectedISO, setSelectedISO] = useState<string>('CAISO');
+  const [settlementOptions, setSettlementOptions] = useState<SettlementOptions>(DEFAULT_SETTLEMENT_OPTIONS);
 
   // Initialize with yesterday's date
   useEffect(() => {
@@ -23,9 +31,19 @@ export const AppProvider: React.FC<AppProviderProps> = ({ children }) => {
     }
   }, [selectedDate]);
 
+  // RT interval options differ by ISO, so switching ISO returns to its settlement interval
+  const selectISO = (iso: string) => {
+    setSelectedISO(iso);
+    setSettlementOptions(prev => ({ ...prev, rtIntervalMinutes: undefined }));
+  };
+
   const value = {
     selectedDate,
     setSelectedDate,
+    selectedISO,
+    setSelectedISO: selectISO,
+    settlementOptions,
+    setSettlementOptions,
   };
 
   return (
@@ -0,0 +1,14 @@
+import { useQuery } from '@tanstack/react-query';
+import { marketApi } from '../lib/api';
+import type { AncillaryServicesData } from '../types/market';
+
+export const useAncillaryData = (date: string, iso: string, enabled: boolean = true) => {
+  return useQuery<AncillaryServicesData>({
+    queryKey: ['ancillaryData', date, iso],
+    queryFn: () => marketApi.getAncillaryData(date, iso),
+    enabled: !!date && enabled,
+    staleTime: 30 * 60 * 1000, // 30 minutes - matches market data
+    gcTime: 60 * 60 * 1000, // 1 hour
+    retry: false, // AS prices are supplementary; a failed fetch should not hold up the dashboard
+  });
+};
@@ -0,0 +1,14 @@
+import { useQuery } from '@tanstack/react-query';
+import { marketApi } from '../lib/api';
+import type { FundamentalsData } from '../types/market';
+
+export const useFundamentalsData = (date: string, iso: string, enabled: boolean = true) => {
+  return useQuery<FundamentalsData>({
+    queryKey: ['fundamentalsData', date, iso],
+    queryFn: () => marketApi.getFundamentalsData(date, iso),
+    enabled: !!date && enabled,
+    staleTime: 30 * 60 * 1000, // 30 minutes - matches market data
+    gcTime: 60 * 60 * 1000, // 1 hour
+    retry: false, // Net load is an overlay; a failed fetch should not hold up the price chart
+  });
+};
@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query';
+import { marketApi } from '../lib/api';
+import type { ISOProfile } from '../types/market';
+
+export const useISOProfiles = () => {
+  const query = useQuery<ISOProfile[]>({
+    queryKey: ['isoProfiles'],
+    queryFn: marketApi.getISOProfiles,
+    staleTime: Infinity, // Profiles only change with a server deploy
+    gcTime: 24 * 60 * 60 * 1000, // 1 day
+    retry: false,
+  });
+
+  const getProfile = (iso: string) => query.data?.find(profile => profile.iso === iso);
+
+  return {
+    ...query,
+    profiles: query.data || [],
+    getProfile,
+  };
+};
@@ -1,11 +1,11 @@
 import { useQuery } from '@tanstack/react-query';
 import { marketApi } from '../lib/api';
-import type { MarketData } from '../types/market';
+import type { MarketData, MarketDataOptions } from '../types/market';
 
-export const useMarketData = (date: string) => {
+export const useMarketData = (date: string, iso: string, options?: MarketDataOptions) => {
   return useQuery<MarketData>({
-    queryKey: ['marketData', date],
-    queryFn: () => marketApi.getMarketData(date),
+    queryKey: ['marketData', date, iso, options?.gapFill, options?.rtIntervalMinutes],
+    queryFn: () => marketApi.getMarketData(date, iso, options),
     enabled: !!date,
     staleTime: 30 * 60 * 1000, // 30 minutes - longer to reduce API calls
     gcTime: 60 * 60 * 1000, // 1 hour - keep data longer in cache
@@ -2,11 +2,14 @@ import { useState, useEffect } from 'react';
 import { useQuery, useMutation } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { analysisApi } from '../lib/api';
-import type { PriceSpike, GridEvent, AIProvider, LLMConfig } from '../types/analysis';
+import type { PriceSpike, GridEvent, AIProvider, LLMConfig, GridEventsAssessment, AnalysisMode, CorrelationAnalysis } from '../types/analysis';
 
 export const useSpikeAnalysis = () => {
   const [spikes, setSpikes] = useState<PriceSpike[]>([]);
   const [gridEvents, setGridEvents] = useState<GridEvent[]>([]);
+  const [detectedFor, setDetectedFor] = useState<{ date: string; iso: string } | null>(null);
+  const [gridAssessment, setGridAssessment] = useState<GridEventsAssessment | null>(null);
+  const [correlation, setCorrelation] = useState<CorrelationAnalysis | null>(null);
   const [llmConfig, setLLMConfig] = useState<LLMConfig>({ provider: '', model: '' });
   const [showAISettings, setShowAISettings] = useState(false);
 
@@ -31,10 +34,14 @@ export const useSpikeAnalysis = () => {
 
   // Spike detection mutation with rate limit handling
   const spikeDetectionMutation = useMutation({
-    mutationFn: (date: string) => analysisApi.detectSpikes(date),
-    onSuccess: (result) => {
+    mutationFn: ({ date, iso, locations, method, analysisType }: { date: string; iso: string; locations?: string[]; method?: string; analysisType?: AnalysisMode }) =>
+      analysisApi.detectSpikes(date, iso, locations, method, analysisType),
+    onSuccess: (result, variables) => {
       setSpikes(result.spikes || []);
       setGridEvents(result.gridEvents || []);
+      setCorrelation(result.correlation);
+      setDetectedFor({ date: variables.date, iso: variables.iso });
+      setGridAssessment(null);
       toast.success(`Detected ${result.spikes?.length || 0} price spikes`);
     },
     onError: (error: any) => {
@@ -88,7 +95,33 @@ export const useSpikeAnalysis = () => {
     retry: false, // Don't auto-retry to avoid hitting rate limits
   });
 
-  const detectSpikes = (date: string) => {
+  // Whole-day AI assessment mutation
+  const gridEventsMutation = useMutation({
+    mutationFn: ({ date, iso, spikes }: { date: string; iso: string; spikes: PriceSpike[] }) =>
+      analysisApi.analyzeGridEvents(date, iso, spikes, llmConfig),
+    onSuccess: (result) => {
+      setGridAssessment(result);
+      toast.success(`Day assessment completed: ${result.gridEvents.length} grid events identified`);
+    },
+    onError: (error: Error & { response?: { status?: number; data?: { error?: string } } }) => {
+      console.error('Grid events analysis error:', error);
+      
+      const errorResponse = error?.response;
+      const status = errorResponse?.status;
+      const message = errorResponse?.data?.error || error.message || 'Day assessment failed';
+      
+      if (status === 401) {
+        toast.error('Invalid AI provider API key. Please check your configuration.');
+      } else if (status === 429) {
+        toast.error('AI provider rate limit exceeded. Please try again later.');
+      } else {
+        toast.error(`Day assessment failed: ${message}`);
+      }
+    },
+    retry: false, // Don't auto-retry to avoid hitting rate limits
+  });
+
+  const detectSpikes = (date: string, iso: string, locations?: string[], method?: string, analysisType?: AnalysisMode) => {
     if (!date) {
       toast.error('Please select a date for analysis');
       return;
@@ -100,7 +133,7 @@ export const useSpikeAnalysis = () => {
       return;
     }
     
-    spikeDetectionMutation.mutate(date);
+    spikeDetectionMutation.mutate({ date, iso, locations, method, analysisType });
   };
 
   const analyzeWithAI = (spike: PriceSpike) => {
@@ -116,29 +149,56 @@ export const useSpikeAnalysis = () => {
       return;
     }
 
+    // The date and ISO let the server add that day's load and fuel mix to the prompt
     const contextData = {
+      ...detectedFor,
       nearbySpikes: spikes.filter(s => 
         s.id !== spike.id && 
         Math.abs(new Date(s.timestamp).getTime() - new Date(spike.timestamp).getTime()) < 3600000
       ),
       gridEvents: gridEvents.filter(e =>
-        Math.abs(new Date(e.timestamp).getTime() - new Date(spike.timestamp).getTime()) < 1800000
+        e.timestamp && Math.abs(new Date(e.timestamp).getTime() - new Date(spike.timestamp).getTime()) < 1800000
       ),
     };
 
     aiAnalysisMutation.mutate({ spike, contextData });
   };
 
+  const assessDay = () => {
+    if (!llmConfig.provider || !llmConfig.model) {
+      toast.error('Please configure AI provider and model in settings');
+      setShowAISettings(true);
+      return;
+    }
+
+    if (!detectedFor || spikes.length === 0) {
+      toast.error('Detect spikes before assessing the day');
+      return;
+    }
+
+    if (gridEventsMutation.isPending) {
+      toast.error('Day assessment already in progress. Please wait.');
+      return;
+    }
+
+    gridEventsMutation.mutate({ ...detectedFor, spikes });
+  };
+
   return {
     spikes,
     gridEvents,
+    gridAssessment,
+    correlation,
+    detectedFor,
     availableProviders,
     llmConfig,
     isAnalyzing: spikeDetectionMutation.isPending || aiAnalysisMutation.isPending,
+    isAssessing: gridEventsMutation.isPending,
     showAISettings,
     setShowAISettings,
     setLLMConfig,
     detectSpikes,
     analyzeWithAI,
+    assessDay,
   };
 };
\ No newline at end of file
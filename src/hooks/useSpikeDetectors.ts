@@ -0,0 +1,18 @@
+import { useQuery } from '@tanstack/react-query';
+import { analysisApi } from '../lib/api';
+import type { SpikeDetector } from '../types/analysis';
+
+export const useSpikeDetectors = () => {
+  const query = useQuery<SpikeDetector[]>({
+    queryKey: ['spike-detectors'],
+    queryFn: analysisApi.getSpikeDetectors,
+    staleTime: Infinity, // Detectors only change with a server deploy
+    gcTime: 24 * 60 * 60 * 1000, // 1 day
+    retry: false,
+  });
+
+  return {
+    ...query,
+    detectors: query.data || [],
+  };
+};
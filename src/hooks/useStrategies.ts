@@ -0,0 +1,18 @@
+import { useQuery } from '@tanstack/react-query';
+import { tradingApi } from '../lib/api';
+import type { StrategyDefinition } from '../types/trading';
+
+export const useStrategies = () => {
+  const query = useQuery<StrategyDefinition[]>({
+    queryKey: ['strategies'],
+    queryFn: tradingApi.getStrategies,
+    staleTime: Infinity, // Strategies only change with a server deploy
+    gcTime: 24 * 60 * 60 * 1000, // 1 day
+    retry: false,
+  });
+
+  return {
+    ...query,
+    strategies: query.data || [],
+  };
+};
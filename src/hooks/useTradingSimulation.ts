@@ -2,8 +2,10 @@ import { useState } from 'react';
 import { useMutation } from '@tanstack/react-query';
 import { toast } from 'react-hot-toast';
 import { tradingApi } from '../lib/api';
-import type { Bid, SimulationResult } from '../types/trading';
+import type { Bid, SimulationResult, StrategyParamValue } from '../types/trading';
+import type { SettlementOptions } from '../types/market';
 import { generateBidId } from '../lib/utils';
+import { MAX_BID_SEGMENTS } from '../lib/marketUtils';
 
 export const useTradingSimulation = () => {
   const [bids, setBids] = useState<Bid[]>([]);
@@ -12,8 +14,8 @@ export const useTradingSimulation = () => {
   const [selectedHour, setSelectedHour] = useState<number>(0);
 
   const simulationMutation = useMutation({
-    mutationFn: ({ bids, date }: { bids: Bid[]; date: string }) =>
-      tradingApi.simulateTrades(bids, date),
+    mutationFn: ({ bids, date, iso, settlement }: { bids: Bid[]; date: string; iso: string; settlement?: SettlementOptions }) =>
+      tradingApi.simulateTrades(bids, date, iso, settlement),
     onSuccess: (result) => {
       setSimulation(result);
       setError(null);
@@ -39,10 +41,46 @@ export const useTradingSimulation = () => {
     retry: false, // Don't auto-retry to avoid hitting rate limits
   });
 
+  // Strategy runs replace the bid list with the generated bids and their simulation
+  const strategyMutation = useMutation({
+    mutationFn: ({ strategyId, params, date, iso, settlement }: {
+      strategyId: string;
+      params: Record<string, StrategyParamValue>;
+      date: string;
+      iso: string;
+      settlement?: SettlementOptions;
+    }) => tradingApi.runStrategy(strategyId, params, date, iso, settlement),
+    onSuccess: (result) => {
+      setBids(result.bids);
+      setSimulation(result.bids.length > 0 ? result.simulation : null);
+      setError(null);
+
+      if (result.bids.length === 0) {
+        toast('Strategy generated no bids for this day');
+      } else {
+        toast.success(`Strategy generated ${result.bids.length} bid curves`);
+      }
+    },
+    onError: (error) => {
+      setError(error);
+      setSimulation(null);
+
+      const message = (error as { response?: { data?: { error?: string } } }).response?.data?.error || 'Strategy run failed. Please try again.';
+      toast.error(message);
+      console.error('Strategy run error:', error);
+    },
+    retry: false,
+  });
+
+  // Each hour holds at most one buy curve and one sell curve per location
   const addBid = (bidData: Omit<Bid, 'id'>) => {
-    const hourBids = bids.filter(bid => bid.hour === bidData.hour);
-    if (hourBids.length >= 10) {
-      toast.error('Maximum 10 bids per hour allowed');
+    if (bids.some(bid => bid.hour === bidData.hour && bid.type === bidData.type && bid.location === bidData.location)) {
+      toast.error(`A ${bidData.type} curve already exists for this hour and location - edit it instead`);
+      return;
+    }
+
+    if (bidData.segments.length > MAX_BID_SEGMENTS) {
+      toast.error(`Maximum ${MAX_BID_SEGMENTS} segments per bid curve allowed`);
       return;
     }
 
@@ -52,7 +90,7 @@ export const useTradingSimulation = () => {
     };
 
     setBids(prev => [...prev, newBid]);
-    toast.success('Bid added successfully');
+    toast.success('Bid curve added successfully');
   };
 
   const updateBid = (id: string, updates: Partial<Bid>) => {
@@ -63,10 +101,10 @@ export const useTradingSimulation = () => {
 
   const removeBid = (id: string) => {
     setBids(prev => prev.filter(bid => bid.id !== id));
-    toast.success('Bid removed');
+    toast.success('Bid curve removed');
   };
 
-  const runSimulation = (date: string) => {
+  const runSimulation = (date: string, iso: string, settlement?: SettlementOptions) => {
     if (bids.length === 0) {
       toast.error('Please add at least one bid to simulate');
       return;
@@ -85,7 +123,28 @@ export const useTradingSimulation = () => {
 
     // Clear previous error when starting new simulation
     setError(null);
-    simulationMutation.mutate({ bids, date });
+    simulationMutation.mutate({ bids, date, iso, settlement });
+  };
+
+  const runStrategy = (
+    strategyId: string,
+    params: Record<string, StrategyParamValue>,
+    date: string,
+    iso: string,
+    settlement?: SettlementOptions
+  ) => {
+    if (!date) {
+      toast.error('Please select a date for the strategy run');
+      return;
+    }
+
+    if (simulationMutation.isPending || strategyMutation.isPending) {
+      toast.error('Simulation already in progress. Please wait.');
+      return;
+    }
+
+    setError(null);
+    strategyMutation.mutate({ strategyId, params, date, iso, settlement });
   };
 
   return {
@@ -94,10 +153,12 @@ export const useTradingSimulation = () => {
     error,
     selectedHour,
     setSelectedHour,
-    isSimulating: simulationMutation.isPending,
+    isSimulating: simulationMutation.isPending || strategyMutation.isPending,
+    isRunningStrategy: strategyMutation.isPending,
     addBid,
     updateBid,
     removeBid,
     runSimulation,
+    runStrategy,
   };
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
-import type { MarketData } from '../types/market';
-import type { Bid, SimulationResult } from '../types/trading';
-import type { PriceSpike, GridEvent, AIProvider, LLMConfig } from '../types/analysis';
+import type { MarketData, MarketDataOptions, ISOProfile, SettlementOptions, AncillaryServicesData, FundamentalsData } from '../types/market';
+import type { Bid, SimulationResult, StrategyDefinition, StrategyRunResult, StrategyParamValue } from '../types/trading';
+import type { PriceSpike, GridEvent, AIProvider, LLMConfig, GridEventsAssessment, SpikeDetector, AnalysisMode, CorrelationAnalysis } from '../types/analysis';
+import { DEFAULT_SETTLEMENT_OPTIONS } from './marketUtils';
 
 // Determine API base URL based on environment
 const getApiBaseUrl = () => {
@@ -97,46 +98,110 @@ class ApiClient {
     }
   }
 
+  private buildMarketQuery(iso: string, { gapFill, rtIntervalMinutes }: MarketDataOptions): string {
+    const query = `iso=${iso}&gapFill=${gapFill}`;
+    return rtIntervalMinutes ? `${query}&rtInterval=${rtIntervalMinutes}` : query;
+  }
+
   // Market API
-  async getMarketData(date: string): Promise<MarketData> {
-    const response = await this.request<{ data: MarketData; source: string; metadata?: any }>(`/market/data/${date}`);
+  async getMarketData(date: string, iso: string, options: MarketDataOptions = DEFAULT_SETTLEMENT_OPTIONS): Promise<MarketData> {
+    const response = await this.request<{ data: MarketData; source: string; metadata?: any }>(`/market/data/${date}?${this.buildMarketQuery(iso, options)}`);
+    return response.data;
+  }
+
+  async getAncillaryData(date: string, iso: string): Promise<AncillaryServicesData> {
+    const response = await this.request<{ data: AncillaryServicesData; source: string }>(`/market/ancillary/${date}?iso=${iso}`);
+    return response.data;
+  }
+
+  async getFundamentalsData(date: string, iso: string): Promise<FundamentalsData> {
+    const response = await this.request<{ data: FundamentalsData; source: string }>(`/market/fundamentals/${date}?iso=${iso}`);
     return response.data;
   }
 
-  async getAvailableDatasets(): Promise<any[]> {
-    const response = await this.request<{ datasets: any[] }>('/market/datasets');
+  async getISOProfiles(): Promise<ISOProfile[]> {
+    const response = await this.request<{ isos: ISOProfile[] }>('/market/isos');
+    return response.isos;
+  }
+
+  async getAvailableDatasets(iso: string): Promise<any[]> {
+    const response = await this.request<{ datasets: any[] }>(`/market/datasets?iso=${iso}`);
     return response.datasets;
   }
 
   // Trading API
-  async simulateTrades(bids: Bid[], date: string): Promise<SimulationResult> {
-    const response = await this.request<{ simulation: SimulationResult }>('/trading/simulate', {
+  async simulateTrades(bids: Bid[], date: string, iso: string, settlement: SettlementOptions = DEFAULT_SETTLEMENT_OPTIONS): Promise<SimulationResult> {
+    const query = `${this.buildMarketQuery(iso, settlement)}&requireActualData=${settlement.requireActualData}`;
+    const response = await this.request<{ simulation: SimulationResult }>(`/trading/simulate?${query}`, {
       method: 'POST',
       body: JSON.stringify({ bids, date }),
     });
     return response.simulation;
   }
 
+  async getStrategies(): Promise<StrategyDefinition[]> {
+    const response = await this.request<{ strategies: StrategyDefinition[] }>('/trading/strategies');
+    return response.strategies;
+  }
+
+  async runStrategy(
+    strategyId: string,
+    params: Record<string, StrategyParamValue>,
+    date: string,
+    iso: string,
+    settlement: SettlementOptions = DEFAULT_SETTLEMENT_OPTIONS
+  ): Promise<StrategyRunResult> {
+    const query = `${this.buildMarketQuery(iso, settlement)}&requireActualData=${settlement.requireActualData}`;
+    const response = await this.request<StrategyRunResult>(`/trading/strategies/${strategyId}/run?${query}`, {
+      method: 'POST',
+      body: JSON.stringify({ date, params }),
+    });
+    return { bids: response.bids, simulation: response.simulation };
+  }
+
   // Analysis API
   async getAIProviders(): Promise<Record<string, AIProvider>> {
     const response = await this.request<{ providers: Record<string, AIProvider> }>('/analysis/ai-providers');
     return response.providers;
   }
 
-  async detectSpikes(date: string): Promise<{ spikes: PriceSpike[]; gridEvents: GridEvent[] }> {
-    const response = await this.request<{ spikes: PriceSpike[]; gridEvents: GridEvent[] }>(`/analysis/spikes/${date}`, {
+  async getSpikeDetectors(): Promise<SpikeDetector[]> {
+    const response = await this.request<{ detectors: SpikeDetector[] }>('/analysis/detectors');
+    return response.detectors;
+  }
+
+  async detectSpikes(
+    date: string,
+    iso: string,
+    locations: string[] = [],
+    method?: string,
+    analysisType: AnalysisMode = 'detection'
+  ): Promise<{ spikes: PriceSpike[]; gridEvents: GridEvent[]; correlation: CorrelationAnalysis | null }> {
+    // No selection means the ISO's default locations
+    const query = locations.length > 0 ? `iso=${iso}&locations=${encodeURIComponent(locations.join(','))}` : `iso=${iso}`;
+    const response = await this.request<{ spikes: PriceSpike[]; gridEvents: GridEvent[]; correlation?: CorrelationAnalysis }>(`/analysis/spikes/${date}?${query}`, {
       method: 'POST',
       body: JSON.stringify({
-        analysisType: 'detection',
-        thresholds: {
-          minMagnitude: 0,
-          minDuration: 0,
-          spatialRadius: 0,
-          zScoreThreshold: 0
-        },
+        analysisType,
+        // Thresholds are left to the server, whose defaults depend on the detection method
+        thresholds: method ? { method } : {},
       }),
     });
-    return { spikes: response.spikes || [], gridEvents: response.gridEvents || [] };
+    return { spikes: response.spikes || [], gridEvents: response.gridEvents || [], correlation: response.correlation || null };
+  }
+
+  async analyzeGridEvents(date: string, iso: string, spikes: PriceSpike[], llmConfig: LLMConfig): Promise<GridEventsAssessment> {
+    const response = await this.request<GridEventsAssessment>(`/analysis/grid-events/${date}?iso=${iso}`, {
+      method: 'POST',
+      body: JSON.stringify({ spikes, llmConfig }),
+    });
+    return {
+      date: response.date,
+      iso: response.iso,
+      spikesAssessed: response.spikesAssessed,
+      gridEvents: response.gridEvents || [],
+      systemAssessment: response.systemAssessment,
+    };
   }
 
   async analyzeWithAI(spike: PriceSpike, contextData: any, llmConfig: LLMConfig): Promise<any> {
@@ -155,19 +220,30 @@ class ApiClient {
 const apiClient = new ApiClient();
 
 export const marketApi = {
-  getMarketData: (date: string) => apiClient.getMarketData(date),
-  getAvailableDatasets: () => apiClient.getAvailableDatasets(),
+  getMarketData: (date: string, iso: string, options?: MarketDataOptions) => apiClient.getMarketData(date, iso, options),
+  getAncillaryData: (date: string, iso: string) => apiClient.getAncillaryData(date, iso),
+  getFundamentalsData: (date: string, iso: string) => apiClient.getFundamentalsData(date, iso),
+  getISOProfiles: () => apiClient.getISOProfiles(),
+  getAvailableDatasets: (iso: string) => apiClient.getAvailableDatasets(iso),
 };
 
 export const tradingApi = {
-  simulateTrades: (bids: Bid[], date: string) => apiClient.simulateTrades(bids, date),
+  simulateTrades: (bids: Bid[], date: string, iso: string, settlement?: SettlementOptions) =>
+    apiClient.simulateTrades(bids, date, iso, settlement),
+  getStrategies: () => apiClient.getStrategies(),
+  runStrategy: (strategyId: string, params: Record<string, StrategyParamValue>, date: string, iso: string, settlement?: SettlementOptions) =>
+    apiClient.runStrategy(strategyId, params, date, iso, settlement),
 };
 
 export const analysisApi = {
   getAIProviders: () => apiClient.getAIProviders(),
-  detectSpikes: (date: string) => apiClient.detectSpikes(date),
+  getSpikeDetectors: () => apiClient.getSpikeDetectors(),
+  detectSpikes: (date: string, iso: string, locations?: string[], method?: string, analysisType?: AnalysisMode) =>
+    apiClient.detectSpikes(date, iso, locations, method, analysisType),
   analyzeWithAI: (spike: PriceSpike, contextData: any, llmConfig: LLMConfig) => 
     apiClient.analyzeWithAI(spike, contextData, llmConfig),
+  analyzeGridEvents: (date: string, iso: string, spikes: PriceSpike[], llmConfig: LLMConfig) =>
+    apiClient.analyzeGridEvents(date, iso, spikes, llmConfig),
 };
 
 export default apiClient;
\ No newline at end of file
@@ -1,4 +1,5 @@
-import type { MarketData, MarketPrice, HourlyRealTimeData } from '../types/market';
+import type { MarketData, MarketPrice, HourlyRealTimeData, PriceComponents, PriceLimits, SettlementOptions } from '../types/market';
+import type { Bid, BidSegment } from '../types/trading';
 
 export interface MarketStats {
   avgDayAhead: number;
@@ -10,11 +11,24 @@ export interface MarketStats {
 
 export interface ChartDataPoint {
   hour: number;
+  label: string;
   dayAhead: number;
   realTimeAvg: number;
   spread: number;
 }
 
+// Stacked LMP components per hour; a market's fields are missing when its hour has no component data
+export interface ComponentChartDataPoint {
+  hour: number;
+  label: string;
+  daEnergy?: number;
+  daCongestion?: number;
+  daLoss?: number;
+  rtEnergy?: number;
+  rtCongestion?: number;
+  rtLoss?: number;
+}
+
 /**
  * Calculate market statistics from price data
  * All calculations use the data as-is (already processed in Pacific Time on server)
@@ -62,6 +76,7 @@ export function prepareChartData(marketData: MarketData): ChartDataPoint[] {
     
     return {
       hour: da.hour,
+      label: da.hourLabel || formatHourEnding(da.hour),
       dayAhead: Math.round(da.price * 100) / 100,
       realTimeAvg: Math.round(avgRtPrice * 100) / 100,
       spread: Math.round((avgRtPrice - da.price) * 100) / 100,
@@ -69,6 +84,55 @@ export function prepareChartData(marketData: MarketData): ChartDataPoint[] {
   });
 }
 
+/**
+ * Average an RT hour's interval components
+ * Returns null unless every interval carries components, so the stack adds up to the hour's average price
+ */
+function averageIntervalComponents(rtHour: HourlyRealTimeData | undefined): PriceComponents | null {
+  if (!rtHour || rtHour.prices.length === 0 || rtHour.prices.some(p => !p.components)) {
+    return null;
+  }
+
+  const sum = (key: keyof PriceComponents) =>
+    rtHour.prices.reduce((total, p) => total + (p.components?.[key] ?? 0), 0) / rtHour.prices.length;
+
+  return { energy: sum('energy'), congestion: sum('congestion'), loss: sum('loss') };
+}
+
+/**
+ * Whether any hour of the market data carries LMP components
+ */
+export function hasPriceComponents(marketData: MarketData): boolean {
+  return marketData.dayAheadPrices.some(p => p.components) ||
+    marketData.realTimePrices.some(rt => rt.prices.some(p => p.components));
+}
+
+/**
+ * Prepare stacked energy/congestion/loss chart data for day-ahead and real-time prices
+ */
+export function prepareComponentChartData(marketData: MarketData): ComponentChartDataPoint[] {
+  const round = (value: number) => Math.round(value * 100) / 100;
+
+  return marketData.dayAheadPrices.map(da => {
+    const rtComponents = averageIntervalComponents(marketData.realTimePrices.find(rt => rt.hour === da.hour));
+
+    return {
+      hour: da.hour,
+      label: da.hourLabel || formatHourEnding(da.hour),
+      ...(da.components && {
+        daEnergy: round(da.components.energy),
+        daCongestion: round(da.components.congestion),
+        daLoss: round(da.components.loss),
+      }),
+      ...(rtComponents && {
+        rtEnergy: round(rtComponents.energy),
+        rtCongestion: round(rtComponents.congestion),
+        rtLoss: round(rtComponents.loss),
+      }),
+    };
+  });
+}
+
 /**
  * Format hour for display in local timezone
  * @param hour - Hour number (0-23) from Pacific Time data
@@ -118,4 +182,231 @@ export function formatDateForDisplay(dateString: string): string {
   } catch {
     return dateString;
   }
-}
\ No newline at end of file
+}
+/**
+ * Offset in milliseconds between a timezone's wall clock and UTC at a given instant
+ */
+function getTimeZoneOffsetMs(instant: Date, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const value = (type: string) => Number(parts.find(part => part.type === type)?.value);
+  const wallClockAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return wallClockAsUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a market timezone to an absolute Date
+ * Used for ISO deadlines, which are published in local market time
+ * @param dateString - Date in YYYY-MM-DD format
+ * @param hour - Hour in market time (0-23)
+ * @param minute - Minute in market time
+ * @param timeZone - IANA timezone of the market
+ */
+export function zonedTimeToUtc(dateString: string, hour: number, minute: number, timeZone: string): Date {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const utcGuess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getTimeZoneOffsetMs(new Date(utcGuess), timeZone);
+
+  return new Date(utcGuess - offset);
+}
+
+/**
+ * Default gap filling and settlement, matching the server defaults
+ */
+export const DEFAULT_SETTLEMENT_OPTIONS: SettlementOptions = { gapFill: 'linear', requireActualData: false };
+
+/**
+ * CAISO bid floor and cap, used until the ISO profiles load
+ */
+export const DEFAULT_PRICE_LIMITS: PriceLimits = { floor: -150, cap: 2000 };
+
+/**
+ * Check a bid price against the market's bid floor and cap
+ */
+export function isWithinPriceLimits(price: number, limits: PriceLimits = DEFAULT_PRICE_LIMITS): boolean {
+  return price >= limits.floor && price <= limits.cap;
+}
+
+/**
+ * DA/RT series a bid settles against: its own pricing node, or the hub average
+ */
+export function getLocationPrices(
+  marketData: MarketData | undefined,
+  location?: string
+): Pick<MarketData, 'dayAheadPrices' | 'realTimePrices'> | undefined {
+  if (!marketData) return undefined;
+  return (location && marketData.locations?.[location]) || marketData;
+}
+
+/**
+ * Maximum price/MW segments in one bid curve, matching the server limit
+ */
+export const MAX_BID_SEGMENTS = 10;
+
+/**
+ * Total MW offered on a bid curve
+ */
+export function getCurveQuantity(segments: BidSegment[]): number {
+  return segments.reduce((sum, segment) => sum + segment.quantity, 0);
+}
+
+/**
+ * MW a bid curve would be awarded at a DA price
+ * Buy segments clear at or above the price, sell segments at or below it
+ */
+export function getAwardedQuantity(bid: Pick<Bid, 'type' | 'segments'>, daPrice: number): number {
+  return bid.segments
+    .filter(segment => (bid.type === 'buy' ? segment.price >= daPrice : segment.price <= daPrice))
+    .reduce((sum, segment) => sum + segment.quantity, 0);
+}
+
+/**
+ * Check a bid curve against the segment limit, price limits and monotonicity
+ * Mirrors the server validation so the editor can flag problems before submitting
+ */
+export function getBidCurveErrors(bid: Pick<Bid, 'type' | 'segments'>, limits: PriceLimits = DEFAULT_PRICE_LIMITS): string[] {
+  const errors: string[] = [];
+
+  if (bid.segments.length === 0) {
+    return ['Add at least one segment'];
+  }
+
+  if (bid.segments.length > MAX_BID_SEGMENTS) {
+    errors.push(`A bid curve can have at most ${MAX_BID_SEGMENTS} segments`);
+  }
+
+  bid.segments.forEach((segment, index) => {
+    if (!isWithinPriceLimits(segment.price, limits)) {
+      errors.push(`Segment ${index + 1}: price must be between $${limits.floor} and $${limits.cap}/MWh`);
+    }
+    if (!(segment.quantity > 0)) {
+      errors.push(`Segment ${index + 1}: quantity must be greater than 0 MW`);
+    }
+
+    const previous = bid.segments[index - 1];
+    if (previous && bid.type === 'buy' && segment.price >= previous.price) {
+      errors.push(`Segment ${index + 1}: buy curve prices must decrease ($${segment.price} is not below $${previous.price})`);
+    } else if (previous && bid.type === 'sell' && segment.price <= previous.price) {
+      errors.push(`Segment ${index + 1}: sell curve prices must increase ($${segment.price} is not above $${previous.price})`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Cumulative MW/price points for drawing a bid curve as a step chart
+ * Each segment contributes a point at its start and end MW
+ */
+export function getBidCurveSteps(segments: BidSegment[]): Array<{ mw: number; price: number }> {
+  let cumulative = 0;
+
+  return segments.flatMap(segment => {
+    const start = cumulative;
+    cumulative += segment.quantity;
+    return [
+      { mw: start, price: segment.price },
+      { mw: cumulative, price: segment.price },
+    ];
+  });
+}
+
+/**
+ * Short description of a bid curve, e.g. "$60 → $40 • 12 MW"
+ */
+export function formatBidCurve(segments: BidSegment[]): string {
+  if (segments.length === 0) return 'Empty curve';
+
+  const first = segments[0].price;
+  const last = segments[segments.length - 1].price;
+  const prices = segments.length > 1 ? `$${first} → $${last}` : `$${first}`;
+
+  return `${prices} • ${getCurveQuantity(segments)} MW`;
+}
+
+export interface OperatingHour {
+  hour: number; // 0-based index within the operating day
+  label: string; // Hour-ending label in market time
+  localTime?: string; // Hour start in the user's timezone
+}
+
+/**
+ * Hour-ending label for an hour index on a regular 24-hour day
+ */
+export function formatHourEnding(hour: number): string {
+  return `HE${hour + 1}`;
+}
+
+/**
+ * List the hours of the operating day, which has 23 or 25 hours on DST days
+ * Falls back to a regular 24-hour day until market data loads
+ */
+export function getOperatingHours(marketData?: MarketData): OperatingHour[] {
+  if (marketData?.dayAheadPrices.length) {
+    return marketData.dayAheadPrices.map(price => ({
+      hour: price.hour,
+      label: price.hourLabel || formatHourEnding(price.hour),
+      localTime: price.localTime
+    }));
+  }
+
+  return Array.from({ length: 24 }, (_, hour) => ({ hour, label: formatHourEnding(hour) }));
+}
+
+/**
+ * Hour-ending label for an hour index, using the day's DST-aware layout when available
+ */
+export function getHourLabel(hour: number, marketData?: MarketData): string {
+  return marketData?.dayAheadPrices.find(price => price.hour === hour)?.hourLabel || formatHourEnding(hour);
+}
+
+/**
+ * Compact hour-ending list for strategy params, e.g. [7, 8, 9, 17] -> "7-9, 17"
+ */
+export function formatHourEndingList(hourEndings: number[]): string {
+  const sorted = [...new Set(hourEndings)].sort((a, b) => a - b);
+  const ranges: string[] = [];
+
+  sorted.forEach((hourEnding, index) => {
+    const start = index === 0 || sorted[index - 1] !== hourEnding - 1;
+    if (start) {
+      ranges.push(String(hourEnding));
+    } else {
+      ranges[ranges.length - 1] = `${ranges[ranges.length - 1].split('-')[0]}-${hourEnding}`;
+    }
+  });
+
+  return ranges.join(', ');
+}
+
+/**
+ * Parse an hour-ending list such as "7-9, 17"; returns null when any entry is not an hour-ending (1-24)
+ */
+export function parseHourEndingList(text: string): number[] | null {
+  const hourEndings: number[] = [];
+
+  for (const part of text.split(',').map(p => p.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    if (!match) return null;
+
+    const start = Number(match[1]);
+    const end = Number(match[2] ?? match[1]);
+    if (start < 1 || end > 24 || start > end) return null;
+
+    for (let hourEnding = start; hourEnding <= end; hourEnding++) {
+      hourEndings.push(hourEnding);
+    }
+  }
+
+  return hourEndings.length > 0 ? [...new Set(hourEndings)] : null;
+}
@@ -1,33 +1,53 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import DateSelector from '../components/common/DateSelector';
+import ISOSelector from '../components/common/ISOSelector';
 import SpikeDetectionPanel from '../components/analysis/SpikeDetectionPanel';
 import AISettingsPanel from '../components/analysis/AISettingsPanel';
 import AnalysisResults from '../components/analysis/AnalysisResults';
 import SpatialAnalysisChart from '../components/analysis/SpatialAnalysisChart';
 import TemporalAnalysisChart from '../components/analysis/TemporalAnalysisChart';
+import CorrelationAnalysisPanel from '../components/analysis/CorrelationAnalysisPanel';
 import { useSpikeAnalysis } from '../hooks/useSpikeAnalysis';
+import { useISOProfiles } from '../hooks/useISOProfiles';
+import { useSpikeDetectors } from '../hooks/useSpikeDetectors';
+import type { AnalysisMode } from '../types/analysis';
 
 const Analysis: React.FC = () => {
-  const { selectedDate, setSelectedDate } = useAppContext();
-  const [analysisMode, setAnalysisMode] = useState<'detection' | 'correlation' | 'prediction'>('detection');
+  const { selectedDate, setSelectedDate, selectedISO, setSelectedISO } = useAppContext();
+  const [analysisMode, setAnalysisMode] = useState<AnalysisMode>('detection');
+  const [selectedLocations, setSelectedLocations] = useState<string[]>([]);
+  const [detectionMethod, setDetectionMethod] = useState('zscore');
+  const { detectors } = useSpikeDetectors();
+  const { getProfile } = useISOProfiles();
+  const profile = getProfile(selectedISO);
+
+  // Locations differ by ISO, so start from the ISO's defaults
+  useEffect(() => {
+    setSelectedLocations(profile?.hubs.map(hub => hub.id) || []);
+  }, [profile]);
   
   const {
     spikes,
     gridEvents,
+    gridAssessment,
+    correlation,
+    detectedFor,
     availableProviders,
     llmConfig,
     isAnalyzing,
+    isAssessing,
     showAISettings,
     setShowAISettings,
     setLLMConfig,
     detectSpikes,
     analyzeWithAI,
+    assessDay,
   } = useSpikeAnalysis();
 
   const handleDetectSpikes = () => {
     if (selectedDate) {
-      detectSpikes(selectedDate);
+      detectSpikes(selectedDate, selectedISO, selectedLocations, detectionMethod, analysisMode);
     }
   };
 
@@ -39,15 +59,21 @@ const Analysis: React.FC = () => {
           <div>
             <h2 className="text-2xl font-bold text-gray-900 mb-2">Grid Analysis Dashboard</h2>
             <p className="text-gray-600">
-              Detect price spikes and analyze grid anomalies using real CAISO market data with AI-powered insights
+              Detect price spikes and analyze grid anomalies using real {selectedISO} market data with AI-powered insights
             </p>
           </div>
           
-          <DateSelector
-            selectedDate={selectedDate}
-            onDateSelect={setSelectedDate}
-            label="Analysis Date"
-          />
+          <div className="flex flex-col sm:flex-row gap-4">
+            <ISOSelector
+              selectedISO={selectedISO}
+              onISOSelect={setSelectedISO}
+            />
+            <DateSelector
+              selectedDate={selectedDate}
+              onDateSelect={setSelectedDate}
+              label="Analysis Date"
+            />
+          </div>
         </div>
       </div>
 
@@ -57,6 +83,12 @@ const Analysis: React.FC = () => {
         onAnalysisModeChange={setAnalysisMode}
         onDetectSpikes={handleDetectSpikes}
         isLoading={isAnalyzing}
+        locations={profile?.locations || []}
+        selectedLocations={selectedLocations}
+        onSelectedLocationsChange={setSelectedLocations}
+        detectors={detectors}
+        detectionMethod={detectionMethod}
+        onDetectionMethodChange={setDetectionMethod}
       />
 
       {/* AI Settings Panel */}
@@ -70,20 +102,26 @@ const Analysis: React.FC = () => {
         />
       </div>
 
+      {/* Correlation results can exist on a day without spikes */}
+      {correlation && <CorrelationAnalysisPanel correlation={correlation} />}
+
       {/* Analysis Results */}
       {spikes.length > 0 && (
         <>
           <AnalysisResults
             spikes={spikes}
             gridEvents={gridEvents}
+            gridAssessment={gridAssessment}
             onAnalyzeSpike={analyzeWithAI}
+            onAssessDay={assessDay}
             isAnalyzing={isAnalyzing}
+            isAssessing={isAssessing}
             llmConfig={llmConfig}
           />
           
           <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
             <TemporalAnalysisChart spikes={spikes} />
-            <SpatialAnalysisChart spikes={spikes} />
+            <SpatialAnalysisChart spikes={spikes} iso={detectedFor?.iso} />
           </div>
         </>
       )}
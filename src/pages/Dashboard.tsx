@@ -1,17 +1,23 @@
 import React from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import DateSelector from '../components/common/DateSelector';
+import ISOSelector from '../components/common/ISOSelector';
 import MarketDataChart from '../components/dashboard/MarketDataChart';
 import MarketStatsGrid from '../components/dashboard/MarketStatsGrid';
 import MarketInsights from '../components/dashboard/MarketInsights';
+import AncillaryServicesPanel from '../components/dashboard/AncillaryServicesPanel';
 import DataQualityIndicator from '../components/dashboard/DataQualityIndicator';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
 import ErrorMessage from '../components/ui/ErrorMessage';
 import { useMarketData } from '../hooks/useMarketData';
+import { useFundamentalsData } from '../hooks/useFundamentalsData';
+import { useISOProfiles } from '../hooks/useISOProfiles';
 
 const Dashboard: React.FC = () => {
-  const { selectedDate, setSelectedDate } = useAppContext();
-  const { data: marketData, isLoading, error, refetch } = useMarketData(selectedDate);
+  const { selectedDate, setSelectedDate, selectedISO, setSelectedISO, settlementOptions } = useAppContext();
+  const { data: marketData, isLoading, error, refetch } = useMarketData(selectedDate, selectedISO, settlementOptions);
+  const { getProfile } = useISOProfiles();
+  const { data: fundamentals } = useFundamentalsData(selectedDate, selectedISO, getProfile(selectedISO)?.hasFundamentals ?? false);
 
   // Extract error details for better error handling
   const getErrorDetails = () => {
@@ -34,15 +40,21 @@ const Dashboard: React.FC = () => {
           <div>
             <h2 className="text-2xl font-bold text-gray-900 mb-2">Market Data Dashboard</h2>
             <p className="text-gray-600">
-              Real historical CAISO energy market prices from GridStatus API
+              Real historical {selectedISO} energy market prices from GridStatus API
             </p>
           </div>
           
-          <DateSelector
-            selectedDate={selectedDate}
-            onDateSelect={setSelectedDate}
-            label="Select Date"
-          />
+          <div className="flex flex-col sm:flex-row gap-4">
+            <ISOSelector
+              selectedISO={selectedISO}
+              onISOSelect={setSelectedISO}
+            />
+            <DateSelector
+              selectedDate={selectedDate}
+              onDateSelect={setSelectedDate}
+              label="Select Date"
+            />
+          </div>
         </div>
       </div>
 
@@ -68,7 +80,8 @@ const Dashboard: React.FC = () => {
         <>
           <DataQualityIndicator marketData={marketData} selectedDate={selectedDate} />
           <MarketStatsGrid marketData={marketData} />
-          <MarketDataChart marketData={marketData} />
+          <MarketDataChart marketData={marketData} fundamentals={fundamentals} />
+          <AncillaryServicesPanel marketData={marketData} date={selectedDate} iso={selectedISO} />
           <MarketInsights marketData={marketData} />
         </>
       )}
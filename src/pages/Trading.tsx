@@ -1,20 +1,35 @@
 import React from 'react';
 import { useAppContext } from '../contexts/AppContext';
 import DateSelector from '../components/common/DateSelector';
+import ISOSelector from '../components/common/ISOSelector';
 import BidPlacementForm from '../components/trading/BidPlacementForm';
 import BidSummary from '../components/trading/BidSummary';
 import SimulationResults from '../components/trading/SimulationResults';
 import TradingDeadlineNotice from '../components/trading/TradingDeadlineNotice';
 import MarketPriceDisplay from '../components/trading/MarketPriceDisplay';
+import SettlementOptionsPanel from '../components/trading/SettlementOptionsPanel';
+import StrategyPanel from '../components/trading/StrategyPanel';
 import ErrorMessage from '../components/ui/ErrorMessage';
 import { useTradingSimulation } from '../hooks/useTradingSimulation';
+import { useMarketData } from '../hooks/useMarketData';
+import { useISOProfiles } from '../hooks/useISOProfiles';
 
 const Trading: React.FC = () => {
-  const { selectedDate, setSelectedDate } = useAppContext();
+  const {
+    selectedDate,
+    setSelectedDate,
+    selectedISO,
+    setSelectedISO,
+    settlementOptions,
+    setSettlementOptions,
+  } = useAppContext();
+  const { data: marketData } = useMarketData(selectedDate, selectedISO, settlementOptions);
+  const { getProfile } = useISOProfiles();
   const {
     bids,
     simulation,
     isSimulating,
+    isRunningStrategy,
     error,
     selectedHour,
     setSelectedHour,
@@ -22,6 +37,7 @@ const Trading: React.FC = () => {
     updateBid,
     removeBid,
     runSimulation,
+    runStrategy,
   } = useTradingSimulation();
 
   // Extract error details for better error handling
@@ -45,20 +61,26 @@ const Trading: React.FC = () => {
           <div>
             <h2 className="text-2xl font-bold text-gray-900 mb-2">Energy Trading Simulator</h2>
             <p className="text-gray-600">
-              Place bids and simulate trading outcomes using real historical CAISO market data
+              Place bids and simulate trading outcomes using real historical {selectedISO} market data
             </p>
           </div>
           
-          <DateSelector
-            selectedDate={selectedDate}
-            onDateSelect={setSelectedDate}
-            label="Trading Date"
-          />
+          <div className="flex flex-col sm:flex-row gap-4">
+            <ISOSelector
+              selectedISO={selectedISO}
+              onISOSelect={setSelectedISO}
+            />
+            <DateSelector
+              selectedDate={selectedDate}
+              onDateSelect={setSelectedDate}
+              label="Trading Date"
+            />
+          </div>
         </div>
       </div>
 
       {/* Trading Deadline Notice */}
-      <TradingDeadlineNotice selectedDate={selectedDate} />
+      <TradingDeadlineNotice selectedDate={selectedDate} selectedISO={selectedISO} />
 
       {/* Error State */}
       {error && errorDetails && (
@@ -66,7 +88,7 @@ const Trading: React.FC = () => {
           title={errorDetails.status === 503 ? "GridStatus API Not Configured" : "Simulation Failed"}
           message={errorDetails.message}
           errorCode={errorDetails.status}
-          onRetry={() => runSimulation(selectedDate)}
+          onRetry={() => runSimulation(selectedDate, selectedISO, settlementOptions)}
         />
       )}
 
@@ -80,7 +102,9 @@ const Trading: React.FC = () => {
         <div className="space-y-6">
           <MarketPriceDisplay 
             selectedDate={selectedDate} 
+            selectedISO={selectedISO}
             selectedHour={selectedHour} 
+            marketOptions={settlementOptions}
           />
           <BidPlacementForm
             selectedHour={selectedHour}
@@ -92,11 +116,23 @@ const Trading: React.FC = () => {
           />
         </div>
         
-        <BidSummary
-          bids={bids}
-          onRunSimulation={() => runSimulation(selectedDate)}
-          isSimulating={isSimulating}
-        />
+        <div className="space-y-6">
+          <SettlementOptionsPanel
+            options={settlementOptions}
+            onChange={setSettlementOptions}
+            syntheticHourCount={marketData?.metadata?.gapFill?.syntheticHours.length}
+            rtIntervalOptions={getProfile(selectedISO)?.rtIntervalOptions}
+          />
+          <StrategyPanel
+            onRunStrategy={(strategyId, params) => runStrategy(strategyId, params, selectedDate, selectedISO, settlementOptions)}
+            isRunning={isRunningStrategy}
+          />
+          <BidSummary
+            bids={bids}
+            onRunSimulation={() => runSimulation(selectedDate, selectedISO, settlementOptions)}
+            isSimulating={isSimulating}
+          />
+        </div>
       </div>
     </div>
   );
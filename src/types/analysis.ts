@@ -1,6 +1,32 @@
+import type { PriceComponents } from './market';
+
+export type SpikeDriver = 'energy' | 'congestion' | 'loss' | 'unknown';
+
+// One location's price at a spike's interval, positioned from the location registry
+export interface NodePrice {
+  location: string;
+  name: string;
+  region?: string;
+  lat?: number;
+  lon?: number;
+  price: number;
+  separation: number; // This location's price minus the spiking location's price ($/MWh)
+  distance: number | null; // Great-circle miles from the spiking location; null without coordinates
+}
+
 export interface PriceSpike {
   id: string;
   timestamp: string;
+  intervalStartUtc?: string; // Interval start as a UTC instant; timestamp is wall time in the user's timezone
+  // A spike is an episode of consecutive intervals; timestamp, price and magnitude describe its peak
+  startTimestamp?: string; // Start of the episode's first interval, same clock as timestamp
+  endTimestamp?: string; // End of the episode's last interval
+  startUtc?: string;
+  endUtc?: string;
+  durationMinutes?: number;
+  intervalCount?: number;
+  integratedMagnitude?: number; // Sum of |price - baseline| x minutes over the episode ($/MWh-minutes)
+  detector?: string; // Id of the detector that fired; zScore is on that detector's scale
   location: string;
   price: number;
   baselinePrice: number;
@@ -9,11 +35,17 @@ export interface PriceSpike {
   severity: 'low' | 'medium' | 'high' | 'critical';
   nearbyLocations: Array<{
     location: string;
+    name?: string;
     price: number;
-    distance: number;
+    separation?: number;
+    distance: number; // Great-circle miles
   }>;
+  nodePrices?: NodePrice[]; // Every analyzed location's price in the spike's interval, including the spiking one
   confidence: number;
   zScore?: number;
+  driver?: SpikeDriver; // LMP component that moved the most, 'unknown' without component data
+  components?: PriceComponents;
+  componentDeltas?: PriceComponents; // Change in each component from the baseline window
   aiAnalysis?: string;
   rootCause?: string;
   technicalDetails?: {
@@ -24,10 +56,14 @@ export interface PriceSpike {
   recommendations?: string[];
 }
 
+// Rule-based events come with every spike detection; AI events come from a whole-day assessment
 export interface GridEvent {
   id: string;
-  timestamp: string;
-  type: 'transmission_outage' | 'generation_trip' | 'load_spike' | 'congestion' | 'renewable_curtailment';
+  timestamp?: string; // Earliest spike in the event, in the spikes' timezone (rule-based events)
+  hourStartUtc?: string; // Start of the clock hour the event groups (rule-based events)
+  timeWindow?: string; // Time range described by the LLM (AI events)
+  type: 'transmission_outage' | 'generation_trip' | 'load_spike' | 'congestion' | 'renewable_curtailment' | 'system_energy';
+  driver?: SpikeDriver | 'mixed';
   description: string;
   affectedLocations: string[];
   estimatedImpact: number;
@@ -36,6 +72,20 @@ export interface GridEvent {
   duration?: number;
 }
 
+export interface SystemAssessment {
+  overallStability: 'stable' | 'stressed' | 'critical';
+  primaryConcerns: string[];
+  operationalRecommendations: string[];
+}
+
+export interface GridEventsAssessment {
+  date: string;
+  iso: string;
+  spikesAssessed: number; // The largest spikes are sent when a day has more than the server's cap
+  gridEvents: GridEvent[];
+  systemAssessment: SystemAssessment | null;
+}
+
 export interface AIProvider {
   label: string;
   models: Array<{
@@ -54,6 +104,46 @@ export interface AnalysisThresholds {
   minDuration: number;
   spatialRadius: number;
   zScoreThreshold?: number;
+  method?: string; // SpikeDetector id
+}
+
+export interface SpikeDetector {
+  id: string;
+  name: string;
+  description: string;
+  defaults: Partial<AnalysisThresholds>; // Threshold defaults that replace the server's for this detector
+  lookbackDays: number; // Prior days of real-time prices the detector reads
+  usesDayAhead: boolean;
+}
+
+export type AnalysisMode = 'detection' | 'correlation' | 'prediction';
+
+export interface LeadLagPair {
+  locationA: string;
+  locationB: string;
+  bestLagMinutes: number | null; // Positive when locationA's price moves show up at locationB later
+  correlation: number | null; // Correlation of price changes at the best lag
+  leader: string | null; // Null when the best lag is zero or unknown
+  curve: Array<{ lagMinutes: number; correlation: number | null }>;
+}
+
+export interface SpreadCorrelation {
+  location: string;
+  name: string;
+  correlation: number | null; // Spike minutes per hour against the hourly RT-DA spread
+  hours: number;
+  spikeHours: number;
+  meanSpreadSpikeHours: number | null; // $/MWh, hourly average RT minus DA
+  meanSpreadOtherHours: number | null;
+}
+
+export interface CorrelationAnalysis {
+  locations: Array<{ location: string; name: string }>;
+  matrix: Array<Array<number | null>>; // Price correlation, in locations order
+  leadLag: LeadLagPair[];
+  spreadCorrelations: SpreadCorrelation[]; // Empty without day-ahead prices
+  intervalMinutes: number;
+  maxLagMinutes: number;
 }
 
 export interface SpikeAnalysisResult {
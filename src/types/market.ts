@@ -1,17 +1,41 @@
+// LMP components in $/MWh; energy + congestion + loss = price
+export interface PriceComponents {
+  energy: number;
+  congestion: number;
+  loss: number;
+}
+
 export interface MarketPrice {
   hour: number;
   price: number;
   timestamp: string;
   dataQuality?: 'actual' | 'interpolated' | 'fallback';
   recordCount?: number;
-  sourceHour?: number; // Original hour in source timezone (Pacific Time)
+  sourceHour?: number; // Original hour in source timezone (ISO market time)
+  hourEnding?: number; // Hour-ending number in market time (1-24)
+  hourLabel?: string; // e.g. "HE2", or "HE2*" for the repeated hour on the fall-back day
+  isRepeatedHour?: boolean;
+  localTime?: string; // Hour start in the user's timezone (HH:MM)
+  components?: PriceComponents; // Set on actual hours when the dataset publishes components
+}
+
+export type GapFillStrategy = 'linear' | 'previous-day' | 'da-as-rt';
+
+export interface SettlementOptions {
+  gapFill: GapFillStrategy; // How missing RT intervals are filled
+  requireActualData: boolean; // Refuse to settle hours that depend on gap-filled prices
+  rtIntervalMinutes?: number; // RT market to settle against, e.g. 5 for CAISO RTD (defaults to the ISO's settlement interval)
 }
 
+export type MarketDataOptions = Pick<SettlementOptions, 'gapFill' | 'rtIntervalMinutes'>;
+
 export interface RealTimePrice {
   interval: number;
   price: number;
   timestamp: string;
   dataQuality?: 'actual' | 'fallback';
+  fillMethod?: GapFillStrategy; // Set on gap-filled intervals
+  components?: PriceComponents; // Set on actual intervals when the dataset publishes components
 }
 
 export interface HourlyRealTimeData {
@@ -19,12 +43,40 @@ export interface HourlyRealTimeData {
   prices: RealTimePrice[];
   dataQuality?: 'actual' | 'partial' | 'fallback';
   recordCount?: number;
-  sourceHour?: number; // Original hour in source timezone (Pacific Time)
+  sourceHour?: number; // Original hour in source timezone (ISO market time)
+  hourEnding?: number;
+  hourLabel?: string;
+  isRepeatedHour?: boolean;
+  localTime?: string;
 }
 
-export interface MarketData {
+export interface PriceLimits {
+  floor: number; // Market bid floor ($/MWh)
+  cap: number; // Market bid cap ($/MWh)
+}
+
+export interface OutOfRangePriceRecord {
+  market: 'dayAhead' | 'realTime';
+  timestamp: string;
+  price: number;
+}
+
+export interface LocationPriceSeries {
+  location: string; // Pricing node id, e.g. TH_NP15_GEN-APND
+  name: string;
+  type?: MarketLocationType;
+  region?: string;
+  lat?: number;
+  lon?: number;
   dayAheadPrices: MarketPrice[];
   realTimePrices: HourlyRealTimeData[];
+  syntheticHours: number[];
+}
+
+export interface MarketData {
+  dayAheadPrices: MarketPrice[]; // Average of all fetched locations
+  realTimePrices: HourlyRealTimeData[]; // Average of all pricing nodes
+  locations?: Record<string, LocationPriceSeries>; // Each node's own series
   metadata?: {
     actualHours: number[];
     interpolatedHours: number[];
@@ -34,8 +86,144 @@ export interface MarketData {
       realTime: number;
     };
     dataSource: string;
+    iso?: string;
+    operatingDate?: string; // Market-time date the hours belong to
+    hoursInDay?: number; // 23 on spring-forward days, 25 on fall-back days
+    hourConvention?: 'hour-ending';
+    gapFill?: {
+      strategy: GapFillStrategy;
+      syntheticIntervals: number;
+      methods: Partial<Record<GapFillStrategy, number>>;
+      syntheticHours: number[]; // Hours whose DA or RT price is not fully backed by market data
+    };
+    rtIntervalMinutes?: number; // RT market interval length (5 or 15 minutes)
+    priceLimits?: PriceLimits;
+    outOfRangeRecords?: OutOfRangePriceRecord[]; // Prices outside the bid floor/cap (kept, not dropped)
+    truncated?: boolean; // A fetch hit its record budget, so some intervals are gap-filled
+    pagination?: {
+      dayAhead: FetchPagination;
+      realTime: FetchPagination;
+    } | null;
     timezone: string; // User's timezone
-    sourceTimezone?: string; // Original data timezone (Pacific Time)
+    sourceTimezone?: string; // Original data timezone (ISO market time)
+  };
+}
+
+// Pages read for one market's fetch and whether the record budget cut it short
+export interface FetchPagination {
+  pages: number;
+  records: number;
+  truncated: boolean;
+  truncatedLocations: string[];
+  maxRecordsPerLocation: number;
+}
+
+export type MarketLocationType = 'hub' | 'load-zone' | 'zone' | 'node';
+
+// Location registry entry (server/config/locations.js)
+export interface MarketLocation {
+  id: string;
+  iso: string;
+  name: string;
+  type: MarketLocationType;
+  region: string;
+  lat?: number;
+  lon?: number;
+  default: boolean;
+}
+
+export interface ISOProfile {
+  iso: string;
+  label: string;
+  timezone: string;
+  rtIntervalMinutes: number;
+  rtIntervalOptions: number[]; // Available RT interval lengths, default first
+  daDeadline: {
+    hour: number;
+    minute: number;
+  };
+  priceLimits: PriceLimits;
+  hasAncillaryServices: boolean; // Whether /market/ancillary serves AS prices for the ISO
+  hasFundamentals: boolean; // Whether /market/fundamentals serves load and fuel mix for the ISO
+  hubs: MarketLocation[]; // Default locations, fetched when a request selects none
+  locations: MarketLocation[]; // Every registered location, selectable per request
+}
+
+export type AncillaryServiceProduct = 'regulationUp' | 'regulationDown' | 'spinningReserve' | 'nonSpinningReserve';
+
+// One operating hour of ancillary service clearing prices ($/MW); null when the hour has no price
+export type AncillaryServicePrice = {
+  hour: number;
+  hourEnding: number;
+  hourLabel: string;
+  isRepeatedHour: boolean;
+  localTime: string;
+  timestamp: string;
+  recordCount: number;
+} & Record<AncillaryServiceProduct, number | null>;
+
+export interface AncillaryServicesData {
+  prices: AncillaryServicePrice[];
+  products: Array<{ id: AncillaryServiceProduct; label: string }>; // Products the dataset published
+  metadata: {
+    iso: string;
+    operatingDate: string;
+    hoursInDay: number;
+    hourConvention: 'hour-ending';
+    region?: string; // AS region the prices clear in, e.g. AS_CAISO_EXP
+    missingHours: number[];
+    totalRecords: number;
+    dataSource: string;
+    timezone: string;
+    sourceTimezone: string;
+  };
+}
+
+// One operating hour of load, forecast and fuel mix (MW); null when the ISO published no value
+export interface FundamentalsHour {
+  hour: number;
+  hourEnding: number;
+  hourLabel: string;
+  isRepeatedHour: boolean;
+  localTime: string;
+  timestamp: string;
+  load: number | null;
+  loadForecast: number | null;
+  solar: number | null;
+  wind: number | null;
+  gas: number | null;
+  imports: number | null;
+  netLoad: number | null; // Load less solar and wind
+}
+
+export interface FundamentalsExtreme {
+  hour: number;
+  hourLabel: string;
+  value: number;
+}
+
+export interface FundamentalsData {
+  hours: FundamentalsHour[];
+  summary: {
+    peakLoad: FundamentalsExtreme | null;
+    peakNetLoad: FundamentalsExtreme | null;
+    minNetLoad: FundamentalsExtreme | null;
+  };
+  metadata: {
+    iso: string;
+    operatingDate: string;
+    hoursInDay: number;
+    hourConvention: 'hour-ending';
+    units: 'MW';
+    missingHours: number[];
+    totalRecords: {
+      load: number;
+      loadForecast: number;
+      fuelMix: number;
+    };
+    dataSource: string;
+    timezone: string;
+    sourceTimezone: string;
   };
 }
 
@@ -1,17 +1,46 @@
+export interface BidSegment {
+  price: number; // $/MWh
+  quantity: number; // Incremental MW offered at this price
+}
+
+// Monotonic bid curve for one hour: buy prices step down, sell prices step up
 export interface Bid {
   id: string;
   hour: number;
   type: 'buy' | 'sell';
-  price: number;
-  quantity: number;
+  location?: string; // Pricing node the bid settles at (hub average when omitted)
+  segments: BidSegment[];
+}
+
+export interface ClearedBidSegment extends BidSegment {
+  awarded: boolean; // Cleared against the DA LMP
+}
+
+export interface IntervalSettlement {
+  interval: number; // RT interval index within the hour
+  timestamp: string;
+  startMinute: number; // Minutes after the start of the hour
+  realTimePrice: number;
+  quantity: number; // MWh settled in this interval (bid quantity / 4 for 15-minute, / 12 for 5-minute)
+  profit: number;
+  dataQuality?: 'actual' | 'fallback';
 }
 
 export interface TradeResult extends Bid {
+  segments: ClearedBidSegment[];
+  offeredQuantity?: number; // Total MW on the curve
+  awardedQuantity?: number; // MW awarded in the DA market and settled in RT
+  hourLabel?: string; // Hour-ending label, e.g. "HE2*" on the fall-back day
+  locationName?: string; // Display name of the bid's pricing node
   executed: boolean;
+  excluded?: boolean; // Not settled because the hour depends on gap-filled prices
+  usesSyntheticData?: boolean;
   executionPrice?: number;
   avgRealTimePrice?: number;
   profit: number;
   profitPerMWh?: number;
+  rtIntervalMinutes?: number;
+  intervals?: IntervalSettlement[]; // Per-interval RT cash flows of an executed trade
   reason?: string;
 }
 
@@ -21,11 +50,38 @@ export interface SimulationResult {
   summary: {
     totalBids: number;
     executedTrades: number;
+    excludedTrades?: number;
     successRate: number;
     avgProfitPerTrade: number;
   };
 }
 
+export type StrategyParamValue = number | string | number[];
+
+export interface StrategyParamDefinition {
+  name: string;
+  label: string;
+  type: 'number' | 'side' | 'hours' | 'location'; // hours are hour-ending numbers, location is a hub id
+  default?: StrategyParamValue;
+  min?: number;
+  max?: number;
+  integer?: boolean;
+}
+
+// Server-side bidding strategy that generates bids from market history
+export interface StrategyDefinition {
+  id: string;
+  name: string;
+  description: string;
+  lookbackDays: number; // Prior operating days of DA/RT history the strategy reads
+  params: StrategyParamDefinition[];
+}
+
+export interface StrategyRunResult {
+  bids: Bid[];
+  simulation: SimulationResult;
+}
+
 export interface TradingMetrics {
   totalProfit: number;
   executedTrades: number;